@@ -23,6 +23,14 @@ const chart = new CanvasChart({
 chart.setData(demoData);
 chart.render();
 
-// Para ativar zoom/pan basta importar e adicionar:
+// Para ativar zoom/pan basta importar e conectar ao gráfico:
 // import ZoomPan from '../src/interactions/ZoomPan.js';
-// new ZoomPan(chart.getCanvas());
+// chart.attachZoomPan(new ZoomPan(chart.getCanvas()));
+// (ou passar `interactions: { zoomPan: true }` ao criar o CanvasChart)
+// chart.resetView() volta a exibir todos os dados (com transição animada).
+// Para séries temporais: `interactions: { zoomPan: { zoomAxis: 'x' } }` e
+// `constrainView: true` impedem o zoom vertical e o pan além dos dados.
+
+// Seleção: `interactions: { zoomPan: true, brush: true }` permite arrastar com
+// Shift (retângulo) ou Alt (laço); os registros chegam pelo evento 'select'.
+// chart.on('select', ({ selection }) => console.log(selection));
@@ -3,15 +3,46 @@
  * Advanced DataVisualization for web applications
  */
 
+/**
+ * Analysis pipelines (see src/data/Pipeline.js), kept as plain JSON so they
+ * can be saved with a dashboard or run in a worker
+ */
+const ANALYSIS_PIPELINES = {
+    categories: [
+        { type: 'groupBy', keys: ['category'], aggregates: { count: 'count' } }
+    ],
+    statuses: [
+        { type: 'groupBy', keys: ['status'], aggregates: { count: 'count' } }
+    ],
+    trends: [
+        { type: 'bin', field: 'timestamp', bins: 10, as: ['periodStart', 'periodEnd'] },
+        { type: 'groupBy', keys: ['periodStart'], aggregates: { averageValue: 'mean:value', recordCount: 'count' } },
+        { type: 'sort', by: [{ field: 'periodStart', order: 'asc' }] }
+    ]
+};
+
 class DataVisualizationPlatform {
-    constructor() {
+    /**
+     * @param {Object} options - Platform options
+     * @param {Object} options.config - Overrides for the default configuration
+     * @param {Object} options.dataLoader - DataLoader used to fetch config.apiEndpoint;
+     *   without one, sample data is generated
+     * @param {Object} options.dataEngine - DataEngine (with enableStreaming) used for
+     *   real-time updates and to run the analysis pipelines; without one, a timer
+     *   appends sample records and the analysis is computed in place
+     */
+    constructor(options = {}) {
         this.data = [];
         this.results = {};
         this.config = {
             apiEndpoint: '/api/data',
             updateInterval: 5000,
-            maxRetries: 3
+            maxRetries: 3,
+            ...options.config
         };
+        this.dataLoader = options.dataLoader || null;
+        this.dataEngine = options.dataEngine || null;
+        this.stream = null;
     }
 
     /**
@@ -30,8 +61,14 @@ class DataVisualizationPlatform {
      */
     async loadData() {
         try {
-            // Simulate API call with sample data
-            this.data = this.generateSampleData();
+            if (this.dataLoader) {
+                this.data = await this.dataLoader.loadJSON(this.config.apiEndpoint, {
+                    maxRetries: this.config.maxRetries
+                });
+            } else {
+                // Simulate API call with sample data
+                this.data = this.generateSampleData();
+            }
             console.log(`Data loaded: ${this.data.length} records`);
         } catch (error) {
             console.error('Error loading data:', error);
@@ -59,7 +96,7 @@ class DataVisualizationPlatform {
     /**
      * Perform data analysis
      */
-    analyzeData() {
+    async analyzeData() {
         if (!this.data.length) {
             console.warn('No data available for analysis');
             return null;
@@ -67,16 +104,43 @@ class DataVisualizationPlatform {
 
         const analysis = {
             totalRecords: this.data.length,
-            averageValue: this.data.reduce((sum, item) => sum + item.value, 0) / this.data.length,
-            categoryDistribution: this.getCategoryDistribution(),
-            statusDistribution: this.getStatusDistribution(),
-            trends: this.calculateTrends()
+            averageValue: this.data.reduce((sum, item) => sum + item.value, 0) / this.data.length
         };
 
+        if (this.dataEngine) {
+            const [categories, statuses, trends] = await Promise.all([
+                this.dataEngine.transform(this.data, ANALYSIS_PIPELINES.categories, { profile: false }),
+                this.dataEngine.transform(this.data, ANALYSIS_PIPELINES.statuses, { profile: false }),
+                this.dataEngine.transform(this.data, ANALYSIS_PIPELINES.trends, { profile: false })
+            ]);
+            analysis.categoryDistribution = this.toDistribution(categories.data, 'category');
+            analysis.statusDistribution = this.toDistribution(statuses.data, 'status');
+            analysis.trends = trends.data.map((row, index) => ({
+                period: index + 1,
+                averageValue: row.averageValue,
+                recordCount: row.recordCount
+            }));
+        } else {
+            analysis.categoryDistribution = this.getCategoryDistribution();
+            analysis.statusDistribution = this.getStatusDistribution();
+            analysis.trends = this.calculateTrends();
+        }
+
         this.results.analysis = analysis;
         return analysis;
     }
 
+    /**
+     * Turn grouped {key, count} rows into a {key: count} map
+     */
+    toDistribution(rows, key) {
+        const distribution = {};
+        rows.forEach(row => {
+            distribution[row[key]] = row.count;
+        });
+        return distribution;
+    }
+
     /**
      * Get category distribution
      */
@@ -103,7 +167,7 @@ class DataVisualizationPlatform {
      * Calculate trends
      */
     calculateTrends() {
-        const sortedData = this.data.sort((a, b) => a.timestamp - b.timestamp);
+        const sortedData = this.data.slice().sort((a, b) => a.timestamp - b.timestamp);
         const chunks = this.chunkArray(sortedData, Math.floor(sortedData.length / 10));
         
         return chunks.map((chunk, index) => ({
@@ -136,23 +200,44 @@ class DataVisualizationPlatform {
      * Start real-time updates
      */
     startRealTimeUpdates() {
+        if (this.dataEngine) {
+            // Poll the simulated source through a stream that keeps the last 1000 records
+            this.stream = this.dataEngine.stream(async () => this.createRecord(), {
+                type: 'poll',
+                interval: this.config.updateInterval,
+                windowSize: 1000
+            });
+            this.stream.push(this.data);
+            this.stream.on('data', records => {
+                this.data = records;
+            });
+            return;
+        }
+
         setInterval(() => {
             this.updateData();
         }, this.config.updateInterval);
     }
 
     /**
-     * Update data in real-time
+     * Create a simulated real-time record
      */
-    updateData() {
-        // Simulate real-time data updates
-        const newRecord = {
+    createRecord() {
+        return {
             id: this.data.length + 1,
             timestamp: new Date(),
             value: Math.random() * 100,
             category: ['A', 'B', 'C'][Math.floor(Math.random() * 3)],
             status: Math.random() > 0.5 ? 'active' : 'inactive'
         };
+    }
+
+    /**
+     * Update data in real-time
+     */
+    updateData() {
+        // Simulate real-time data updates
+        const newRecord = this.createRecord();
         
         this.data.push(newRecord);
         
@@ -181,7 +266,7 @@ async function main() {
     await platform.initialize();
     
     // Perform analysis
-    const analysis = platform.analyzeData();
+    const analysis = await platform.analyzeData();
     console.log('Analysis Results:', analysis);
     
     console.log('Platform running successfully!');
@@ -0,0 +1,259 @@
+/**
+ * Axis - Tick, label, gridline and title rendering for canvas charts
+ * ES Module used by CanvasChart to draw its x and y axes
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+/**
+ * Default options shared by both axes
+ * Chart-level `config.axes.x` / `config.axes.y` are merged over these.
+ */
+export const DEFAULT_AXIS_OPTIONS = {
+  visible: true,
+  title: '',
+  tickCount: 6,
+  tickSize: 5,
+  tickPadding: 4,
+  titlePadding: 8,
+  grid: false,
+  format: null,
+  color: '#666',
+  gridColor: '#e6e6e6',
+  font: '11px Arial, sans-serif',
+  titleFont: 'bold 12px Arial, sans-serif'
+};
+
+/**
+ * Extract the pixel size from a CSS font shorthand
+ * @param {string} font - CSS font (e.g. 'bold 12px Arial')
+ * @returns {number} Font size in pixels (default: 12)
+ */
+function fontSize(font) {
+  const match = /(\d+(?:\.\d+)?)px/.exec(font || '');
+  return match ? parseFloat(match[1]) : 12;
+}
+
+/**
+ * Axis class
+ *
+ * An axis is bound to an orientation ('bottom' or 'left') and draws the
+ * ticks of a scale along one edge of the chart's drawing area.
+ *
+ * @example
+ * const axis = new Axis('left', { title: 'Value', grid: true });
+ * const width = axis.measure(ctx, yScale);
+ * axis.renderGrid(ctx, yScale, drawArea);
+ * axis.render(ctx, yScale, drawArea);
+ */
+export class Axis {
+  /**
+   * Constructor
+   * @param {string} orient - 'bottom' or 'left'
+   * @param {Object} options - Axis options (see DEFAULT_AXIS_OPTIONS)
+   * @param {string} options.title - Axis title
+   * @param {number} options.tickCount - Approximate number of ticks
+   * @param {boolean} options.grid - Draw gridlines across the drawing area
+   * @param {Function} options.format - Custom tick label formatter (value) => string
+   */
+  constructor(orient, options = {}) {
+    if (orient !== 'bottom' && orient !== 'left') {
+      throw new Error(`Unsupported axis orientation: ${orient}`);
+    }
+
+    this.orient = orient;
+    this.options = { ...DEFAULT_AXIS_OPTIONS, ...options };
+  }
+
+  /**
+   * Compute tick values and labels for a scale
+   * @param {Object} scale - Scale with ticks() and tickFormat()
+   * @param {Object} [drawArea] - Only keep ticks positioned inside this area
+   * @returns {Array<{value: *, label: string}>} Ticks
+   */
+  getTicks(scale, drawArea) {
+    const { tickCount, format } = this.options;
+    const formatter = format || scale.tickFormat(tickCount);
+    let values = scale.ticks(tickCount);
+
+    // Zoomed band scales extend past the drawing area
+    if (drawArea) {
+      const [start, end] = this.orient === 'bottom'
+        ? [drawArea.x, drawArea.x + drawArea.width]
+        : [drawArea.y, drawArea.y + drawArea.height];
+      values = values.filter(value => {
+        const position = scale.map(value);
+        return position >= start - 0.5 && position <= end + 0.5;
+      });
+    }
+
+    return values.map(value => ({ value, label: String(formatter(value)) }));
+  }
+
+  /**
+   * Measure the space the axis needs outside the drawing area
+   *
+   * For a left axis this is the width taken by labels, ticks and title; for
+   * a bottom axis the height. `overhang` is how far the outermost label
+   * extends past the end of the axis line.
+   *
+   * @param {CanvasRenderingContext2D} ctx - Context used to measure text
+   * @param {Object} scale - Scale the axis represents
+   * @returns {{size: number, overhang: number}} Required space in CSS pixels
+   */
+  measure(ctx, scale) {
+    const options = this.options;
+    if (!options.visible) {
+      return { size: 0, overhang: 0 };
+    }
+
+    const ticks = this.getTicks(scale);
+    const titleSpace = options.title ? fontSize(options.titleFont) + options.titlePadding : 0;
+
+    ctx.save();
+    ctx.font = options.font;
+    const labelWidths = ticks.map(tick => ctx.measureText(tick.label).width);
+    ctx.restore();
+
+    if (this.orient === 'left') {
+      const labelWidth = labelWidths.length ? Math.max(...labelWidths) : 0;
+      return {
+        size: Math.ceil(options.tickSize + options.tickPadding + labelWidth + titleSpace),
+        overhang: Math.ceil(fontSize(options.font) / 2)
+      };
+    }
+
+    const lastWidth = labelWidths.length ? labelWidths[labelWidths.length - 1] : 0;
+    return {
+      size: Math.ceil(options.tickSize + options.tickPadding + fontSize(options.font) + titleSpace),
+      overhang: Math.ceil(lastWidth / 2)
+    };
+  }
+
+  /**
+   * Draw gridlines at each tick across the drawing area
+   * @param {CanvasRenderingContext2D} ctx - Rendering context
+   * @param {Object} scale - Scale the axis represents
+   * @param {Object} drawArea - Drawing area {x, y, width, height}
+   */
+  renderGrid(ctx, scale, drawArea) {
+    if (!this.options.visible || !this.options.grid) return;
+
+    ctx.save();
+    ctx.strokeStyle = this.options.gridColor;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+
+    this.getTicks(scale, drawArea).forEach(tick => {
+      // Offset by half a pixel so one-pixel lines stay crisp
+      const position = Math.round(scale.map(tick.value)) + 0.5;
+      if (this.orient === 'bottom') {
+        ctx.moveTo(position, drawArea.y);
+        ctx.lineTo(position, drawArea.y + drawArea.height);
+      } else {
+        ctx.moveTo(drawArea.x, position);
+        ctx.lineTo(drawArea.x + drawArea.width, position);
+      }
+    });
+
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Draw the axis line, ticks, labels and title
+   * @param {CanvasRenderingContext2D} ctx - Rendering context
+   * @param {Object} scale - Scale the axis represents
+   * @param {Object} drawArea - Drawing area {x, y, width, height}
+   */
+  render(ctx, scale, drawArea) {
+    const options = this.options;
+    if (!options.visible) return;
+
+    const ticks = this.getTicks(scale, drawArea);
+    const bottom = drawArea.y + drawArea.height;
+
+    ctx.save();
+    ctx.strokeStyle = options.color;
+    ctx.fillStyle = options.color;
+    ctx.lineWidth = 1;
+    ctx.font = options.font;
+
+    ctx.beginPath();
+    if (this.orient === 'bottom') {
+      ctx.moveTo(drawArea.x, bottom);
+      ctx.lineTo(drawArea.x + drawArea.width, bottom);
+    } else {
+      ctx.moveTo(drawArea.x, drawArea.y);
+      ctx.lineTo(drawArea.x, bottom);
+    }
+
+    ticks.forEach(tick => {
+      const position = scale.map(tick.value);
+      if (this.orient === 'bottom') {
+        ctx.moveTo(position, bottom);
+        ctx.lineTo(position, bottom + options.tickSize);
+      } else {
+        ctx.moveTo(drawArea.x, position);
+        ctx.lineTo(drawArea.x - options.tickSize, position);
+      }
+    });
+    ctx.stroke();
+
+    // Extent of the labels away from the axis line, used to place the title
+    let labelExtent;
+    if (this.orient === 'bottom') {
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      ticks.forEach(tick => {
+        ctx.fillText(tick.label, scale.map(tick.value), bottom + options.tickSize + options.tickPadding);
+      });
+      labelExtent = fontSize(options.font);
+    } else {
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'middle';
+      labelExtent = 0;
+      ticks.forEach(tick => {
+        ctx.fillText(tick.label, drawArea.x - options.tickSize - options.tickPadding, scale.map(tick.value));
+        labelExtent = Math.max(labelExtent, ctx.measureText(tick.label).width);
+      });
+    }
+
+    if (options.title) {
+      this.renderTitle(ctx, drawArea, labelExtent);
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw the axis title centered along the axis
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - Rendering context
+   * @param {Object} drawArea - Drawing area {x, y, width, height}
+   * @param {number} labelExtent - Space taken by the tick labels
+   */
+  renderTitle(ctx, drawArea, labelExtent) {
+    const options = this.options;
+    const offset = options.tickSize + options.tickPadding + options.titlePadding;
+
+    ctx.font = options.titleFont;
+    ctx.textAlign = 'center';
+
+    if (this.orient === 'bottom') {
+      ctx.textBaseline = 'top';
+      ctx.fillText(
+        options.title,
+        drawArea.x + drawArea.width / 2,
+        drawArea.y + drawArea.height + offset + labelExtent
+      );
+    } else {
+      ctx.textBaseline = 'bottom';
+      ctx.translate(drawArea.x - offset - labelExtent, drawArea.y + drawArea.height / 2);
+      ctx.rotate(-Math.PI / 2);
+      ctx.fillText(options.title, 0, 0);
+    }
+  }
+}
+
+export default Axis;
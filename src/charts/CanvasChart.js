@@ -8,25 +8,149 @@
  * @version 1.0.0
  * @author Interactive Data Visualization JS
  */
-class CanvasChart {
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { SpatialIndex } from '../utils/SpatialIndex.js';
+import Tooltip from '../interactions/Tooltip.js';
+import ZoomPan from '../interactions/ZoomPan.js';
+import BrushSelection from '../interactions/BrushSelection.js';
+import Axis, { DEFAULT_AXIS_OPTIONS } from './Axis.js';
+import { createScale, inferScaleType, SCALE_TYPES } from './scales/index.js';
+import { createSeries, applyStacking, SERIES_PALETTE, SERIES_TYPES } from './series/index.js';
+import { renderColorLegend } from './series/density.js';
+import { isColumnTable } from '../data/ColumnTable.js';
+import { suggestAxis } from '../data/profile.js';
+
+/**
+ * Scale-related options accepted under `config.axes.x` / `config.axes.y`
+ * (band scales additionally accept `paddingInner` and `paddingOuter`).
+ * `nice: null` leaves the choice to the scale type: only log scales nice by default.
+ */
+const DEFAULT_SCALE_OPTIONS = {
+  type: 'auto',
+  min: null,
+  max: null,
+  nice: null,
+  base: 10,
+  domain: null
+};
+
+/**
+ * Default tooltip options, overridable through `config.tooltip`
+ */
+const DEFAULT_TOOLTIP_OPTIONS = {
+  enabled: true,
+  formatter: null,
+  html: false,
+  offset: 12,
+  className: '',
+  style: {}
+};
+
+/**
+ * View transform showing the whole dataset
+ */
+const IDENTITY_VIEW = { zoom: 1, zoomX: 1, zoomY: 1, panX: 0, panY: 0 };
+
+/**
+ * Default selection options, overridable through `config.selection`
+ */
+const DEFAULT_SELECTION_OPTIONS = {
+  dimOpacity: 0.2,
+  color: '#222',
+  zoomToSelection: false
+};
+
+/**
+ * Checks whether a point lies inside a polygon (even-odd rule)
+ * @param {number} x - Horizontal position
+ * @param {number} y - Vertical position
+ * @param {Array<{x: number, y: number}>} polygon - Polygon vertices
+ * @returns {boolean} True if the point is inside
+ */
+function pointInPolygon(x, y, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Formats a data value for display in a tooltip
+ * @param {*} value - Number, Date or category
+ * @returns {string} Display text
+ */
+function formatValue(value) {
+  if (value instanceof Date) {
+    return value.toLocaleString();
+  }
+  if (typeof value === 'number' && !Number.isInteger(value)) {
+    return String(Number(value.toPrecision(6)));
+  }
+  return String(value);
+}
+
+class CanvasChart extends EventEmitter {
   /**
    * Creates a new CanvasChart instance
    * 
-   * @param {HTMLCanvasElement|string} canvas - Canvas element or selector
-   * @param {Object} options - Configuration options
-   * @param {number} [options.width=800] - Canvas width in pixels
-   * @param {number} [options.height=600] - Canvas height in pixels
+   * Accepts either an options object with a `container` (the chart then
+   * creates its own canvas inside it) or an existing canvas element/selector
+   * followed by the options.
+   * 
+   * @param {Object|HTMLCanvasElement|string} canvasOrOptions - Options object, canvas element or selector
+   * @param {Object} options - Configuration options (when a canvas is passed first)
+   * @param {HTMLElement|string} [options.container] - Container element or id that receives a new canvas
+   * @param {number} [options.width=800] - Chart width in CSS pixels
+   * @param {number} [options.height=600] - Chart height in CSS pixels
+   * @param {number} [options.pixelRatio] - Backing store scale (defaults to window.devicePixelRatio)
    * @param {string} [options.backgroundColor='#ffffff'] - Background color
+   * @param {number} [options.hitRadius=20] - Maximum pointer distance in CSS pixels for hover/click hits
+   * @param {Object} [options.tooltip] - Tooltip options: `enabled`, `formatter(datum, hit)`,
+   *   `html`, `offset`, `className` and `style`
+   * @param {ZoomPan} [options.zoomPan] - ZoomPan instance driving the visible data range
+   * @param {Object} [options.interactions] - Built-in interactions; `zoomPan: true` (or ZoomPan
+   *   options) creates a ZoomPan on the chart canvas, `brush: true` (or BrushSelection options)
+   *   a BrushSelection
+   * @param {boolean} [options.constrainView=false] - Stop an attached ZoomPan from panning past
+   *   the data (sets its translateExtent to the drawing area)
+   * @param {Object} [options.selection] - Selection display: `dimOpacity` of unselected points,
+   *   outline `color` of selected ones and `zoomToSelection` to zoom to each brushed extent
    * @param {Object} [options.padding={top: 20, right: 20, bottom: 20, left: 20}] - Chart padding
+   *   around the axes; space for tick labels and titles is reserved on top of it
+   * @param {Object} [options.axes] - Axis options under `x` and `y` (see DEFAULT_AXIS_OPTIONS),
+   *   e.g. `{ x: { title: 'Time', type: 'time' }, y: { title: 'Value', type: 'log', grid: true } }`.
+   *   `type` is one of 'linear', 'log', 'time', 'band' or 'auto' (inferred from the data)
+   * 
+   * @fires CanvasChart#hover - Nearest point under the pointer changed; `datum` is null when none
+   * @fires CanvasChart#click - A point was clicked (drags don't count)
+   * @fires CanvasChart#viewChange - The visible data range changed through zoom or pan
+   * @fires CanvasChart#select - The selection changed; `selection` holds the selected records
+   * 
+   * @example
+   * const chart = new CanvasChart({ container: 'viz-container', width: 700, height: 400 });
+   * chart.on('click', ({ datum }) => console.log('Selected record', datum));
    */
-  constructor(canvas, options = {}) {
-    // Handle canvas element or selector
-    if (typeof canvas === 'string') {
-      this.canvas = document.querySelector(canvas);
-    } else {
-      this.canvas = canvas;
+  constructor(canvasOrOptions, options = {}) {
+    super();
+    
+    const isOptionsObject = canvasOrOptions !== null &&
+      typeof canvasOrOptions === 'object' &&
+      typeof canvasOrOptions.getContext !== 'function' &&
+      canvasOrOptions.nodeType === undefined;
+    
+    if (isOptionsObject) {
+      options = canvasOrOptions;
+      canvasOrOptions = null;
     }
     
+    this.ownsCanvas = false;
+    this.canvas = this.resolveCanvas(canvasOrOptions, options.container);
+    
     if (!this.canvas) {
       throw new Error('Canvas element not found');
     }
@@ -35,45 +159,872 @@ class CanvasChart {
     this.config = {
       width: 800,
       height: 600,
+      pixelRatio: null,
       backgroundColor: '#ffffff',
+      hitRadius: 20,
+      constrainView: false,
       padding: { top: 20, right: 20, bottom: 20, left: 20 },
       ...options
     };
+    this.config.axes = this.mergeAxesConfig({}, options.axes);
+    this.config.tooltip = { ...DEFAULT_TOOLTIP_OPTIONS, ...options.tooltip };
+    this.config.selection = { ...DEFAULT_SELECTION_OPTIONS, ...options.selection };
     
     // Initialize canvas context
     this.ctx = this.canvas.getContext('2d');
-    this.data = [];
+    this.series = [];
+    
+    // Axes and the scales/layout computed on each render
+    this.axes = this.createAxes();
+    this.scales = null;
+    this.drawArea = null;
+    this.layout = null;
+    
+    // Hit testing state, rebuilt lazily after each render: the indexed
+    // positions, the point index of each and where each series' run starts
+    this.hitIndex = null;
+    this.hitRows = [];
+    this.hitSeries = [];
+    this.hovered = null;
+    this.tooltip = null;
+    
+    // Selected point indices {rows} by series (null when nothing is selected) and the brush making them
+    this.selection = null;
+    this.brush = null;
+    this.ownsBrush = false;
+    
+    // View transform (content pixel p is shown at p * zoom + pan)
+    this.view = { ...IDENTITY_VIEW };
+    this.baseScales = null;
+    
+    // Values computed from the full data (bounds, extents, band values),
+    // kept until setData() or a change of series visibility
+    this.summaries = null;
+    this.zoomPan = null;
+    this.ownsZoomPan = false;
+    this.renderFrame = null;
     
     // Setup canvas dimensions
     this.setupCanvas();
+    this.bindPointerEvents();
+    
+    const interactions = options.interactions || {};
+    if (options.zoomPan) {
+      this.attachZoomPan(options.zoomPan);
+    } else if (interactions.zoomPan) {
+      const zoomPanOptions = interactions.zoomPan === true ? {} : interactions.zoomPan;
+      this.attachZoomPan(new ZoomPan(this.canvas, zoomPanOptions));
+      this.ownsZoomPan = true;
+    }
+    
+    if (options.brush) {
+      this.attachBrush(options.brush);
+    } else if (interactions.brush) {
+      const brushOptions = interactions.brush === true ? {} : interactions.brush;
+      this.attachBrush(new BrushSelection(this.canvas, brushOptions));
+      this.ownsBrush = true;
+    }
+  }
+  
+  /**
+   * Connects a ZoomPan instance so its zoom and pan change the visible data range
+   * 
+   * The ZoomPan should be attached to the chart canvas (or an element of the
+   * same size and position), since its pan offsets are applied as chart pixels.
+   * Unless set on the ZoomPan, its viewport extent becomes the drawing area,
+   * and with `constrainView` so does its translateExtent.
+   * 
+   * @param {ZoomPan} zoomPan - ZoomPan instance
+   * 
+   * @example
+   * const zoomPan = new ZoomPan(chart.getCanvas());
+   * chart.attachZoomPan(zoomPan);
+   */
+  attachZoomPan(zoomPan) {
+    this.detachZoomPan();
+    
+    this.zoomPan = zoomPan;
+    
+    // Options overridden below, restored on detach
+    this.zoomPanOptions = {
+      filter: zoomPan.options.filter,
+      extent: zoomPan.options.extent,
+      translateExtent: zoomPan.options.translateExtent
+    };
+    
+    // Drags the brush claims must not pan as well
+    const { filter } = this.zoomPanOptions;
+    zoomPan.options.filter = (event) => (!this.brush || !this.brush.accepts(event)) &&
+      (!filter || filter(event));
+    
+    const drawAreaExtent = () => this.getDrawAreaExtent();
+    if (!zoomPan.options.extent) {
+      zoomPan.options.extent = drawAreaExtent;
+    }
+    if (!zoomPan.options.translateExtent && this.config.constrainView) {
+      zoomPan.options.translateExtent = drawAreaExtent;
+    }
+    
+    this.zoomPanHandler = () => {
+      this.view = { ...this.zoomPan.getTransform() };
+      this.scheduleRender();
+    };
+    zoomPan.on('onZoom', this.zoomPanHandler);
+    zoomPan.on('onPan', this.zoomPanHandler);
+    
+    // Adopt the ZoomPan's transform; the visible range hasn't changed yet,
+    // so there is no viewChange to report
+    this.view = { ...zoomPan.getTransform() };
+    this.render();
+  }
+  
+  /**
+   * Disconnects the attached ZoomPan, destroying it if the chart created it
+   */
+  detachZoomPan() {
+    if (!this.zoomPan) return;
+    
+    this.zoomPan.off('onZoom', this.zoomPanHandler);
+    this.zoomPan.off('onPan', this.zoomPanHandler);
+    Object.assign(this.zoomPan.options, this.zoomPanOptions);
+    if (this.ownsZoomPan) {
+      this.zoomPan.destroy();
+    }
+    this.zoomPan = null;
+    this.ownsZoomPan = false;
+  }
+  
+  /**
+   * Connects a BrushSelection so brushed rectangles and lassos select points
+   * 
+   * The brush should be attached to the chart canvas. When a ZoomPan is
+   * attached as well, drags the brush accepts are left to the brush.
+   * 
+   * @param {BrushSelection} brush - BrushSelection instance
+   * 
+   * @example
+   * chart.attachBrush(new BrushSelection(chart.getCanvas(), { lassoModifier: 'altKey' }));
+   * chart.on('select', ({ selection }) => console.log(selection.length, 'records selected'));
+   */
+  attachBrush(brush) {
+    this.detachBrush();
+    
+    this.brush = brush;
+    this.brushHandler = (shape) => this.handleBrushEnd(shape);
+    brush.on('onBrushEnd', this.brushHandler);
+  }
+  
+  /**
+   * Disconnects the attached BrushSelection, destroying it if the chart created it
+   */
+  detachBrush() {
+    if (!this.brush) return;
+    
+    this.brush.off('onBrushEnd', this.brushHandler);
+    if (this.ownsBrush) {
+      this.brush.destroy();
+    }
+    this.brush = null;
+    this.ownsBrush = false;
+  }
+  
+  /**
+   * Selects the points inside a finished brush, or clears the selection
+   * for a brush too small to be more than a click
+   * @private
+   * @param {Object} shape - Brush shape {mode, rect, points, cleared} in client coordinates
+   */
+  handleBrushEnd(shape) {
+    if (shape.cleared) {
+      this.clearSelection();
+      return;
+    }
+    
+    const points = shape.points.map(p => this.clientToChart(p.x, p.y));
+    if (shape.mode === 'lasso') {
+      this.selectPolygon(points);
+    } else {
+      this.selectRect(points[0].x, points[0].y, points[2].x, points[2].y);
+    }
+    
+    if (this.config.selection.zoomToSelection && this.selection) {
+      const { left, top, right, bottom } = BrushSelection.boundsOf(points);
+      this.zoomToRect(left, top, right, bottom);
+    }
+  }
+  
+  /**
+   * Selects the points inside a rectangle
+   * 
+   * @param {number} x0 - Horizontal position of one corner in CSS pixels
+   * @param {number} y0 - Vertical position of one corner in CSS pixels
+   * @param {number} x1 - Horizontal position of the opposite corner
+   * @param {number} y1 - Vertical position of the opposite corner
+   * @returns {Array<Object>} Selected records
+   */
+  selectRect(x0, y0, x1, y1) {
+    return this.applySelection(this.queryHitIndex(x0, y0, x1, y1), 'rect');
+  }
+  
+  /**
+   * Selects the points inside a polygon, such as a lasso path
+   * 
+   * @param {Array<{x: number, y: number}>} polygon - Vertices in CSS pixels
+   * @returns {Array<Object>} Selected records
+   */
+  selectPolygon(polygon) {
+    if (polygon.length < 3) {
+      return this.applySelection([], 'lasso');
+    }
+    
+    const { left, top, right, bottom } = BrushSelection.boundsOf(polygon);
+    const indices = this.queryHitIndex(left, top, right, bottom)
+      .filter(index => pointInPolygon(this.hitIndex.xs[index], this.hitIndex.ys[index], polygon));
+    return this.applySelection(indices, 'lasso');
+  }
+  
+  /**
+   * Finds indexed points inside a rectangle, building the hit index if needed
+   * @private
+   * @returns {Array<number>} Hit index entries (see hitEntry())
+   */
+  queryHitIndex(x0, y0, x1, y1) {
+    if (!this.layout) {
+      return [];
+    }
+    if (!this.hitIndex) {
+      this.buildHitIndex();
+    }
+    return this.hitIndex.queryRect(x0, y0, x1, y1);
+  }
+  
+  /**
+   * Replaces the selection, re-renders and emits `select`
+   * 
+   * The selection is kept as each series' set of point indices, which is
+   * all drawing needs; point objects are only built for the `select`
+   * payload and are not kept.
+   * @private
+   * @param {Array<number>} entries - Selected hit index entries
+   * @param {string} mode - How the selection was made ('rect' or 'lasso')
+   * @returns {Array<Object>} Selected records
+   */
+  applySelection(entries, mode) {
+    const rows = new Map();
+    entries.forEach(entry => {
+      const { series, index } = this.hitEntry(entry);
+      if (!rows.has(series)) rows.set(series, new Set());
+      rows.get(series).add(index);
+    });
+    this.selection = { rows };
+    this.render();
+    
+    const points = [];
+    rows.forEach((indices, series) => {
+      indices.forEach(i => points.push(series.pointAt(i)));
+    });
+    const selection = points.map(point => point.datum);
+    this.emit('select', { selection, points, mode });
+    return selection;
+  }
+  
+  /**
+   * Gets the records of the selected points
+   * 
+   * @returns {Array<Object>} Selected records; empty when nothing is selected
+   */
+  getSelection() {
+    if (!this.selection) {
+      return [];
+    }
+    const records = [];
+    this.selection.rows.forEach((indices, series) => {
+      indices.forEach(i => records.push(series.datumAt(i)));
+    });
+    return records;
+  }
+  
+  /**
+   * Clears the selection so every point is drawn normally again
+   */
+  clearSelection() {
+    if (!this.selection) return;
+    
+    this.selection = null;
+    this.render();
+    this.emit('select', { selection: [], points: [], mode: null });
+  }
+  
+  /**
+   * Zooms so a rectangle of the current view fills the drawing area
+   * 
+   * The rectangle is clipped to the drawing area first. With zoom on both
+   * axes it then fills the drawing area along its tighter dimension and is
+   * centered along the other; an attached ZoomPan restricted to one axis
+   * only zooms and centers along that axis.
+   * 
+   * @param {number} x0 - Left edge in CSS pixels
+   * @param {number} y0 - Top edge in CSS pixels
+   * @param {number} x1 - Right edge in CSS pixels
+   * @param {number} y1 - Bottom edge in CSS pixels
+   * @returns {Promise<boolean>|undefined} Resolves when an animated transition ends
+   */
+  zoomToRect(x0, y0, x1, y1) {
+    const { drawArea } = this;
+    if (!drawArea) return undefined;
+    
+    x0 = Math.max(x0, drawArea.x);
+    y0 = Math.max(y0, drawArea.y);
+    x1 = Math.min(x1, drawArea.x + drawArea.width);
+    y1 = Math.min(y1, drawArea.y + drawArea.height);
+    if (x1 <= x0 || y1 <= y0) return undefined;
+    
+    const axis = this.zoomPan ? this.zoomPan.options.zoomAxis : 'both';
+    const { zoom, zoomX, zoomY, panX, panY } = this.view;
+    const scaleX = drawArea.width / (x1 - x0);
+    const scaleY = drawArea.height / (y1 - y0);
+    const scale = axis === 'x' ? scaleX : axis === 'y' ? scaleY : Math.min(scaleX, scaleY);
+    const maxZoom = this.zoomPan ? this.zoomPan.options.maxZoom : Infinity;
+    const nextZoom = Math.min(maxZoom, zoom * scale);
+    
+    // Content position of the rectangle center, placed at the draw area center
+    const cx = ((x0 + x1) / 2 - panX) / zoomX;
+    const cy = ((y0 + y1) / 2 - panY) / zoomY;
+    return this.setView({
+      zoom: nextZoom,
+      panX: axis === 'y' ? panX : drawArea.x + drawArea.width / 2 - cx * nextZoom,
+      panY: axis === 'x' ? panY : drawArea.y + drawArea.height / 2 - cy * nextZoom
+    });
+  }
+  
+  /**
+   * Sets the view transform directly
+   * 
+   * With an attached ZoomPan the change is an eased transition (see
+   * ZoomPan#setTransform); otherwise it applies at once.
+   * 
+   * @param {Object} transform - Transform values
+   * @param {number} [transform.zoom] - Zoom level
+   * @param {number} [transform.panX] - Horizontal offset in CSS pixels
+   * @param {number} [transform.panY] - Vertical offset in CSS pixels
+   * @param {Object} [options] - Transition options such as `duration`, passed to ZoomPan
+   * @returns {Promise<boolean>|undefined} Resolves when an animated transition ends
+   */
+  setView(transform, options) {
+    let done;
+    if (this.zoomPan) {
+      done = this.zoomPan.setTransform(transform, options);
+      this.view = { ...this.zoomPan.getTransform() };
+    } else {
+      const zoom = transform.zoom !== undefined ? transform.zoom : this.view.zoom;
+      this.view = { ...this.view, ...transform, zoomX: zoom, zoomY: zoom };
+    }
+    this.render();
+    return done;
+  }
+  
+  /**
+   * Resets zoom and pan so the whole dataset is visible again
+   * 
+   * @param {Object} [options] - Transition options such as `duration`, passed to ZoomPan
+   * @returns {Promise<boolean>|undefined} Resolves when an animated transition ends
+   */
+  resetView(options) {
+    return this.setView({ zoom: 1, panX: 0, panY: 0 }, options);
+  }
+  
+  /**
+   * Gets the drawing area as a [[x0, y0], [x1, y1]] extent
+   * @private
+   * @returns {Array} Extent in CSS pixels; the whole chart before the first render
+   */
+  getDrawAreaExtent() {
+    const area = this.drawArea || { x: 0, y: 0, width: this.config.width, height: this.config.height };
+    return [[area.x, area.y], [area.x + area.width, area.y + area.height]];
+  }
+  
+  /**
+   * Gets the data range currently visible on each axis
+   * 
+   * @returns {{x: Array, y: Array}|null} Visible domains, or null before the first render
+   */
+  getVisibleDomain() {
+    if (!this.scales) {
+      return null;
+    }
+    return {
+      x: this.scales.x.domain.slice(),
+      y: this.scales.y.domain.slice()
+    };
+  }
+  
+  /**
+   * Re-renders on the next animation frame, coalescing repeated requests
+   * @private
+   */
+  scheduleRender() {
+    if (typeof requestAnimationFrame !== 'function') {
+      this.renderView();
+      return;
+    }
+    if (this.renderFrame !== null) return;
+    
+    this.renderFrame = requestAnimationFrame(() => {
+      this.renderFrame = null;
+      this.renderView();
+    });
+  }
+  
+  /**
+   * Renders after a zoom or pan and emits viewChange
+   * @private
+   */
+  renderView() {
+    this.render();
+    this.emit('viewChange', { transform: { ...this.view }, domain: this.getVisibleDomain() });
+  }
+  
+  /**
+   * Listens for pointer events used by hover, click and the tooltip
+   * @private
+   */
+  bindPointerEvents() {
+    this.pointerHandlers = {
+      pointermove: (event) => this.handlePointerMove(event),
+      pointerleave: (event) => this.setHovered(null, event),
+      pointerdown: (event) => { this.pointerDownAt = { x: event.clientX, y: event.clientY }; },
+      click: (event) => this.handleClick(event)
+    };
+    
+    Object.entries(this.pointerHandlers).forEach(([type, handler]) => {
+      this.canvas.addEventListener(type, handler);
+    });
+  }
+  
+  /**
+   * Updates the hovered point as the pointer moves
+   * @private
+   * @param {PointerEvent} event - Pointer event
+   */
+  handlePointerMove(event) {
+    // A pressed button means a drag (e.g. a ZoomPan pan) is in progress
+    if (event.buttons) {
+      this.setHovered(null, event);
+      return;
+    }
+    
+    const position = this.clientToChart(event.clientX, event.clientY);
+    this.setHovered(this.hitTest(position.x, position.y), event);
+  }
+  
+  /**
+   * Emits a click for the point under the pointer, ignoring drags
+   * @private
+   * @param {MouseEvent} event - Click event
+   */
+  handleClick(event) {
+    const down = this.pointerDownAt;
+    this.pointerDownAt = null;
+    if (down && Math.hypot(event.clientX - down.x, event.clientY - down.y) > 4) {
+      return;
+    }
+    
+    const position = this.clientToChart(event.clientX, event.clientY);
+    const hit = this.hitTest(position.x, position.y);
+    if (hit) {
+      this.emit('click', { ...hit, event });
+    }
+  }
+  
+  /**
+   * Changes the hovered point, emitting `hover` and updating the tooltip
+   * @private
+   * @param {Object|null} hit - Result of hitTest()
+   * @param {Event} event - Originating event
+   */
+  setHovered(hit, event) {
+    const previous = this.hovered;
+    this.hovered = hit;
+    
+    // Table rows get a new point object per hit test, so compare by row
+    const changed = !previous || !hit
+      ? previous !== hit
+      : previous.series !== hit.series || previous.row !== hit.row;
+    if (changed) {
+      this.emit('hover', hit ? { ...hit, event } : { datum: null, point: null, series: null, row: null, event });
+    }
+    
+    this.updateTooltip(hit, event);
+  }
+  
+  /**
+   * Shows, moves or hides the tooltip for the hovered point
+   * @private
+   * @param {Object|null} hit - Result of hitTest()
+   * @param {Event} event - Originating pointer event
+   */
+  updateTooltip(hit, event) {
+    const options = this.config.tooltip;
+    if (!hit || !options.enabled) {
+      if (this.tooltip) this.tooltip.hide();
+      return;
+    }
+    
+    if (!this.tooltip) {
+      this.tooltip = new Tooltip({
+        html: options.html,
+        offset: options.offset,
+        className: options.className,
+        style: options.style
+      });
+    }
+    
+    const formatter = options.formatter || ((datum, target) => this.formatTooltip(target));
+    this.tooltip.show(String(formatter(hit.datum, hit)), event.clientX, event.clientY);
+  }
+  
+  /**
+   * Default tooltip content: series name (for multi-series charts) and the
+   * point's x and y values
+   * @private
+   * @param {Object} hit - Result of hitTest()
+   * @returns {string} Tooltip text
+   */
+  formatTooltip(hit) {
+    const { x: xAxis, y: yAxis } = this.config.axes;
+    const lines = [];
+    
+    if (this.series.length > 1) {
+      lines.push(hit.series.name);
+    }
+    lines.push(`${xAxis.title || 'x'}: ${xAxis.format ? xAxis.format(hit.point.x) : formatValue(hit.point.x)}`);
+    lines.push(`${yAxis.title || 'y'}: ${yAxis.format ? yAxis.format(hit.point.y) : formatValue(hit.point.y)}`);
+    return lines.join('\n');
+  }
+  
+  /**
+   * Finds the data point nearest to a position
+   * 
+   * Uses a spatial index over the on-screen points of the last render, so
+   * lookups stay fast for large datasets. Positions are in chart CSS pixels
+   * (see clientToChart()).
+   * 
+   * @param {number} x - Horizontal position in CSS pixels
+   * @param {number} y - Vertical position in CSS pixels
+   * @param {number} [radius=config.hitRadius] - Maximum distance in CSS pixels
+   * @returns {Object|null} Hit {datum, point, series, row, x, y, distance}, or null if nothing
+   *   is in range; `row` is the point's index in its series
+   */
+  hitTest(x, y, radius = this.config.hitRadius) {
+    if (!this.layout) {
+      return null;
+    }
+    if (!this.hitIndex) {
+      this.buildHitIndex();
+    }
+    
+    const index = this.hitIndex.nearest(x, y, radius);
+    if (index === -1) {
+      return null;
+    }
+    
+    const { series, index: row } = this.hitEntry(index);
+    const point = series.pointAt(row);
+    const px = this.hitIndex.xs[index];
+    const py = this.hitIndex.ys[index];
+    return {
+      datum: point.datum,
+      point,
+      series,
+      row,
+      x: px,
+      y: py,
+      distance: Math.hypot(px - x, py - y)
+    };
+  }
+  
+  /**
+   * Indexes the pixel positions of every visible point inside the drawing area
+   * 
+   * Positions come from each series' cached projection and are stored by
+   * point index, so no point object is built.
+   * @private
+   */
+  buildHitIndex() {
+    const { drawArea } = this.layout;
+    const x1 = drawArea.x + drawArea.width;
+    const y1 = drawArea.y + drawArea.height;
+    const rows = [];
+    const owners = [];
+    const xs = [];
+    const ys = [];
+    
+    this.series.forEach(series => {
+      if (!series.visible) return;
+      
+      owners.push({ series, start: rows.length });
+      const positions = series.hitPositions(this.scales, this.layout);
+      for (let i = 0; i < positions.xs.length; i++) {
+        const x = positions.xs[i];
+        const y = positions.ys[i];
+        // Undefined points are NaN, which fails every comparison
+        if (!(x >= drawArea.x && x <= x1 && y >= drawArea.y && y <= y1)) continue;
+        
+        rows.push(i);
+        xs.push(x);
+        ys.push(y);
+      }
+    });
+    
+    this.hitRows = rows;
+    this.hitSeries = owners;
+    this.hitIndex = new SpatialIndex({
+      x: drawArea.x,
+      y: drawArea.y,
+      width: drawArea.width + 1,
+      height: drawArea.height + 1
+    }).build(xs, ys);
+  }
+  
+  /**
+   * Resolves a hit index entry to its series and point index
+   * @private
+   * @param {number} entry - Entry from the hit index
+   * @returns {{series: Series, index: number}} Series and point index
+   */
+  hitEntry(entry) {
+    let owner = this.hitSeries[0];
+    for (let i = 1; i < this.hitSeries.length && this.hitSeries[i].start <= entry; i++) {
+      owner = this.hitSeries[i];
+    }
+    return { series: owner.series, index: this.hitRows[entry] };
+  }
+  
+  /**
+   * Merges axis options over the current (or default) axis configuration
+   * @private
+   * @param {Object} current - Current axes config {x, y}
+   * @param {Object} [updates] - Partial axes config {x, y}
+   * @returns {Object} Complete axes config {x, y}
+   */
+  mergeAxesConfig(current, updates = {}) {
+    return {
+      x: { ...DEFAULT_SCALE_OPTIONS, ...DEFAULT_AXIS_OPTIONS, tickCount: 8, ...current.x, ...updates.x },
+      y: { ...DEFAULT_SCALE_OPTIONS, ...DEFAULT_AXIS_OPTIONS, ...current.y, ...updates.y }
+    };
+  }
+  
+  /**
+   * Creates the x (bottom) and y (left) axes from the configuration
+   * @private
+   * @returns {{x: Axis, y: Axis}} Axes
+   */
+  createAxes() {
+    return {
+      x: new Axis('bottom', this.config.axes.x),
+      y: new Axis('left', this.config.axes.y)
+    };
+  }
+  
+  /**
+   * Resolves the canvas to draw on, creating one inside the container if needed
+   * @private
+   * @param {HTMLCanvasElement|string|null} canvas - Canvas element or selector
+   * @param {HTMLElement|string} [container] - Container element or id
+   * @returns {HTMLCanvasElement|null} The canvas element
+   */
+  resolveCanvas(canvas, container) {
+    let target = canvas;
+    
+    if (typeof canvas === 'string') {
+      target = document.querySelector(canvas);
+    } else if (!canvas && container) {
+      target = typeof container === 'string'
+        ? document.getElementById(container) || document.querySelector(container)
+        : container;
+    }
+    
+    if (!target) {
+      return null;
+    }
+    
+    // A non-canvas element is treated as the container for a new canvas
+    if (typeof target.getContext !== 'function') {
+      const created = document.createElement('canvas');
+      created.style.display = 'block';
+      target.appendChild(created);
+      this.ownsCanvas = true;
+      return created;
+    }
+    
+    return target;
   }
   
   /**
    * Sets up canvas dimensions and styling
+   * 
+   * The backing store is scaled by the pixel ratio while the element keeps
+   * its CSS size, and the context transform maps drawing calls back to CSS
+   * pixels, so all chart coordinates stay in CSS pixels.
    * @private
    */
   setupCanvas() {
-    this.canvas.width = this.config.width;
-    this.canvas.height = this.config.height;
+    const ratio = this.getPixelRatio();
+    
+    this.canvas.width = Math.round(this.config.width * ratio);
+    this.canvas.height = Math.round(this.config.height * ratio);
+    this.canvas.style.width = `${this.config.width}px`;
+    this.canvas.style.height = `${this.config.height}px`;
     this.canvas.style.border = '1px solid #ddd';
+    
+    this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  }
+  
+  /**
+   * Gets the ratio between backing store pixels and CSS pixels
+   * 
+   * @returns {number} Pixel ratio
+   */
+  getPixelRatio() {
+    if (this.config.pixelRatio) {
+      return this.config.pixelRatio;
+    }
+    return (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+  }
+  
+  /**
+   * Converts viewport coordinates (e.g. from a pointer event) to chart
+   * coordinates in CSS pixels
+   * 
+   * @param {number} clientX - Viewport X coordinate
+   * @param {number} clientY - Viewport Y coordinate
+   * @returns {{x: number, y: number}} Position relative to the chart's top-left corner
+   */
+  clientToChart(clientX, clientY) {
+    const rect = this.canvas.getBoundingClientRect();
+    // clientLeft/clientTop skip the canvas border, clientWidth/Height exclude it
+    const innerWidth = this.canvas.clientWidth || rect.width;
+    const innerHeight = this.canvas.clientHeight || rect.height;
+    const scaleX = innerWidth ? this.config.width / innerWidth : 1;
+    const scaleY = innerHeight ? this.config.height / innerHeight : 1;
+    
+    return {
+      x: (clientX - rect.left - (this.canvas.clientLeft || 0)) * scaleX,
+      y: (clientY - rect.top - (this.canvas.clientTop || 0)) * scaleY
+    };
   }
   
   /**
    * Sets the data for the chart
    * 
-   * @param {Array} data - Array of data points
-   * @param {number} data[].x - X coordinate value
-   * @param {number} data[].y - Y coordinate value
+   * Accepts either a flat list of points, drawn as a single scatter series,
+   * or a list of named series of any type sharing the same axes. A
+   * ColumnTable can stand in for any list of points; its x/y columns are
+   * read directly (pick others with the series' `columns` option) and a
+   * hit point's `datum` is its row, read from the table as a record.
+   * 
+   * Points can be colored by a category column with the series' `colorBy`
+   * option, e.g. the cluster ids added by the worker's cluster operation.
+   * 
+   * Series with more than `downsampleThreshold` points (5000 by default)
+   * are drawn at screen resolution and re-reduced on every zoom or pan:
+   * lines with M4 or LTTB, scatter plots one point per density cell. Set a
+   * series' `downsample` option to pick the method, or false to disable it.
+   * Scatter series with more than `densityThreshold` visible points (50000
+   * by default) switch to a density heatmap or hexbin with a color legend,
+   * and back to points once zoomed in far enough.
+   * 
+   * @param {Array|ColumnTable} data - Array of data points or of series definitions, or a table
+   * @param {number|Date|string} data[].x - X value (number, Date or category)
+   * @param {number|Date|string} data[].y - Y value (number, Date or category)
    * @param {string} [data[].color='#007bff'] - Point color
    * @param {number} [data[].radius=3] - Point radius
+   * @param {Object} [options={}] - Series options for flat data (e.g. columns, colorBy)
+   * 
+   * @example
+   * chart.setData([
+   *   { name: 'samples', type: 'scatter', data: points },
+   *   { name: 'trend', type: 'line', interpolation: 'monotone', data: trend },
+   *   { name: 'volume', type: 'bar', stack: 'total', data: volume }
+   * ]);
+   * 
+   * chart.setData([{ name: 'prices', type: 'line', data: table, columns: { x: 'time', y: 'close' } }]);
+   * 
+   * chart.setData(clustered, { columns: { x: 'pc1', y: 'pc2' }, colorBy: 'cluster' });
    */
-  setData(data) {
-    this.data = data.map(point => ({
-      x: point.x,
-      y: point.y,
-      color: point.color || '#007bff',
-      radius: point.radius || 3
+  setData(data, options = {}) {
+    const definitions = this.isSeriesList(data)
+      ? data
+      : [{ name: 'default', type: SERIES_TYPES.SCATTER, ...options, data }];
+    
+    this.series = definitions.map((definition, index) => createSeries(definition.type || SERIES_TYPES.SCATTER, {
+      name: `series-${index + 1}`,
+      color: SERIES_PALETTE[index % SERIES_PALETTE.length],
+      ...definition
     }));
+    
+    applyStacking(this.series);
+    this.selection = null;
+    this.summaries = null;
+  }
+  
+  /**
+   * Picks axis scale types and titles from a dataset profile
+   * 
+   * Only fills in what the configuration leaves open: axes with an
+   * explicit scale type or title keep them.
+   * 
+   * @param {Object} profile - Profile from DataEngine (dataPackage.profile)
+   * @param {Object} [columns={x: 'x', y: 'y'}] - Columns plotted on each axis
+   * @returns {CanvasChart} This chart, for chaining
+   * 
+   * @example
+   * chart.applyProfile(dataPackage.profile, { x: 'date', y: 'revenue' });
+   */
+  applyProfile(profile, columns = { x: 'x', y: 'y' }) {
+    const axes = {};
+    ['x', 'y'].forEach(key => {
+      const column = profile && profile.columns[columns[key]];
+      if (!column) return;
+      
+      const suggested = suggestAxis(column, columns[key]);
+      const current = this.config.axes[key];
+      axes[key] = {};
+      if (current.type === 'auto') {
+        axes[key].type = suggested.type;
+      }
+      if (!current.title) {
+        axes[key].title = suggested.title;
+      }
+    });
+    
+    this.updateConfig({ axes });
+    return this;
+  }
+  
+  /**
+   * Checks whether setData() input is a list of series definitions
+   * @private
+   * @param {Array} data - setData() input
+   * @returns {boolean} True if every entry has a `data` array or table
+   */
+  isSeriesList(data) {
+    return Array.isArray(data) &&
+      data.length > 0 &&
+      data.every(item => item && (Array.isArray(item.data) || isColumnTable(item.data)));
+  }
+  
+  /**
+   * Gets the chart series, or a single series by name
+   * 
+   * @param {string} [name] - Series name
+   * @returns {Array<Series>|Series|undefined} All series, or the named one
+   */
+  getSeries(name) {
+    if (name === undefined) {
+      return this.series;
+    }
+    return this.series.find(series => series.name === name);
   }
   
   /**
@@ -82,11 +1033,11 @@ class CanvasChart {
    */
   clear() {
     // Clear the entire canvas
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.ctx.clearRect(0, 0, this.config.width, this.config.height);
     
     // Fill with background color
     this.ctx.fillStyle = this.config.backgroundColor;
-    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    this.ctx.fillRect(0, 0, this.config.width, this.config.height);
   }
   
   /**
@@ -97,45 +1048,319 @@ class CanvasChart {
     // Clear canvas before rendering
     this.clear();
     
-    if (!this.data || this.data.length === 0) {
+    if (this.series.every(series => series.numPoints === 0)) {
       this.renderEmptyState();
       return;
     }
     
-    // Calculate drawing area (excluding padding)
-    const drawArea = {
-      x: this.config.padding.left,
-      y: this.config.padding.top,
-      width: this.canvas.width - this.config.padding.left - this.config.padding.right,
-      height: this.canvas.height - this.config.padding.top - this.config.padding.bottom
-    };
+    // Find data bounds and build scales for them; zoom and pan reuse the
+    // bounds of the full data rather than rescanning it on every frame
+    const bounds = this.dataSummary('bounds', () => this.calculateDataBounds());
+    this.baseScales = this.createScales(bounds);
+    
+    // Calculate drawing area (excluding padding and axis space). It is
+    // measured on the full-data scales so zooming never shifts the layout
+    // under the pointer.
+    const drawArea = this.computeDrawArea(this.baseScales);
+    this.drawArea = drawArea;
+    this.setScaleRanges(this.baseScales, drawArea);
+    this.scales = this.applyView(this.baseScales);
     
-    // Find data bounds
-    const bounds = this.calculateDataBounds();
+    // Gridlines sit underneath the data
+    this.axes.x.renderGrid(this.ctx, this.scales.x, drawArea);
+    this.axes.y.renderGrid(this.ctx, this.scales.y, drawArea);
     
-    // Render data points
-    this.renderPoints(drawArea, bounds);
+    // Render data series
+    this.layout = {
+      drawArea,
+      bar: this.computeBarLayout(this.scales, this.baseScales),
+      selection: this.selection && {
+        rows: this.selection.rows,
+        dimOpacity: this.config.selection.dimOpacity,
+        color: this.config.selection.color
+      }
+    };
+    this.hitIndex = null;
+    this.renderSeries(this.scales, this.layout);
     
-    // Render axes (basic implementation)
+    // Render axes, then legends on top of everything
     this.renderAxes(drawArea);
+    this.renderLegends(drawArea);
+  }
+  
+  /**
+   * Sets scale ranges to span the drawing area (y grows upwards)
+   * @private
+   * @param {Object} scales - Scales {x, y}
+   * @param {Object} drawArea - Drawing area {x, y, width, height}
+   */
+  setScaleRanges(scales, drawArea) {
+    scales.x.range = [drawArea.x, drawArea.x + drawArea.width];
+    scales.y.range = [drawArea.y + drawArea.height, drawArea.y];
+  }
+  
+  /**
+   * Derives the scales of the visible region from the full-data scales
+   * @private
+   * @param {Object} baseScales - Scales {x, y} fitted to the whole dataset
+   * @returns {Object} Scales {x, y}; the base scales themselves when not zoomed or panned
+   */
+  applyView(baseScales) {
+    const { zoomX, zoomY, panX, panY } = this.view;
+    if (zoomX === 1 && zoomY === 1 && panX === 0 && panY === 0) {
+      return baseScales;
+    }
+    
+    return {
+      x: this.transformScale(baseScales.x, zoomX, panX),
+      y: this.transformScale(baseScales.y, zoomY, panY)
+    };
+  }
+  
+  /**
+   * Applies a zoom/pan transform along one axis
+   * 
+   * Continuous scales get the domain visible through their unchanged range,
+   * so ticks and labels follow the visible data; band scales keep their
+   * categories and stretch their range instead.
+   * @private
+   * @param {Object} scale - Base scale with range set
+   * @param {number} zoom - Zoom factor
+   * @param {number} pan - Offset in CSS pixels
+   * @returns {Object} Transformed copy of the scale
+   */
+  transformScale(scale, zoom, pan) {
+    const transformed = scale.copy();
+    
+    if (scale.type === SCALE_TYPES.BAND) {
+      transformed.range = scale.range.map(r => r * zoom + pan);
+    } else {
+      transformed.domain = scale.range.map(r => +scale.invert((r - pan) / zoom));
+    }
+    return transformed;
+  }
+  
+  /**
+   * Creates the x and y scales for the given data bounds
+   * @private
+   * @param {Object} bounds - Data bounds from calculateDataBounds()
+   * @returns {{x: Object, y: Object}} Scales with unset ranges
+   */
+  createScales(bounds) {
+    return {
+      x: this.createAxisScale('x', bounds.minX, bounds.maxX),
+      y: this.createAxisScale('y', bounds.minY, bounds.maxY)
+    };
+  }
+  
+  /**
+   * Creates the scale for one axis according to its configured type
+   * 
+   * Axis `min`/`max` options override the computed bounds, `nice` extends
+   * the domain to the nearest tick values and `domain` fixes the category
+   * order of band scales.
+   * @private
+   * @param {string} key - Data field, 'x' or 'y'
+   * @param {number} min - Lower data bound
+   * @param {number} max - Upper data bound
+   * @returns {Object} Scale instance
+   */
+  createAxisScale(key, min, max) {
+    const axis = this.config.axes[key];
+    let type = axis.type;
+    
+    if (type === 'auto') {
+      const sample = this.dataSummary(`sample:${key}`, () => this.series
+        .map(series => series.firstValue(key))
+        .find(value => value !== undefined));
+      type = inferScaleType(sample !== undefined ? [sample] : []);
+    }
+    
+    const options = {
+      nice: Boolean(axis.nice),
+      tickCount: axis.tickCount,
+      base: axis.base,
+      paddingInner: axis.paddingInner,
+      paddingOuter: axis.paddingOuter
+    };
+    
+    if (type === SCALE_TYPES.BAND) {
+      options.domain = axis.domain || this.dataSummary(`values:${key}`, () => this.collectValues(key));
+    } else if (type === SCALE_TYPES.LOG) {
+      // Log scales ignore the linear padding and any non-positive values,
+      // and default to a domain spanning whole powers of the base
+      const extent = this.dataSummary(`positive:${key}`, () => this.calculatePositiveExtent(key));
+      options.domain = [axis.min ?? extent[0], axis.max ?? extent[1]];
+      options.nice = axis.nice ?? true;
+    } else {
+      options.domain = [axis.min ?? min, axis.max ?? max];
+    }
+    
+    return createScale(type, options);
+  }
+  
+  /**
+   * Gets a value computed from the full data, computing it at most once
+   * per setData() and set of visible series
+   * @private
+   * @param {string} key - Name of the value
+   * @param {Function} compute - () => value
+   * @returns {*} Value
+   */
+  dataSummary(key, compute) {
+    const visibility = this.series.map(series => series.visible).join();
+    if (!this.summaries || this.summaries.visibility !== visibility) {
+      this.summaries = { visibility, values: new Map() };
+    }
+    if (!this.summaries.values.has(key)) {
+      this.summaries.values.set(key, compute());
+    }
+    return this.summaries.values.get(key);
+  }
+  
+  /**
+   * Calculates the extent of the strictly positive values of a field
+   * @private
+   * @param {string} key - Data field, 'x' or 'y'
+   * @returns {Array<number>} [min, max], [1, 10] when there are no positive values
+   */
+  calculatePositiveExtent(key) {
+    let min = Infinity;
+    let max = -Infinity;
+    
+    this.series.forEach(series => {
+      for (let i = 0; i < series.numPoints; i++) {
+        const value = +(key === 'x' ? series.xAt(i) : series.yAt(i));
+        if (value > 0) {
+          if (value < min) min = value;
+          if (value > max) max = value;
+        }
+      }
+    });
+    
+    return min === Infinity ? [1, 10] : [min, max];
+  }
+  
+  /**
+   * Collects the values of a field across every series, in order
+   * @private
+   * @param {string} key - Data field, 'x' or 'y'
+   * @returns {Array} Values
+   */
+  collectValues(key) {
+    const values = [];
+    this.series.forEach(series => {
+      for (let i = 0; i < series.numPoints; i++) {
+        values.push(key === 'x' ? series.xAt(i) : series.yAt(i));
+      }
+    });
+    return values;
+  }
+  
+  /**
+   * Converts a position in chart coordinates (CSS pixels) back to data values
+   * using the scales of the last render
+   * 
+   * @param {number} x - Horizontal position in CSS pixels
+   * @param {number} y - Vertical position in CSS pixels
+   * @returns {{x: *, y: *}|null} Data values (numbers, Dates or categories), or null before the first render
+   * 
+   * @example
+   * canvas.addEventListener('click', (event) => {
+   *   const position = chart.clientToChart(event.clientX, event.clientY);
+   *   console.log(chart.invertPosition(position.x, position.y));
+   * });
+   */
+  invertPosition(x, y) {
+    if (!this.scales) {
+      return null;
+    }
+    return {
+      x: this.scales.x.invert(x),
+      y: this.scales.y.invert(y)
+    };
+  }
+  
+  /**
+   * Gets the scales used by the last render
+   * 
+   * @returns {{x: Object, y: Object}|null} Scales, or null before the first render
+   */
+  getScales() {
+    return this.scales;
+  }
+  
+  /**
+   * Computes the drawing area, reserving room for axis labels and titles
+   * @private
+   * @param {Object} scales - Scales {x, y} used to measure tick labels
+   * @returns {Object} Drawing area {x, y, width, height} in CSS pixels
+   */
+  computeDrawArea(scales) {
+    const padding = this.config.padding;
+    const xSpace = this.axes.x.measure(this.ctx, scales.x);
+    const ySpace = this.axes.y.measure(this.ctx, scales.y);
+    
+    const left = padding.left + ySpace.size;
+    const right = Math.max(padding.right, xSpace.overhang);
+    const top = Math.max(padding.top, ySpace.overhang);
+    const bottom = padding.bottom + xSpace.size;
+    
+    return {
+      x: left,
+      y: top,
+      width: Math.max(0, this.config.width - left - right),
+      height: Math.max(0, this.config.height - top - bottom)
+    };
   }
   
   /**
    * Calculates the bounds of the data
+   * 
+   * A single pass over the points without spreading them into Math.min/max
+   * calls, which fail beyond the engine's argument limit on large series.
    * @private
    * @returns {Object} Data bounds with min/max x and y values
    */
   calculateDataBounds() {
-    if (this.data.length === 0) {
+    if (this.series.every(series => series.numPoints === 0)) {
       return { minX: 0, maxX: 1, minY: 0, maxY: 1 };
     }
     
-    const bounds = {
-      minX: Math.min(...this.data.map(d => d.x)),
-      maxX: Math.max(...this.data.map(d => d.x)),
-      minY: Math.min(...this.data.map(d => d.y)),
-      maxY: Math.max(...this.data.map(d => d.y))
-    };
+    const bounds = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+    let hasBaseline = false;
+    
+    this.series.forEach(series => {
+      if (!series.visible) return;
+      hasBaseline = hasBaseline || series.getBaseline() !== null || series.getStackKey() !== null;
+      
+      for (let i = 0; i < series.numPoints; i++) {
+        const x = +series.xAt(i);
+        if (x < bounds.minX) bounds.minX = x;
+        if (x > bounds.maxX) bounds.maxX = x;
+        
+        // y0/y1 cover baselines and stacked totals as well as the value
+        const y0 = +series.y0At(i);
+        const y1 = +series.y1At(i);
+        if (y0 < bounds.minY) bounds.minY = y0;
+        if (y0 > bounds.maxY) bounds.maxY = y0;
+        if (y1 < bounds.minY) bounds.minY = y1;
+        if (y1 > bounds.maxY) bounds.maxY = y1;
+      }
+    });
+    
+    // Non-numeric values (e.g. categories) leave the bounds unset
+    if (bounds.minX === Infinity) {
+      bounds.minX = 0;
+      bounds.maxX = 1;
+    }
+    if (bounds.minY === Infinity) {
+      bounds.minY = 0;
+      bounds.maxY = 1;
+    }
+    
+    const dataMinY = bounds.minY;
+    const dataMaxY = bounds.maxY;
     
     // Add some padding to the bounds
     const xRange = bounds.maxX - bounds.minX || 1;
@@ -147,52 +1372,135 @@ class CanvasChart {
     bounds.minY -= yRange * padding;
     bounds.maxY += yRange * padding;
     
+    // Bars and areas stand on their baseline rather than floating above it
+    if (hasBaseline) {
+      if (dataMinY >= 0 && bounds.minY < 0) bounds.minY = 0;
+      if (dataMaxY <= 0 && bounds.maxY > 0) bounds.maxY = 0;
+    }
+    
     return bounds;
   }
   
   /**
-   * Renders data points on the canvas
+   * Computes how bar series share each x band
+   * 
+   * On a band scale the band width is used; on continuous scales it is
+   * derived from the smallest gap between bar x positions. Zoom and pan
+   * scale every pixel gap alike, so that gap is measured once on the
+   * full-data scale and multiplied by the zoom.
    * @private
-   * @param {Object} drawArea - Available drawing area
-   * @param {Object} bounds - Data bounds
+   * @param {Object} scales - Scales {x, y} with ranges set
+   * @param {Object} baseScales - Full-data scales the view is derived from
+   * @returns {Object} Bar layout {bandwidth, groupCount, groupIndex}
    */
-  renderPoints(drawArea, bounds) {
-    this.data.forEach(point => {
-      // Transform data coordinates to canvas coordinates
-      const canvasX = drawArea.x + ((point.x - bounds.minX) / (bounds.maxX - bounds.minX)) * drawArea.width;
-      const canvasY = drawArea.y + drawArea.height - ((point.y - bounds.minY) / (bounds.maxY - bounds.minY)) * drawArea.height;
-      
-      // Draw point
-      this.ctx.beginPath();
-      this.ctx.arc(canvasX, canvasY, point.radius, 0, 2 * Math.PI);
-      this.ctx.fillStyle = point.color;
-      this.ctx.fill();
-      this.ctx.strokeStyle = '#333';
-      this.ctx.lineWidth = 1;
-      this.ctx.stroke();
+  computeBarLayout(scales, baseScales) {
+    const bars = this.series.filter(series => series.visible && series.type === SERIES_TYPES.BAR);
+    const groupIndex = new Map();
+    bars.forEach(series => {
+      const key = series.getGroupKey();
+      if (!groupIndex.has(key)) {
+        groupIndex.set(key, groupIndex.size);
+      }
+    });
+    
+    let bandwidth;
+    if (typeof scales.x.bandwidth === 'function') {
+      bandwidth = scales.x.bandwidth();
+    } else {
+      const base = baseScales.x;
+      const minGap = this.dataSummary(`barGap:${base.domain}:${base.range}`, () => this.calculateMinBarGap(bars, base));
+      bandwidth = Number.isFinite(minGap)
+        ? minGap * this.view.zoomX * 0.8
+        : Math.min(40, scales.x.range[1] - scales.x.range[0]);
+    }
+    
+    return { bandwidth, groupCount: Math.max(1, groupIndex.size), groupIndex };
+  }
+  
+  /**
+   * Finds the smallest pixel gap between distinct bar x positions
+   * @private
+   * @param {Array<Series>} bars - Visible bar series
+   * @param {Object} xScale - Continuous x scale with its range set
+   * @returns {number} Gap in CSS pixels, Infinity with fewer than two positions
+   */
+  calculateMinBarGap(bars, xScale) {
+    const count = bars.reduce((total, series) => total + series.numPoints, 0);
+    const positions = new Float64Array(count);
+    let n = 0;
+    bars.forEach(series => {
+      for (let i = 0; i < series.numPoints; i++) {
+        const x = xScale.map(series.xAt(i));
+        if (!Number.isNaN(x)) positions[n++] = x;
+      }
     });
+    
+    const sorted = positions.subarray(0, n).sort();
+    let minGap = Infinity;
+    for (let i = 1; i < n; i++) {
+      const gap = sorted[i] - sorted[i - 1];
+      if (gap > 0 && gap < minGap) minGap = gap;
+    }
+    return minGap;
   }
   
   /**
-   * Renders basic axes
+   * Renders every visible series, clipped to the drawing area
    * @private
-   * @param {Object} drawArea - Available drawing area
+   * @param {Object} scales - Scales {x, y} mapping data to canvas coordinates
+   * @param {Object} layout - Layout {drawArea, bar}
    */
-  renderAxes(drawArea) {
-    this.ctx.strokeStyle = '#666';
-    this.ctx.lineWidth = 1;
+  renderSeries(scales, layout) {
+    const { drawArea } = layout;
     
-    // X-axis
+    this.ctx.save();
     this.ctx.beginPath();
-    this.ctx.moveTo(drawArea.x, drawArea.y + drawArea.height);
-    this.ctx.lineTo(drawArea.x + drawArea.width, drawArea.y + drawArea.height);
-    this.ctx.stroke();
+    this.ctx.rect(drawArea.x, drawArea.y, drawArea.width, drawArea.height);
+    this.ctx.clip();
     
-    // Y-axis
-    this.ctx.beginPath();
-    this.ctx.moveTo(drawArea.x, drawArea.y);
-    this.ctx.lineTo(drawArea.x, drawArea.y + drawArea.height);
-    this.ctx.stroke();
+    this.series.forEach(series => {
+      if (series.visible) {
+        series.render(this.ctx, scales, layout);
+      }
+    });
+    
+    this.ctx.restore();
+  }
+  
+  /**
+   * Renders the x and y axes with ticks, labels and titles
+   * @private
+   * @param {Object} drawArea - Available drawing area
+   */
+  renderAxes(drawArea) {
+    this.axes.x.render(this.ctx, this.scales.x, drawArea);
+    this.axes.y.render(this.ctx, this.scales.y, drawArea);
+  }
+  
+  /**
+   * Renders the color legends of series that have one (e.g. scatter
+   * series in density mode), stacked in the top-right of the drawing area
+   * @private
+   * @param {Object} drawArea - Available drawing area
+   */
+  renderLegends(drawArea) {
+    const width = 10;
+    const height = Math.min(100, drawArea.height - 40);
+    if (height < 20) return;
+    
+    let y = drawArea.y + 22;
+    this.series.forEach(series => {
+      const legend = series.visible && series.getLegend();
+      if (!legend || y + height > drawArea.y + drawArea.height) return;
+      
+      renderColorLegend(this.ctx, legend.scale, {
+        x: drawArea.x + drawArea.width - width - 44,
+        y,
+        width,
+        height
+      }, { title: legend.title });
+      y += height + 34;
+    });
   }
   
   /**
@@ -200,8 +1508,8 @@ class CanvasChart {
    * @private
    */
   renderEmptyState() {
-    const centerX = this.canvas.width / 2;
-    const centerY = this.canvas.height / 2;
+    const centerX = this.config.width / 2;
+    const centerY = this.config.height / 2;
     
     this.ctx.fillStyle = '#666';
     this.ctx.font = '16px Arial, sans-serif';
@@ -213,8 +1521,11 @@ class CanvasChart {
   /**
    * Resizes the canvas and re-renders
    * 
-   * @param {number} width - New width
-   * @param {number} height - New height
+   * Also picks up a changed devicePixelRatio (e.g. after the window moved
+   * to another screen).
+   * 
+   * @param {number} width - New width in CSS pixels
+   * @param {number} height - New height in CSS pixels
    */
   resize(width, height) {
     this.config.width = width;
@@ -229,7 +1540,17 @@ class CanvasChart {
    * @param {Object} newConfig - New configuration options
    */
   updateConfig(newConfig) {
-    this.config = { ...this.config, ...newConfig };
+    const axes = this.mergeAxesConfig(this.config.axes, newConfig.axes);
+    const tooltip = { ...this.config.tooltip, ...newConfig.tooltip };
+    const selection = { ...this.config.selection, ...newConfig.selection };
+    this.config = { ...this.config, ...newConfig, axes, tooltip, selection };
+    this.axes = this.createAxes();
+    
+    // Recreated with the new options on the next hover
+    if (newConfig.tooltip && this.tooltip) {
+      this.tooltip.destroy();
+      this.tooltip = null;
+    }
     this.setupCanvas();
     this.render();
   }
@@ -237,19 +1558,56 @@ class CanvasChart {
   /**
    * Gets the current canvas element
    * 
+   * Note that `canvas.width`/`canvas.height` are the backing store size,
+   * i.e. the CSS size multiplied by the pixel ratio.
+   * 
    * @returns {HTMLCanvasElement} The canvas element
    */
   getCanvas() {
     return this.canvas;
   }
   
+  /**
+   * Destroys the chart, removing its listeners, its tooltip and the canvas
+   * if the chart created it
+   */
+  destroy() {
+    this.detachBrush();
+    this.detachZoomPan();
+    if (this.renderFrame !== null && typeof cancelAnimationFrame === 'function') {
+      cancelAnimationFrame(this.renderFrame);
+      this.renderFrame = null;
+    }
+    
+    Object.entries(this.pointerHandlers).forEach(([type, handler]) => {
+      this.canvas.removeEventListener(type, handler);
+    });
+    
+    if (this.tooltip) {
+      this.tooltip.destroy();
+      this.tooltip = null;
+    }
+    
+    if (this.ownsCanvas && this.canvas.parentNode) {
+      this.canvas.parentNode.removeChild(this.canvas);
+    }
+    this.series = [];
+    this.hitIndex = null;
+    this.hitRows = [];
+    this.hitSeries = [];
+    this.selection = null;
+    this.removeAllListeners();
+  }
+  
   /**
    * Gets the current chart data
    * 
-   * @returns {Array} Current data array
+   * Table-backed series build their point objects on this call.
+   * 
+   * @returns {Array} Normalized points of every series
    */
   getData() {
-    return this.data;
+    return this.series.flatMap(series => series.getPoints());
   }
 }
 
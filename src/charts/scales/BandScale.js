@@ -0,0 +1,125 @@
+/**
+ * BandScale - Ordinal mapping of categories to evenly spaced bands
+ * ES Module used by CanvasChart and Axis to position marks and ticks
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+/**
+ * BandScale class
+ *
+ * Splits the range into one band per category. `map()` returns the
+ * center of a category's band, and `bandwidth()` its width, so bars can
+ * be drawn from `map(value) - bandwidth() / 2`.
+ *
+ * @example
+ * const x = new BandScale({ domain: ['A', 'B', 'C'], range: [0, 300], paddingInner: 0 });
+ * x.map('B');       // 150
+ * x.bandwidth();    // 100
+ * x.invert(260);    // 'C'
+ */
+export class BandScale {
+  /**
+   * Constructor
+   * @param {Object} options - Configuration options
+   * @param {Array} options.domain - Categories in display order
+   * @param {Array<number>} options.range - Pixel extent [start, end] (default: [0, 1])
+   * @param {number} options.paddingInner - Gap between bands as a fraction of the step (default: 0.1)
+   * @param {number} options.paddingOuter - Gap before the first and after the last band, in steps (default: 0.1)
+   */
+  constructor(options = {}) {
+    this.type = 'band';
+    this.domain = Array.from(new Set(options.domain || []));
+    this.range = (options.range || [0, 1]).slice();
+    this.paddingInner = options.paddingInner ?? 0.1;
+    this.paddingOuter = options.paddingOuter ?? 0.1;
+  }
+
+  /**
+   * Distance between the starts of adjacent bands
+   * @returns {number} Step in pixels (negative for reversed ranges)
+   */
+  step() {
+    const n = this.domain.length;
+    const [r0, r1] = this.range;
+    const slots = Math.max(1, n - this.paddingInner + this.paddingOuter * 2);
+    return (r1 - r0) / slots;
+  }
+
+  /**
+   * Width of a single band
+   * @returns {number} Band width in pixels
+   */
+  bandwidth() {
+    return Math.abs(this.step()) * (1 - this.paddingInner);
+  }
+
+  /**
+   * Map a category to the center of its band
+   * @param {*} value - Category
+   * @returns {number} Pixel position, NaN for unknown categories
+   */
+  map(value) {
+    const index = this.domain.indexOf(value);
+    if (index === -1) return NaN;
+
+    const step = this.step();
+    const start = this.range[0] + step * this.paddingOuter + step * index;
+    return start + Math.sign(step || 1) * this.bandwidth() / 2;
+  }
+
+  /**
+   * Find the category whose band is nearest to a pixel position
+   * @param {number} pixel - Pixel position
+   * @returns {*} Category, or undefined if the position is outside the range
+   */
+  invert(pixel) {
+    const [r0, r1] = this.range;
+    if (pixel < Math.min(r0, r1) || pixel > Math.max(r0, r1) || this.domain.length === 0) {
+      return undefined;
+    }
+
+    const step = this.step();
+    const index = Math.floor((pixel - r0 - step * this.paddingOuter) / step);
+    return this.domain[Math.max(0, Math.min(this.domain.length - 1, index))];
+  }
+
+  /**
+   * Tick values, one per category
+   * @returns {Array} Categories
+   */
+  ticks() {
+    return this.domain.slice();
+  }
+
+  /**
+   * Create a label formatter for categories
+   * @returns {Function} Formatter (value) => string
+   */
+  tickFormat() {
+    return (value) => String(value);
+  }
+
+  /**
+   * Band scales have no continuous domain to extend
+   * @returns {BandScale} This scale, for chaining
+   */
+  nice() {
+    return this;
+  }
+
+  /**
+   * Create an independent copy of this scale
+   * @returns {BandScale} Copied scale
+   */
+  copy() {
+    return new BandScale({
+      domain: this.domain,
+      range: this.range,
+      paddingInner: this.paddingInner,
+      paddingOuter: this.paddingOuter
+    });
+  }
+}
+
+export default BandScale;
@@ -0,0 +1,167 @@
+/**
+ * LinearScale - Continuous linear mapping between data values and pixels
+ * ES Module used by CanvasChart and Axis to position marks and ticks
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+const E10 = Math.sqrt(50);
+const E5 = Math.sqrt(10);
+const E2 = Math.sqrt(2);
+
+/**
+ * Compute a "nice" tick step (1, 2 or 5 times a power of ten) that splits
+ * a span into roughly `count` intervals
+ * @param {number} start - Domain start
+ * @param {number} stop - Domain end
+ * @param {number} count - Desired number of intervals
+ * @returns {number} Tick step (0 for an empty span)
+ */
+export function tickStep(start, stop, count) {
+  const span = Math.abs(stop - start);
+  if (!span || !Number.isFinite(span) || count <= 0) return 0;
+
+  const rawStep = span / count;
+  const power = Math.pow(10, Math.floor(Math.log10(rawStep)));
+  const error = rawStep / power;
+
+  if (error >= E10) return power * 10;
+  if (error >= E5) return power * 5;
+  if (error >= E2) return power * 2;
+  return power;
+}
+
+/**
+ * Format a number with the precision implied by a tick step
+ * @param {number} value - Value to format
+ * @param {number} step - Tick step the value belongs to
+ * @returns {string} Formatted label
+ */
+export function formatNumber(value, step) {
+  const abs = Math.abs(value);
+  const suffixes = [[1e9, 'G'], [1e6, 'M'], [1e3, 'k']];
+
+  for (const [divisor, suffix] of suffixes) {
+    if (abs >= divisor && step >= divisor / 10) {
+      return formatNumber(value / divisor, step / divisor) + suffix;
+    }
+  }
+
+  const decimals = step > 0 ? Math.max(0, -Math.floor(Math.log10(step) + 1e-9)) : 2;
+  // Avoid "-0" for values that round to zero
+  const fixed = value.toFixed(Math.min(decimals, 20));
+  return Number(fixed) === 0 ? (0).toFixed(Math.min(decimals, 20)) : fixed;
+}
+
+/**
+ * LinearScale class
+ *
+ * @example
+ * const x = new LinearScale({ domain: [0, 100], range: [40, 760] });
+ * x.map(50);      // 400
+ * x.invert(400);  // 50
+ * x.ticks(5);     // [0, 20, 40, 60, 80, 100]
+ */
+export class LinearScale {
+  /**
+   * Constructor
+   * @param {Object} options - Configuration options
+   * @param {Array<number>} options.domain - Data extent [min, max] (default: [0, 1])
+   * @param {Array<number>} options.range - Pixel extent [start, end] (default: [0, 1])
+   * @param {boolean} options.nice - Extend the domain to nice tick values (default: false)
+   * @param {number} options.tickCount - Tick count used by nice() (default: 10)
+   */
+  constructor(options = {}) {
+    this.type = 'linear';
+    this.domain = (options.domain || [0, 1]).slice();
+    this.range = (options.range || [0, 1]).slice();
+
+    if (options.nice) {
+      this.nice(options.tickCount || 10);
+    }
+  }
+
+  /**
+   * Map a data value to a pixel position
+   * @param {number} value - Data value
+   * @returns {number} Pixel position
+   */
+  map(value) {
+    const [d0, d1] = this.domain;
+    const [r0, r1] = this.range;
+    const t = d1 === d0 ? 0.5 : (value - d0) / (d1 - d0);
+    return r0 + t * (r1 - r0);
+  }
+
+  /**
+   * Map a pixel position back to a data value
+   * @param {number} pixel - Pixel position
+   * @returns {number} Data value
+   */
+  invert(pixel) {
+    const [d0, d1] = this.domain;
+    const [r0, r1] = this.range;
+    const t = r1 === r0 ? 0.5 : (pixel - r0) / (r1 - r0);
+    return d0 + t * (d1 - d0);
+  }
+
+  /**
+   * Generate tick values inside the domain
+   * @param {number} count - Approximate number of ticks (default: 10)
+   * @returns {Array<number>} Tick values in ascending order
+   */
+  ticks(count = 10) {
+    const min = Math.min(this.domain[0], this.domain[1]);
+    const max = Math.max(this.domain[0], this.domain[1]);
+    const step = tickStep(min, max, count);
+    if (!step) return [min];
+
+    // "|| 0" turns -0 into 0 so the zero tick is never labelled "-0"
+    const start = Math.ceil(min / step) || 0;
+    const stop = Math.floor(max / step);
+    const ticks = [];
+    for (let i = start; i <= stop; i++) {
+      // Multiply from integers to avoid accumulating floating point error
+      ticks.push(step >= 1 ? i * step : i / (1 / step));
+    }
+    return ticks;
+  }
+
+  /**
+   * Create a label formatter matching the tick precision
+   * @param {number} count - Approximate number of ticks (default: 10)
+   * @returns {Function} Formatter (value) => string
+   */
+  tickFormat(count = 10) {
+    const step = tickStep(this.domain[0], this.domain[1], count);
+    return (value) => formatNumber(value, step);
+  }
+
+  /**
+   * Extend the domain so that it starts and ends on tick values
+   * @param {number} count - Approximate number of ticks (default: 10)
+   * @returns {LinearScale} This scale, for chaining
+   */
+  nice(count = 10) {
+    const reversed = this.domain[1] < this.domain[0];
+    let [min, max] = reversed ? [this.domain[1], this.domain[0]] : this.domain;
+    const step = tickStep(min, max, count);
+
+    if (step) {
+      min = Math.floor(min / step) * step;
+      max = Math.ceil(max / step) * step;
+      this.domain = reversed ? [max, min] : [min, max];
+    }
+    return this;
+  }
+
+  /**
+   * Create an independent copy of this scale
+   * @returns {LinearScale} Copied scale
+   */
+  copy() {
+    return new LinearScale({ domain: this.domain, range: this.range });
+  }
+}
+
+export default LinearScale;
@@ -0,0 +1,147 @@
+/**
+ * LogScale - Logarithmic mapping for heavily skewed positive data
+ * ES Module used by CanvasChart and Axis to position marks and ticks
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+import { formatNumber } from './LinearScale.js';
+
+/**
+ * LogScale class
+ *
+ * Values are mapped linearly in log space. Non-positive values have no
+ * position and map to NaN, which renderers skip.
+ *
+ * @example
+ * const y = new LogScale({ domain: [1, 10000], range: [400, 0] });
+ * y.map(100);   // 200
+ * y.ticks();    // [1, 10, 100, 1000, 10000]
+ */
+export class LogScale {
+  /**
+   * Constructor
+   * @param {Object} options - Configuration options
+   * @param {Array<number>} options.domain - Positive data extent [min, max] (default: [1, 10])
+   * @param {Array<number>} options.range - Pixel extent [start, end] (default: [0, 1])
+   * @param {number} options.base - Logarithm base (default: 10)
+   * @param {boolean} options.nice - Extend the domain to powers of the base (default: false)
+   */
+  constructor(options = {}) {
+    this.type = 'log';
+    this.base = options.base || 10;
+    this.domain = (options.domain || [1, 10]).slice();
+    this.range = (options.range || [0, 1]).slice();
+
+    if (this.domain[0] <= 0 || this.domain[1] <= 0) {
+      throw new Error('LogScale domain must be strictly positive');
+    }
+
+    if (options.nice) {
+      this.nice();
+    }
+  }
+
+  /**
+   * Logarithm in the scale's base
+   * @private
+   * @param {number} value - Positive value
+   * @returns {number} Logarithm
+   */
+  _log(value) {
+    return Math.log(value) / Math.log(this.base);
+  }
+
+  /**
+   * Map a data value to a pixel position
+   * @param {number} value - Positive data value
+   * @returns {number} Pixel position, NaN for non-positive values
+   */
+  map(value) {
+    if (!(value > 0)) return NaN;
+
+    const l0 = this._log(this.domain[0]);
+    const l1 = this._log(this.domain[1]);
+    const [r0, r1] = this.range;
+    const t = l1 === l0 ? 0.5 : (this._log(value) - l0) / (l1 - l0);
+    return r0 + t * (r1 - r0);
+  }
+
+  /**
+   * Map a pixel position back to a data value
+   * @param {number} pixel - Pixel position
+   * @returns {number} Data value
+   */
+  invert(pixel) {
+    const l0 = this._log(this.domain[0]);
+    const l1 = this._log(this.domain[1]);
+    const [r0, r1] = this.range;
+    const t = r1 === r0 ? 0.5 : (pixel - r0) / (r1 - r0);
+    return Math.pow(this.base, l0 + t * (l1 - l0));
+  }
+
+  /**
+   * Generate tick values inside the domain
+   *
+   * Emits every power of the base, adding intermediate multiples (2 and 5
+   * for base 10) when the domain spans only a few decades.
+   *
+   * @param {number} count - Approximate number of ticks (default: 10)
+   * @returns {Array<number>} Tick values in ascending order
+   */
+  ticks(count = 10) {
+    const min = Math.min(this.domain[0], this.domain[1]);
+    const max = Math.max(this.domain[0], this.domain[1]);
+    const start = Math.floor(this._log(min));
+    const stop = Math.ceil(this._log(max));
+    const decades = stop - start;
+
+    // Skip decades when there are far more of them than requested ticks
+    const every = Math.max(1, Math.ceil(decades / count));
+    const multiples = decades * 3 <= count && this.base === 10 ? [1, 2, 5] : [1];
+    const ticks = [];
+
+    for (let exponent = start; exponent <= stop; exponent += every) {
+      const power = Math.pow(this.base, exponent);
+      multiples.forEach(multiple => {
+        // Round to strip floating point noise from negative exponents
+        const value = Number((power * multiple).toPrecision(12));
+        if (value >= min && value <= max) {
+          ticks.push(value);
+        }
+      });
+    }
+    return ticks;
+  }
+
+  /**
+   * Create a label formatter for tick values
+   * @returns {Function} Formatter (value) => string
+   */
+  tickFormat() {
+    return (value) => formatNumber(value, value);
+  }
+
+  /**
+   * Extend the domain to whole powers of the base
+   * @returns {LogScale} This scale, for chaining
+   */
+  nice() {
+    const reversed = this.domain[1] < this.domain[0];
+    const [min, max] = reversed ? [this.domain[1], this.domain[0]] : this.domain;
+    const niceMin = Math.pow(this.base, Math.floor(this._log(min)));
+    const niceMax = Math.pow(this.base, Math.ceil(this._log(max)));
+    this.domain = reversed ? [niceMax, niceMin] : [niceMin, niceMax];
+    return this;
+  }
+
+  /**
+   * Create an independent copy of this scale
+   * @returns {LogScale} Copied scale
+   */
+  copy() {
+    return new LogScale({ domain: this.domain, range: this.range, base: this.base });
+  }
+}
+
+export default LogScale;
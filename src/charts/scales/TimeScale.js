@@ -0,0 +1,304 @@
+/**
+ * TimeScale - Temporal mapping with calendar-aware ticks
+ * ES Module used by CanvasChart and Axis to position marks and ticks
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+import { tickStep } from './LinearScale.js';
+
+const SECOND = 1000;
+const MINUTE = SECOND * 60;
+const HOUR = MINUTE * 60;
+const DAY = HOUR * 24;
+const WEEK = DAY * 7;
+const MONTH = DAY * 30;
+const YEAR = DAY * 365;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Calendar intervals a tick step can snap to, with their approximate
+ * duration used to pick the one closest to the requested tick count
+ */
+const TICK_INTERVALS = [
+  { unit: 'second', step: 1, duration: SECOND },
+  { unit: 'second', step: 5, duration: 5 * SECOND },
+  { unit: 'second', step: 15, duration: 15 * SECOND },
+  { unit: 'second', step: 30, duration: 30 * SECOND },
+  { unit: 'minute', step: 1, duration: MINUTE },
+  { unit: 'minute', step: 5, duration: 5 * MINUTE },
+  { unit: 'minute', step: 15, duration: 15 * MINUTE },
+  { unit: 'minute', step: 30, duration: 30 * MINUTE },
+  { unit: 'hour', step: 1, duration: HOUR },
+  { unit: 'hour', step: 3, duration: 3 * HOUR },
+  { unit: 'hour', step: 6, duration: 6 * HOUR },
+  { unit: 'hour', step: 12, duration: 12 * HOUR },
+  { unit: 'day', step: 1, duration: DAY },
+  { unit: 'day', step: 2, duration: 2 * DAY },
+  { unit: 'week', step: 1, duration: WEEK },
+  { unit: 'month', step: 1, duration: MONTH },
+  { unit: 'month', step: 3, duration: 3 * MONTH },
+  { unit: 'year', step: 1, duration: YEAR }
+];
+
+/**
+ * Pad a number to two digits
+ * @param {number} value - Number to pad
+ * @returns {string} Padded number
+ */
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Round a date down to the start of an interval in local time
+ * @param {Date} date - Date to round (modified in place)
+ * @param {Object} interval - Interval from TICK_INTERVALS
+ * @returns {Date} The rounded date
+ */
+function floorToInterval(date, interval) {
+  const { unit, step } = interval;
+
+  switch (unit) {
+    case 'second':
+      date.setMilliseconds(0);
+      date.setSeconds(Math.floor(date.getSeconds() / step) * step);
+      break;
+    case 'minute':
+      date.setSeconds(0, 0);
+      date.setMinutes(Math.floor(date.getMinutes() / step) * step);
+      break;
+    case 'hour':
+      date.setMinutes(0, 0, 0);
+      date.setHours(Math.floor(date.getHours() / step) * step);
+      break;
+    case 'day':
+      date.setHours(0, 0, 0, 0);
+      break;
+    case 'week':
+      date.setHours(0, 0, 0, 0);
+      date.setDate(date.getDate() - date.getDay());
+      break;
+    case 'month':
+      date.setHours(0, 0, 0, 0);
+      date.setDate(1);
+      date.setMonth(Math.floor(date.getMonth() / step) * step);
+      break;
+    case 'year':
+      date.setHours(0, 0, 0, 0);
+      date.setMonth(0, 1);
+      date.setFullYear(Math.floor(date.getFullYear() / step) * step);
+      break;
+  }
+  return date;
+}
+
+/**
+ * Advance a date by one interval using calendar arithmetic, so months
+ * and daylight saving transitions keep ticks on local boundaries
+ * @param {Date} date - Date to advance (modified in place)
+ * @param {Object} interval - Interval from TICK_INTERVALS
+ * @returns {Date} The advanced date
+ */
+function offsetByInterval(date, interval) {
+  const { unit, step } = interval;
+
+  switch (unit) {
+    case 'second':
+      date.setSeconds(date.getSeconds() + step);
+      break;
+    case 'minute':
+      date.setMinutes(date.getMinutes() + step);
+      break;
+    case 'hour':
+      date.setHours(date.getHours() + step);
+      break;
+    case 'day':
+      date.setDate(date.getDate() + step);
+      break;
+    case 'week':
+      date.setDate(date.getDate() + step * 7);
+      break;
+    case 'month':
+      date.setMonth(date.getMonth() + step);
+      break;
+    case 'year':
+      date.setFullYear(date.getFullYear() + step);
+      break;
+  }
+  return date;
+}
+
+/**
+ * TimeScale class
+ *
+ * Accepts Date objects or millisecond timestamps; inverted values are
+ * returned as Date objects.
+ *
+ * @example
+ * const x = new TimeScale({ domain: [new Date(2024, 0, 1), new Date(2024, 11, 31)], range: [0, 800] });
+ * x.ticks(6);      // Jan 1, Mar 1, May 1, ... (local time)
+ * x.invert(400);   // Date around the start of July
+ */
+export class TimeScale {
+  /**
+   * Constructor
+   * @param {Object} options - Configuration options
+   * @param {Array<Date|number>} options.domain - Time extent [start, end]
+   * @param {Array<number>} options.range - Pixel extent [start, end] (default: [0, 1])
+   * @param {boolean} options.nice - Extend the domain to tick boundaries (default: false)
+   * @param {number} options.tickCount - Tick count used by nice() (default: 10)
+   */
+  constructor(options = {}) {
+    this.type = 'time';
+    const domain = options.domain || [Date.now() - DAY, Date.now()];
+    this.domain = domain.map(value => +value);
+    this.range = (options.range || [0, 1]).slice();
+
+    if (options.nice) {
+      this.nice(options.tickCount || 10);
+    }
+  }
+
+  /**
+   * Map a date to a pixel position
+   * @param {Date|number} value - Date or timestamp
+   * @returns {number} Pixel position
+   */
+  map(value) {
+    const [d0, d1] = this.domain;
+    const [r0, r1] = this.range;
+    const t = d1 === d0 ? 0.5 : (+value - d0) / (d1 - d0);
+    return r0 + t * (r1 - r0);
+  }
+
+  /**
+   * Map a pixel position back to a date
+   * @param {number} pixel - Pixel position
+   * @returns {Date} Date at that position
+   */
+  invert(pixel) {
+    const [d0, d1] = this.domain;
+    const [r0, r1] = this.range;
+    const t = r1 === r0 ? 0.5 : (pixel - r0) / (r1 - r0);
+    return new Date(d0 + t * (d1 - d0));
+  }
+
+  /**
+   * Choose the calendar interval whose duration best splits the domain
+   * @param {number} count - Approximate number of ticks
+   * @returns {Object} Interval {unit, step, duration}
+   */
+  tickInterval(count = 10) {
+    const span = Math.abs(this.domain[1] - this.domain[0]);
+    const target = span / Math.max(1, count);
+    const last = TICK_INTERVALS[TICK_INTERVALS.length - 1];
+
+    if (target > last.duration) {
+      // Multi-year domains use nice multiples of years
+      const years = Math.max(1, tickStep(0, span / YEAR, count));
+      return { unit: 'year', step: Math.round(years), duration: years * YEAR };
+    }
+
+    let best = TICK_INTERVALS[0];
+    for (const interval of TICK_INTERVALS) {
+      if (Math.abs(Math.log(interval.duration / target)) < Math.abs(Math.log(best.duration / target))) {
+        best = interval;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Generate tick dates aligned to calendar boundaries
+   * @param {number} count - Approximate number of ticks (default: 10)
+   * @returns {Array<Date>} Tick dates in ascending order
+   */
+  ticks(count = 10) {
+    const min = Math.min(this.domain[0], this.domain[1]);
+    const max = Math.max(this.domain[0], this.domain[1]);
+    if (min === max) return [new Date(min)];
+
+    const interval = this.tickInterval(count);
+    const date = floorToInterval(new Date(min), interval);
+    const ticks = [];
+
+    // Guard against pathological domains producing runaway loops
+    while (+date <= max && ticks.length < 1000) {
+      if (+date >= min) {
+        ticks.push(new Date(+date));
+      }
+      offsetByInterval(date, interval);
+    }
+    return ticks;
+  }
+
+  /**
+   * Create a label formatter suited to the tick interval
+   *
+   * Labels only show the calendar fields that change between ticks, with
+   * the larger unit shown at its boundaries (e.g. the year in January).
+   *
+   * @param {number} count - Approximate number of ticks (default: 10)
+   * @returns {Function} Formatter (date) => string
+   */
+  tickFormat(count = 10) {
+    const { unit } = this.tickInterval(count);
+
+    return (value) => {
+      const date = new Date(+value);
+      const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+      switch (unit) {
+        case 'second':
+          return `${time}:${pad(date.getSeconds())}`;
+        case 'minute':
+        case 'hour':
+          return date.getHours() === 0 && date.getMinutes() === 0
+            ? `${MONTH_NAMES[date.getMonth()]} ${date.getDate()}`
+            : time;
+        case 'day':
+        case 'week':
+          return date.getDate() === 1 && date.getMonth() === 0
+            ? String(date.getFullYear())
+            : `${MONTH_NAMES[date.getMonth()]} ${date.getDate()}`;
+        case 'month':
+          return date.getMonth() === 0 ? String(date.getFullYear()) : MONTH_NAMES[date.getMonth()];
+        case 'year':
+        default:
+          return String(date.getFullYear());
+      }
+    };
+  }
+
+  /**
+   * Extend the domain to the surrounding tick boundaries
+   * @param {number} count - Approximate number of ticks (default: 10)
+   * @returns {TimeScale} This scale, for chaining
+   */
+  nice(count = 10) {
+    const reversed = this.domain[1] < this.domain[0];
+    const [min, max] = reversed ? [this.domain[1], this.domain[0]] : this.domain;
+    const interval = this.tickInterval(count);
+
+    const start = +floorToInterval(new Date(min), interval);
+    const end = floorToInterval(new Date(max), interval);
+    if (+end < max) {
+      offsetByInterval(end, interval);
+    }
+
+    this.domain = reversed ? [+end, start] : [start, +end];
+    return this;
+  }
+
+  /**
+   * Create an independent copy of this scale
+   * @returns {TimeScale} Copied scale
+   */
+  copy() {
+    return new TimeScale({ domain: this.domain, range: this.range });
+  }
+}
+
+export default TimeScale;
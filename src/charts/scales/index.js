@@ -0,0 +1,64 @@
+/**
+ * Scales - Registry of scale types used by CanvasChart
+ * ES Module exposing every scale class and a factory to create them by name
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+import { LinearScale } from './LinearScale.js';
+import { LogScale } from './LogScale.js';
+import { TimeScale } from './TimeScale.js';
+import { BandScale } from './BandScale.js';
+
+/**
+ * Supported scale types
+ */
+export const SCALE_TYPES = {
+  LINEAR: 'linear',
+  LOG: 'log',
+  TIME: 'time',
+  BAND: 'band'
+};
+
+const SCALE_CLASSES = {
+  [SCALE_TYPES.LINEAR]: LinearScale,
+  [SCALE_TYPES.LOG]: LogScale,
+  [SCALE_TYPES.TIME]: TimeScale,
+  [SCALE_TYPES.BAND]: BandScale
+};
+
+/**
+ * Create a scale by type name
+ * @param {string} type - Scale type (see SCALE_TYPES)
+ * @param {Object} options - Options forwarded to the scale constructor
+ * @returns {LinearScale|LogScale|TimeScale|BandScale} Scale instance
+ */
+export function createScale(type, options = {}) {
+  const ScaleClass = SCALE_CLASSES[type];
+  if (!ScaleClass) {
+    throw new Error(`Unsupported scale type: ${type}`);
+  }
+  return new ScaleClass(options);
+}
+
+/**
+ * Infer a scale type from sample values
+ *
+ * Dates map to a time scale, strings to a band scale and anything else
+ * to a linear scale.
+ *
+ * @param {Array} values - Values the scale will represent
+ * @returns {string} Scale type
+ */
+export function inferScaleType(values) {
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    if (value === null || value === undefined) continue;
+    if (value instanceof Date) return SCALE_TYPES.TIME;
+    if (typeof value === 'string') return SCALE_TYPES.BAND;
+    return SCALE_TYPES.LINEAR;
+  }
+  return SCALE_TYPES.LINEAR;
+}
+
+export { LinearScale, LogScale, TimeScale, BandScale };
@@ -0,0 +1,72 @@
+/**
+ * AreaSeries - Filled region between a line and its baseline
+ * ES Module supporting stacked areas and the line interpolations
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+import { LineSeries } from './LineSeries.js';
+import { traceCurve } from './curves.js';
+
+/**
+ * AreaSeries class
+ *
+ * Fills from `baseline` (0 by default) up to each value. Series sharing a
+ * `stack` id are drawn on top of one another.
+ *
+ * @example
+ * [
+ *   { type: 'area', name: 'A', data: seriesA, stack: true },
+ *   { type: 'area', name: 'B', data: seriesB, stack: true }
+ * ]
+ */
+export class AreaSeries extends LineSeries {
+  /**
+   * Constructor
+   * @param {Object} options - Series options (see LineSeries)
+   * @param {number} options.baseline - Value the area is filled from (default: 0)
+   * @param {number} options.fillOpacity - Fill opacity (default: 0.3)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.type = 'area';
+  }
+
+  /**
+   * Areas fill from their baseline
+   * @returns {number} Baseline value
+   */
+  getBaseline() {
+    return this.options.baseline ?? 0;
+  }
+
+  /**
+   * Draw the filled area and its top line
+   * @param {CanvasRenderingContext2D} ctx - Rendering context
+   * @param {Object} scales - Scales {x, y}
+   * @param {Object} layout - Chart layout
+   */
+  render(ctx, scales, layout) {
+    const indices = this.levelOfDetail(scales, layout);
+    const tops = this.pixelRuns(scales, 'y1', indices);
+    const bottoms = this.pixelRuns(scales, 'y0', indices);
+    const dim = layout && layout.selection ? layout.selection.dimOpacity : 1;
+
+    ctx.save();
+    ctx.globalAlpha = (this.options.fillOpacity ?? 0.3) * dim;
+    ctx.fillStyle = this.color;
+    ctx.beginPath();
+    tops.forEach((run, index) => {
+      const bottom = bottoms[index] || [];
+      traceCurve(ctx, run, this.interpolation);
+      traceCurve(ctx, bottom.slice().reverse(), this.interpolation, { connect: true, reverse: true });
+      ctx.closePath();
+    });
+    ctx.fill();
+    ctx.restore();
+
+    super.render(ctx, scales, layout);
+  }
+}
+
+export default AreaSeries;
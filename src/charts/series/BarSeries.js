@@ -0,0 +1,133 @@
+/**
+ * BarSeries - Vertical bars grown from a baseline
+ * ES Module supporting grouped and stacked bar charts
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+import { Series } from './Series.js';
+
+/**
+ * BarSeries class
+ *
+ * Bar series without a `stack` id are placed side by side inside each x
+ * band; series sharing a `stack` id share one slot and are piled up,
+ * positive and negative values separately.
+ *
+ * @example
+ * chart.setData([
+ *   { type: 'bar', name: '2023', data: [{ x: 'A', y: 10 }, { x: 'B', y: 7 }] },
+ *   { type: 'bar', name: '2024', data: [{ x: 'A', y: 12 }, { x: 'B', y: 9 }] }
+ * ]);
+ */
+export class BarSeries extends Series {
+  /**
+   * Constructor
+   * @param {Object} options - Series options (see Series)
+   * @param {number} options.baseline - Value bars grow from (default: 0)
+   * @param {number} options.groupPadding - Gap between grouped bars as a fraction of their slot (default: 0.1)
+   * @param {number} options.radius - Corner radius of the bar top (default: 0)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.type = 'bar';
+  }
+
+  /**
+   * Bars grow from their baseline
+   * @returns {number} Baseline value
+   */
+  getBaseline() {
+    return this.options.baseline ?? 0;
+  }
+
+  /**
+   * Key identifying the group slot this series occupies within a band
+   * @returns {string} Stack key, or a key unique to the series
+   */
+  getGroupKey() {
+    return this.getStackKey() || `bar:${this.name}`;
+  }
+
+  /**
+   * Compute the pixel rectangle of a bar
+   * @param {number} i - Point index
+   * @param {Object} scales - Scales {x, y}
+   * @param {Object} layout - Chart layout with `bar` {bandwidth, groupCount, groupIndex}
+   * @returns {{x: number, y: number, width: number, height: number}|null} Rectangle, or null if unplaceable
+   */
+  barRect(i, scales, layout) {
+    const { bandwidth, groupCount, groupIndex } = layout.bar;
+    const center = scales.x.map(this.xAt(i));
+    const top = scales.y.map(this.y1At(i));
+    const bottom = scales.y.map(this.y0At(i));
+
+    if (!this.definedAt(i) || [center, top, bottom].some(Number.isNaN)) {
+      return null;
+    }
+
+    const slot = bandwidth / groupCount;
+    const gap = slot * (this.options.groupPadding ?? 0.1);
+    return {
+      x: center - bandwidth / 2 + slot * groupIndex.get(this.getGroupKey()) + gap / 2,
+      y: Math.min(top, bottom),
+      width: Math.max(1, slot - gap),
+      height: Math.abs(bottom - top)
+    };
+  }
+
+  /**
+   * Centers of the bars' top edges, used for hit testing and tooltips
+   * @param {Object} scales - Scales {x, y}
+   * @param {Object} layout - Chart layout
+   * @returns {Object} {xs, ys}, NaN for bars that can't be placed
+   */
+  hitPositions(scales, layout) {
+    if (!layout.bar) {
+      return super.hitPositions(scales, layout);
+    }
+    const count = this.numPoints;
+    const xs = new Float64Array(count);
+    const ys = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+      const rect = this.barRect(i, scales, layout);
+      xs[i] = rect ? rect.x + rect.width / 2 : NaN;
+      ys[i] = rect ? scales.y.map(this.y1At(i)) : NaN;
+    }
+    return { xs, ys };
+  }
+
+  /**
+   * Draw one rectangle per point
+   * @param {CanvasRenderingContext2D} ctx - Rendering context
+   * @param {Object} scales - Scales {x, y}
+   * @param {Object} layout - Chart layout with `bar` settings
+   */
+  render(ctx, scales, layout) {
+    const radius = this.options.radius || 0;
+
+    ctx.save();
+    for (let i = 0; i < this.numPoints; i++) {
+      const rect = this.barRect(i, scales, layout);
+      if (!rect) continue;
+
+      ctx.globalAlpha = this.pointAlpha(i, layout);
+      ctx.fillStyle = this.colorAt(i);
+      ctx.beginPath();
+      if (radius > 0 && typeof ctx.roundRect === 'function') {
+        ctx.roundRect(rect.x, rect.y, rect.width, rect.height, Math.min(radius, rect.width / 2));
+      } else {
+        ctx.rect(rect.x, rect.y, rect.width, rect.height);
+      }
+      ctx.fill();
+      if (this.isSelected(i, layout)) {
+        ctx.strokeStyle = layout.selection.color;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+      }
+    }
+    ctx.restore();
+  }
+}
+
+export default BarSeries;
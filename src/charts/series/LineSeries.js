@@ -0,0 +1,110 @@
+/**
+ * LineSeries - Connected line through the data points
+ * ES Module supporting straight, step and monotone interpolation
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+import { Series } from './Series.js';
+import { traceCurve, INTERPOLATIONS } from './curves.js';
+import { DOWNSAMPLE_MODES } from './downsample.js';
+
+/**
+ * LineSeries class
+ *
+ * Points are connected in the order given; records with a null or
+ * non-numeric y leave a gap in the line.
+ *
+ * @example
+ * { type: 'line', name: 'trend', data: trends, interpolation: 'monotone', showPoints: true }
+ */
+export class LineSeries extends Series {
+  /**
+   * Constructor
+   * @param {Object} options - Series options (see Series)
+   * @param {string} options.interpolation - 'linear', 'step' or 'monotone' (default: 'linear')
+   * @param {number} options.lineWidth - Stroke width (default: 2)
+   * @param {Array<number>} options.lineDash - Dash pattern (default: solid)
+   * @param {boolean} options.showPoints - Draw a marker at each point (default: false)
+   * @param {number} options.pointRadius - Marker radius (default: 3)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.type = 'line';
+    this.interpolation = options.interpolation || INTERPOLATIONS.LINEAR;
+  }
+
+  /**
+   * Long lines are reduced with M4 when there are more than four points
+   * per pixel column, which draws the same pixels as the full data, and
+   * with LTTB otherwise
+   * @protected
+   * @param {number} visible - Points per pixel column
+   * @returns {string} Downsampling mode
+   */
+  getDownsampleMode(visible) {
+    return visible > 4 ? DOWNSAMPLE_MODES.M4 : DOWNSAMPLE_MODES.LTTB;
+  }
+
+  /**
+   * Draw the line and optional point markers
+   * 
+   * While the chart has a selection the line is dimmed and the selected
+   * points are marked on top of it.
+   * @param {CanvasRenderingContext2D} ctx - Rendering context
+   * @param {Object} scales - Scales {x, y}
+   * @param {Object} layout - Chart layout
+   */
+  render(ctx, scales, layout) {
+    const runs = this.pixelRuns(scales, 'y1', this.levelOfDetail(scales, layout));
+    const selection = layout && layout.selection;
+
+    ctx.save();
+    ctx.globalAlpha = selection ? selection.dimOpacity : 1;
+    ctx.strokeStyle = this.color;
+    ctx.lineWidth = this.options.lineWidth || 2;
+    ctx.lineJoin = 'round';
+    ctx.setLineDash(this.options.lineDash || []);
+    ctx.beginPath();
+    runs.forEach(run => traceCurve(ctx, run, this.interpolation));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    if (this.options.showPoints) {
+      this.renderMarkers(ctx, runs);
+    }
+    ctx.restore();
+
+    if (selection) {
+      // Drawn from the selection itself: downsampling may have left some out
+      const indices = Array.from(this.selectedIndices(layout)).sort((a, b) => a - b);
+      const selected = this.pixelRuns(scales, 'y1', indices);
+      this.renderMarkers(ctx, selected, selection.color);
+    }
+  }
+
+  /**
+   * Draw a filled marker at each defined point
+   * @protected
+   * @param {CanvasRenderingContext2D} ctx - Rendering context
+   * @param {Array<Array<Object>>} runs - Pixel runs from pixelRuns()
+   * @param {string} [outline] - Outline color, used to highlight selected points
+   */
+  renderMarkers(ctx, runs, outline) {
+    const radius = this.options.pointRadius || 3;
+
+    runs.forEach(run => run.forEach(({ x, y, index }) => {
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, 2 * Math.PI);
+      ctx.fillStyle = this.colorAt(index);
+      ctx.fill();
+      if (outline) {
+        ctx.strokeStyle = outline;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+      }
+    }));
+  }
+}
+
+export default LineSeries;
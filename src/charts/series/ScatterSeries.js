@@ -0,0 +1,274 @@
+/**
+ * ScatterSeries - Individual circles for each data point
+ * ES Module drawing the classic CanvasChart scatter plot, or a density
+ * heatmap / hexbin when there are too many points to tell apart
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+import { Series } from './Series.js';
+import { DOWNSAMPLE_MODES } from './downsample.js';
+import { binRect, binHex, createColorScale, traceHexagon, DENSITY_SHAPES, COLOR_SCALE_TYPES } from './density.js';
+
+/**
+ * ScatterSeries class
+ *
+ * Above `densityThreshold` points inside the current view, the series is
+ * drawn as counts per cell instead of circles, with a color legend; as
+ * zooming in brings the visible count back under the threshold it returns
+ * to individual points.
+ *
+ * @example
+ * { type: 'scatter', name: 'samples', data: [{ x: 1, y: 2, radius: 5 }], radius: 3 }
+ *
+ * { type: 'scatter', name: 'trips', data: table, densityShape: 'hex', densityScale: 'quantile' }
+ */
+export class ScatterSeries extends Series {
+  /**
+   * Constructor
+   * @param {Object} options - Series options (see Series)
+   * @param {number} options.radius - Default point radius (default: 3)
+   * @param {string} options.strokeColor - Point outline color (default: '#333')
+   * @param {string|boolean} options.density - 'auto' (default) to switch on the threshold,
+   *   true to always draw density, false to always draw points
+   * @param {number} options.densityThreshold - Visible points above which 'auto' draws
+   *   density (default: 50000)
+   * @param {string} options.densityShape - 'rect' (default) or 'hex'
+   * @param {number} options.densityCellSize - Cell width in pixels (default: 8)
+   * @param {string} options.densityScale - Count to color scale: 'linear', 'log' (default)
+   *   or 'quantile'
+   * @param {Array<string>} options.densityColors - Color ramp from sparse to dense
+   *   (default: DENSITY_COLORS)
+   * @param {boolean|string} options.densityLegend - Legend title, or false to hide the
+   *   legend (default: 'points')
+   */
+  constructor(options = {}) {
+    super(options);
+    this.type = 'scatter';
+    this.density = null;
+  }
+
+  /**
+   * Convert a record into a point, keeping its radius
+   * @protected
+   * @param {Object} record - Input record
+   * @returns {Object} Point
+   */
+  normalizePoint(record) {
+    const point = super.normalizePoint(record);
+    point.radius = record.radius || this.options.radius || 3;
+    return point;
+  }
+
+  /**
+   * Radius of a point
+   * @param {number} i - Point index
+   * @returns {number} Radius in pixels
+   */
+  radiusAt(i) {
+    if (!this.columns) return this.points[i].radius;
+    const { radius } = this.columns;
+    return (radius && radius[i]) || this.options.radius || 3;
+  }
+
+  /**
+   * Large scatter plots keep one point per density cell
+   * @protected
+   * @returns {string} Downsampling mode
+   */
+  getDownsampleMode() {
+    return DOWNSAMPLE_MODES.DENSITY;
+  }
+
+  /**
+   * Density cells for the current view, or null to draw points
+   *
+   * Cached until the view changes; also kept in `this.density`.
+   * @param {Object} scales - Scales {x, y}
+   * @param {Object} layout - Chart layout with the drawing area
+   * @returns {Object|null} {key, shape, size, cells: [{x, y, count}], scale, visible}
+   */
+  densityBins(scales, layout) {
+    const { density: requested = 'auto', densityThreshold = 50000 } = this.options;
+    const area = layout && layout.drawArea;
+    if (!requested || !area || (requested === 'auto' && this.numPoints <= densityThreshold)) {
+      this.density = null;
+      return null;
+    }
+
+    const { key, xs, ys } = this.projectPoints(scales, area);
+    if (this.density && this.density.key === key) {
+      return this.density;
+    }
+
+    let visible = 0;
+    for (let i = 0; i < xs.length; i++) {
+      const x = xs[i] - area.x;
+      const y = ys[i] - area.y;
+      if (x >= 0 && x <= area.width && y >= 0 && y <= area.height) visible++;
+    }
+    if (requested === 'auto' && visible <= densityThreshold) {
+      this.density = null;
+      return null;
+    }
+
+    const shape = this.options.densityShape || DENSITY_SHAPES.RECT;
+    const size = this.options.densityCellSize || 8;
+    let cells;
+    if (shape === DENSITY_SHAPES.HEX) {
+      // A hexagon of radius r is r * sqrt(3) wide
+      cells = binHex(xs, ys, area, size / Math.sqrt(3));
+    } else if (shape === DENSITY_SHAPES.RECT) {
+      cells = binRect(xs, ys, area, size);
+    } else {
+      throw new Error(`Unsupported density shape: ${shape}`);
+    }
+
+    const scale = createColorScale(
+      this.options.densityScale || COLOR_SCALE_TYPES.LOG,
+      cells.map(cell => cell.count),
+      this.options.densityColors
+    );
+    this.density = { key, shape, size, cells, scale, visible };
+    return this.density;
+  }
+
+  /**
+   * Color legend for density mode
+   * @returns {Object|null} {scale, title}, or null when drawing points
+   */
+  getLegend() {
+    const { densityLegend = 'points' } = this.options;
+    if (!this.density || densityLegend === false) {
+      return null;
+    }
+    return { scale: this.density.scale, title: densityLegend === true ? 'points' : densityLegend };
+  }
+
+  /**
+   * Draw the points, or their density when there are too many to see
+   *
+   * Selected points are always drawn individually on top.
+   * @param {CanvasRenderingContext2D} ctx - Rendering context
+   * @param {Object} scales - Scales {x, y}
+   * @param {Object} layout - Chart layout
+   */
+  render(ctx, scales, layout) {
+    const density = this.densityBins(scales, layout);
+    const selection = layout && layout.selection;
+
+    ctx.save();
+    ctx.globalAlpha = selection ? selection.dimOpacity : 1;
+    if (density) {
+      this.renderDensity(ctx, density);
+    } else {
+      this.renderPoints(ctx, scales, layout);
+    }
+    if (selection) {
+      this.renderSelected(ctx, scales, layout);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Draw density cells, one path per color
+   * @protected
+   * @param {CanvasRenderingContext2D} ctx - Rendering context
+   * @param {Object} density - Result of densityBins()
+   */
+  renderDensity(ctx, density) {
+    const { shape, size, cells, scale } = density;
+    const byColor = new Map();
+    cells.forEach(cell => {
+      const color = scale.color(cell.count);
+      if (!byColor.has(color)) byColor.set(color, []);
+      byColor.get(color).push(cell);
+    });
+
+    byColor.forEach((group, color) => {
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      group.forEach(cell => {
+        if (shape === DENSITY_SHAPES.HEX) {
+          traceHexagon(ctx, cell.x, cell.y, size / Math.sqrt(3));
+        } else {
+          ctx.rect(cell.x, cell.y, size, size);
+        }
+      });
+      ctx.fill();
+    });
+  }
+
+  /**
+   * Draw one circle per point (or per density cell of a downsampled view)
+   *
+   * Unselected points are batched into one path per color, which is far
+   * cheaper than a path per point.
+   * @protected
+   * @param {CanvasRenderingContext2D} ctx - Rendering context
+   * @param {Object} scales - Scales {x, y}
+   * @param {Object} layout - Chart layout
+   */
+  renderPoints(ctx, scales, layout) {
+    const selected = this.selectedIndices(layout);
+    const indices = this.levelOfDetail(scales, layout);
+    const count = indices ? indices.length : this.numPoints;
+    const batches = new Map();
+
+    for (let k = 0; k < count; k++) {
+      const i = indices ? indices[k] : k;
+      if (!this.definedAt(i) || (selected && selected.has(i))) continue;
+
+      const x = scales.x.map(this.xAt(i));
+      const y = scales.y.map(this.y1At(i));
+      // Values without a position (e.g. non-positive on a log scale) are skipped
+      if (Number.isNaN(x) || Number.isNaN(y)) continue;
+
+      const color = this.colorAt(i);
+      if (!batches.has(color)) batches.set(color, []);
+      batches.get(color).push(x, y, this.radiusAt(i));
+    }
+
+    ctx.strokeStyle = this.options.strokeColor || '#333';
+    ctx.lineWidth = 1;
+    batches.forEach((circles, color) => {
+      ctx.beginPath();
+      for (let i = 0; i < circles.length; i += 3) {
+        ctx.moveTo(circles[i] + circles[i + 2], circles[i + 1]);
+        ctx.arc(circles[i], circles[i + 1], circles[i + 2], 0, 2 * Math.PI);
+      }
+      ctx.fillStyle = color;
+      ctx.fill();
+      ctx.stroke();
+    });
+  }
+
+  /**
+   * Draw the selected points, outlined, at full opacity
+   *
+   * Drawn from the selection itself: downsampling or density may have left
+   * them out.
+   * @protected
+   * @param {CanvasRenderingContext2D} ctx - Rendering context
+   * @param {Object} scales - Scales {x, y}
+   * @param {Object} layout - Chart layout with the selection {rows, color}
+   */
+  renderSelected(ctx, scales, layout) {
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = layout.selection.color;
+    ctx.lineWidth = 2;
+    Array.from(this.selectedIndices(layout)).sort((a, b) => a - b).forEach(i => {
+      if (!this.definedAt(i)) return;
+      const x = scales.x.map(this.xAt(i));
+      const y = scales.y.map(this.y1At(i));
+      if (Number.isNaN(x) || Number.isNaN(y)) return;
+      ctx.beginPath();
+      ctx.arc(x, y, this.radiusAt(i), 0, 2 * Math.PI);
+      ctx.fillStyle = this.colorAt(i);
+      ctx.fill();
+      ctx.stroke();
+    });
+  }
+}
+
+export default ScatterSeries;
@@ -0,0 +1,562 @@
+/**
+ * Series - Base class for the data series drawn by CanvasChart
+ * ES Module holding the shared point normalization and mapping logic
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+import { isColumnTable } from '../../data/ColumnTable.js';
+import { downsample } from './downsample.js';
+
+/**
+ * Default colors assigned to series that don't specify one
+ */
+export const SERIES_PALETTE = [
+  '#007bff', '#e91e63', '#388e3c', '#ff9800',
+  '#9c27b0', '#00bcd4', '#795548', '#607d8b'
+];
+
+/**
+ * Color of points whose colorBy value is missing or -1 (e.g. DBSCAN noise)
+ */
+export const NOISE_COLOR = '#b0b0b0';
+
+/**
+ * Check whether a point has a drawable y value
+ * @param {Object} point - Normalized point
+ * @returns {boolean} True if y is a finite number
+ */
+export function isDefined(point) {
+  return point.y !== null && point.y !== undefined && Number.isFinite(+point.y);
+}
+
+/**
+ * Series class
+ *
+ * Holds a named list of points plus styling. Each normalized point keeps
+ * the record it came from as `datum`, and the `y0`/`y1` extent it covers
+ * on the y axis (both equal to `y` unless the series has a baseline or is
+ * stacked).
+ *
+ * Data may also be a ColumnTable, kept as its columns: `points` is null and
+ * drawing, downsampling and hit testing read values by row index through
+ * xAt(), y1At(), colorAt() and the like, without an object per row.
+ * pointAt() builds a point only for the rows a hit test or selection
+ * returns, without keeping it; its `datum` is the table row as a record.
+ *
+ * With `colorBy`, points are colored by a categorical field such as the
+ * cluster ids added by clustering.js: non-negative integers pick palette
+ * entries directly, other values get entries in order of appearance, and
+ * missing or -1 values use the noise color.
+ *
+ * Series longer than `downsampleThreshold` are drawn at the resolution of
+ * the screen: levelOfDetail() reduces them to the points that make a
+ * visible difference for the current scales, so the reduction is redone
+ * on every zoom or pan. Hit testing and selection still see every point.
+ *
+ * Subclasses implement render(ctx, scales, layout) and may override
+ * getDownsampleMode(); they read points by index so both kinds of data
+ * draw the same way.
+ */
+export class Series {
+  /**
+   * Constructor
+   * @param {Object} options - Series options
+   * @param {string} options.name - Series name
+   * @param {Array<Object>|ColumnTable} options.data - Records with x and y fields, or a table
+   * @param {Object} options.columns - Table columns for each point field, e.g.
+   *   {x: 'time', y: 'price'} (default: x, y, color and radius)
+   * @param {string} options.color - Series color
+   * @param {string} options.colorBy - Field (or table column) whose category colors each point
+   * @param {Array<string>} options.colors - Palette for colorBy (default: SERIES_PALETTE)
+   * @param {string} options.noiseColor - Color for missing or -1 categories (default: NOISE_COLOR)
+   * @param {string|boolean} options.stack - Stack group id (true for the default group)
+   * @param {boolean} options.visible - Whether the series is drawn (default: true)
+   * @param {string|boolean} options.downsample - 'auto' (default), 'lttb', 'm4', 'minmax',
+   *   'density', or false to always draw every point
+   * @param {number} options.downsampleThreshold - Point count above which to downsample (default: 5000)
+   * @param {number} options.pointsPerPixel - Points LTTB keeps per pixel of width (default: 1)
+   */
+  constructor(options = {}) {
+    this.type = 'series';
+    this.name = options.name || 'series';
+    this.color = options.color || SERIES_PALETTE[0];
+    this.visible = options.visible !== false;
+    this.stack = options.stack || null;
+    this.options = options;
+    this.categories = new Map();
+    this.lod = null;
+    this.projection = null;
+    this.table = isColumnTable(options.data) ? options.data : null;
+    this.columns = this.table ? this.readColumns(this.table) : null;
+    this.points = this.table
+      ? null
+      : (options.data || []).map(record => this.normalizePoint(record));
+  }
+
+  /**
+   * Resolve the table columns each point field reads from
+   *
+   * Number and date columns are used as stored (dates as milliseconds,
+   * NaN for missing values). Categories seen in the colorBy column get
+   * their colors here, in row order.
+   * @protected
+   * @param {ColumnTable} table - Source table
+   * @returns {Object} {x, y, y0, y1, color, radius, category} arrays (null for
+   *   missing columns) and `readers`, the typed accessor of every field
+   */
+  readColumns(table) {
+    const { colorBy } = this.options;
+    const names = {
+      ...(colorBy ? { [colorBy]: colorBy } : {}),
+      x: 'x', y: 'y', color: 'color', radius: 'radius', ...this.options.columns
+    };
+    const column = field => (table.hasColumn(names[field]) ? table.getColumn(names[field]) : null);
+    const readers = {};
+    Object.keys(names).forEach(field => {
+      if (table.hasColumn(names[field])) readers[field] = table.reader(names[field]);
+    });
+
+    const y = column('y');
+    const columns = {
+      x: column('x'),
+      y,
+      y0: y,
+      y1: y,
+      color: column('color'),
+      radius: column('radius'),
+      category: colorBy ? column(colorBy) : null,
+      readers
+    };
+    if (columns.category) {
+      for (let i = 0; i < table.numRows; i++) {
+        this.categoryColorOf(columns.category[i]);
+      }
+    }
+    return columns;
+  }
+
+  /**
+   * Number of points
+   * @returns {number} Point (or table row) count
+   */
+  get numPoints() {
+    return this.table ? this.table.numRows : this.points.length;
+  }
+
+  /**
+   * X value of a point
+   * @param {number} i - Point index
+   * @returns {*} X value (milliseconds for table date columns)
+   */
+  xAt(i) {
+    if (!this.columns) return this.points[i].x;
+    return this.columns.x ? this.columns.x[i] : undefined;
+  }
+
+  /**
+   * Y value of a point
+   * @param {number} i - Point index
+   * @returns {*} Y value (NaN for missing table values)
+   */
+  yAt(i) {
+    if (!this.columns) return this.points[i].y;
+    return this.columns.y ? this.columns.y[i] : undefined;
+  }
+
+  /**
+   * Bottom of the y extent a point covers
+   * @param {number} i - Point index
+   * @returns {*} y0 value
+   */
+  y0At(i) {
+    if (!this.columns) return this.points[i].y0;
+    return this.columns.y0 ? this.columns.y0[i] : undefined;
+  }
+
+  /**
+   * Top of the y extent a point covers
+   * @param {number} i - Point index
+   * @returns {*} y1 value
+   */
+  y1At(i) {
+    if (!this.columns) return this.points[i].y1;
+    return this.columns.y1 ? this.columns.y1[i] : undefined;
+  }
+
+  /**
+   * Color of a point
+   * @param {number} i - Point index
+   * @returns {string} Color
+   */
+  colorAt(i) {
+    if (!this.columns) return this.points[i].color;
+    const { color, category } = this.columns;
+    return (color && color[i]) || this.categoryColorOf(category ? category[i] : undefined);
+  }
+
+  /**
+   * Check whether a point has a drawable y value (see isDefined())
+   * @param {number} i - Point index
+   * @returns {boolean} True if y is a finite number
+   */
+  definedAt(i) {
+    const y = this.yAt(i);
+    return y !== null && y !== undefined && Number.isFinite(+y);
+  }
+
+  /**
+   * Point object for an index
+   *
+   * Table rows are read into a new point on every call, so callers that
+   * need many points should read values by index instead.
+   * @param {number} i - Point index
+   * @returns {Object} Point {x, y, y0, y1, color, datum, series}
+   */
+  pointAt(i) {
+    if (!this.columns) return this.points[i];
+
+    const { readers } = this.columns;
+    const record = {};
+    Object.keys(readers).forEach(field => {
+      record[field] = readers[field](i);
+    });
+    const point = this.normalizePoint(record);
+    point.datum = this.table.row(i);
+    if (this.columns.y0 !== this.columns.y) {
+      point.y0 = this.columns.y0[i];
+      point.y1 = this.columns.y1[i];
+    }
+    return point;
+  }
+
+  /**
+   * Source record of a point: the input record, or the table row
+   * @param {number} i - Point index
+   * @returns {Object} Record
+   */
+  datumAt(i) {
+    return this.columns ? this.table.row(i) : this.points[i].datum;
+  }
+
+  /**
+   * Every point as an object
+   *
+   * Table-backed series build a point per row on this call.
+   * @returns {Array<Object>} Points
+   */
+  getPoints() {
+    if (!this.columns) return this.points;
+    return Array.from({ length: this.numPoints }, (_, i) => this.pointAt(i));
+  }
+
+  /**
+   * First present value of the x or y field, as a record would hold it
+   * (dates from table columns as Date objects)
+   * @param {string} key - 'x' or 'y'
+   * @returns {*} Value, or undefined when every value is missing
+   */
+  firstValue(key) {
+    const read = this.columns ? this.columns.readers[key] : i => this.points[i][key];
+    if (!read) return undefined;
+    for (let i = 0; i < this.numPoints; i++) {
+      const value = read(i);
+      if (value !== null && value !== undefined) return value;
+    }
+    return undefined;
+  }
+
+  /**
+   * Reset every point's y extent to run from a baseline to its value
+   * @param {number|null} baseline - Baseline, or null to collapse onto the value
+   */
+  resetExtents(baseline) {
+    if (this.columns) {
+      const { y } = this.columns;
+      this.columns.y1 = y;
+      this.columns.y0 = baseline === null ? y : new Float64Array(this.numPoints).fill(baseline);
+      return;
+    }
+    this.points.forEach(point => {
+      point.y0 = baseline ?? point.y;
+      point.y1 = point.y;
+    });
+  }
+
+  /**
+   * Set the y extent of one point, e.g. its slice of a stack
+   * @param {number} i - Point index
+   * @param {number} y0 - Bottom value
+   * @param {number} y1 - Top value
+   */
+  setExtent(i, y0, y1) {
+    if (!this.columns) {
+      this.points[i].y0 = y0;
+      this.points[i].y1 = y1;
+      return;
+    }
+    if (this.columns.y0 === this.columns.y || this.columns.y1 === this.columns.y) {
+      this.columns.y0 = new Float64Array(this.numPoints);
+      this.columns.y1 = new Float64Array(this.numPoints);
+    }
+    this.columns.y0[i] = y0;
+    this.columns.y1[i] = y1;
+  }
+
+  /**
+   * Convert a record into a point
+   * @protected
+   * @param {Object} record - Input record
+   * @returns {Object} Point {x, y, y0, y1, color, datum, series}
+   */
+  normalizePoint(record) {
+    return {
+      x: record.x,
+      y: record.y,
+      y0: record.y,
+      y1: record.y,
+      color: record.color || this.categoryColor(record),
+      datum: record,
+      series: this
+    };
+  }
+
+  /**
+   * Color of a record's colorBy category, or the series color without colorBy
+   * @protected
+   * @param {Object} record - Input record
+   * @returns {string} Color
+   */
+  categoryColor(record) {
+    return this.categoryColorOf(this.options.colorBy ? record[this.options.colorBy] : undefined);
+  }
+
+  /**
+   * Color of a colorBy category value, or the series color without colorBy
+   * @protected
+   * @param {*} value - Category value
+   * @returns {string} Color
+   */
+  categoryColorOf(value) {
+    const { colorBy, colors = SERIES_PALETTE, noiseColor = NOISE_COLOR } = this.options;
+    if (!colorBy) {
+      return this.color;
+    }
+
+    if (value === null || value === undefined || value === -1 || Number.isNaN(value)) {
+      return noiseColor;
+    }
+    if (Number.isInteger(value) && value >= 0) {
+      return colors[value % colors.length];
+    }
+    if (!this.categories.has(value)) {
+      this.categories.set(value, colors[this.categories.size % colors.length]);
+    }
+    return this.categories.get(value);
+  }
+
+  /**
+   * Color legend the chart should draw for this series
+   * @returns {Object|null} {scale, title} (see density.js), or null for none
+   */
+  getLegend() {
+    return null;
+  }
+
+  /**
+   * Value a non-stacked series grows from, or null if it has no baseline
+   * @returns {number|null} Baseline value
+   */
+  getBaseline() {
+    return null;
+  }
+
+  /**
+   * Key identifying the stack this series belongs to
+   * @returns {string|null} Stack key, or null when not stacked
+   */
+  getStackKey() {
+    if (!this.stack) return null;
+    return this.stack === true ? `${this.type}:default` : `${this.type}:${this.stack}`;
+  }
+
+  /**
+   * Downsampling mode used for 'auto'
+   * @protected
+   * @param {number} visible - Points per pixel column of the drawing area
+   * @returns {string|null} Mode, or null to draw every point
+   */
+  getDownsampleMode(visible) {
+    return null;
+  }
+
+  /**
+   * Pixel positions of every point for the current scales
+   *
+   * Computed once per view and shared by downsampling and density
+   * rendering; undefined points and values the scales can't place are NaN.
+   * @protected
+   * @param {Object} scales - Scales {x, y}
+   * @param {Object} area - Drawing area {x, y, width, height}
+   * @returns {Object} {key, xs, ys}, key identifying the view
+   */
+  projectPoints(scales, area) {
+    const { x, y } = scales;
+    const key = [
+      area.x, area.y, area.width, area.height,
+      +x.domain[0], +x.domain[x.domain.length - 1], x.domain.length, x.range[0], x.range[1],
+      +y.domain[0], +y.domain[y.domain.length - 1], y.domain.length, y.range[0], y.range[1]
+    ].join();
+    if (this.projection && this.projection.key === key) {
+      return this.projection;
+    }
+
+    const count = this.numPoints;
+    const xs = new Float64Array(count);
+    const ys = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+      if (this.definedAt(i)) {
+        xs[i] = x.map(this.xAt(i));
+        ys[i] = y.map(this.y1At(i));
+      } else {
+        xs[i] = ys[i] = NaN;
+      }
+    }
+    this.projection = { key, xs, ys };
+    return this.projection;
+  }
+
+  /**
+   * Pixel positions used for hit testing and selection
+   * @param {Object} scales - Scales {x, y}
+   * @param {Object} layout - Chart layout with the drawing area
+   * @returns {Object} {xs, ys}, NaN for points that can't be hit
+   */
+  hitPositions(scales, layout) {
+    return this.projectPoints(scales, layout.drawArea);
+  }
+
+  /**
+   * Indices of the points to draw at the current resolution
+   *
+   * Below the threshold, or without a downsampling mode, this is every
+   * point. Otherwise the points are mapped to pixels once and reduced;
+   * the result is reused until the scales or the drawing area change.
+   * @param {Object} scales - Scales {x, y}
+   * @param {Object} layout - Chart layout with the drawing area
+   * @returns {Array<number>|null} Kept indices in series order, or null for every point
+   */
+  levelOfDetail(scales, layout) {
+    const { downsample: requested = 'auto', downsampleThreshold = 5000 } = this.options;
+    const area = layout && layout.drawArea;
+    const count = this.numPoints;
+    if (!requested || !area || count <= downsampleThreshold) {
+      return null;
+    }
+    const mode = requested === 'auto'
+      ? this.getDownsampleMode(count / Math.max(1, area.width))
+      : requested;
+    if (!mode) {
+      return null;
+    }
+
+    const { key: viewKey, xs, ys } = this.projectPoints(scales, area);
+    const key = `${mode}|${viewKey}`;
+    if (this.lod && this.lod.key === key) {
+      return this.lod.indices;
+    }
+
+    const indices = downsample(xs, ys, mode, {
+      area,
+      pointsPerPixel: this.options.pointsPerPixel,
+      cellSize: this.options.radius,
+      colorOf: i => this.colorAt(i)
+    });
+    this.lod = { key, mode, indices };
+    return indices;
+  }
+
+  /**
+   * Split the series into runs of consecutive defined points, mapped to pixels
+   * @protected
+   * @param {Object} scales - Scales {x, y}
+   * @param {string} field - Extent to map on the y axis, 'y1' (default) or 'y0'
+   * @param {Array<number>|null} indices - Points to map (default: all of them)
+   * @returns {Array<Array<{x: number, y: number, index: number}>>} Runs of pixel points
+   */
+  pixelRuns(scales, field = 'y1', indices = null) {
+    const yOf = field === 'y0' ? i => this.y0At(i) : i => this.y1At(i);
+    const count = indices ? indices.length : this.numPoints;
+    const runs = [];
+    let current = [];
+
+    for (let k = 0; k < count; k++) {
+      const index = indices ? indices[k] : k;
+      const x = scales.x.map(this.xAt(index));
+      const y = scales.y.map(yOf(index));
+
+      if (!this.definedAt(index) || Number.isNaN(x) || Number.isNaN(y)) {
+        if (current.length) runs.push(current);
+        current = [];
+        continue;
+      }
+      current.push({ x, y, index });
+    }
+
+    if (current.length) runs.push(current);
+    return runs;
+  }
+
+  /**
+   * Indices of this series' points in the chart's active selection
+   * @protected
+   * @param {Object} layout - Chart layout; `layout.selection` is null when nothing is selected
+   * @returns {Set<number>|null} Selected indices, or null when nothing is selected
+   */
+  selectedIndices(layout) {
+    if (!layout || !layout.selection) {
+      return null;
+    }
+    return layout.selection.rows.get(this) || new Set();
+  }
+
+  /**
+   * Check whether a point belongs to the chart's active selection
+   * @protected
+   * @param {number} i - Point index
+   * @param {Object} layout - Chart layout
+   * @returns {boolean} True if a selection is active and contains the point
+   */
+  isSelected(i, layout) {
+    const selected = this.selectedIndices(layout);
+    return Boolean(selected) && selected.has(i);
+  }
+
+  /**
+   * Opacity for a point: full when selected or when nothing is selected, dimmed otherwise
+   * @protected
+   * @param {number} i - Point index
+   * @param {Object} layout - Chart layout
+   * @returns {number} Alpha in [0, 1]
+   */
+  pointAlpha(i, layout) {
+    const selected = this.selectedIndices(layout);
+    if (!selected || selected.has(i)) {
+      return 1;
+    }
+    return layout.selection.dimOpacity;
+  }
+
+  /**
+   * Draw the series
+   * @abstract
+   * @param {CanvasRenderingContext2D} ctx - Rendering context
+   * @param {Object} scales - Scales {x, y}
+   * @param {Object} layout - Chart layout {drawArea, bar, selection}
+   */
+  render(ctx, scales, layout) {
+    throw new Error(`${this.constructor.name} must implement render()`);
+  }
+}
+
+export default Series;
@@ -0,0 +1,108 @@
+/**
+ * curves - Path interpolation helpers for line and area series
+ * ES Module tracing pixel points onto a canvas path
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+/**
+ * Supported line interpolations
+ */
+export const INTERPOLATIONS = {
+  LINEAR: 'linear',
+  STEP: 'step',
+  MONOTONE: 'monotone'
+};
+
+/**
+ * Compute monotone tangents (Fritsch-Carlson) so the curve never
+ * overshoots the data between points
+ * @param {Array<{x: number, y: number}>} points - Pixel points
+ * @returns {Array<number>} Tangent (dy/dx) at each point
+ */
+function monotoneTangents(points) {
+  const n = points.length;
+  const slopes = [];
+  const tangents = new Array(n);
+
+  for (let i = 0; i < n - 1; i++) {
+    const dx = points[i + 1].x - points[i].x;
+    slopes.push(dx === 0 ? 0 : (points[i + 1].y - points[i].y) / dx);
+  }
+
+  tangents[0] = slopes[0];
+  tangents[n - 1] = slopes[n - 2];
+  for (let i = 1; i < n - 1; i++) {
+    tangents[i] = slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2;
+  }
+
+  for (let i = 0; i < n - 1; i++) {
+    if (slopes[i] === 0) {
+      tangents[i] = 0;
+      tangents[i + 1] = 0;
+      continue;
+    }
+    const a = tangents[i] / slopes[i];
+    const b = tangents[i + 1] / slopes[i];
+    const h = a * a + b * b;
+    if (h > 9) {
+      const t = 3 / Math.sqrt(h);
+      tangents[i] = t * a * slopes[i];
+      tangents[i + 1] = t * b * slopes[i];
+    }
+  }
+  return tangents;
+}
+
+/**
+ * Trace a run of pixel points onto the current path
+ *
+ * @param {CanvasRenderingContext2D} ctx - Rendering context
+ * @param {Array<{x: number, y: number}>} points - Pixel points in drawing order
+ * @param {string} interpolation - One of INTERPOLATIONS
+ * @param {Object} options - Trace options
+ * @param {boolean} options.connect - Continue the current subpath with lineTo instead of moveTo (default: false)
+ * @param {boolean} options.reverse - Points run backwards along x, so steps turn the other way (default: false)
+ */
+export function traceCurve(ctx, points, interpolation = INTERPOLATIONS.LINEAR, options = {}) {
+  if (points.length === 0) return;
+
+  const first = points[0];
+  if (options.connect) {
+    ctx.lineTo(first.x, first.y);
+  } else {
+    ctx.moveTo(first.x, first.y);
+  }
+
+  if (interpolation === INTERPOLATIONS.STEP) {
+    for (let i = 1; i < points.length; i++) {
+      // Step-after going forward mirrors to step-before going backward
+      if (options.reverse) {
+        ctx.lineTo(points[i - 1].x, points[i].y);
+      } else {
+        ctx.lineTo(points[i].x, points[i - 1].y);
+      }
+      ctx.lineTo(points[i].x, points[i].y);
+    }
+    return;
+  }
+
+  if (interpolation === INTERPOLATIONS.MONOTONE && points.length > 2) {
+    const tangents = monotoneTangents(points);
+    for (let i = 0; i < points.length - 1; i++) {
+      const p0 = points[i];
+      const p1 = points[i + 1];
+      const dx = (p1.x - p0.x) / 3;
+      ctx.bezierCurveTo(
+        p0.x + dx, p0.y + dx * tangents[i],
+        p1.x - dx, p1.y - dx * tangents[i + 1],
+        p1.x, p1.y
+      );
+    }
+    return;
+  }
+
+  for (let i = 1; i < points.length; i++) {
+    ctx.lineTo(points[i].x, points[i].y);
+  }
+}
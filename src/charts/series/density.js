@@ -0,0 +1,270 @@
+/**
+ * density - Density binning and color scales for dense scatter plots
+ * ES Module counting points per rectangular or hexagonal cell, mapping
+ * counts to colors and drawing the matching color legend
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+/**
+ * Supported cell shapes
+ */
+export const DENSITY_SHAPES = {
+  RECT: 'rect',
+  HEX: 'hex'
+};
+
+/**
+ * Supported count-to-color scales
+ */
+export const COLOR_SCALE_TYPES = {
+  LINEAR: 'linear',
+  LOG: 'log',
+  QUANTILE: 'quantile'
+};
+
+/**
+ * Default color ramp, from sparse to dense (viridis)
+ */
+export const DENSITY_COLORS = ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'];
+
+/**
+ * Parse a #rgb or #rrggbb color
+ * @private
+ * @param {string} color - Hex color
+ * @returns {Array<number>} [r, g, b]
+ */
+function parseHex(color) {
+  let hex = color.replace('#', '');
+  if (hex.length === 3) {
+    hex = hex.split('').map(c => c + c).join('');
+  }
+  const value = parseInt(hex, 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Build a color ramp interpolating between evenly spaced hex stops
+ * @param {Array<string>} stops - Hex colors
+ * @returns {Function} (t in [0, 1]) => 'rgb(r, g, b)'
+ */
+export function colorRamp(stops = DENSITY_COLORS) {
+  const rgb = stops.map(parseHex);
+  return (t) => {
+    const position = Math.min(1, Math.max(0, t)) * (rgb.length - 1);
+    const index = Math.min(rgb.length - 2, Math.floor(position));
+    const local = rgb.length === 1 ? 0 : position - index;
+    const from = rgb[index];
+    const to = rgb[Math.min(rgb.length - 1, index + 1)];
+    const channel = c => Math.round(from[c] + (to[c] - from[c]) * local);
+    return `rgb(${channel(0)}, ${channel(1)}, ${channel(2)})`;
+  };
+}
+
+/**
+ * Map cell counts to colors
+ *
+ * 'linear' spreads counts evenly, 'log' compresses the few very dense
+ * cells so sparse areas stay visible, and 'quantile' colors by rank so
+ * each color covers about as many cells.
+ * @param {string} type - One of COLOR_SCALE_TYPES
+ * @param {Array<number>|Float64Array} counts - Non-zero cell counts
+ * @param {Array<string>} colors - Color ramp stops (default: DENSITY_COLORS)
+ * @returns {Object} Scale {type, domain: [min, max], position(count) in [0, 1],
+ *   color(count), ticks: counts to label on a legend}
+ */
+export function createColorScale(type = COLOR_SCALE_TYPES.LINEAR, counts = [], colors = DENSITY_COLORS) {
+  const ramp = colorRamp(colors);
+  let min = Infinity;
+  let max = 0;
+  for (let i = 0; i < counts.length; i++) {
+    if (counts[i] < min) min = counts[i];
+    if (counts[i] > max) max = counts[i];
+  }
+  if (min === Infinity) min = max = 0;
+
+  let position;
+  let ticks;
+  if (type === COLOR_SCALE_TYPES.LOG) {
+    const top = Math.log(max + 1) || 1;
+    position = count => Math.log(count + 1) / top;
+    ticks = [min, Math.round(Math.sqrt(min * max)), max];
+  } else if (type === COLOR_SCALE_TYPES.QUANTILE) {
+    const sorted = Float64Array.from(counts).sort();
+    position = (count) => {
+      // Share of the cells with a count below or equal to this one
+      let low = 0;
+      let high = sorted.length;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (sorted[middle] <= count) low = middle + 1; else high = middle;
+      }
+      return sorted.length ? low / sorted.length : 0;
+    };
+    ticks = sorted.length ? [0, 0.5, 1].map(q => sorted[Math.min(sorted.length - 1, Math.floor(q * (sorted.length - 1)))]) : [0];
+  } else if (type === COLOR_SCALE_TYPES.LINEAR) {
+    position = count => (max ? count / max : 0);
+    ticks = [min, Math.round((min + max) / 2), max];
+  } else {
+    throw new Error(`Unknown color scale "${type}"`);
+  }
+
+  return {
+    type,
+    domain: [min, max],
+    position,
+    color: count => ramp(position(count)),
+    ramp,
+    ticks: Array.from(new Set(ticks))
+  };
+}
+
+/**
+ * Count points per square cell of the drawing area
+ * @param {Float64Array} xs - Pixel x of every point (NaN for undrawable points)
+ * @param {Float64Array} ys - Pixel y of every point
+ * @param {Object} area - Drawing area {x, y, width, height}
+ * @param {number} size - Cell size in pixels
+ * @returns {Array<Object>} Non-empty cells {x, y, count}, x/y being the top-left corner
+ */
+export function binRect(xs, ys, area, size) {
+  const columns = Math.floor(area.width / size) + 1;
+  const rows = Math.floor(area.height / size) + 1;
+  const counts = new Uint32Array(columns * rows);
+
+  for (let i = 0; i < xs.length; i++) {
+    const dx = xs[i] - area.x;
+    const dy = ys[i] - area.y;
+    if (!(dx >= 0 && dx <= area.width && dy >= 0 && dy <= area.height)) continue;
+    counts[Math.floor(dy / size) * columns + Math.floor(dx / size)]++;
+  }
+
+  const cells = [];
+  for (let cell = 0; cell < counts.length; cell++) {
+    if (!counts[cell]) continue;
+    cells.push({
+      x: area.x + (cell % columns) * size,
+      y: area.y + Math.floor(cell / columns) * size,
+      count: counts[cell]
+    });
+  }
+  return cells;
+}
+
+/**
+ * Count points per pointy-top hexagon of the drawing area
+ *
+ * Each point goes to the hexagon whose center is nearest, found by
+ * checking the two candidate rows around it.
+ * @param {Float64Array} xs - Pixel x of every point (NaN for undrawable points)
+ * @param {Float64Array} ys - Pixel y of every point
+ * @param {Object} area - Drawing area {x, y, width, height}
+ * @param {number} radius - Hexagon radius (center to corner) in pixels
+ * @returns {Array<Object>} Non-empty hexagons {x, y, count}, x/y being the center
+ */
+export function binHex(xs, ys, area, radius) {
+  const dx = radius * Math.sqrt(3);
+  const dy = radius * 1.5;
+  const counts = new Map();
+
+  for (let i = 0; i < xs.length; i++) {
+    const x = xs[i] - area.x;
+    const y = ys[i] - area.y;
+    if (!(x >= 0 && x <= area.width && y >= 0 && y <= area.height)) continue;
+
+    const py = y / dy;
+    let row = Math.round(py);
+    const px = x / dx - (row & 1) / 2;
+    let column = Math.round(px);
+    const offsetY = py - row;
+
+    // Near a row boundary the neighbouring row's hexagon may be closer
+    // (distances compared in pixels, as rows and columns differ in size)
+    if (Math.abs(offsetY) * 3 > 1) {
+      const offsetX = (px - column) * dx;
+      const column2 = column + (px < column ? -1 : 1) / 2;
+      const row2 = row + (py < row ? -1 : 1);
+      const offsetX2 = (px - column2) * dx;
+      const offsetY2 = (py - row2) * dy;
+      if (offsetX * offsetX + (offsetY * dy) ** 2 > offsetX2 * offsetX2 + offsetY2 * offsetY2) {
+        column = column2 + (row & 1 ? 1 : -1) / 2;
+        row = row2;
+      }
+    }
+
+    // Rows and columns start at -1 at worst, so the key stays positive
+    const key = (row + 1) * 65536 + (column + 1);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  const hexagons = [];
+  counts.forEach((count, key) => {
+    const row = Math.floor(key / 65536) - 1;
+    const column = (key % 65536) - 1;
+    hexagons.push({
+      x: area.x + (column + (row & 1) / 2) * dx,
+      y: area.y + row * dy,
+      count
+    });
+  });
+  return hexagons;
+}
+
+/**
+ * Add a pointy-top hexagon to the current path
+ * @param {CanvasRenderingContext2D} ctx - Rendering context
+ * @param {number} x - Center x
+ * @param {number} y - Center y
+ * @param {number} radius - Center to corner distance
+ */
+export function traceHexagon(ctx, x, y, radius) {
+  for (let corner = 0; corner < 6; corner++) {
+    const angle = (corner * Math.PI) / 3;
+    const cx = x + Math.sin(angle) * radius;
+    const cy = y - Math.cos(angle) * radius;
+    if (corner === 0) ctx.moveTo(cx, cy); else ctx.lineTo(cx, cy);
+  }
+  ctx.closePath();
+}
+
+/**
+ * Draw a vertical color legend: a gradient bar with count labels
+ * @param {CanvasRenderingContext2D} ctx - Rendering context
+ * @param {Object} scale - Color scale from createColorScale()
+ * @param {Object} box - Bar position and size {x, y, width, height} in pixels
+ * @param {Object} options - Options
+ * @param {string} options.title - Text above the bar (default: 'count')
+ * @param {string} options.font - Label font (default: '11px Arial, sans-serif')
+ * @param {string} options.color - Label color (default: '#333')
+ */
+export function renderColorLegend(ctx, scale, box, options = {}) {
+  const { x, y, width, height } = box;
+  const steps = Math.max(1, Math.round(height));
+
+  ctx.save();
+  // Background so the legend stays readable over dense cells
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+  ctx.fillRect(x - 4, y - 18, width + 44, height + 24);
+
+  // Bottom to top, sparse to dense
+  for (let step = 0; step < steps; step++) {
+    ctx.fillStyle = scale.ramp(step / (steps - 1 || 1));
+    ctx.fillRect(x, y + height - step - 1, width, 1);
+  }
+  ctx.strokeStyle = '#666';
+  ctx.lineWidth = 1;
+  ctx.strokeRect(x, y, width, height);
+
+  ctx.fillStyle = options.color || '#333';
+  ctx.font = options.font || '11px Arial, sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'bottom';
+  ctx.fillText(options.title || 'count', x, y - 4);
+  ctx.textBaseline = 'middle';
+  scale.ticks.forEach(tick => {
+    ctx.fillText(String(tick), x + width + 4, y + height - scale.position(tick) * height);
+  });
+  ctx.restore();
+}
+
+export default createColorScale;
@@ -0,0 +1,242 @@
+/**
+ * downsample - Level-of-detail reduction for large series
+ * ES Module picking the points worth drawing at the current pixel
+ * resolution: LTTB and M4 / min-max buckets for lines, density cells for
+ * scatter plots
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+/**
+ * Supported downsampling modes
+ */
+export const DOWNSAMPLE_MODES = {
+  LTTB: 'lttb',
+  M4: 'm4',
+  MIN_MAX: 'minmax',
+  DENSITY: 'density'
+};
+
+/**
+ * Largest-Triangle-Three-Buckets over one run of points
+ *
+ * Splits the run into `threshold - 2` buckets between its first and last
+ * point and keeps, from each bucket, the point forming the largest
+ * triangle with the previously kept point and the next bucket's average.
+ * Preserves the visual shape of a line with few points.
+ * @param {Float64Array} xs - Pixel x of every point
+ * @param {Float64Array} ys - Pixel y of every point
+ * @param {number} start - First index of the run
+ * @param {number} end - Last index of the run (inclusive)
+ * @param {number} threshold - Points to keep
+ * @param {Array<number>} out - Receives the kept indices, in order
+ * @returns {Array<number>} out
+ */
+export function lttb(xs, ys, start, end, threshold, out = []) {
+  const count = end - start + 1;
+  if (threshold >= count || threshold < 3) {
+    for (let i = start; i <= end; i++) out.push(i);
+    return out;
+  }
+
+  const size = (count - 2) / (threshold - 2);
+  let kept = start;
+  out.push(start);
+
+  for (let bucket = 0; bucket < threshold - 2; bucket++) {
+    const from = start + 1 + Math.floor(bucket * size);
+    const to = start + 1 + Math.floor((bucket + 1) * size);
+
+    // Average of the next bucket (just the last point for the final bucket)
+    const nextFrom = to;
+    const nextTo = Math.min(end + 1, start + 1 + Math.floor((bucket + 2) * size));
+    let avgX = 0;
+    let avgY = 0;
+    if (nextFrom >= end) {
+      avgX = xs[end];
+      avgY = ys[end];
+    } else {
+      for (let i = nextFrom; i < nextTo; i++) {
+        avgX += xs[i];
+        avgY += ys[i];
+      }
+      avgX /= nextTo - nextFrom;
+      avgY /= nextTo - nextFrom;
+    }
+
+    let best = from;
+    let bestArea = -1;
+    for (let i = from; i < to; i++) {
+      const area = Math.abs((xs[kept] - avgX) * (ys[i] - ys[kept]) - (xs[kept] - xs[i]) * (avgY - ys[kept]));
+      if (area > bestArea) {
+        bestArea = area;
+        best = i;
+      }
+    }
+    out.push(best);
+    kept = best;
+  }
+
+  out.push(end);
+  return out;
+}
+
+/**
+ * Pixel-column buckets over one run of points
+ *
+ * Consecutive points falling in the same pixel column are reduced to the
+ * ones with the lowest and highest y (min/max), plus the first and last
+ * (M4). Drawn as a line, M4 output is pixel-identical to the full data.
+ * Points left or right of the visible columns collapse into one bucket on
+ * each side that keeps only its first and last point, so lines still enter
+ * and leave the view.
+ * @param {Float64Array} xs - Pixel x of every point
+ * @param {Float64Array} ys - Pixel y of every point
+ * @param {number} start - First index of the run
+ * @param {number} end - Last index of the run (inclusive)
+ * @param {Object} options - Options
+ * @param {number} options.x0 - Left edge of the visible area, in pixels
+ * @param {number} options.x1 - Right edge of the visible area, in pixels
+ * @param {boolean} options.firstLast - Keep each column's first and last point (M4)
+ * @param {Array<number>} out - Receives the kept indices, in order
+ * @returns {Array<number>} out
+ */
+export function pixelBuckets(xs, ys, start, end, options, out = []) {
+  const { x0, x1, firstLast } = options;
+  const left = Math.floor(x0) - 1;
+  const right = Math.floor(x1) + 1;
+  let column = NaN;
+  let first = -1;
+  let last = -1;
+  let min = -1;
+  let max = -1;
+
+  const flush = () => {
+    if (first === -1) return;
+    const offscreen = column === left || column === right;
+    const picks = offscreen || firstLast ? [first, min, max, last] : [min, max];
+    if (offscreen) picks.splice(1, 2);
+    picks.sort((a, b) => a - b);
+    for (let p = 0; p < picks.length; p++) {
+      if (p === 0 || picks[p] !== picks[p - 1]) out.push(picks[p]);
+    }
+  };
+
+  for (let i = start; i <= end; i++) {
+    const current = Math.min(right, Math.max(left, Math.floor(xs[i])));
+    if (current !== column) {
+      flush();
+      column = current;
+      first = min = max = i;
+    }
+    last = i;
+    if (ys[i] < ys[min]) min = i;
+    if (ys[i] > ys[max]) max = i;
+  }
+  flush();
+  return out;
+}
+
+/**
+ * Density cells for scatter plots
+ *
+ * Splits the drawing area into square cells and keeps one point per cell
+ * and color: more points there would be drawn on top of one another.
+ * Points outside the area are dropped.
+ * @param {Float64Array} xs - Pixel x of every point (NaN for undrawable points)
+ * @param {Float64Array} ys - Pixel y of every point
+ * @param {Object} options - Options
+ * @param {Object} options.area - Drawing area {x, y, width, height}
+ * @param {number} options.cellSize - Cell size in pixels (default: 2)
+ * @param {Function} options.colorOf - (index) => color, so differently colored points
+ *   sharing a cell are all kept
+ * @returns {Array<number>} Kept indices, in order
+ */
+export function densityCells(xs, ys, options) {
+  const { area, colorOf } = options;
+  const cellSize = Math.max(1, options.cellSize || 2);
+  const columns = Math.floor(area.width / cellSize) + 1;
+  const rows = Math.floor(area.height / cellSize) + 1;
+  const colors = new Array(columns * rows);
+  const out = [];
+
+  for (let i = 0; i < xs.length; i++) {
+    const dx = xs[i] - area.x;
+    const dy = ys[i] - area.y;
+    // Comparisons are false for NaN, so undrawable points drop out here
+    if (!(dx >= 0 && dx <= area.width && dy >= 0 && dy <= area.height)) continue;
+
+    const cell = Math.floor(dy / cellSize) * columns + Math.floor(dx / cellSize);
+    const color = colorOf ? colorOf(i) : true;
+    if (colors[cell] !== color) {
+      colors[cell] = color;
+      out.push(i);
+    }
+  }
+  return out;
+}
+
+/**
+ * Reduce a series to the points worth drawing
+ *
+ * Line modes work run by run, so gaps (points with NaN positions) are
+ * kept: the first undrawable point after each run is included. LTTB
+ * keeps about `pointsPerPixel` points per pixel of the run's visible width.
+ * @param {Float64Array} xs - Pixel x of every point, NaN for undefined points
+ * @param {Float64Array} ys - Pixel y of every point, NaN for undefined points
+ * @param {string} mode - One of DOWNSAMPLE_MODES
+ * @param {Object} options - Options
+ * @param {Object} options.area - Drawing area {x, y, width, height}
+ * @param {number} options.pointsPerPixel - LTTB density (default: 1)
+ * @param {number} options.cellSize - Density cell size in pixels
+ * @param {Function} options.colorOf - Density cell color lookup
+ * @returns {Array<number>} Kept indices, in order
+ */
+export function downsample(xs, ys, mode, options) {
+  const { area } = options;
+  if (mode === DOWNSAMPLE_MODES.DENSITY) {
+    return densityCells(xs, ys, options);
+  }
+  if (!Object.values(DOWNSAMPLE_MODES).includes(mode)) {
+    throw new Error(`Unknown downsampling mode "${mode}"`);
+  }
+
+  const x0 = area.x;
+  const x1 = area.x + area.width;
+  const pointsPerPixel = options.pointsPerPixel || 1;
+  const out = [];
+
+  const reduce = (start, end) => {
+    if (mode === DOWNSAMPLE_MODES.LTTB) {
+      // Drop the parts of the run beyond the visible area, keeping one
+      // point past each edge so the line still crosses it
+      let from = start;
+      let to = end;
+      while (from < to && xs[from + 1] < x0) from++;
+      while (to > from && xs[to - 1] > x1) to--;
+      const width = Math.min(x1, Math.max(xs[from], xs[to])) - Math.max(x0, Math.min(xs[from], xs[to]));
+      lttb(xs, ys, from, to, Math.ceil(Math.max(0, width) * pointsPerPixel) + 2, out);
+    } else {
+      pixelBuckets(xs, ys, start, end, { x0, x1, firstLast: mode === DOWNSAMPLE_MODES.M4 }, out);
+    }
+  };
+
+  let start = -1;
+  for (let i = 0; i < xs.length; i++) {
+    if (Number.isFinite(xs[i]) && Number.isFinite(ys[i])) {
+      if (start === -1) start = i;
+      continue;
+    }
+    if (start !== -1) {
+      reduce(start, i - 1);
+      start = -1;
+      out.push(i);
+    }
+  }
+  if (start !== -1) {
+    reduce(start, xs.length - 1);
+  }
+  return out;
+}
+
+export default downsample;
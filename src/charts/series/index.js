@@ -0,0 +1,95 @@
+/**
+ * Series - Registry of series types drawn by CanvasChart
+ * ES Module exposing every series class, a factory and the stacking helper
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+import { Series, SERIES_PALETTE, NOISE_COLOR, isDefined } from './Series.js';
+import { ScatterSeries } from './ScatterSeries.js';
+import { LineSeries } from './LineSeries.js';
+import { AreaSeries } from './AreaSeries.js';
+import { BarSeries } from './BarSeries.js';
+import { DOWNSAMPLE_MODES } from './downsample.js';
+import { DENSITY_SHAPES, COLOR_SCALE_TYPES, DENSITY_COLORS } from './density.js';
+
+/**
+ * Supported series types
+ */
+export const SERIES_TYPES = {
+  SCATTER: 'scatter',
+  LINE: 'line',
+  AREA: 'area',
+  BAR: 'bar'
+};
+
+const SERIES_CLASSES = {
+  [SERIES_TYPES.SCATTER]: ScatterSeries,
+  [SERIES_TYPES.LINE]: LineSeries,
+  [SERIES_TYPES.AREA]: AreaSeries,
+  [SERIES_TYPES.BAR]: BarSeries
+};
+
+/**
+ * Create a series by type name
+ * @param {string} type - Series type (see SERIES_TYPES)
+ * @param {Object} options - Options forwarded to the series constructor
+ * @returns {Series} Series instance
+ */
+export function createSeries(type, options = {}) {
+  const SeriesClass = SERIES_CLASSES[type];
+  if (!SeriesClass) {
+    throw new Error(`Unsupported series type: ${type}`);
+  }
+  return new SeriesClass(options);
+}
+
+/**
+ * Compute the y0/y1 extent of every point
+ *
+ * Stacked series accumulate per x value in declaration order, keeping
+ * positive and negative values on separate piles. Non-stacked series with
+ * a baseline span from the baseline to their value; others collapse to
+ * their value.
+ *
+ * @param {Array<Series>} seriesList - Series to process (modified in place)
+ */
+export function applyStacking(seriesList) {
+  const stacks = new Map();
+
+  seriesList.forEach(series => {
+    const stackKey = series.getStackKey();
+    const baseline = series.getBaseline();
+
+    if (!stackKey) {
+      series.resetExtents(baseline);
+      return;
+    }
+
+    if (!stacks.has(stackKey)) {
+      stacks.set(stackKey, new Map());
+    }
+    const totals = stacks.get(stackKey);
+
+    for (let i = 0; i < series.numPoints; i++) {
+      // Dates and numbers share x positions through their numeric value
+      const x = series.xAt(i);
+      const xKey = x instanceof Date ? +x : x;
+      const total = totals.get(xKey) || { positive: baseline ?? 0, negative: baseline ?? 0 };
+      const value = series.definedAt(i) ? +series.yAt(i) : 0;
+
+      if (value >= 0) {
+        series.setExtent(i, total.positive, total.positive += value);
+      } else {
+        series.setExtent(i, total.negative, total.negative += value);
+      }
+      totals.set(xKey, total);
+    }
+  });
+}
+
+export {
+  Series, SERIES_PALETTE, NOISE_COLOR, isDefined,
+  DOWNSAMPLE_MODES, DENSITY_SHAPES, COLOR_SCALE_TYPES, DENSITY_COLORS,
+  ScatterSeries, LineSeries, AreaSeries, BarSeries
+};
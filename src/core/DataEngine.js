@@ -19,6 +19,14 @@
 import { EventEmitter } from '../utils/EventEmitter.js';
 import { DataCache } from '../data/DataCache.js';
 import { DataValidator } from '../utils/DataValidator.js';
+import { DataStream } from './DataStream.js';
+import { parseCSV, parseCSVStream } from '../data/CSVParser.js';
+import { createPersistentStorage } from '../data/PersistentCache.js';
+import { hashValue } from '../utils/hash.js';
+import { ColumnTable, isColumnTable } from '../data/ColumnTable.js';
+import { profileData } from '../data/profile.js';
+import { Pipeline } from '../data/Pipeline.js';
+import { WorkerPool } from './WorkerPool.js';
 
 /**
  * DataEngine class - Core data management system
@@ -33,9 +41,26 @@ export class DataEngine extends EventEmitter {
    * 
    * @param {Object} options - Configuration options
    * @param {number} [options.maxCacheSize=100000] - Maximum cache size in items
-   * @param {boolean} [options.enableStreaming=false] - Enable real-time streaming
+   * @param {boolean} [options.enableStreaming=false] - Enable real-time streaming (see stream())
    * @param {number} [options.batchSize=10000] - Batch size for processing
    * @param {boolean} [options.validateData=true] - Enable data validation
+   * @param {number} [options.cacheTTL=300000] - Time in milliseconds a cached dataset is
+   *   used without asking the server again
+   * @param {boolean|string} [options.revalidate=true] - Revalidate expired URL datasets with
+   *   their ETag/Last-Modified; 'always' revalidates on every load, false just reloads
+   * @param {boolean|Object} [options.persistent=false] - Keep URL datasets across sessions:
+   *   true picks IndexedDB in browsers or the filesystem in Node, an object is either a
+   *   store ({get, set, delete, clear}) or options for the default one (see PersistentCache)
+   * @param {boolean|Object} [options.columnar=false] - Store array datasets as a ColumnTable
+   *   (typed-array columns, dictionary-encoded strings); an object is passed to
+   *   ColumnTable.from(), e.g. `{ precision: 'float32' }`
+   * @param {boolean|Object} [options.profile=true] - Add per-column profiles to each
+   *   dataPackage; an object sets profiling options (see profile.js), false skips it
+   * @param {boolean|Object|WorkerPool} [options.workers=false] - Run heavy work in Web Workers:
+   *   true creates a WorkerPool, an object is a pool or options for one (see WorkerPool)
+   * @param {number} [options.workerThreshold=50000] - Records from which pipelines run in a worker
+   * @param {number} [options.workerParseThreshold=5242880] - Response size in bytes from which
+   *   CSV is parsed in a worker
    */
   constructor(options = {}) {
     super();
@@ -46,15 +71,31 @@ export class DataEngine extends EventEmitter {
       enableStreaming: options.enableStreaming || false,
       batchSize: options.batchSize || 10000,
       validateData: options.validateData !== false,
-      timeout: options.timeout || 30000
+      timeout: options.timeout || 30000,
+      cacheTTL: options.cacheTTL || 300000, // 5 minutes default TTL
+      revalidate: options.revalidate !== undefined ? options.revalidate : true,
+      columnar: options.columnar || false,
+      profile: options.profile !== undefined ? options.profile : true,
+      workerThreshold: options.workerThreshold || 50000,
+      workerParseThreshold: options.workerParseThreshold || 5 * 1024 * 1024
     };
     
     // Core components
     this.cache = new DataCache({
       maxSize: this.config.maxCacheSize,
-      ttl: 300000 // 5 minutes default TTL
+      ttl: this.config.cacheTTL,
+      onEvict: () => {
+        this.metrics.evictions++;
+      }
     });
     
+    // Optional persistent tier (IndexedDB or filesystem)
+    this.persistentCache = this._createPersistentCache(options.persistent);
+    
+    // Optional off-main-thread compute
+    this.workerPool = this._createWorkerPool(options.workers);
+    this._ownsWorkerPool = Boolean(this.workerPool) && this.workerPool !== options.workers;
+    
     this.validator = new DataValidator();
     
     // State management
@@ -62,15 +103,11 @@ export class DataEngine extends EventEmitter {
     this.loadedDatasets = new Map();
     this.activeConnections = new Set();
     this.streamingConnections = new Map();
+    this._streamCount = 0;
+    this._unnamedCount = 0;
     
     // Performance metrics
-    this.metrics = {
-      totalLoaded: 0,
-      cacheHits: 0,
-      cacheMisses: 0,
-      loadTime: 0,
-      transformTime: 0
-    };
+    this.metrics = this._createMetrics();
     
     // Initialize
     this._initialize();
@@ -82,14 +119,31 @@ export class DataEngine extends EventEmitter {
    * Supports multiple data sources including URLs, files, arrays, and streams.
    * Implements automatic caching, validation, and transformation pipelines.
    * 
-   * @param {string|Object|Array} source - Data source (URL, file, object, or array)
+   * @param {string|Object|Array|AsyncIterable} source - Data source (URL, file, object,
+   *   array, or an async iterable of pages such as `dataLoader.loadPages(url)`)
    * @param {Object} [options={}] - Loading options
    * @param {string} [options.format='auto'] - Data format (json, csv, xml, auto)
    * @param {Function} [options.transform] - Data transformation function
+   * @param {Pipeline|Array|Object} [options.pipeline] - Transform pipeline run on the
+   *   records after `transform` (see transform())
+   * @param {string} [options.name] - Name to keep the dataset under, for getDataset()
+   *   and pipeline joins (unnamed paged loads each get their own `pages-<n>` entry)
    * @param {boolean} [options.cache=true] - Enable caching for this dataset
+   * @param {string} [options.cacheKey] - Names what a function `transform` or pipeline
+   *   step computes (e.g. 'celsius-v2'). Loads using functions are only cached with
+   *   one, since functions can't be told apart by their source text
    * @param {Object} [options.headers] - HTTP headers for URL requests
    * @param {number} [options.timeout] - Request timeout in milliseconds
-   * @returns {Promise<Object>} Processed data with metadata
+   * @param {Object} [options.schema] - Validation schema (see DataValidator)
+   * @param {Object} [options.csv] - CSV parse options: `delimiter` ('auto' by default),
+   *   `header` and `inferTypes` (see CSVParser)
+   * @param {AbortSignal} [options.signal] - Stops consuming a paged source, without
+   *   waiting for the page being fetched (pass it to loadPages too to cancel that request)
+   * @param {boolean|Object} [options.columnar] - Overrides the engine's columnar setting
+   * @param {boolean|Object} [options.profile] - Overrides the engine's profile setting
+   * @returns {Promise<Object>} Processed data with metadata, statistics and `profile`:
+   *   {rowCount, columns} with each column's type, nulls, distinct count, and for
+   *   numbers and dates min/max, quantiles and a histogram (null for non-tabular data)
    * 
    * @example
    * // Load from URL
@@ -105,6 +159,22 @@ export class DataEngine extends EventEmitter {
    *   format: 'csv',
    *   headers: { 'Accept': 'text/csv' }
    * });
+   * 
+   * // Load a paginated API, drawing each page as it arrives
+   * let rows = [];
+   * dataEngine.on('loadProgress', ({ records }) => chart.setData(rows = rows.concat(records)));
+   * const paged = await dataEngine.loadData(
+   *   dataLoader.loadPages('/api/events', { pagination: 'cursor', maxRecords: 50000 })
+   * );
+   * 
+   * // Keep a large dataset as typed-array columns and plot it without row objects
+   * const { data: table } = await dataEngine.loadData('/data/points.csv', { columnar: true });
+   * table.getColumn('y'); // Float64Array
+   * chart.setData(table);
+   * 
+   * // Let the profile pick the axis scales
+   * const { data: sales, profile } = await dataEngine.loadData('/data/sales.json');
+   * chart.applyProfile(profile, { x: 'date', y: 'revenue' });
    */
   async loadData(source, options = {}) {
     const startTime = performance.now();
@@ -114,24 +184,64 @@ export class DataEngine extends EventEmitter {
       this.isLoading = true;
       this.emit('loadStart', { source, options });
       
-      // Generate cache key
-      const cacheKey = this._generateCacheKey(source, options);
+      // Paged sources are consumed as they arrive and can't be cached by key
+      const paged = this._isAsyncIterable(source);
       
-      // Check cache first
-      if (options.cache !== false) {
-        const cachedData = this.cache.get(cacheKey);
-        if (cachedData) {
+      // Generate cache key (null when the load can't be keyed); with caching
+      // off the inline data is never hashed
+      const cacheKey = options.cache !== false && !paged
+        ? this._generateCacheKey(source, options)
+        : null;
+      const cacheable = cacheKey !== null;
+      const isUrl = typeof source === 'string';
+      
+      // Check cache first; an expired URL entry is kept to revalidate or fall back on
+      let stale = null;
+      if (cacheable) {
+        const cached = await this._readCache(cacheKey, isUrl);
+        const mustRevalidate = isUrl && this.config.revalidate === 'always';
+        if (cached && cached.fresh && !mustRevalidate) {
           this.metrics.cacheHits++;
-          this.emit('loadComplete', { source, data: cachedData, fromCache: true });
-          return cachedData;
+          if (cached.tier === 'persistent') {
+            this.metrics.persistentHits++;
+          }
+          this.emit('loadComplete', { source, data: cached.entry.dataPackage, fromCache: true, tier: cached.tier });
+          return cached.entry.dataPackage;
+        }
+        if (cached && isUrl) {
+          stale = cached.entry;
+        } else {
+          this.metrics.cacheMisses++;
         }
-        this.metrics.cacheMisses++;
       }
       
       // Determine source type and load accordingly
       let rawData;
-      if (typeof source === 'string') {
-        rawData = await this._loadFromUrl(source, options);
+      let validators = null;
+      if (paged) {
+        rawData = await this._loadFromPages(source, options);
+      } else if (isUrl) {
+        let result;
+        try {
+          result = await this._loadFromUrl(source, options, stale && stale.validators);
+        } catch (error) {
+          // Offline or server down: the last snapshot beats no data
+          if (stale && this._isUnavailable(error)) {
+            this.metrics.offlineHits++;
+            this.emit('loadComplete', { source, data: stale.dataPackage, fromCache: true, offline: true, error });
+            return stale.dataPackage;
+          }
+          throw error;
+        }
+        
+        if (result.notModified) {
+          this.metrics.notModified++;
+          await this._writeCache(cacheKey, { ...stale, savedAt: Date.now() }, true);
+          this.emit('loadComplete', { source, data: stale.dataPackage, fromCache: true, revalidated: true });
+          return stale.dataPackage;
+        }
+        rawData = result.data;
+        validators = result.validators;
       } else if (Array.isArray(source)) {
         rawData = source;
       } else if (typeof source === 'object') {
@@ -142,7 +252,7 @@ export class DataEngine extends EventEmitter {
       
       // Validate data if enabled
       if (this.config.validateData) {
-        const validationResult = this.validator.validate(rawData);
+        const validationResult = this.validator.validate(rawData, options.schema);
         if (!validationResult.valid) {
           throw new Error(`Data validation failed: ${validationResult.errors.join(', ')}`);
         }
@@ -155,30 +265,34 @@ export class DataEngine extends EventEmitter {
         processedData = await this._transformData(rawData, options.transform);
         this.metrics.transformTime += performance.now() - transformStart;
       }
+      if (options.pipeline) {
+        processedData = await this._runPipeline(Pipeline.from(options.pipeline), this._datasetRecords(processedData), options);
+      }
       
-      // Normalize data structure
-      const normalizedData = this._normalizeData(processedData);
+      // Normalize data structure, as row objects or typed-array columns;
+      // data that isn't tabular is normalized as usual even when columnar
+      const columnar = options.columnar ?? this.config.columnar;
+      const normalizedData = columnar && this._isTabular(processedData)
+        ? ColumnTable.from(processedData, columnar === true ? {} : columnar)
+        : this._normalizeData(processedData);
       
       // Create data package with metadata
-      const dataPackage = {
-        data: normalizedData,
-        metadata: {
-          source: typeof source === 'string' ? source : 'object',
-          format: options.format || 'auto',
-          loadedAt: new Date().toISOString(),
-          size: Array.isArray(normalizedData) ? normalizedData.length : Object.keys(normalizedData).length,
-          loadTime: performance.now() - startTime
-        },
-        statistics: this._calculateStatistics(normalizedData)
-      };
+      const dataPackage = this._createPackage(normalizedData, {
+        source: typeof source === 'string' ? source : (paged ? 'pages' : 'object'),
+        format: options.format || 'auto'
+      }, options, startTime);
       
       // Cache the result
-      if (options.cache !== false) {
-        this.cache.set(cacheKey, dataPackage);
+      if (cacheable) {
+        await this._writeCache(cacheKey, { dataPackage, validators, savedAt: Date.now() }, isUrl);
       }
       
-      // Store in active datasets
-      this.loadedDatasets.set(cacheKey, dataPackage);
+      // Store in active datasets; paged sources all share one key, so
+      // unnamed ones (and unkeyed loads) get their own id instead
+      const datasetKey = options.name || (paged || cacheKey === null
+        ? `${paged ? 'pages' : 'dataset'}-${++this._unnamedCount}`
+        : cacheKey);
+      this.loadedDatasets.set(datasetKey, dataPackage);
       
       // Update metrics
       this.metrics.totalLoaded++;
@@ -201,6 +315,115 @@ export class DataEngine extends EventEmitter {
     }
   }
   
+  /**
+   * Runs a transform pipeline over a dataset, producing a new data package
+   * 
+   * The result has its own metadata, statistics and profile, and keeps the
+   * pipeline's JSON form in `metadata.pipeline` when it is serialisable.
+   * Join steps can name any dataset loaded or transformed with `options.name`.
+   * With a worker pool, serialisable pipelines on `workerThreshold` or more
+   * records run in a worker.
+   * 
+   * @param {string|Object|Array|ColumnTable} source - Dataset name, data package, records or table
+   * @param {Pipeline|Array|Object|string} pipeline - Pipeline, its steps or its JSON form
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.name] - Name to keep the result under
+   * @param {boolean|Object} [options.columnar] - Store the result as a ColumnTable
+   * @param {boolean|Object} [options.profile] - Overrides the engine's profile setting
+   * @param {AbortSignal} [options.signal] - Cancels a pipeline running in a worker
+   * @returns {Promise<Object>} Data package
+   * 
+   * @example
+   * await dataEngine.loadData('/api/orders', { name: 'orders' });
+   * await dataEngine.loadData('/api/customers', { name: 'customers' });
+   * const byRegion = await dataEngine.transform('orders', new Pipeline()
+   *   .join('customers', { on: { left: 'customerId', right: 'id' } })
+   *   .groupBy('region', { revenue: 'sum:total', orders: 'count' })
+   *   .sort('-revenue'));
+   */
+  async transform(source, pipeline, options = {}) {
+    const startTime = performance.now();
+    
+    try {
+      const steps = Pipeline.from(pipeline);
+      const records = await this._runPipeline(steps, this._datasetRecords(source), options);
+      const columnar = options.columnar ?? this.config.columnar;
+      const data = columnar ? ColumnTable.from(records, columnar === true ? {} : columnar) : records;
+      
+      const dataPackage = this._createPackage(data, {
+        source: 'pipeline',
+        parent: typeof source === 'string' ? source : null,
+        pipeline: steps.serializable ? steps.toJSON() : null
+      }, options, startTime);
+      
+      if (options.name) {
+        this.loadedDatasets.set(options.name, dataPackage);
+      }
+      this.emit('transformComplete', { source, data: dataPackage });
+      return dataPackage;
+    } catch (error) {
+      this.emit('transformError', { source, error });
+      throw error;
+    }
+  }
+  
+  /**
+   * Gets a loaded dataset's package by name (or cache key)
+   * 
+   * @param {string} name - Dataset name given to loadData() or transform()
+   * @returns {Object|null} Data package, or null if unknown
+   */
+  getDataset(name) {
+    return this.loadedDatasets.get(name) || null;
+  }
+  
+  /**
+   * Opens a real-time stream over WebSocket, Server-Sent Events or polling
+   * 
+   * The returned DataStream keeps a rolling window of the latest records and
+   * emits `append`, `evict` and `data` events for incremental redraws. It
+   * reconnects with exponential backoff until closed; destroy() closes every
+   * open stream.
+   * 
+   * @param {string|Function} source - ws(s):// URL, SSE URL, polling URL, or an async
+   *   function polled for new records
+   * @param {Object} [options={}] - Stream options (see DataStream), e.g. `type`,
+   *   `windowSize` (default 1000), `interval`, `parse`, `transform`, `retryDelay`
+   * @returns {DataStream} Open stream
+   * 
+   * @example
+   * const live = dataEngine.stream('wss://example.com/ticks', { windowSize: 500 });
+   * live.on('data', (records) => chart.setData(records));
+   * // later
+   * live.close();
+   */
+  stream(source, options = {}) {
+    if (!this.config.enableStreaming) {
+      throw new Error('Streaming is disabled; create the DataEngine with enableStreaming: true');
+    }
+    
+    const stream = new DataStream(source, options);
+    const id = `stream-${++this._streamCount}`;
+    
+    this.streamingConnections.set(id, stream);
+    stream.on('open', () => this.activeConnections.add(stream));
+    stream.on('reconnect', () => this.activeConnections.delete(stream));
+    stream.on('close', () => {
+      this.activeConnections.delete(stream);
+      this.streamingConnections.delete(id);
+      this.emit('streamClose', { id, source });
+    });
+    
+    try {
+      stream.open();
+    } catch (error) {
+      stream.close();
+      throw error;
+    }
+    this.emit('streamOpen', { id, source, stream });
+    return stream;
+  }
+  
   /**
    * Private initialization method
    */
@@ -218,60 +441,277 @@ export class DataEngine extends EventEmitter {
   
   /**
    * Generates a cache key for the given source and options
+   * 
+   * URLs stay readable; inline data and the options are hashed in one
+   * pass instead of being serialised into the key. Closures with the same
+   * source text can compute different things, so a function transform or
+   * pipeline step is keyed by options.cacheKey, and without one there is
+   * no key (null).
    */
   _generateCacheKey(source, options) {
-    const key = typeof source === 'string' ? source : JSON.stringify(source);
-    const optionsKey = JSON.stringify({
+    const pipeline = options.pipeline ? Pipeline.from(options.pipeline) : null;
+    const serializable = !pipeline || pipeline.serializable;
+    const usesFunctions = typeof options.transform === 'function' || !serializable;
+    if (usesFunctions && options.cacheKey == null) {
+      return null;
+    }
+    
+    const key = typeof source === 'string' ? source : `inline:${hashValue(source)}`;
+    const optionsKey = hashValue({
       format: options.format,
-      transform: options.transform ? options.transform.toString() : null
+      csv: options.csv || null,
+      headers: options.headers || null,
+      pipeline: pipeline && serializable ? pipeline.toJSON() : null,
+      cacheKey: options.cacheKey ?? null,
+      columnar: options.columnar ?? this.config.columnar,
+      profile: options.profile ?? this.config.profile
     });
     return `${key}:${optionsKey}`;
   }
   
+  /**
+   * Creates the initial metrics counters
+   */
+  _createMetrics() {
+    return {
+      totalLoaded: 0,
+      cacheHits: 0,
+      cacheMisses: 0,
+      persistentHits: 0,
+      revalidations: 0,
+      notModified: 0,
+      offlineHits: 0,
+      evictions: 0,
+      loadTime: 0,
+      transformTime: 0,
+      workerTasks: 0
+    };
+  }
+  
+  /**
+   * Resolves the persistent option to a store, or null
+   */
+  _createPersistentCache(persistent) {
+    if (!persistent) {
+      return null;
+    }
+    if (typeof persistent === 'object' && typeof persistent.get === 'function') {
+      return persistent;
+    }
+    return createPersistentStorage(persistent === true ? {} : persistent);
+  }
+  
+  /**
+   * Looks a dataset up in memory, then in the persistent tier
+   * 
+   * Returns {entry, fresh, tier} with entry = {dataPackage, validators, savedAt},
+   * or null. Fresh persisted entries are copied back into memory, with
+   * columnar datasets rebuilt from their stored form.
+   */
+  async _readCache(cacheKey, persisted) {
+    const memory = this.cache.peek(cacheKey);
+    if (memory) {
+      if (!memory.expired) {
+        this.cache.get(cacheKey);
+      }
+      return { entry: memory.value, fresh: !memory.expired, tier: 'memory' };
+    }
+    
+    if (!persisted || !this.persistentCache) {
+      return null;
+    }
+    
+    let entry;
+    try {
+      entry = await this.persistentCache.get(cacheKey);
+    } catch (error) {
+      this.emit('error', error);
+      return null;
+    }
+    if (!entry) {
+      return null;
+    }
+    if (entry.dataPackage.metadata.columnar) {
+      entry = { ...entry, dataPackage: { ...entry.dataPackage, data: ColumnTable.from(entry.dataPackage.data) } };
+    }
+    
+    const age = Date.now() - entry.savedAt;
+    const fresh = age < this.config.cacheTTL;
+    if (fresh) {
+      this.cache.set(cacheKey, entry, this.config.cacheTTL - age);
+    }
+    return { entry, fresh, tier: 'persistent' };
+  }
+  
+  /**
+   * Stores a dataset in memory and, for URL sources, in the persistent tier
+   */
+  async _writeCache(cacheKey, entry, persisted) {
+    this.cache.set(cacheKey, entry);
+    if (persisted && this.persistentCache) {
+      try {
+        await this.persistentCache.set(cacheKey, entry);
+      } catch (error) {
+        this.emit('error', error);
+      }
+    }
+  }
+  
+  /**
+   * Checks whether a load failed for lack of network or server, rather than bad data
+   */
+  _isUnavailable(error) {
+    return error.name === 'AbortError' || error instanceof TypeError || error.status >= 500;
+  }
+  
   /**
    * Loads data from URL with proper error handling
+   * 
+   * With validators from an earlier response, the request is conditional;
+   * a 304 resolves to {notModified: true}. Otherwise resolves to
+   * {data, validators} where validators holds the new ETag/Last-Modified.
    */
-  async _loadFromUrl(url, options) {
+  async _loadFromUrl(url, options, validators = null) {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), options.timeout || this.config.timeout);
     
+    const headers = { ...options.headers };
+    if (validators && this.config.revalidate) {
+      if (validators.etag) headers['If-None-Match'] = validators.etag;
+      if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+      this.metrics.revalidations++;
+    }
+    
     try {
       const response = await fetch(url, {
-        headers: options.headers || {},
+        headers,
         signal: controller.signal
       });
       
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      if (response.status === 304 && validators) {
+        return { notModified: true };
       }
       
-      const contentType = response.headers.get('content-type');
+      if (!response.ok) {
+        const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+        error.status = response.status;
+        throw error;
+      }
       
-      // Auto-detect format if not specified
-      if (options.format === 'auto' || !options.format) {
-        if (contentType?.includes('application/json')) {
-          return await response.json();
-        } else if (contentType?.includes('text/csv')) {
-          return await this._parseCSV(await response.text());
-        } else {
-          return await response.text();
+      const etag = response.headers.get('etag');
+      const lastModified = response.headers.get('last-modified');
+      return {
+        data: await this._parseResponse(response, options),
+        validators: etag || lastModified ? { etag, lastModified } : null
+      };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+  
+  /**
+   * Parses a response body according to options.format or its Content-Type
+   */
+  async _parseResponse(response, options) {
+    const contentType = response.headers.get('content-type');
+    
+    // Auto-detect format if not specified
+    if (options.format === 'auto' || !options.format) {
+      if (contentType?.includes('application/json')) {
+        return await response.json();
+      } else if (contentType?.includes('text/csv')) {
+        return await this._parseCSVResponse(response, options.csv);
+      } else {
+        return await response.text();
+      }
+    }
+    
+    // Use specified format
+    switch (options.format) {
+      case 'json':
+        return await response.json();
+      case 'csv':
+        return await this._parseCSVResponse(response, options.csv);
+      case 'text':
+        return await response.text();
+      default:
+        return await response.json();
+    }
+  }
+  
+  /**
+   * Checks whether a source is an async iterable of pages
+   */
+  _isAsyncIterable(source) {
+    return source !== null && typeof source === 'object' &&
+      typeof source[Symbol.asyncIterator] === 'function';
+  }
+  
+  /**
+   * Consumes an async iterable of pages, emitting 'loadProgress' for each one
+   * 
+   * Pages may be arrays of records or objects with a `records` array (as
+   * yielded by DataLoader#loadPages). Aborting options.signal rejects right
+   * away, even while a page is still being fetched, and stops the iteration
+   * so the loader requests no further pages. The request in flight is only
+   * cancelled if the same signal was passed to the loader.
+   */
+  async _loadFromPages(pages, options) {
+    const { signal } = options;
+    const records = [];
+    let pageIndex = 0;
+    
+    const iterator = pages[Symbol.asyncIterator]();
+    const abortError = () => (signal.reason instanceof Error ? signal.reason : new Error('Load aborted'));
+    let onAbort = null;
+    const aborted = signal && new Promise((_, reject) => {
+      onAbort = () => reject(abortError());
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+    if (aborted) {
+      // Settled only by an abort, which may come after the last page
+      aborted.catch(() => {});
+    }
+    
+    try {
+      while (true) {
+        if (signal && signal.aborted) {
+          throw abortError();
+        }
+        const next = iterator.next();
+        const { done, value: page } = await (aborted ? Promise.race([next, aborted]) : next);
+        if (done) break;
+        
+        const pageRecords = Array.isArray(page) ? page : (page.records || []);
+        for (let i = 0; i < pageRecords.length; i++) {
+          records.push(pageRecords[i]);
         }
+        
+        this.emit('loadProgress', {
+          source: pages,
+          page: pageIndex++,
+          records: pageRecords,
+          loaded: records.length
+        });
       }
-      
-      // Use specified format
-      switch (options.format) {
-        case 'json':
-          return await response.json();
-        case 'csv':
-          return await this._parseCSV(await response.text());
-        case 'text':
-          return await response.text();
-        default:
-          return await response.json();
+    } catch (error) {
+      // Like leaving a for await loop: let the source clean up. Not awaited,
+      // as an async generator only returns once its pending page settles
+      if (typeof iterator.return === 'function') {
+        Promise.resolve(iterator.return()).catch(() => {});
       }
+      throw error;
     } finally {
-      clearTimeout(timeoutId);
+      if (onAbort) {
+        signal.removeEventListener('abort', onAbort);
+      }
     }
+    
+    return records;
   }
   
   /**
@@ -301,6 +741,15 @@ export class DataEngine extends EventEmitter {
     }
   }
   
+  /**
+   * Checks whether data can become a ColumnTable: records, a table or an
+   * object that already holds columns
+   */
+  _isTabular(data) {
+    return Array.isArray(data) || isColumnTable(data) ||
+      (data !== null && typeof data === 'object' && data.columns !== null && typeof data.columns === 'object');
+  }
+  
   /**
    * Normalizes data structure for consistent processing
    */
@@ -320,6 +769,16 @@ export class DataEngine extends EventEmitter {
    * Calculates basic statistics for the dataset
    */
   _calculateStatistics(data) {
+    if (isColumnTable(data)) {
+      return {
+        type: 'table',
+        length: data.numRows,
+        columns: data.columnNames,
+        memoryUsage: data.byteLength,
+        firstItem: data.numRows > 0 ? data.row(0) : null,
+        lastItem: data.numRows > 0 ? data.row(data.numRows - 1) : null
+      };
+    }
     if (!Array.isArray(data)) {
       return { type: 'object', keys: Object.keys(data).length };
     }
@@ -327,34 +786,169 @@ export class DataEngine extends EventEmitter {
     return {
       type: 'array',
       length: data.length,
-      memoryUsage: JSON.stringify(data).length,
+      memoryUsage: this._estimateMemory(data),
       firstItem: data[0] || null,
       lastItem: data[data.length - 1] || null
     };
   }
   
   /**
-   * Simple CSV parser
+   * Builds a data package around normalized data
    */
-  _parseCSV(csvText) {
-    const lines = csvText.split('\n').filter(line => line.trim());
-    if (lines.length === 0) return [];
-    
-    const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-    const data = [];
+  _createPackage(data, metadata, options, startTime) {
+    const isTable = isColumnTable(data);
+    return {
+      data,
+      metadata: {
+        ...metadata,
+        name: options.name || null,
+        columnar: isTable,
+        loadedAt: new Date().toISOString(),
+        size: isTable
+          ? data.numRows
+          : (Array.isArray(data) ? data.length : Object.keys(data).length),
+        loadTime: performance.now() - startTime
+      },
+      statistics: this._calculateStatistics(data),
+      profile: this._profileData(data, options.profile ?? this.config.profile)
+    };
+  }
+  
+  /**
+   * Resolves a dataset name, data package, table or array to records
+   */
+  _datasetRecords(source) {
+    if (typeof source === 'string') {
+      const dataPackage = this.getDataset(source);
+      if (!dataPackage) {
+        throw new Error(`Dataset "${source}" is not loaded`);
+      }
+      source = dataPackage.data;
+    } else if (source && !Array.isArray(source) && !isColumnTable(source) && 'data' in source) {
+      source = source.data;
+    }
+    if (isColumnTable(source)) {
+      return source.toRecords();
+    }
+    if (!Array.isArray(source)) {
+      throw new Error('Pipelines need an array of records or a table');
+    }
+    return source;
+  }
+  
+  /**
+   * Resolves the workers option to a pool, or null
+   */
+  _createWorkerPool(workers) {
+    if (!workers) {
+      return null;
+    }
+    if (typeof workers.run === 'function') {
+      return workers;
+    }
+    const options = workers === true ? {} : workers;
+    return options.createWorker || WorkerPool.isSupported() ? new WorkerPool(options) : null;
+  }
+  
+  /**
+   * Runs a pipeline, resolving joined datasets by name and timing the work
+   * 
+   * Large serialisable pipelines go to the worker pool, with the datasets
+   * they join; if the worker itself fails they run here instead.
+   */
+  async _runPipeline(pipeline, records, options = {}) {
+    const transformStart = performance.now();
+    const resolve = name => (this.getDataset(name) ? this._datasetRecords(name) : undefined);
+    let result;
     
-    for (let i = 1; i < lines.length; i++) {
-      const values = lines[i].split(',').map(v => v.trim().replace(/"/g, ''));
-      const row = {};
-      
-      headers.forEach((header, index) => {
-        row[header] = values[index] || '';
+    if (this.workerPool && records.length >= this.config.workerThreshold && pipeline.serializable) {
+      const datasets = {};
+      pipeline.steps.forEach(step => {
+        if (step.type === 'join' && resolve(step.dataset)) {
+          datasets[step.dataset] = resolve(step.dataset);
+        }
       });
-      
-      data.push(row);
+      try {
+        this.metrics.workerTasks++;
+        result = await this.workerPool.run('pipeline', {
+          data: records,
+          pipeline: pipeline.toJSON(),
+          datasets
+        }, { signal: options.signal });
+      } catch (error) {
+        if (!error.workerFailure) {
+          throw error;
+        }
+        this.emit('error', error);
+      }
     }
     
-    return data;
+    if (result === undefined) {
+      result = pipeline.run(records, { resolve });
+    }
+    this.metrics.transformTime += performance.now() - transformStart;
+    return result;
+  }
+  
+  /**
+   * Profiles each column of a tabular dataset, unless profiling is off
+   */
+  _profileData(data, profile) {
+    if (!profile) {
+      return null;
+    }
+    return profileData(data, profile === true ? {} : profile);
+  }
+  
+  /**
+   * Estimates the serialized size of an array from an evenly spaced sample
+   * of at most 100 items, rather than stringifying all of it
+   */
+  _estimateMemory(data) {
+    const step = Math.max(1, Math.floor(data.length / 100));
+    let sampled = 0;
+    let bytes = 0;
+    for (let i = 0; i < data.length; i += step) {
+      bytes += JSON.stringify(data[i] ?? null).length + 1;
+      sampled++;
+    }
+    return sampled ? Math.round(bytes / sampled * data.length) + 1 : 2;
+  }
+  
+  /**
+   * Parses CSV text with the shared RFC 4180 parser
+   */
+  _parseCSV(csvText, options = {}) {
+    return parseCSV(csvText, options);
+  }
+  
+  /**
+   * Parses a CSV response, streaming the body when the runtime exposes it
+   * 
+   * Bodies of workerParseThreshold bytes or more (by Content-Length) are
+   * parsed in a worker when a pool is available. The worker gets a copy of
+   * the bytes, so if it fails they are parsed here instead.
+   */
+  async _parseCSVResponse(response, options = {}) {
+    const length = Number(response.headers && response.headers.get('content-length'));
+    if (this.workerPool && length >= this.config.workerParseThreshold && typeof response.arrayBuffer === 'function') {
+      const bytes = await response.arrayBuffer();
+      const input = bytes.slice(0);
+      try {
+        this.metrics.workerTasks++;
+        return await this.workerPool.run('parse', { input, format: 'csv', options }, { transfer: [input] });
+      } catch (error) {
+        if (!error.workerFailure) {
+          throw error;
+        }
+        this.emit('error', error);
+      }
+      return this._parseCSV(new TextDecoder('utf-8').decode(bytes), options);
+    }
+    if (response.body && typeof response.body.getReader === 'function') {
+      return parseCSVStream(response.body, options);
+    }
+    return this._parseCSV(await response.text(), options);
   }
   
   /**
@@ -375,13 +969,10 @@ export class DataEngine extends EventEmitter {
   clear() {
     this.cache.clear();
     this.loadedDatasets.clear();
-    this.metrics = {
-      totalLoaded: 0,
-      cacheHits: 0,
-      cacheMisses: 0,
-      loadTime: 0,
-      transformTime: 0
-    };
+    this.metrics = this._createMetrics();
+    if (this.persistentCache) {
+      this.persistentCache.clear().catch(error => this.emit('error', error));
+    }
     this.emit('cleared');
   }
   
@@ -390,8 +981,12 @@ export class DataEngine extends EventEmitter {
    */
   destroy() {
     this.clear();
+    this.streamingConnections.forEach(stream => stream.close());
     this.activeConnections.clear();
     this.streamingConnections.clear();
+    if (this.workerPool && this._ownsWorkerPool) {
+      this.workerPool.terminate();
+    }
     this.removeAllListeners();
     this.emit('destroyed');
   }
@@ -0,0 +1,330 @@
+/**
+ * DataStream.js - Real-time data stream with a rolling window
+ *
+ * Live connection created by DataEngine#stream(). Records arriving over a
+ * WebSocket, Server-Sent Events or interval polling are kept in a bounded
+ * window and published as events, so charts can redraw incrementally.
+ *
+ * Events:
+ * - open ({type}) - connection established (or first poll succeeded)
+ * - append (records) - records just added to the window
+ * - evict (records) - records dropped from the front of the window
+ * - data (window) - the whole window, after each batch
+ * - reconnect ({attempt, delay}) - a reconnection is scheduled
+ * - error (error) - transport or parse error
+ * - close () - stream closed for good
+ *
+ * @author Gabriel Demetrios Lafis
+ * @version 1.0.0
+ */
+
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+/**
+ * Stream transport types
+ */
+export const STREAM_TYPES = {
+  WEBSOCKET: 'websocket',
+  SSE: 'sse',
+  POLL: 'poll'
+};
+
+/**
+ * DataStream class - one live source feeding a rolling window of records
+ */
+export class DataStream extends EventEmitter {
+  /**
+   * Creates a stream; call open() to connect
+   *
+   * @param {string|Function} source - ws:// or wss:// URL, SSE or polling URL, or an
+   *   async function returning new records on each poll
+   * @param {Object} [options={}] - Stream options
+   * @param {string} [options.type] - 'websocket', 'sse' or 'poll'; inferred from the
+   *   source when omitted (ws URLs, functions and options.interval poll, otherwise SSE)
+   * @param {number} [options.windowSize=1000] - Records kept; older ones are evicted
+   * @param {number} [options.interval=5000] - Polling interval in milliseconds
+   * @param {Function} [options.parse] - (message) => record or records; defaults to
+   *   JSON.parse for text messages
+   * @param {Function} [options.transform] - Applied to each incoming record
+   * @param {boolean} [options.reconnect=true] - Reconnect after drops and failed polls
+   * @param {number} [options.retryDelay=1000] - Base reconnect delay, doubled on each attempt
+   * @param {number} [options.maxRetryDelay=30000] - Upper bound for the reconnect delay
+   * @param {number} [options.maxRetries=Infinity] - Give up after this many failed attempts in a row
+   * @param {string} [options.event='message'] - SSE event name to listen to
+   * @param {string|Array} [options.protocols] - WebSocket subprotocols
+   * @param {Object} [options.headers] - Headers for polling requests
+   * @param {Function} [options.WebSocket] - WebSocket constructor (default: global)
+   * @param {Function} [options.EventSource] - EventSource constructor (default: global)
+   */
+  constructor(source, options = {}) {
+    super();
+
+    this.source = source;
+    this.options = {
+      windowSize: 1000,
+      interval: 5000,
+      reconnect: true,
+      retryDelay: 1000,
+      maxRetryDelay: 30000,
+      maxRetries: Infinity,
+      event: 'message',
+      ...options
+    };
+    this.type = options.type || this._inferType(source, options);
+
+    // Rolling window, oldest record first
+    this.data = [];
+    this.isOpen = false;
+    this.isClosed = false;
+    this.attempts = 0;
+
+    this._connection = null;
+    this._timer = null;
+    this._etag = null;
+  }
+
+  /**
+   * Connects the transport
+   * @returns {DataStream} This stream, for chaining
+   */
+  open() {
+    if (this.isClosed) {
+      throw new Error('Stream is closed');
+    }
+
+    switch (this.type) {
+      case STREAM_TYPES.WEBSOCKET:
+        this._openWebSocket();
+        break;
+      case STREAM_TYPES.SSE:
+        this._openEventSource();
+        break;
+      case STREAM_TYPES.POLL:
+        this._poll();
+        break;
+      default:
+        throw new Error(`Unsupported stream type "${this.type}"`);
+    }
+    return this;
+  }
+
+  /**
+   * Closes the stream and stops reconnecting
+   */
+  close() {
+    if (this.isClosed) return;
+
+    this.isClosed = true;
+    this.isOpen = false;
+    clearTimeout(this._timer);
+    this._disconnect();
+    this.emit('close');
+  }
+
+  /**
+   * Adds records to the window, evicting the oldest beyond windowSize
+   *
+   * Transports call this for each message; it can also be used to inject
+   * records by hand.
+   * @param {Object|Array} records - Record or records
+   * @returns {DataStream} This stream, for chaining
+   */
+  push(records) {
+    let added = Array.isArray(records) ? records : [records];
+    if (this.options.transform) {
+      added = added.map(this.options.transform);
+    }
+    if (added.length === 0) {
+      return this;
+    }
+
+    for (let i = 0; i < added.length; i++) {
+      this.data.push(added[i]);
+    }
+    const overflow = this.data.length - this.options.windowSize;
+    const evicted = overflow > 0 ? this.data.splice(0, overflow) : [];
+
+    this.emit('append', added);
+    if (evicted.length) {
+      this.emit('evict', evicted);
+    }
+    this.emit('data', this.data);
+    return this;
+  }
+
+  /**
+   * Picks the transport from the source
+   * @private
+   */
+  _inferType(source, options) {
+    if (typeof source === 'function' || options.interval !== undefined) {
+      return STREAM_TYPES.POLL;
+    }
+    return /^wss?:/i.test(source) ? STREAM_TYPES.WEBSOCKET : STREAM_TYPES.SSE;
+  }
+
+  /**
+   * Turns a message into records and adds them
+   * @private
+   */
+  _receive(message) {
+    let records;
+    try {
+      if (this.options.parse) {
+        records = this.options.parse(message);
+      } else {
+        records = typeof message === 'string' ? JSON.parse(message) : message;
+      }
+    } catch (error) {
+      this.emit('error', error);
+      return;
+    }
+    if (records !== undefined && records !== null) {
+      this.push(records);
+    }
+  }
+
+  /**
+   * Marks the connection as established
+   * @private
+   */
+  _opened() {
+    this.attempts = 0;
+    if (!this.isOpen) {
+      this.isOpen = true;
+      this.emit('open', { type: this.type });
+    }
+  }
+
+  /**
+   * Handles a dropped connection or failed poll: schedules a retry with
+   * exponential backoff and jitter, or gives up
+   * @private
+   */
+  _failed(error) {
+    this.isOpen = false;
+    this._disconnect();
+    if (error) {
+      this.emit('error', error);
+    }
+    if (this.isClosed) return;
+
+    if (!this.options.reconnect || this.attempts >= this.options.maxRetries) {
+      this.close();
+      return;
+    }
+
+    const backoff = Math.min(this.options.maxRetryDelay, this.options.retryDelay * Math.pow(2, this.attempts));
+    const delay = backoff / 2 + Math.random() * backoff / 2;
+    this.attempts++;
+    this.emit('reconnect', { attempt: this.attempts, delay });
+    this._timer = setTimeout(() => this.open(), delay);
+  }
+
+  /**
+   * Releases the current WebSocket or EventSource
+   * @private
+   */
+  _disconnect() {
+    const connection = this._connection;
+    this._connection = null;
+    if (connection) {
+      connection.onopen = connection.onmessage = connection.onerror = connection.onclose = null;
+      connection.close();
+    }
+  }
+
+  /**
+   * Connects over WebSocket
+   * @private
+   */
+  _openWebSocket() {
+    const Socket = this.options.WebSocket || globalThis.WebSocket;
+    if (!Socket) {
+      throw new Error('WebSocket is not available in this environment');
+    }
+
+    const socket = new Socket(this.source, this.options.protocols);
+    this._connection = socket;
+    socket.onopen = () => this._opened();
+    socket.onmessage = (event) => this._receive(event.data);
+    // A close follows every error, so reconnection is handled there
+    socket.onerror = () => this.emit('error', new Error(`WebSocket error on ${this.source}`));
+    socket.onclose = (event) => {
+      if (this._connection === socket) {
+        this._failed(event.wasClean ? null : new Error(`WebSocket closed (code ${event.code})`));
+      }
+    };
+  }
+
+  /**
+   * Connects with Server-Sent Events
+   *
+   * EventSource's own retry is replaced by the stream's backoff, so all
+   * transports reconnect the same way.
+   * @private
+   */
+  _openEventSource() {
+    const Source = this.options.EventSource || globalThis.EventSource;
+    if (!Source) {
+      throw new Error('EventSource is not available in this environment');
+    }
+
+    const eventSource = new Source(this.source, { withCredentials: Boolean(this.options.withCredentials) });
+    this._connection = eventSource;
+    eventSource.onopen = () => this._opened();
+    eventSource.onerror = () => {
+      if (this._connection === eventSource) {
+        this._failed(new Error(`EventSource error on ${this.source}`));
+      }
+    };
+    eventSource.addEventListener(this.options.event, (event) => this._receive(event.data));
+  }
+
+  /**
+   * Polls once, then schedules the next poll
+   * @private
+   */
+  async _poll() {
+    let records;
+    try {
+      records = typeof this.source === 'function'
+        ? await this.source()
+        : await this._fetchPoll();
+    } catch (error) {
+      this._failed(error);
+      return;
+    }
+    if (this.isClosed) return;
+
+    this._opened();
+    if (records !== undefined) {
+      this._receive(records);
+    }
+    this._timer = setTimeout(() => this._poll(), this.options.interval);
+  }
+
+  /**
+   * Fetches a polling URL, skipping unchanged responses via ETag
+   * @private
+   */
+  async _fetchPoll() {
+    const headers = { ...this.options.headers };
+    if (this._etag) {
+      headers['If-None-Match'] = this._etag;
+    }
+
+    const response = await fetch(this.source, { headers });
+    if (response.status === 304) {
+      return undefined;
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    this._etag = response.headers.get('etag');
+    return this.options.parse ? await response.text() : await response.json();
+  }
+}
+
+export default DataStream;
@@ -0,0 +1,289 @@
+/**
+ * WorkerPool.js - Promise-based client for the data processing workers
+ *
+ * Runs operations of workers/dataProcessor.worker.js off the main thread:
+ * each request gets an id and a promise, errors thrown in the worker reject
+ * it, and an AbortSignal cancels it (a running task's worker is replaced).
+ * Typed arrays can be transferred instead of copied.
+ *
+ * @author Gabriel Demetrios Lafis
+ * @version 1.0.0
+ */
+
+import { ColumnTable, isColumnTable } from '../data/ColumnTable.js';
+
+/**
+ * Build the rejection for an aborted task
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {Error} The signal's reason, or an Error named 'AbortError'
+ */
+function abortError(signal) {
+  if (signal.reason instanceof Error) {
+    return signal.reason;
+  }
+  const error = new Error('Worker task aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Collect the ArrayBuffers behind the typed arrays in a value
+ *
+ * Transferring them moves the memory to the worker without a copy, but
+ * leaves the sender's arrays empty (detached). Arrays are not searched, so
+ * large record lists cost nothing here.
+ * @param {*} value - Payload (tables, typed arrays and plain objects holding them)
+ * @returns {Array<ArrayBuffer>} Unique buffers
+ */
+export function collectTransferables(value) {
+  const buffers = new Set();
+  const visit = (item, depth) => {
+    if (item === null || typeof item !== 'object' || depth > 4) return;
+    if (item instanceof ArrayBuffer) {
+      buffers.add(item);
+    } else if (ArrayBuffer.isView(item)) {
+      if (item.buffer instanceof ArrayBuffer) buffers.add(item.buffer);
+    } else if (!Array.isArray(item)) {
+      Object.values(item).forEach(child => visit(child, depth + 1));
+    }
+  };
+  visit(isColumnTable(value) ? value.columns : value, 0);
+  return Array.from(buffers);
+}
+
+/**
+ * Rebuild the tables in a worker result
+ * @param {Object} message - Result message {result, table}
+ * @returns {*} The result, with ColumnTable where the worker sent tables
+ */
+function reviveTables({ result, table }) {
+  if (table === true) {
+    return ColumnTable.from(result);
+  }
+  if (table === 'data') {
+    // Analyses such as cluster and pca return {data, ...details}
+    return { ...result, data: ColumnTable.from(result.data) };
+  }
+  return result;
+}
+
+/**
+ * WorkerPool class - a fixed number of workers sharing a task queue
+ */
+export class WorkerPool {
+  /**
+   * Creates a pool; workers start on first use
+   *
+   * @param {Object} [options={}] - Pool options
+   * @param {string|URL} [options.url='workers/dataProcessor.worker.js'] - Worker script
+   * @param {number} [options.size] - Number of workers (default: navigator.hardwareConcurrency, or 4)
+   * @param {Function} [options.createWorker] - (url) => Worker, e.g. for classic workers or tests;
+   *   defaults to a module worker
+   */
+  constructor(options = {}) {
+    const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency;
+    this.url = options.url || 'workers/dataProcessor.worker.js';
+    this.size = Math.max(1, options.size || cores || 4);
+    this.createWorker = options.createWorker || (url => new Worker(url, { type: 'module' }));
+
+    this.slots = [];
+    this.queue = [];
+    this._nextId = 0;
+  }
+
+  /**
+   * Checks whether the runtime has Web Workers
+   * @returns {boolean} True if a global Worker constructor exists
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  /**
+   * Runs an operation in a worker
+   *
+   * @param {string} type - Operation: parse, pipeline, filter, aggregate, sort, bin,
+   *   cluster, pca
+   * @param {Object} [payload={}] - Operation input
+   * @param {Object} [options={}] - Task options
+   * @param {boolean|Array} [options.transfer=false] - Buffers to transfer, or true to transfer
+   *   every typed array in the payload (the caller's copies become unusable)
+   * @param {AbortSignal} [options.signal] - Cancels the task
+   * @param {Function} [options.onProgress] - Called with progress messages from the worker
+   * @returns {Promise<*>} Operation result; tables come back as ColumnTable
+   *
+   * @example
+   * const pool = new WorkerPool();
+   * const totals = await pool.run('aggregate', {
+   *   data: records,
+   *   keys: ['region'],
+   *   aggregates: { sales: 'sum:amount' }
+   * });
+   */
+  run(type, payload = {}, options = {}) {
+    return new Promise((resolve, reject) => {
+      const { signal } = options;
+      if (signal && signal.aborted) {
+        reject(abortError(signal));
+        return;
+      }
+
+      const task = {
+        id: ++this._nextId,
+        type,
+        payload,
+        transfer: options.transfer === true ? collectTransferables(payload) : (options.transfer || []),
+        onProgress: options.onProgress || null,
+        resolve,
+        reject,
+        slot: null
+      };
+
+      if (signal) {
+        const onAbort = () => this._cancel(task, abortError(signal));
+        signal.addEventListener('abort', onAbort, { once: true });
+        task.cleanup = () => signal.removeEventListener('abort', onAbort);
+      }
+
+      this.queue.push(task);
+      this._drain();
+    });
+  }
+
+  /**
+   * Number of tasks waiting for a worker
+   * @returns {number} Queue length
+   */
+  get pending() {
+    return this.queue.length;
+  }
+
+  /**
+   * Stops every worker and rejects queued and running tasks
+   */
+  terminate() {
+    const error = new Error('Worker pool terminated');
+    this.queue.splice(0).forEach(task => this._settle(task, error));
+    this.slots.forEach(slot => {
+      if (slot.task) this._settle(slot.task, error);
+      slot.worker.terminate();
+    });
+    this.slots = [];
+  }
+
+  /**
+   * Starts queued tasks on idle workers, spawning workers up to the pool size
+   * @private
+   */
+  _drain() {
+    while (this.queue.length) {
+      let slot = this.slots.find(candidate => !candidate.task);
+      if (!slot) {
+        if (this.slots.length >= this.size) return;
+        slot = this._spawn();
+      }
+
+      const task = this.queue.shift();
+      slot.task = task;
+      task.slot = slot;
+      try {
+        slot.worker.postMessage({ id: task.id, type: task.type, payload: task.payload }, task.transfer);
+      } catch (error) {
+        // e.g. a payload that can't be cloned
+        slot.task = null;
+        this._settle(task, error);
+      }
+    }
+  }
+
+  /**
+   * Creates a worker and its slot
+   * @private
+   */
+  _spawn() {
+    const slot = { worker: this.createWorker(this.url), task: null };
+    slot.worker.onmessage = (event) => this._receive(slot, event.data);
+    slot.worker.onerror = (event) => {
+      if (event && typeof event.preventDefault === 'function') event.preventDefault();
+      const error = new Error(`Worker error: ${(event && event.message) || 'failed to run'}`);
+      // Unlike errors thrown by an operation, the same task may work elsewhere
+      error.workerFailure = true;
+      if (slot.task) this._settle(slot.task, error);
+      // The worker may be unusable; start over with a fresh one
+      this._replace(slot);
+    };
+    this.slots.push(slot);
+    return slot;
+  }
+
+  /**
+   * Handles a worker message for the slot's task
+   * @private
+   */
+  _receive(slot, message) {
+    const task = slot.task;
+    if (!task || message.id !== task.id) return;
+
+    if (message.progress !== undefined) {
+      if (task.onProgress) task.onProgress(message.progress);
+      return;
+    }
+
+    slot.task = null;
+    if (message.error) {
+      const error = new Error(message.error.message);
+      error.name = message.error.name || 'Error';
+      if (message.error.stack) error.workerStack = message.error.stack;
+      this._settle(task, error);
+    } else {
+      this._settle(task, null, reviveTables(message));
+    }
+    this._drain();
+  }
+
+  /**
+   * Cancels a task: queued tasks are dropped, running ones lose their worker
+   * @private
+   */
+  _cancel(task, error) {
+    const queued = this.queue.indexOf(task);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+    } else if (task.slot && task.slot.task === task) {
+      // Work in progress can't be interrupted, so the worker is replaced
+      task.slot.task = null;
+      this._replace(task.slot);
+    } else {
+      return;
+    }
+    this._settle(task, error);
+    this._drain();
+  }
+
+  /**
+   * Terminates a slot's worker and removes the slot
+   * @private
+   */
+  _replace(slot) {
+    slot.worker.onmessage = slot.worker.onerror = null;
+    slot.worker.terminate();
+    this.slots = this.slots.filter(candidate => candidate !== slot);
+    this._drain();
+  }
+
+  /**
+   * Resolves or rejects a task once
+   * @private
+   */
+  _settle(task, error, result) {
+    if (task.cleanup) task.cleanup();
+    task.slot = null;
+    if (error) {
+      task.reject(error);
+    } else {
+      task.resolve(result);
+    }
+  }
+}
+
+export default WorkerPool;
@@ -0,0 +1,565 @@
+/**
+ * ArrowReader - Decoder for the Apache Arrow IPC file and stream formats
+ * ES Module turning Arrow record batches into columnar typed arrays
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+/**
+ * Magic bytes opening (and closing) the Arrow IPC file format
+ */
+export const ARROW_MAGIC = [0x41, 0x52, 0x52, 0x4f, 0x57, 0x31]; // "ARROW1"
+
+// Message header union (Message.fbs)
+const HEADER_SCHEMA = 1;
+const HEADER_DICTIONARY_BATCH = 2;
+const HEADER_RECORD_BATCH = 3;
+
+// Type union (Schema.fbs)
+const TYPE_NULL = 1;
+const TYPE_INT = 2;
+const TYPE_FLOAT = 3;
+const TYPE_BINARY = 4;
+const TYPE_UTF8 = 5;
+const TYPE_BOOL = 6;
+const TYPE_DATE = 8;
+const TYPE_TIMESTAMP = 10;
+const TYPE_LARGE_BINARY = 19;
+const TYPE_LARGE_UTF8 = 20;
+
+const MS_PER_DAY = 86400000;
+// Milliseconds per timestamp unit: SECOND, MILLISECOND, MICROSECOND, NANOSECOND
+const TIME_UNIT_MS = [1000, 1, 1e-3, 1e-6];
+
+/**
+ * Minimal read-only view of a FlatBuffers table
+ * @private
+ */
+class FlatTable {
+  /**
+   * @param {DataView} view - View over the whole buffer
+   * @param {number} position - Absolute position of the table
+   */
+  constructor(view, position) {
+    this.view = view;
+    this.position = position;
+    this.vtable = position - view.getInt32(position, true);
+    this.vtableSize = view.getUint16(this.vtable, true);
+  }
+
+  /**
+   * Read the root table of a FlatBuffer starting at an offset
+   * @param {DataView} view - View over the whole buffer
+   * @param {number} offset - Position of the FlatBuffer
+   * @returns {FlatTable} Root table
+   */
+  static root(view, offset) {
+    return new FlatTable(view, offset + view.getUint32(offset, true));
+  }
+
+  /**
+   * Position of a field relative to the table, or 0 when the field is absent
+   * @param {number} slot - Field index in the schema
+   * @returns {number} Relative offset
+   */
+  fieldOffset(slot) {
+    const entry = 4 + slot * 2;
+    return entry < this.vtableSize ? this.view.getUint16(this.vtable + entry, true) : 0;
+  }
+
+  // Scalar fields, returning the fallback when absent (FlatBuffers omits defaults)
+
+  uint8(slot, fallback = 0) {
+    const offset = this.fieldOffset(slot);
+    return offset ? this.view.getUint8(this.position + offset) : fallback;
+  }
+
+  int16(slot, fallback = 0) {
+    const offset = this.fieldOffset(slot);
+    return offset ? this.view.getInt16(this.position + offset, true) : fallback;
+  }
+
+  int32(slot, fallback = 0) {
+    const offset = this.fieldOffset(slot);
+    return offset ? this.view.getInt32(this.position + offset, true) : fallback;
+  }
+
+  int64(slot, fallback = 0) {
+    const offset = this.fieldOffset(slot);
+    return offset ? Number(this.view.getBigInt64(this.position + offset, true)) : fallback;
+  }
+
+  /**
+   * Absolute position of an object referenced by an offset field
+   * @param {number} slot - Field index
+   * @returns {number|null} Position, or null when the field is absent
+   */
+  indirect(slot) {
+    const offset = this.fieldOffset(slot);
+    if (!offset) return null;
+    const at = this.position + offset;
+    return at + this.view.getUint32(at, true);
+  }
+
+  table(slot) {
+    const position = this.indirect(slot);
+    return position === null ? null : new FlatTable(this.view, position);
+  }
+
+  string(slot) {
+    const position = this.indirect(slot);
+    if (position === null) return null;
+    const length = this.view.getUint32(position, true);
+    const bytes = new Uint8Array(this.view.buffer, this.view.byteOffset + position + 4, length);
+    return decodeUTF8(bytes);
+  }
+
+  /**
+   * Read a vector field
+   * @param {number} slot - Field index
+   * @returns {{start: number, length: number}} Absolute start of the elements and their count
+   */
+  vector(slot) {
+    const position = this.indirect(slot);
+    if (position === null) return { start: 0, length: 0 };
+    return { start: position + 4, length: this.view.getUint32(position, true) };
+  }
+
+  tables(slot) {
+    const { start, length } = this.vector(slot);
+    const result = [];
+    for (let i = 0; i < length; i++) {
+      const at = start + i * 4;
+      result.push(new FlatTable(this.view, at + this.view.getUint32(at, true)));
+    }
+    return result;
+  }
+}
+
+let utf8Decoder = null;
+
+/**
+ * Decode UTF-8 bytes to a string
+ * @private
+ * @param {Uint8Array} bytes - Encoded text
+ * @returns {string} Text
+ */
+function decodeUTF8(bytes) {
+  if (!utf8Decoder) {
+    utf8Decoder = new TextDecoder('utf-8');
+  }
+  return utf8Decoder.decode(bytes);
+}
+
+/**
+ * Check whether bytes start with the Arrow IPC file magic
+ * @param {Uint8Array} bytes - Leading bytes
+ * @returns {boolean} True for the file format
+ */
+export function isArrowFile(bytes) {
+  return bytes.length >= 6 && ARROW_MAGIC.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Check whether bytes look like an Arrow IPC stream (a continuation marker
+ * followed by a message length)
+ * @param {Uint8Array} bytes - Leading bytes
+ * @returns {boolean} True for the stream format
+ */
+export function isArrowStream(bytes) {
+  return bytes.length >= 8 &&
+    bytes[0] === 0xff && bytes[1] === 0xff && bytes[2] === 0xff && bytes[3] === 0xff &&
+    (bytes[4] | bytes[5] << 8 | bytes[6] << 16 | bytes[7] << 24) > 0;
+}
+
+/**
+ * Decode a Schema message into field descriptions
+ * @private
+ * @param {FlatTable} schema - Schema table
+ * @returns {Array<Object>} Fields {name, nullable, type, typeId, dictionary, ...}
+ */
+function readSchema(schema) {
+  if (schema.int16(0) !== 0) {
+    throw new Error('Arrow: big-endian data is not supported');
+  }
+  return schema.tables(1).map(readField);
+}
+
+/**
+ * Decode one Field table
+ * @private
+ * @param {FlatTable} field - Field table
+ * @returns {Object} Field description
+ */
+function readField(field) {
+  const name = field.string(0) || '';
+  const typeId = field.uint8(2);
+  const typeTable = field.table(3);
+  const description = { name, nullable: field.uint8(1) === 1, typeId, ...describeType(typeId, typeTable, name) };
+
+  if (field.vector(5).length > 0) {
+    throw new Error(`Arrow: nested field "${name}" is not supported`);
+  }
+
+  const dictionary = field.table(4);
+  if (dictionary) {
+    const indexType = dictionary.table(1);
+    description.dictionary = {
+      id: dictionary.int64(0),
+      bitWidth: indexType ? indexType.int32(0) : 32,
+      signed: indexType ? indexType.uint8(1) === 1 : true
+    };
+  }
+  return description;
+}
+
+/**
+ * Describe a type union member
+ * @private
+ * @param {number} typeId - Type union discriminator
+ * @param {FlatTable|null} table - Type table
+ * @param {string} name - Field name, for error messages
+ * @returns {Object} {type, ...type parameters}
+ */
+function describeType(typeId, table, name) {
+  switch (typeId) {
+    case TYPE_NULL:
+      return { type: 'null' };
+    case TYPE_INT:
+      return { type: 'int', bitWidth: table.int32(0), signed: table.uint8(1) === 1 };
+    case TYPE_FLOAT:
+      return { type: 'float', precision: table.int16(0) };
+    case TYPE_BINARY:
+    case TYPE_LARGE_BINARY:
+      return { type: 'binary', large: typeId === TYPE_LARGE_BINARY };
+    case TYPE_UTF8:
+    case TYPE_LARGE_UTF8:
+      return { type: 'utf8', large: typeId === TYPE_LARGE_UTF8 };
+    case TYPE_BOOL:
+      return { type: 'bool' };
+    case TYPE_DATE:
+      return { type: 'date', unit: table ? table.int16(0, 1) : 1 };
+    case TYPE_TIMESTAMP:
+      return { type: 'timestamp', unit: table.int16(0), timezone: table.string(1) };
+    default:
+      throw new Error(`Arrow: field "${name}" has unsupported type id ${typeId}`);
+  }
+}
+
+/**
+ * Reads the buffers of one record batch in schema order
+ * @private
+ */
+class BatchReader {
+  /**
+   * @param {FlatTable} batch - RecordBatch table
+   * @param {ArrayBuffer} buffer - Whole input buffer
+   * @param {number} bodyStart - Absolute position of the message body
+   */
+  constructor(batch, buffer, bodyStart) {
+    if (batch.table(3)) {
+      throw new Error('Arrow: compressed record batches are not supported');
+    }
+
+    this.buffer = buffer;
+    this.bodyStart = bodyStart;
+    this.length = batch.int64(0);
+    this.view = batch.view;
+    this.nodes = batch.vector(1);
+    this.buffers = batch.vector(2);
+    this.nodeIndex = 0;
+    this.bufferIndex = 0;
+  }
+
+  /**
+   * Next field node {length, nullCount}
+   */
+  nextNode() {
+    const at = this.nodes.start + this.nodeIndex++ * 16;
+    return {
+      length: Number(this.view.getBigInt64(at, true)),
+      nullCount: Number(this.view.getBigInt64(at + 8, true))
+    };
+  }
+
+  /**
+   * Next body buffer as a copied ArrayBuffer (copies keep typed array views aligned)
+   */
+  nextBuffer() {
+    const at = this.buffers.start + this.bufferIndex++ * 16;
+    const offset = Number(this.view.getBigInt64(at, true));
+    const length = Number(this.view.getBigInt64(at + 8, true));
+    const start = this.bodyStart + offset;
+    return this.buffer.slice(start, start + length);
+  }
+}
+
+/**
+ * Decode the values of one column from a record batch
+ * @private
+ * @param {BatchReader} reader - Batch being read
+ * @param {Object} field - Field description
+ * @param {Object} physical - Storage type (the index type for dictionary fields)
+ * @returns {TypedArray|Array} Column values
+ */
+function readColumn(reader, field, physical) {
+  const { length, nullCount } = reader.nextNode();
+  if (physical.type === 'null') {
+    return new Array(length).fill(null);
+  }
+
+  const validityBuffer = reader.nextBuffer();
+  const validity = nullCount > 0 && validityBuffer.byteLength > 0 ? new Uint8Array(validityBuffer) : null;
+  const isValid = (i) => !validity || (validity[i >> 3] >> (i & 7)) & 1;
+
+  switch (physical.type) {
+    case 'int':
+    case 'float':
+    case 'date':
+    case 'timestamp':
+      return readNumbers(reader.nextBuffer(), length, physical, validity ? isValid : null);
+
+    case 'bool': {
+      const bits = new Uint8Array(reader.nextBuffer());
+      const values = new Array(length);
+      for (let i = 0; i < length; i++) {
+        values[i] = isValid(i) ? ((bits[i >> 3] >> (i & 7)) & 1) === 1 : null;
+      }
+      return values;
+    }
+
+    case 'utf8':
+    case 'binary': {
+      const offsetsBuffer = reader.nextBuffer();
+      const offsets = physical.large ? new BigInt64Array(offsetsBuffer) : new Int32Array(offsetsBuffer);
+      const data = new Uint8Array(reader.nextBuffer());
+      const values = new Array(length);
+      for (let i = 0; i < length; i++) {
+        if (!isValid(i)) {
+          values[i] = null;
+          continue;
+        }
+        const bytes = data.subarray(Number(offsets[i]), Number(offsets[i + 1]));
+        values[i] = physical.type === 'utf8' ? decodeUTF8(bytes) : bytes.slice();
+      }
+      return values;
+    }
+
+    default:
+      throw new Error(`Arrow: cannot read field "${field.name}" of type ${physical.type}`);
+  }
+}
+
+/**
+ * Decode a fixed-width numeric buffer
+ *
+ * 64-bit integers become Float64Array numbers (exact up to 2^53), dates
+ * and timestamps become milliseconds since the epoch, and columns with
+ * nulls are widened to Float64Array with NaN in the null slots.
+ * @private
+ * @param {ArrayBuffer} data - Values buffer
+ * @param {number} length - Number of values
+ * @param {Object} type - Field type description
+ * @param {Function|null} isValid - Validity test, or null when there are no nulls
+ * @returns {TypedArray} Values
+ */
+function readNumbers(data, length, type, isValid) {
+  let values;
+  let scale = 1;
+
+  if (type.type === 'float') {
+    values = type.precision === 0
+      ? Float32Array.from(new Uint16Array(data, 0, length), halfToFloat)
+      : new (type.precision === 1 ? Float32Array : Float64Array)(data, 0, length);
+  } else if (type.type === 'date' && type.unit === 0) {
+    values = new Int32Array(data, 0, length);
+    scale = MS_PER_DAY;
+  } else {
+    const bitWidth = type.type === 'int' ? type.bitWidth : 64;
+    const signed = type.type === 'int' ? type.signed : true;
+    values = new (integerArrayType(bitWidth, signed))(data, 0, length);
+    if (type.type === 'timestamp') {
+      scale = TIME_UNIT_MS[type.unit];
+    }
+  }
+
+  const needsConversion = scale !== 1 || typeof values[0] === 'bigint' || isValid;
+  if (!needsConversion) {
+    return values;
+  }
+
+  const result = new Float64Array(length);
+  for (let i = 0; i < length; i++) {
+    result[i] = isValid && !isValid(i) ? NaN : Number(values[i]) * scale;
+  }
+  return result;
+}
+
+/**
+ * Typed array constructor for an integer width
+ * @private
+ * @param {number} bitWidth - 8, 16, 32 or 64
+ * @param {boolean} signed - Signed integers
+ * @returns {Function} Typed array constructor
+ */
+function integerArrayType(bitWidth, signed) {
+  switch (bitWidth) {
+    case 8: return signed ? Int8Array : Uint8Array;
+    case 16: return signed ? Int16Array : Uint16Array;
+    case 32: return signed ? Int32Array : Uint32Array;
+    case 64: return signed ? BigInt64Array : BigUint64Array;
+    default: throw new Error(`Arrow: unsupported integer width ${bitWidth}`);
+  }
+}
+
+/**
+ * Convert an IEEE 754 half-precision value to a number
+ * @private
+ * @param {number} half - 16-bit pattern
+ * @returns {number} Value
+ */
+function halfToFloat(half) {
+  const sign = half & 0x8000 ? -1 : 1;
+  const exponent = (half >> 10) & 0x1f;
+  const fraction = half & 0x03ff;
+  if (exponent === 0) return sign * Math.pow(2, -14) * (fraction / 1024);
+  if (exponent === 0x1f) return fraction ? NaN : sign * Infinity;
+  return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+}
+
+/**
+ * Join per-batch chunks of a column
+ * @private
+ * @param {Array<TypedArray|Array>} chunks - Column chunks
+ * @returns {TypedArray|Array} Whole column
+ */
+function concatChunks(chunks) {
+  if (chunks.length === 1) return chunks[0];
+  if (chunks.length === 0) return [];
+
+  // Chunks may differ in type when only some batches had nulls
+  const allSame = chunks.every(chunk => chunk.constructor === chunks[0].constructor);
+  if (!allSame || Array.isArray(chunks[0])) {
+    const values = [];
+    chunks.forEach(chunk => {
+      for (let i = 0; i < chunk.length; i++) values.push(chunk[i]);
+    });
+    return allSame ? values : Float64Array.from(values);
+  }
+
+  const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const result = new chunks[0].constructor(total);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return result;
+}
+
+/**
+ * Decode an Arrow IPC file or stream into columns
+ *
+ * Supports flat columns of null, integer, floating point, boolean, UTF-8,
+ * binary, date and timestamp types, with nulls and dictionary encoding.
+ * Nested types and compressed bodies are rejected with an error.
+ *
+ * @param {ArrayBuffer|Uint8Array} input - Arrow IPC bytes
+ * @returns {{schema: {fields: Array<Object>}, numRows: number, columns: Object<string, TypedArray|Array>}}
+ *   Numeric, date and timestamp columns are typed arrays; others are arrays with null for nulls
+ *
+ * @example
+ * const { columns, numRows } = readArrow(await response.arrayBuffer());
+ * const prices = columns.price; // Float64Array
+ */
+export function readArrow(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+  const view = new DataView(buffer);
+
+  let position = 0;
+  let end = buffer.byteLength;
+  let fields = null;
+  if (isArrowFile(bytes)) {
+    // File format: magic + padding, stream messages, footer, footer length, magic.
+    // The schema is read from the footer; writers may leave it out of the messages.
+    const footerLength = view.getInt32(end - 10, true);
+    position = 8;
+    end = end - 10 - footerLength;
+    fields = readSchema(FlatTable.root(view, end).table(1));
+  }
+
+  const dictionaries = new Map();
+  const chunks = new Map();
+  let numRows = 0;
+  if (fields) {
+    fields.forEach(field => chunks.set(field.name, []));
+  }
+
+  while (position + 4 <= end) {
+    let metadataLength = view.getInt32(position, true);
+    position += 4;
+    if (metadataLength === -1) {
+      // Continuation marker of the current encapsulation format
+      if (position + 4 > end) break;
+      metadataLength = view.getInt32(position, true);
+      position += 4;
+    }
+    if (metadataLength <= 0) break;
+
+    const message = FlatTable.root(view, position);
+    const headerType = message.uint8(1);
+    const header = message.table(2);
+    const bodyStart = position + metadataLength;
+    const bodyLength = message.int64(3);
+    position = bodyStart + bodyLength;
+
+    if (headerType === HEADER_SCHEMA) {
+      if (fields) continue;
+      fields = readSchema(header);
+      fields.forEach(field => chunks.set(field.name, []));
+    } else if (headerType === HEADER_DICTIONARY_BATCH) {
+      if (!fields) throw new Error('Arrow: dictionary batch before schema');
+      const id = header.int64(0);
+      const field = fields.find(f => f.dictionary && f.dictionary.id === id);
+      if (!field) continue;
+
+      const reader = new BatchReader(header.table(1), buffer, bodyStart);
+      const values = Array.from(readColumn(reader, field, field));
+      const isDelta = header.uint8(2) === 1;
+      dictionaries.set(id, isDelta ? (dictionaries.get(id) || []).concat(values) : values);
+    } else if (headerType === HEADER_RECORD_BATCH) {
+      if (!fields) throw new Error('Arrow: record batch before schema');
+      const reader = new BatchReader(header, buffer, bodyStart);
+      numRows += reader.length;
+
+      fields.forEach(field => {
+        if (field.dictionary) {
+          const index = { type: 'int', bitWidth: field.dictionary.bitWidth, signed: field.dictionary.signed };
+          const keys = readColumn(reader, field, index);
+          const dictionary = dictionaries.get(field.dictionary.id) || [];
+          chunks.get(field.name).push(Array.from(keys, key => (Number.isNaN(key) ? null : dictionary[key])));
+        } else {
+          chunks.get(field.name).push(readColumn(reader, field, field));
+        }
+      });
+    }
+  }
+
+  if (!fields) {
+    throw new Error('Arrow: no schema message found');
+  }
+
+  const columns = {};
+  fields.forEach(field => {
+    columns[field.name] = concatChunks(chunks.get(field.name));
+  });
+
+  return {
+    schema: { fields: fields.map(({ typeId, ...field }) => field) },
+    numRows,
+    columns
+  };
+}
+
+export default readArrow;
@@ -0,0 +1,452 @@
+/**
+ * CSVParser - RFC 4180 CSV parsing, in one pass or incrementally
+ * ES Module shared by DataLoader and DataEngine
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+/**
+ * Delimiters tried when the delimiter is 'auto'
+ */
+export const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+const QUOTE = 34;
+const SPACE = 32;
+const TAB = 9;
+const LF = 10;
+const CR = 13;
+
+// Parser states
+const FIELD_START = 0;
+const UNQUOTED = 1;
+const QUOTED = 2;
+const QUOTE_IN_QUOTED = 3;
+const AFTER_QUOTED = 4;
+
+// Text buffered before guessing the delimiter
+const SNIFF_LINES = 10;
+const SNIFF_BYTES = 65536;
+
+const NUMBER_PATTERN = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Convert a raw field to a number, boolean, Date or null where it looks like one
+ * @param {string} value - Raw field text
+ * @returns {*} Typed value; empty fields become null, anything else stays a string
+ */
+export function inferValue(value) {
+  if (value === '') {
+    return null;
+  }
+  if (NUMBER_PATTERN.test(value)) {
+    return Number(value);
+  }
+
+  const lower = value.toLowerCase();
+  if (lower === 'true' || lower === 'false') {
+    return lower === 'true';
+  }
+
+  if (ISO_DATE_PATTERN.test(value)) {
+    const date = new Date(value);
+    if (!Number.isNaN(date.getTime())) {
+      return date;
+    }
+  }
+  return value;
+}
+
+/**
+ * Guess the delimiter of a CSV sample
+ *
+ * Each candidate is counted outside quotes on every complete line; the
+ * one found the same number of times on the most lines wins, so a comma
+ * inside the values of a semicolon file doesn't fool it.
+ * @param {string} sample - Beginning of the CSV text
+ * @param {Array<string>} candidates - Delimiters to try
+ * @returns {string} Detected delimiter (',' when nothing matches)
+ */
+export function detectDelimiter(sample, candidates = CSV_DELIMITERS) {
+  const lines = [];
+  let counts = new Map();
+  let inQuotes = false;
+
+  for (let i = 0; i < sample.length && lines.length < SNIFF_LINES; i++) {
+    const char = sample[i];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      if (counts.size > 0 || lines.length > 0) {
+        lines.push(counts);
+      }
+      counts = new Map();
+      if (char === '\r' && sample[i + 1] === '\n') i++;
+    } else if (!inQuotes && candidates.includes(char)) {
+      counts.set(char, (counts.get(char) || 0) + 1);
+    }
+  }
+  if (counts.size > 0) {
+    lines.push(counts);
+  }
+
+  let best = ',';
+  let bestScore = 0;
+  candidates.forEach(candidate => {
+    const first = lines.length ? lines[0].get(candidate) || 0 : 0;
+    if (first === 0) return;
+
+    // Lines agreeing with the header count, then the count itself as a tie-break
+    const consistent = lines.filter(line => (line.get(candidate) || 0) === first).length;
+    const score = consistent * 1000 + first;
+    if (score > bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * CSVParser class implementing the RFC 4180 grammar as a state machine
+ *
+ * Text can be given all at once with parse() or in chunks with push() and
+ * flush(); a field or row split across chunks is carried over, so chunk
+ * boundaries may fall anywhere, even inside quotes or between CR and LF.
+ * Quoted fields may contain delimiters, line breaks and doubled quotes.
+ */
+export class CSVParser {
+  /**
+   * Constructor
+   * @param {Object} options - Parse options
+   * @param {string} options.delimiter - Field delimiter, or 'auto' to detect one of
+   *   CSV_DELIMITERS (default: 'auto')
+   * @param {boolean} options.header - First row holds column names; rows become objects (default: true)
+   * @param {boolean} options.inferTypes - Convert unquoted fields with inferValue() (default: false)
+   * @param {boolean} options.trim - Trim whitespace around unquoted fields (default: true)
+   * @param {boolean} options.skipEmptyLines - Ignore blank lines (default: true)
+   */
+  constructor(options = {}) {
+    this.options = {
+      delimiter: 'auto',
+      header: true,
+      inferTypes: false,
+      trim: true,
+      skipEmptyLines: true,
+      ...options
+    };
+
+    if (this.options.delimiter !== 'auto' && this.options.delimiter.length !== 1) {
+      throw new Error(`CSV delimiter must be a single character, got "${this.options.delimiter}"`);
+    }
+
+    // Delimiter and column names of the last parsed document
+    this.delimiter = this.options.delimiter === 'auto' ? null : this.options.delimiter;
+    this.headers = null;
+    this._reset();
+  }
+
+  /**
+   * Parse a complete CSV text
+   * @param {string} text - CSV text
+   * @returns {Array} Records (objects with a header, arrays of fields without)
+   */
+  parse(text) {
+    const records = this.push(text);
+    return records.concat(this.flush());
+  }
+
+  /**
+   * Feed the next chunk of text
+   * @param {string} chunk - Next piece of the CSV text
+   * @returns {Array} Records completed by this chunk
+   */
+  push(chunk) {
+    if (this._atStart) {
+      this._sniffed += chunk;
+      if (!this._delimiter && !this._hasSniffSample()) {
+        return [];
+      }
+      chunk = this._takeSniffed();
+    }
+    this._records = [];
+    this._consume(chunk);
+    return this._records;
+  }
+
+  /**
+   * Finish parsing, completing the last row if the text didn't end with a line break
+   * @returns {Array} Remaining records
+   */
+  flush() {
+    this._records = [];
+    if (this._atStart) {
+      this._consume(this._takeSniffed());
+    }
+
+    const rowPending = this._row.length > 0 || this._field !== '' || this._state !== FIELD_START;
+    if (rowPending) {
+      this._endField();
+      this._endRow();
+    }
+
+    const records = this._records;
+    this._reset();
+    return records;
+  }
+
+  /**
+   * Parse a ReadableStream of text or UTF-8 bytes, collecting every record
+   * @param {ReadableStream} stream - Stream such as a fetch Response body
+   * @returns {Promise<Array>} All records
+   */
+  async parseStream(stream) {
+    const records = [];
+    for await (const batch of this.iterateStream(stream)) {
+      for (let i = 0; i < batch.length; i++) {
+        records.push(batch[i]);
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Parse a ReadableStream incrementally, yielding the records of each chunk
+   *
+   * Only the current chunk and the unfinished row are held as text, so
+   * large files never sit in memory as a single string.
+   * @param {ReadableStream} stream - Stream of strings or Uint8Array chunks
+   * @yields {Array} Records completed by each chunk (empty batches are skipped)
+   */
+  async *iterateStream(stream) {
+    const reader = stream.getReader();
+    const decoder = new TextDecoder('utf-8');
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        const text = typeof value === 'string' ? value : decoder.decode(value, { stream: true });
+        const records = this.push(text);
+        if (records.length) yield records;
+      }
+
+      const tail = this.push(decoder.decode()).concat(this.flush());
+      if (tail.length) yield tail;
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  /**
+   * Reset the per-document state
+   * @private
+   */
+  _reset() {
+    this._atStart = true;
+    this._sniffed = '';
+    this._state = FIELD_START;
+    this._field = '';
+    this._quoted = false;
+    this._row = [];
+    this._skipLF = false;
+    this._records = [];
+    this._headers = null;
+    this._delimiter = this.options.delimiter === 'auto' ? null : this.options.delimiter;
+  }
+
+  /**
+   * Whether enough text is buffered to guess the delimiter
+   * @private
+   * @returns {boolean} True once SNIFF_LINES lines or SNIFF_BYTES characters are buffered
+   */
+  _hasSniffSample() {
+    if (this._sniffed.length >= SNIFF_BYTES) {
+      return true;
+    }
+    let lines = 0;
+    let index = this._sniffed.indexOf('\n');
+    while (index !== -1 && ++lines < SNIFF_LINES) {
+      index = this._sniffed.indexOf('\n', index + 1);
+    }
+    return lines >= SNIFF_LINES;
+  }
+
+  /**
+   * Take the buffered start of the text, dropping a BOM and settling the delimiter
+   * @private
+   * @returns {string} Buffered text
+   */
+  _takeSniffed() {
+    let text = this._sniffed;
+    if (text.charCodeAt(0) === 0xfeff) {
+      text = text.slice(1);
+    }
+    if (!this._delimiter) {
+      this._delimiter = detectDelimiter(text);
+    }
+    this.delimiter = this._delimiter;
+    this._sniffed = '';
+    this._atStart = false;
+    return text;
+  }
+
+  /**
+   * Run the state machine over a chunk
+   * @private
+   * @param {string} chunk - Text to consume
+   */
+  _consume(chunk) {
+    const delimiter = this._delimiter.charCodeAt(0);
+    const length = chunk.length;
+
+    for (let i = 0; i < length; i++) {
+      const code = chunk.charCodeAt(i);
+
+      if (this._skipLF) {
+        this._skipLF = false;
+        if (code === LF) continue;
+      }
+
+      switch (this._state) {
+        case FIELD_START:
+          if (code === QUOTE) {
+            this._state = QUOTED;
+            this._quoted = true;
+            break;
+          }
+          this._state = UNQUOTED;
+          // falls through
+
+        case UNQUOTED: {
+          if (code === delimiter) {
+            this._endField();
+          } else if (code === LF || code === CR) {
+            this._endField();
+            this._endRow();
+            this._skipLF = code === CR;
+          } else {
+            // Copy the run of ordinary characters in one slice
+            let end = i + 1;
+            while (end < length) {
+              const next = chunk.charCodeAt(end);
+              if (next === delimiter || next === LF || next === CR) break;
+              end++;
+            }
+            this._field += chunk.slice(i, end);
+            i = end - 1;
+          }
+          break;
+        }
+
+        case QUOTED: {
+          const close = chunk.indexOf('"', i);
+          if (close === -1) {
+            this._field += chunk.slice(i);
+            i = length;
+          } else {
+            this._field += chunk.slice(i, close);
+            this._state = QUOTE_IN_QUOTED;
+            i = close;
+          }
+          break;
+        }
+
+        case QUOTE_IN_QUOTED:
+          if (code === QUOTE) {
+            // Doubled quote is an escaped quote
+            this._field += '"';
+            this._state = QUOTED;
+          } else {
+            // Closing quote
+            this._state = AFTER_QUOTED;
+            i--;
+          }
+          break;
+
+        case AFTER_QUOTED:
+          // Whitespace between a closing quote and the delimiter is padding
+          // ("a" ,b); any other stray text is kept as-is
+          if (code !== delimiter && (code === SPACE || code === TAB)) break;
+          this._state = UNQUOTED;
+          i--;
+          break;
+      }
+    }
+  }
+
+  /**
+   * Complete the current field
+   * @private
+   */
+  _endField() {
+    let value = this._field;
+    if (!this._quoted) {
+      if (this.options.trim) {
+        value = value.trim();
+      }
+      // Column names are never converted
+      const isHeaderRow = this.options.header && this._headers === null;
+      if (this.options.inferTypes && !isHeaderRow) {
+        value = inferValue(value);
+      }
+    }
+
+    this._row.push(value);
+    this._field = '';
+    this._quoted = false;
+    this._state = FIELD_START;
+  }
+
+  /**
+   * Complete the current row, turning it into a record
+   * @private
+   */
+  _endRow() {
+    const row = this._row;
+    this._row = [];
+
+    const blank = row.length === 1 && (row[0] === '' || row[0] === null);
+    if (blank && this.options.skipEmptyLines) {
+      return;
+    }
+
+    if (!this.options.header) {
+      this._records.push(row);
+    } else if (this._headers === null) {
+      this._headers = row;
+      this.headers = row;
+    } else {
+      const headers = this._headers;
+      const record = {};
+      const missing = this.options.inferTypes ? null : '';
+      for (let i = 0; i < headers.length; i++) {
+        record[headers[i]] = i < row.length ? row[i] : missing;
+      }
+      this._records.push(record);
+    }
+  }
+}
+
+/**
+ * Parse a complete CSV text
+ * @param {string} text - CSV text
+ * @param {Object} options - Parse options (see CSVParser)
+ * @returns {Array} Records
+ */
+export function parseCSV(text, options = {}) {
+  return new CSVParser(options).parse(text);
+}
+
+/**
+ * Parse a ReadableStream of CSV text or bytes
+ * @param {ReadableStream} stream - Stream such as a fetch Response body
+ * @param {Object} options - Parse options (see CSVParser)
+ * @returns {Promise<Array>} Records
+ */
+export function parseCSVStream(stream, options = {}) {
+  return new CSVParser(options).parseStream(stream);
+}
+
+export default CSVParser;
@@ -0,0 +1,413 @@
+/**
+ * ColumnTable - Columnar dataset backed by typed arrays
+ * ES Module storing numbers in Float64Array/Float32Array and strings
+ * dictionary-encoded, so large datasets need no object per row
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+/**
+ * Column storage types
+ */
+export const COLUMN_TYPES = {
+  FLOAT64: 'float64',
+  FLOAT32: 'float32',
+  DATE: 'date',
+  DICTIONARY: 'dictionary',
+  ARRAY: 'array'
+};
+
+const FLOAT_ARRAYS = {
+  [COLUMN_TYPES.FLOAT64]: Float64Array,
+  [COLUMN_TYPES.FLOAT32]: Float32Array,
+  [COLUMN_TYPES.DATE]: Float64Array
+};
+
+/**
+ * Check whether a value is a ColumnTable
+ * @param {*} value - Value to test
+ * @returns {boolean} True for ColumnTable instances
+ */
+export function isColumnTable(value) {
+  return value instanceof ColumnTable;
+}
+
+/**
+ * Pick the storage type for a column by scanning its values
+ * @private
+ * @param {Function} get - (row) => value
+ * @param {number} length - Number of rows
+ * @param {string} precision - Storage for numbers, 'float64' or 'float32'
+ * @returns {string} Column type
+ */
+function inferColumnType(get, length, precision) {
+  let kind = null;
+  for (let i = 0; i < length; i++) {
+    const value = get(i);
+    if (value === null || value === undefined) continue;
+
+    let valueKind;
+    if (typeof value === 'number') {
+      valueKind = precision;
+    } else if (typeof value === 'string') {
+      valueKind = COLUMN_TYPES.DICTIONARY;
+    } else if (value instanceof Date) {
+      valueKind = COLUMN_TYPES.DATE;
+    } else {
+      return COLUMN_TYPES.ARRAY;
+    }
+
+    if (kind === null) {
+      kind = valueKind;
+    } else if (kind !== valueKind) {
+      return COLUMN_TYPES.ARRAY;
+    }
+  }
+  // An all-null column costs least as numbers
+  return kind || precision;
+}
+
+/**
+ * Encode values into a column of the given type
+ *
+ * Missing numbers and dates are stored as NaN; missing strings get the
+ * code -1.
+ * @private
+ * @param {Function} get - (row) => value
+ * @param {number} length - Number of rows
+ * @param {string} type - Column type
+ * @returns {Object} Column {type, values, dictionary}
+ */
+function encodeColumn(get, length, type) {
+  if (FLOAT_ARRAYS[type]) {
+    const values = new FLOAT_ARRAYS[type](length);
+    for (let i = 0; i < length; i++) {
+      const value = get(i);
+      values[i] = value === null || value === undefined ? NaN : +value;
+    }
+    return { type, values };
+  }
+
+  if (type === COLUMN_TYPES.DICTIONARY) {
+    const values = new Int32Array(length);
+    const dictionary = [];
+    const codes = new Map();
+    for (let i = 0; i < length; i++) {
+      const value = get(i);
+      if (value === null || value === undefined) {
+        values[i] = -1;
+        continue;
+      }
+      let code = codes.get(value);
+      if (code === undefined) {
+        code = dictionary.length;
+        codes.set(value, code);
+        dictionary.push(value);
+      }
+      values[i] = code;
+    }
+    return { type, values, dictionary };
+  }
+
+  return { type: COLUMN_TYPES.ARRAY, values: Array.from({ length }, (_, i) => get(i)) };
+}
+
+/**
+ * Turn one entry of ColumnTable.fromColumns() input into a column
+ * @private
+ * @param {Array|TypedArray|Object} source - Values, or a stored column {type, values, dictionary}
+ * @param {string} precision - Storage for inferred number columns
+ * @returns {Object} Column {type, values, dictionary}
+ */
+function toColumn(source, precision) {
+  if (source instanceof Float64Array) {
+    return { type: COLUMN_TYPES.FLOAT64, values: source };
+  }
+  if (source instanceof Float32Array) {
+    return { type: COLUMN_TYPES.FLOAT32, values: source };
+  }
+  if (ArrayBuffer.isView(source)) {
+    return { type: precision, values: FLOAT_ARRAYS[precision].from(source, Number) };
+  }
+  if (Array.isArray(source)) {
+    const get = i => source[i];
+    return encodeColumn(get, source.length, inferColumnType(get, source.length, precision));
+  }
+
+  // A column stored earlier: kept as-is after a structured clone, rebuilt
+  // from plain arrays after a JSON round trip
+  const { type, values, dictionary } = source;
+  const Float = FLOAT_ARRAYS[type];
+  if (Float) {
+    return values instanceof Float ? { type, values } : encodeColumn(i => values[i], values.length, type);
+  }
+  if (type === COLUMN_TYPES.DICTIONARY) {
+    return { type, values: values instanceof Int32Array ? values : Int32Array.from(values), dictionary };
+  }
+  return { type: COLUMN_TYPES.ARRAY, values: Array.from(values) };
+}
+
+/**
+ * ColumnTable class
+ *
+ * Holds one array per column instead of one object per row. Number
+ * columns are Float64Array (or Float32Array) with NaN for missing values,
+ * dates are Float64Array milliseconds, and strings are Int32Array codes
+ * into a dictionary of distinct values. Anything else stays a plain array.
+ *
+ * All state lives in the enumerable `numRows` and `columns` fields, so a
+ * table can be posted to a worker as-is and rebuilt with ColumnTable.from().
+ */
+export class ColumnTable {
+  /**
+   * Constructor
+   * @param {Object} columns - Columns by name, each {type, values, dictionary}
+   * @param {number} numRows - Row count (default: length of the first column)
+   */
+  constructor(columns = {}, numRows) {
+    this.columns = columns;
+    const first = Object.values(columns)[0];
+    this.numRows = numRows ?? (first ? first.values.length : 0);
+  }
+
+  /**
+   * Build a table from an array of records
+   * @param {Array<Object>} records - Records
+   * @param {Object} options - Options
+   * @param {Array<string>} options.columns - Columns to keep (default: every key seen)
+   * @param {string} options.precision - Number storage, 'float64' (default) or 'float32'
+   * @returns {ColumnTable} Table
+   */
+  static fromRecords(records, options = {}) {
+    const precision = options.precision || COLUMN_TYPES.FLOAT64;
+    let names = options.columns;
+    if (!names) {
+      const seen = new Set();
+      for (let i = 0; i < records.length; i++) {
+        for (const key in records[i]) {
+          seen.add(key);
+        }
+      }
+      names = Array.from(seen);
+    }
+
+    const columns = {};
+    names.forEach(name => {
+      const get = i => (records[i] == null ? undefined : records[i][name]);
+      columns[name] = encodeColumn(get, records.length, inferColumnType(get, records.length, precision));
+    });
+    return new ColumnTable(columns, records.length);
+  }
+
+  /**
+   * Build a table from arrays of values
+   *
+   * Float64Array and Float32Array columns are used without copying; other
+   * typed arrays are widened to numbers and plain arrays are encoded by
+   * the type of their values.
+   * @param {Object} columns - Values by column name
+   * @param {Object} options - Options
+   * @param {number} options.numRows - Row count (default: longest column)
+   * @param {string} options.precision - Storage for number arrays (default: 'float64')
+   * @returns {ColumnTable} Table
+   */
+  static fromColumns(columns, options = {}) {
+    const precision = options.precision || COLUMN_TYPES.FLOAT64;
+    const result = {};
+    let numRows = 0;
+    Object.keys(columns).forEach(name => {
+      result[name] = toColumn(columns[name], precision);
+      numRows = Math.max(numRows, result[name].values.length);
+    });
+    return new ColumnTable(result, options.numRows ?? numRows);
+  }
+
+  /**
+   * Build a table from records, another table, readArrow() output or a
+   * table that went through postMessage or JSON
+   * @param {ColumnTable|Array<Object>|Object} data - Source data
+   * @param {Object} options - Options passed to fromRecords()/fromColumns()
+   * @returns {ColumnTable} Table
+   */
+  static from(data, options = {}) {
+    if (isColumnTable(data)) {
+      return data;
+    }
+    if (Array.isArray(data)) {
+      return ColumnTable.fromRecords(data, options);
+    }
+    if (data && typeof data === 'object' && data.columns && typeof data.columns === 'object') {
+      return ColumnTable.fromColumns(data.columns, { numRows: data.numRows, ...options });
+    }
+    throw new Error('ColumnTable: expected an array of records or an object with columns');
+  }
+
+  /**
+   * Column names, in insertion order
+   * @returns {Array<string>} Names
+   */
+  get columnNames() {
+    return Object.keys(this.columns);
+  }
+
+  /**
+   * Approximate memory held by the columns, in bytes
+   * @returns {number} Byte count
+   */
+  get byteLength() {
+    return Object.values(this.columns).reduce((total, column) => {
+      if (column.type === COLUMN_TYPES.ARRAY) {
+        return total + column.values.length * 8;
+      }
+      const dictionary = column.dictionary
+        ? column.dictionary.reduce((sum, value) => sum + value.length * 2, 0)
+        : 0;
+      return total + column.values.byteLength + dictionary;
+    }, 0);
+  }
+
+  /**
+   * Check whether a column exists
+   * @param {string} name - Column name
+   * @returns {boolean} True if present
+   */
+  hasColumn(name) {
+    return Object.prototype.hasOwnProperty.call(this.columns, name);
+  }
+
+  /**
+   * Storage type of a column
+   * @param {string} name - Column name
+   * @returns {string|undefined} One of COLUMN_TYPES, or undefined for unknown columns
+   */
+  columnType(name) {
+    return this.hasColumn(name) ? this.columns[name].type : undefined;
+  }
+
+  /**
+   * Values of a column
+   *
+   * Number and date columns return their typed array itself (dates as
+   * milliseconds), so don't modify it. Dictionary columns are decoded into
+   * a new array of strings; use getDictionary() to work on the codes.
+   * @param {string} name - Column name
+   * @returns {TypedArray|Array|undefined} Values, or undefined for unknown columns
+   */
+  getColumn(name) {
+    if (!this.hasColumn(name)) {
+      return undefined;
+    }
+    const { type, values, dictionary } = this.columns[name];
+    if (type === COLUMN_TYPES.DICTIONARY) {
+      return Array.from(values, code => (code < 0 ? null : dictionary[code]));
+    }
+    return values;
+  }
+
+  /**
+   * Codes and distinct values of a dictionary-encoded column
+   * @param {string} name - Column name
+   * @returns {{codes: Int32Array, dictionary: Array<string>}|null} Codes (-1 for null)
+   *   and dictionary, or null if the column isn't dictionary-encoded
+   */
+  getDictionary(name) {
+    if (this.columnType(name) !== COLUMN_TYPES.DICTIONARY) {
+      return null;
+    }
+    const { values, dictionary } = this.columns[name];
+    return { codes: values, dictionary };
+  }
+
+  /**
+   * Accessor reading one column by row index
+   *
+   * Resolves the column once, which makes it the fast path for loops over
+   * many rows. Missing values read as null and dates as Date objects.
+   * @param {string} name - Column name
+   * @returns {Function} (row) => value; always undefined for unknown columns
+   */
+  reader(name) {
+    if (!this.hasColumn(name)) {
+      return () => undefined;
+    }
+    const { type, values, dictionary } = this.columns[name];
+    switch (type) {
+      case COLUMN_TYPES.DICTIONARY:
+        return row => (values[row] < 0 ? null : dictionary[values[row]]);
+      case COLUMN_TYPES.DATE:
+        return row => (Number.isNaN(values[row]) ? null : new Date(values[row]));
+      case COLUMN_TYPES.ARRAY:
+        return row => values[row];
+      default:
+        return row => (Number.isNaN(values[row]) ? null : values[row]);
+    }
+  }
+
+  /**
+   * Value at a row and column
+   * @param {number} row - Row index
+   * @param {string} name - Column name
+   * @returns {*} Value (null when missing)
+   */
+  getValue(row, name) {
+    return this.reader(name)(row);
+  }
+
+  /**
+   * Materialize one row as a record
+   * @param {number} index - Row index
+   * @returns {Object} Record with one field per column
+   */
+  row(index) {
+    const record = {};
+    this.columnNames.forEach(name => {
+      record[name] = this.getValue(index, name);
+    });
+    return record;
+  }
+
+  /**
+   * Iterate over the rows as records, one at a time
+   * @yields {Object} Record
+   */
+  *rows() {
+    const names = this.columnNames;
+    const readers = names.map(name => this.reader(name));
+    for (let i = 0; i < this.numRows; i++) {
+      const record = {};
+      for (let c = 0; c < names.length; c++) {
+        record[names[c]] = readers[c](i);
+      }
+      yield record;
+    }
+  }
+
+  [Symbol.iterator]() {
+    return this.rows();
+  }
+
+  /**
+   * Materialize every row
+   * @returns {Array<Object>} Records
+   */
+  toRecords() {
+    return Array.from(this.rows());
+  }
+
+  /**
+   * Plain form for JSON, with typed arrays as arrays (read back with from())
+   * @returns {Object} {numRows, columns}
+   */
+  toJSON() {
+    const columns = {};
+    Object.keys(this.columns).forEach(name => {
+      const { type, values, dictionary } = this.columns[name];
+      columns[name] = dictionary
+        ? { type, values: Array.from(values), dictionary }
+        : { type, values: Array.from(values, value => (Number.isNaN(value) ? null : value)) };
+    });
+    return { numRows: this.numRows, columns };
+  }
+}
+
+export default ColumnTable;
@@ -0,0 +1,175 @@
+/**
+ * DataCache - In-memory LRU cache with per-entry expiry
+ * ES Module used by DataEngine to keep recently loaded datasets
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+/**
+ * DataCache class implementing least-recently-used eviction
+ *
+ * Entries are kept in a Map, whose insertion order doubles as the recency
+ * order: reading an entry re-inserts it at the end, so the first key is
+ * always the least recently used one.
+ */
+export class DataCache {
+  /**
+   * Constructor
+   * @param {Object} options - Configuration options
+   * @param {number} options.maxSize - Maximum number of entries (default: 100)
+   * @param {number} options.ttl - Time to live in milliseconds, 0 disables expiry (default: 0)
+   * @param {Function} options.onEvict - Called with (key, value, reason) when an entry is
+   *   dropped for space ('lru') or age ('expired'), not when deleted explicitly
+   */
+  constructor(options = {}) {
+    this.maxSize = options.maxSize || 100;
+    this.ttl = options.ttl || 0;
+    this.onEvict = options.onEvict || null;
+    this._entries = new Map();
+  }
+
+  /**
+   * Number of entries currently stored
+   * @returns {number} Entry count
+   */
+  get size() {
+    return this._entries.size;
+  }
+
+  /**
+   * Get a cached value and mark it as recently used
+   * @param {string} key - Cache key
+   * @returns {*} Cached value, or undefined if missing or expired
+   */
+  get(key) {
+    const entry = this._entries.get(key);
+    if (!entry) return undefined;
+
+    if (this._isExpired(entry)) {
+      this._evict(key, entry, 'expired');
+      return undefined;
+    }
+
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Read an entry without updating its recency or dropping it when expired
+   *
+   * Lets a caller revalidate or fall back to an expired value.
+   * @param {string} key - Cache key
+   * @returns {Object|undefined} {value, expired}, or undefined if missing
+   */
+  peek(key) {
+    const entry = this._entries.get(key);
+    if (!entry) return undefined;
+    return { value: entry.value, expired: this._isExpired(entry) };
+  }
+
+  /**
+   * Store a value, evicting the least recently used entries when full
+   * @param {string} key - Cache key
+   * @param {*} value - Value to store
+   * @param {number} ttl - Entry-specific time to live in milliseconds
+   * @returns {DataCache} This cache, for chaining
+   */
+  set(key, value, ttl = this.ttl) {
+    if (this._entries.has(key)) {
+      this._entries.delete(key);
+    }
+
+    this._entries.set(key, {
+      value,
+      expiresAt: ttl > 0 ? Date.now() + ttl : Infinity
+    });
+
+    while (this._entries.size > this.maxSize) {
+      const oldest = this._entries.keys().next().value;
+      this._evict(oldest, this._entries.get(oldest), 'lru');
+    }
+    return this;
+  }
+
+  /**
+   * Check whether a live entry exists without updating its recency
+   * @param {string} key - Cache key
+   * @returns {boolean} True if the key is cached and not expired
+   */
+  has(key) {
+    const entry = this._entries.get(key);
+    if (!entry) return false;
+
+    if (this._isExpired(entry)) {
+      this._evict(key, entry, 'expired');
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   * @returns {boolean} True if an entry was removed
+   */
+  delete(key) {
+    return this._entries.delete(key);
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this._entries.clear();
+  }
+
+  /**
+   * Remove all expired entries
+   * @returns {number} Number of entries removed
+   */
+  prune() {
+    let removed = 0;
+    for (const [key, entry] of this._entries) {
+      if (this._isExpired(entry)) {
+        this._evict(key, entry, 'expired');
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * List cached keys from least to most recently used
+   * @returns {Array<string>} Cache keys
+   */
+  keys() {
+    return Array.from(this._entries.keys());
+  }
+
+  /**
+   * Drop an entry and report it to onEvict
+   * @private
+   * @param {string} key - Cache key
+   * @param {Object} entry - Stored entry
+   * @param {string} reason - 'lru' or 'expired'
+   */
+  _evict(key, entry, reason) {
+    this._entries.delete(key);
+    if (this.onEvict) {
+      this.onEvict(key, entry.value, reason);
+    }
+  }
+
+  /**
+   * Check whether an entry has outlived its TTL
+   * @private
+   * @param {Object} entry - Stored entry
+   * @returns {boolean} True if expired
+   */
+  _isExpired(entry) {
+    return Date.now() >= entry.expiresAt;
+  }
+}
+
+export default DataCache;
@@ -5,16 +5,44 @@
  * @version 1.0.0
  */
 
+import { parseCSV } from './CSVParser.js';
+import { BUILTIN_FORMATS } from './formats.js';
+import { createPagination, pageRecords } from './pagination.js';
+
 /**
  * Supported data formats
  */
 export const DATA_FORMATS = {
   JSON: 'json',
   CSV: 'csv',
+  TSV: 'tsv',
   XML: 'xml',
+  NDJSON: 'ndjson',
+  GEOJSON: 'geojson',
+  ARROW: 'arrow',
   TEXT: 'text'
 };
 
+/**
+ * Methods retried by default; repeating them has no additional effect
+ */
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Response statuses worth retrying
+ */
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Content types that say nothing about the format; the body is sniffed instead
+ */
+const GENERIC_CONTENT_TYPES = ['text/plain', 'application/octet-stream'];
+
+/**
+ * Bytes of the body inspected when sniffing the format
+ */
+const SNIFF_BYTES = 1024;
+
 /**
  * HTTP methods for data fetching
  */
@@ -25,6 +53,90 @@ export const HTTP_METHODS = {
   DELETE: 'DELETE'
 };
 
+/**
+ * Error for a request cancelled through its AbortSignal
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {Error} The signal's reason, or an Error named 'AbortError'
+ */
+function abortError(signal) {
+  if (signal.reason instanceof Error) {
+    return signal.reason;
+  }
+  const error = new Error('Request aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Whether a request body should be serialised as JSON
+ * @param {*} body - Request body
+ * @returns {boolean} True for plain objects and arrays
+ */
+function isJSONBody(body) {
+  if (Array.isArray(body)) {
+    return true;
+  }
+  if (typeof body !== 'object') {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(body);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Whether fetch labels a request body itself
+ *
+ * FormData needs the multipart boundary fetch generates, so an explicit
+ * Content-Type would break it; Blob and URLSearchParams carry their own.
+ * @param {*} body - Request body
+ * @returns {boolean} True for FormData, Blob and URLSearchParams bodies
+ */
+function isSelfDescribingBody(body) {
+  return (typeof FormData !== 'undefined' && body instanceof FormData) ||
+    (typeof Blob !== 'undefined' && body instanceof Blob) ||
+    (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams);
+}
+
+/**
+ * Create an interceptor adding a bearer token and refreshing it on 401
+ *
+ * Concurrent 401s share a single refresh.
+ * @param {Object} options - Auth options
+ * @param {Function} options.getToken - async () => current token (or null to send none)
+ * @param {Function} options.refreshToken - async () => truthy once getToken() returns a new token
+ * @param {string} options.header - Header carrying the token (default: 'Authorization')
+ * @param {string} options.scheme - Prefix before the token, '' for none (default: 'Bearer')
+ * @returns {Object} Interceptor for DataLoader#addInterceptor()
+ */
+export function createAuthInterceptor(options) {
+  const { getToken, refreshToken, header = 'Authorization', scheme = 'Bearer' } = options;
+  let refreshing = null;
+
+  return {
+    async request(request) {
+      const token = await getToken();
+      if (token) {
+        request.headers[header] = scheme ? `${scheme} ${token}` : token;
+      }
+      return request;
+    },
+
+    async unauthorized() {
+      if (!refreshToken) {
+        return false;
+      }
+      if (!refreshing) {
+        refreshing = Promise.resolve()
+          .then(refreshToken)
+          .finally(() => {
+            refreshing = null;
+          });
+      }
+      return Boolean(await refreshing);
+    }
+  };
+}
+
 /**
  * DataLoader class for fetching and parsing data from various sources
  */
@@ -33,54 +145,153 @@ export class DataLoader {
    * Constructor
    * @param {Object} config - Configuration options
    * @param {string} config.baseURL - Base URL for relative requests
-   * @param {Object} config.defaultHeaders - Default headers for requests
-   * @param {number} config.timeout - Request timeout in milliseconds
+   * @param {Object} config.defaultHeaders - Default headers for requests; Content-Type
+   *   is dropped from requests without a body
+   * @param {number} config.timeout - Request timeout in milliseconds, per attempt
+   * @param {number} config.maxRetries - Retries after a network error, timeout or
+   *   retryable status (408, 429, 5xx gateway errors) for idempotent methods (default: 2)
+   * @param {number} config.retryDelay - Base backoff delay in milliseconds, doubled
+   *   on each retry and jittered (default: 300)
+   * @param {number} config.maxRetryDelay - Upper bound for any wait between attempts,
+   *   including Retry-After (default: 30000)
+   * @param {boolean} config.dedupe - Share one in-flight request between identical
+   *   GET/HEAD calls (default: true)
    */
   constructor(config = {}) {
     this.config = {
       baseURL: config.baseURL || '',
-      defaultHeaders: config.defaultHeaders || {
-        'Content-Type': 'application/json'
-      },
-      timeout: config.timeout || 10000
+      defaultHeaders: config.defaultHeaders || {},
+      timeout: config.timeout || 10000,
+      maxRetries: config.maxRetries !== undefined ? config.maxRetries : 2,
+      retryDelay: config.retryDelay !== undefined ? config.retryDelay : 300,
+      maxRetryDelay: config.maxRetryDelay || 30000,
+      dedupe: config.dedupe !== false
     };
+
+    // Shared requests by dedupe key: {promise, waiting}
+    this.inFlight = new Map();
+
+    // Request, response and data hooks, in the order they run
+    this.interceptors = [];
+
+    // Format handlers by name, in registration order
+    this.formats = new Map(Object.entries(BUILTIN_FORMATS));
+  }
+
+  /**
+   * Register a format handler, or replace an existing one
+   *
+   * The handler is used by load() for URLs with one of its extensions,
+   * responses with one of its content types, or bodies its sniff()
+   * recognises. Handlers registered later are tried first.
+   * @param {string} name - Format name, as passed to load()
+   * @param {Object} handler - Format handler
+   * @param {Array<string>} handler.extensions - File extensions, without the dot
+   * @param {Array<string>} handler.mimeTypes - Content-Type values, without parameters
+   * @param {Function} handler.sniff - (bytes, text) => boolean, given the first bytes of the body
+   * @param {Function} handler.parse - async (response, options, loader) => parsed data
+   * @returns {DataLoader} This loader, for chaining
+   */
+  registerFormat(name, handler) {
+    if (!handler || typeof handler.parse !== 'function') {
+      throw new Error(`Format "${name}" needs a parse(response, options) function`);
+    }
+    // Re-insert so a replaced handler also moves to the front of detection
+    this.formats.delete(name);
+    this.formats.set(name, handler);
+    return this;
+  }
+
+  /**
+   * Remove a format handler
+   * @param {string} name - Format name
+   * @returns {boolean} True if the format was registered
+   */
+  unregisterFormat(name) {
+    return this.formats.delete(name);
+  }
+
+  /**
+   * Add an interceptor
+   *
+   * Every hook is optional and may be async:
+   * - request(request, options) runs before each send with a mutable
+   *   {url, method, headers, body} and may return a replacement;
+   * - unauthorized(request, response) runs on a 401 and returns true once
+   *   credentials are renewed, to replay the request a single time;
+   * - response(response, request) may return a replacement Response;
+   * - data(data, context) runs after parsing, with {format, url, response},
+   *   and may return replacement data (e.g. unwrapping an envelope).
+   * @param {Object} interceptor - Object with any of the hooks above
+   * @returns {DataLoader} This loader, for chaining
+   */
+  addInterceptor(interceptor) {
+    this.interceptors.push(interceptor);
+    return this;
+  }
+
+  /**
+   * Remove an interceptor
+   * @param {Object} interceptor - Interceptor passed to addInterceptor()
+   * @returns {DataLoader} This loader, for chaining
+   */
+  removeInterceptor(interceptor) {
+    const index = this.interceptors.indexOf(interceptor);
+    if (index > -1) {
+      this.interceptors.splice(index, 1);
+    }
+    return this;
   }
 
   /**
    * Fetch data from URL
+   * 
+   * Idempotent requests are retried with exponential backoff and jitter,
+   * waiting for Retry-After on 429 and 503. Identical GET/HEAD requests made
+   * while one is in flight share it, each caller getting its own clone of
+   * the response.
    * @param {string} url - URL to fetch data from
    * @param {Object} options - Fetch options
    * @param {string} options.method - HTTP method
    * @param {Object} options.headers - Request headers
-   * @param {*} options.body - Request body
+   * @param {*} options.body - Request body; plain objects and arrays are sent as JSON
+   * @param {string} options.contentType - Content-Type of the body (default: application/json
+   *   for objects and arrays; ignored for FormData, Blob and URLSearchParams, which fetch labels)
+   * @param {AbortSignal} options.signal - Cancels the request and any pending retry;
+   *   requests with a signal are never shared
+   * @param {number} options.maxRetries - Retries for this request; setting it also
+   *   allows retrying non-idempotent methods such as POST
+   * @param {boolean} options.dedupe - Set to false to always send a new request
    * @returns {Promise<Response>} Fetch response
    */
   async fetch(url, options = {}) {
-    const fullUrl = this._buildURL(url);
-    const fetchOptions = this._buildFetchOptions(options);
+    const request = {
+      url: this._buildURL(url),
+      ...this._buildFetchOptions(options)
+    };
+    const key = this._dedupeKey(request, options);
+
+    if (!key) {
+      return this._send(request, options);
+    }
+
+    let entry = this.inFlight.get(key);
+    if (!entry) {
+      entry = { promise: this._send(request, options), waiting: 0 };
+      this.inFlight.set(key, entry);
+      const release = () => this.inFlight.delete(key);
+      entry.promise.then(release, release);
+    }
 
+    entry.waiting++;
+    let response;
     try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
-      
-      const response = await fetch(fullUrl, {
-        ...fetchOptions,
-        signal: controller.signal
-      });
-      
-      clearTimeout(timeoutId);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      return response;
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        throw new Error(`Request timeout after ${this.config.timeout}ms`);
-      }
-      throw error;
+      response = await entry.promise;
+    } finally {
+      entry.waiting--;
     }
+    // Callers still to resume need an unread body, so only the last one gets the original
+    return entry.waiting > 0 && typeof response.clone === 'function' ? response.clone() : response;
   }
 
   /**
@@ -90,45 +301,85 @@ export class DataLoader {
    * @returns {Promise<Object>} Parsed JSON data
    */
   async loadJSON(url, options = {}) {
-    const response = await this.fetch(url, options);
-    return await response.json();
+    return this.loadAs(DATA_FORMATS.JSON, url, options);
   }
 
   /**
    * Load and parse CSV data
+   * 
+   * The response body is parsed as it streams in when the runtime exposes
+   * it as a ReadableStream.
    * @param {string} url - URL to CSV resource
    * @param {Object} options - Fetch options
-   * @param {string} options.delimiter - CSV delimiter (default: ',')
+   * @param {string} options.delimiter - CSV delimiter, or 'auto' to detect it (default: 'auto')
    * @param {boolean} options.header - Whether first row contains headers
+   * @param {boolean} options.inferTypes - Convert numbers, booleans, ISO dates and empty fields
    * @returns {Promise<Array>} Parsed CSV data as array of objects
    */
   async loadCSV(url, options = {}) {
-    const response = await this.fetch(url, options);
-    const text = await response.text();
-    return this._parseCSV(text, {
-      delimiter: options.delimiter || ',',
-      header: options.header !== false
-    });
+    return this.loadAs(DATA_FORMATS.CSV, url, options);
+  }
+
+  /**
+   * Load and parse tab-separated data
+   * @param {string} url - URL to TSV resource
+   * @param {Object} options - Fetch and parse options, as for loadCSV() (delimiter defaults to a tab)
+   * @returns {Promise<Array>} Parsed rows as array of objects
+   */
+  async loadTSV(url, options = {}) {
+    return this.loadAs(DATA_FORMATS.TSV, url, options);
+  }
+
+  /**
+   * Load newline-delimited JSON (one JSON value per line)
+   * 
+   * Lines are parsed as the body streams in; a malformed line is reported
+   * with its line number.
+   * @param {string} url - URL to NDJSON resource
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Array>} Parsed values
+   */
+  async loadNDJSON(url, options = {}) {
+    return this.loadAs(DATA_FORMATS.NDJSON, url, options);
+  }
+
+  /**
+   * Load GeoJSON data
+   * @param {string} url - URL to GeoJSON resource
+   * @param {Object} options - Fetch options
+   * @param {boolean} options.flatten - Return one record per feature, holding its id,
+   *   properties and geometry (default: true); false returns the document as-is
+   * @returns {Promise<Array|Object>} Feature records, or the GeoJSON object
+   */
+  async loadGeoJSON(url, options = {}) {
+    return this.loadAs(DATA_FORMATS.GEOJSON, url, options);
+  }
+
+  /**
+   * Load an Apache Arrow IPC file or stream
+   * @param {string} url - URL to Arrow resource
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Object>} Table as {schema, numRows, columns}, with numeric
+   *   columns as typed arrays (see ArrowReader)
+   */
+  async loadArrow(url, options = {}) {
+    return this.loadAs(DATA_FORMATS.ARROW, url, options);
   }
 
   /**
    * Load XML data
+   * 
+   * With a mapping, the document is turned into records (see mapXML):
+   * `{rows: '//item', fields: {id: {path: '@id', type: 'integer'}, title: 'title'}}`.
+   * Without DOMParser (Node, Web Workers) the built-in XMLParser is used.
    * @param {string} url - URL to XML resource
    * @param {Object} options - Fetch options
-   * @returns {Promise<Document>} Parsed XML document
+   * @param {Object} options.mapping - Row path and field specs; omit to get the document
+   * @param {string} options.parser - 'auto', 'dom' or 'builtin' (default: 'auto')
+   * @returns {Promise<Document|XMLNode|Array<Object>>} Parsed XML document, or records with a mapping
    */
   async loadXML(url, options = {}) {
-    const response = await this.fetch(url, options);
-    const text = await response.text();
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(text, 'application/xml');
-    
-    const parseError = doc.querySelector('parsererror');
-    if (parseError) {
-      throw new Error('XML parsing error: ' + parseError.textContent);
-    }
-    
-    return doc;
+    return this.loadAs(DATA_FORMATS.XML, url, options);
   }
 
   /**
@@ -138,31 +389,46 @@ export class DataLoader {
    * @returns {Promise<string>} Text content
    */
   async loadText(url, options = {}) {
+    return this.loadAs(DATA_FORMATS.TEXT, url, options);
+  }
+
+  /**
+   * Load data with a registered format handler
+   * @param {string} format - Format name
+   * @param {string} url - URL to resource
+   * @param {Object} options - Fetch and parse options
+   * @returns {Promise<*>} Parsed data
+   */
+  async loadAs(format, url, options = {}) {
+    const handler = this._getFormat(format);
     const response = await this.fetch(url, options);
-    return await response.text();
+    const data = await handler.parse(response, options, this);
+    return this._interceptData(data, { format, url, response });
   }
 
   /**
    * Generic data loader that auto-detects format
+   * 
+   * Without an explicit format, the URL extension is tried first, then the
+   * response Content-Type, then the leading bytes of the body; anything
+   * unrecognised is returned as text.
    * @param {string} url - URL to resource
    * @param {string} format - Data format (optional, auto-detected if not provided)
    * @param {Object} options - Fetch options
    * @returns {Promise<*>} Parsed data
    */
   async load(url, format = null, options = {}) {
-    const detectedFormat = format || this._detectFormat(url);
-    
-    switch (detectedFormat) {
-      case DATA_FORMATS.JSON:
-        return this.loadJSON(url, options);
-      case DATA_FORMATS.CSV:
-        return this.loadCSV(url, options);
-      case DATA_FORMATS.XML:
-        return this.loadXML(url, options);
-      case DATA_FORMATS.TEXT:
-      default:
-        return this.loadText(url, options);
+    const knownFormat = format || this._detectFormat(url);
+    if (knownFormat) {
+      return this.loadAs(knownFormat, url, options);
     }
+
+    const response = await this.fetch(url, options);
+    const detectedFormat = this._formatFromContentType(response) ||
+      await this._sniffFormat(response) ||
+      DATA_FORMATS.TEXT;
+    const data = await this._getFormat(detectedFormat).parse(response, options, this);
+    return this._interceptData(data, { format: detectedFormat, url, response });
   }
 
   /**
@@ -177,6 +443,87 @@ export class DataLoader {
     return await Promise.all(promises);
   }
 
+  /**
+   * Load a paginated resource page by page
+   * 
+   * Pages are fetched one at a time and yielded as they arrive, so charts
+   * can render progressively; stop iterating (or abort the signal) to stop
+   * fetching.
+   * @param {string} url - URL of the first page
+   * @param {Object} options - Fetch and parse options, plus:
+   * @param {string|Object|Function} options.pagination - Next-page strategy: 'link',
+   *   'cursor', 'offset', 'page', {type, ...options} or a custom {first?, next}
+   *   (see pagination.js; default: 'link')
+   * @param {string|Function} options.records - Body path of each page's records
+   *   (default: the page itself, or its data/items/results/records array)
+   * @param {string} options.format - Page format (default: from the extension, else JSON)
+   * @param {number} options.maxRecords - Stop after this many records (default: no limit)
+   * @param {number} options.maxPages - Stop after this many pages (default: no limit)
+   * @param {AbortSignal} options.signal - Cancels the current request and the iteration
+   * @yields {Object} Page as {records, data, index, count, url, response}, where count
+   *   is the number of records so far
+   */
+  async *loadPages(url, options = {}) {
+    const {
+      pagination,
+      records: recordsPath,
+      format,
+      maxRecords = Infinity,
+      maxPages = Infinity,
+      ...requestOptions
+    } = options;
+    const strategy = createPagination(pagination);
+    const { signal } = requestOptions;
+
+    let pageUrl = strategy.first ? strategy.first(url) : url;
+    let count = 0;
+
+    for (let index = 0; pageUrl && index < maxPages && count < maxRecords; index++) {
+      if (signal && signal.aborted) {
+        throw abortError(signal);
+      }
+
+      const pageFormat = format || this._detectFormat(pageUrl) || DATA_FORMATS.JSON;
+      const response = await this.fetch(pageUrl, requestOptions);
+      const parsed = await this._getFormat(pageFormat).parse(response, requestOptions, this);
+      const data = await this._interceptData(parsed, { format: pageFormat, url: pageUrl, response });
+
+      let records = pageRecords(data, recordsPath);
+      if (count + records.length > maxRecords) {
+        records = records.slice(0, maxRecords - count);
+      }
+      count += records.length;
+
+      yield { records, data, index, count, url: pageUrl, response };
+
+      // An empty page ends the listing whatever the strategy says
+      pageUrl = records.length > 0
+        ? strategy.next({ url: pageUrl, response, data, records, index, count })
+        : null;
+    }
+  }
+
+  /**
+   * Load every page of a paginated resource
+   * @param {string} url - URL of the first page
+   * @param {Object} options - Options as for loadPages()
+   * @param {Function} options.onPage - Called with each page as it arrives
+   * @returns {Promise<Array>} Records of all pages
+   */
+  async loadAllPages(url, options = {}) {
+    const { onPage, ...pageOptions } = options;
+    const records = [];
+    for await (const page of this.loadPages(url, pageOptions)) {
+      for (let i = 0; i < page.records.length; i++) {
+        records.push(page.records[i]);
+      }
+      if (onPage) {
+        onPage(page);
+      }
+    }
+    return records;
+  }
+
   /**
    * Build full URL from base URL and relative path
    * @private
@@ -192,71 +539,419 @@ export class DataLoader {
 
   /**
    * Build fetch options with defaults
+   * 
+   * Content-Type is only sent with a body; plain objects and arrays are
+   * serialised to JSON and labelled so. FormData, Blob and URLSearchParams
+   * bodies are left for fetch to label, and other bodies carry only the
+   * type the caller gives.
    * @private
    * @param {Object} options - User options
    * @returns {Object} Complete fetch options
    */
   _buildFetchOptions(options) {
+    const headers = {
+      ...this.config.defaultHeaders,
+      ...options.headers
+    };
+    // Defaults and request headers may spell the name differently; the request's comes last
+    const contentTypeKeys = Object.keys(headers).filter(name => name.toLowerCase() === 'content-type');
+    let body = options.body;
+    let contentType = options.contentType || headers[contentTypeKeys[contentTypeKeys.length - 1]];
+
+    if (body === undefined || body === null) {
+      body = undefined;
+      contentType = null;
+    } else if (isSelfDescribingBody(body)) {
+      contentType = null;
+    } else if (isJSONBody(body)) {
+      body = JSON.stringify(body);
+      contentType = contentType || 'application/json';
+    }
+
+    contentTypeKeys.forEach(name => {
+      delete headers[name];
+    });
+    if (contentType) {
+      headers['Content-Type'] = contentType;
+    }
+
     return {
       method: options.method || HTTP_METHODS.GET,
-      headers: {
-        ...this.config.defaultHeaders,
-        ...options.headers
-      },
-      ...(options.body && { body: options.body })
+      headers,
+      ...(body !== undefined && { body })
     };
   }
 
+  /**
+   * Send a request through the interceptors, replaying it once after a 401
+   * if an unauthorized hook renews the credentials
+   * @private
+   * @param {Object} request - {url, method, headers, body}
+   * @param {Object} options - Caller options
+   * @returns {Promise<Response>} Response after the response hooks
+   */
+  async _send(request, options) {
+    let prepared;
+    let response;
+
+    for (let replay = false; ; replay = true) {
+      // Hooks get a fresh copy each time, so a replay starts from the original request
+      prepared = { ...request, headers: { ...request.headers } };
+      for (const interceptor of this.interceptors) {
+        if (interceptor.request) {
+          prepared = (await interceptor.request(prepared, options)) || prepared;
+        }
+      }
+
+      const { url, ...fetchOptions } = prepared;
+      try {
+        response = await this._fetchWithRetry(url, fetchOptions, options);
+        break;
+      } catch (error) {
+        if (replay || error.status !== 401 || !(await this._renewCredentials(prepared, error.response))) {
+          throw error;
+        }
+      }
+    }
+
+    for (const interceptor of this.interceptors) {
+      if (interceptor.response) {
+        response = (await interceptor.response(response, prepared)) || response;
+      }
+    }
+    return response;
+  }
+
+  /**
+   * Run the unauthorized hooks
+   * @private
+   * @param {Object} request - Request that got a 401
+   * @param {Response} response - The 401 response
+   * @returns {Promise<boolean>} True if any hook asks for a replay
+   */
+  async _renewCredentials(request, response) {
+    let renewed = false;
+    for (const interceptor of this.interceptors) {
+      if (interceptor.unauthorized && await interceptor.unauthorized(request, response)) {
+        renewed = true;
+      }
+    }
+    return renewed;
+  }
+
+  /**
+   * Run the data hooks on parsed data
+   * @private
+   * @param {*} data - Parsed data
+   * @param {Object} context - {format, url, response}
+   * @returns {Promise<*>} Data after the hooks
+   */
+  async _interceptData(data, context) {
+    for (const interceptor of this.interceptors) {
+      if (interceptor.data) {
+        const result = await interceptor.data(data, context);
+        if (result !== undefined) {
+          data = result;
+        }
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Key identifying requests that may share one fetch
+   * @private
+   * @param {Object} request - {url, method, headers, body}
+   * @param {Object} options - Caller options
+   * @returns {string|null} Dedupe key, or null if the request must not be shared
+   */
+  _dedupeKey(request, options) {
+    const shareable = request.method === HTTP_METHODS.GET || request.method === 'HEAD';
+    if (!this.config.dedupe || options.dedupe === false || !shareable ||
+        request.body !== undefined || options.signal) {
+      return null;
+    }
+    return `${request.method} ${request.url} ${JSON.stringify(request.headers)}`;
+  }
+
+  /**
+   * Fetch with retries
+   * @private
+   * @param {string} url - Full URL
+   * @param {Object} fetchOptions - Built fetch options
+   * @param {Object} options - Caller options
+   * @returns {Promise<Response>} Successful response
+   */
+  async _fetchWithRetry(url, fetchOptions, options) {
+    const { signal } = options;
+    const maxRetries = this._maxRetries(fetchOptions.method, options);
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await this._fetchOnce(url, fetchOptions, signal);
+      } catch (error) {
+        if (attempt >= maxRetries || !this._isRetryableError(error, signal)) {
+          throw error;
+        }
+        await this._wait(this._backoffDelay(attempt), signal);
+        continue;
+      }
+
+      if (response.ok) {
+        return response;
+      }
+
+      if (attempt < maxRetries && RETRYABLE_STATUSES.includes(response.status)) {
+        const delay = this._retryAfterDelay(response) ?? this._backoffDelay(attempt);
+        // Release the connection held by the unread error body
+        if (response.body && typeof response.body.cancel === 'function') {
+          response.body.cancel().catch(() => {});
+        }
+        await this._wait(delay, signal);
+        continue;
+      }
+
+      const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+      error.status = response.status;
+      error.response = response;
+      throw error;
+    }
+  }
+
+  /**
+   * Send one request, bounded by the timeout and the caller's signal
+   * @private
+   * @param {string} url - Full URL
+   * @param {Object} fetchOptions - Built fetch options
+   * @param {AbortSignal} signal - Caller's signal (optional)
+   * @returns {Promise<Response>} Response, whatever its status
+   */
+  async _fetchOnce(url, fetchOptions, signal) {
+    if (signal && signal.aborted) {
+      throw abortError(signal);
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
+    const forwardAbort = () => controller.abort();
+    if (signal) {
+      signal.addEventListener('abort', forwardAbort);
+    }
+
+    try {
+      return await fetch(url, {
+        ...fetchOptions,
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        if (signal && signal.aborted) {
+          throw abortError(signal);
+        }
+        const timeoutError = new Error(`Request timeout after ${this.config.timeout}ms`);
+        timeoutError.timeout = true;
+        throw timeoutError;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      if (signal) {
+        signal.removeEventListener('abort', forwardAbort);
+      }
+    }
+  }
+
+  /**
+   * Number of retries allowed for a request
+   * @private
+   * @param {string} method - HTTP method
+   * @param {Object} options - Caller options
+   * @returns {number} Retries
+   */
+  _maxRetries(method, options) {
+    if (options.maxRetries !== undefined) {
+      return options.maxRetries;
+    }
+    return IDEMPOTENT_METHODS.includes(method) ? this.config.maxRetries : 0;
+  }
+
+  /**
+   * Whether a failed attempt may be retried
+   * @private
+   * @param {Error} error - Error thrown by the attempt
+   * @param {AbortSignal} signal - Caller's signal (optional)
+   * @returns {boolean} True for timeouts and network errors
+   */
+  _isRetryableError(error, signal) {
+    if (signal && signal.aborted) {
+      return false;
+    }
+    // fetch() rejects with a TypeError when the network fails
+    return error.timeout === true || error instanceof TypeError;
+  }
+
+  /**
+   * Exponential backoff with jitter
+   * @private
+   * @param {number} attempt - Index of the failed attempt (0 for the first)
+   * @returns {number} Delay in milliseconds, between half and all of the backoff
+   */
+  _backoffDelay(attempt) {
+    const backoff = Math.min(this.config.maxRetryDelay, this.config.retryDelay * Math.pow(2, attempt));
+    return backoff / 2 + Math.random() * backoff / 2;
+  }
+
+  /**
+   * Delay requested by a Retry-After header on 429 and 503 responses
+   * @private
+   * @param {Response} response - Failed response
+   * @returns {number|null} Delay in milliseconds, or null if none applies
+   */
+  _retryAfterDelay(response) {
+    if (response.status !== 429 && response.status !== 503) {
+      return null;
+    }
+    const header = response.headers && response.headers.get('Retry-After');
+    if (!header) {
+      return null;
+    }
+
+    // Either delay-seconds or an HTTP date
+    const seconds = Number(header);
+    const delay = Number.isNaN(seconds) ? Date.parse(header) - Date.now() : seconds * 1000;
+    if (Number.isNaN(delay)) {
+      return null;
+    }
+    return Math.min(this.config.maxRetryDelay, Math.max(0, delay));
+  }
+
+  /**
+   * Wait before the next attempt
+   * @private
+   * @param {number} delay - Milliseconds
+   * @param {AbortSignal} signal - Caller's signal; aborting ends the wait with an error
+   * @returns {Promise<void>} Resolves after the delay
+   */
+  _wait(delay, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(abortError(signal));
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(abortError(signal));
+      };
+      const timeoutId = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, delay);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Look up a registered format handler
+   * @private
+   * @param {string} format - Format name
+   * @returns {Object} Format handler
+   */
+  _getFormat(format) {
+    const handler = this.formats.get(format);
+    if (!handler) {
+      throw new Error(`Unknown data format "${format}"`);
+    }
+    return handler;
+  }
+
+  /**
+   * Handlers in detection order: latest registration first
+   * @private
+   * @returns {Array} [name, handler] pairs
+   */
+  _formatsByPriority() {
+    return Array.from(this.formats.entries()).reverse();
+  }
+
   /**
    * Detect data format from URL extension
    * @private
    * @param {string} url - URL to analyze
-   * @returns {string} Detected format
+   * @returns {string|null} Detected format, or null if no handler claims the extension
    */
   _detectFormat(url) {
-    const extension = url.split('.').pop().toLowerCase().split('?')[0];
-    
-    switch (extension) {
-      case 'json':
-        return DATA_FORMATS.JSON;
-      case 'csv':
-        return DATA_FORMATS.CSV;
-      case 'xml':
-        return DATA_FORMATS.XML;
-      default:
-        return DATA_FORMATS.TEXT;
+    const path = url.split(/[?#]/)[0];
+    const extension = path.includes('.') ? path.split('.').pop().toLowerCase() : '';
+    if (!extension) {
+      return null;
     }
+
+    const match = this._formatsByPriority()
+      .find(([, handler]) => (handler.extensions || []).includes(extension));
+    return match ? match[0] : null;
   }
 
   /**
-   * Simple CSV parser
+   * Detect data format from the response Content-Type
+   * @private
+   * @param {Response} response - Fetch response
+   * @returns {string|null} Detected format, or null for missing or generic types
+   */
+  _formatFromContentType(response) {
+    const header = response.headers && response.headers.get('Content-Type');
+    const contentType = (header || '').split(';')[0].trim().toLowerCase();
+    if (!contentType || GENERIC_CONTENT_TYPES.includes(contentType)) {
+      return null;
+    }
+
+    const match = this._formatsByPriority()
+      .find(([, handler]) => (handler.mimeTypes || []).includes(contentType));
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Detect data format from the first bytes of the body
+   * 
+   * The body is peeked through a clone of the response, so the original
+   * stays unread for the handler.
+   * @private
+   * @param {Response} response - Fetch response
+   * @returns {Promise<string|null>} Detected format, or null if no handler recognises it
+   */
+  async _sniffFormat(response) {
+    if (typeof response.clone !== 'function') {
+      return null;
+    }
+    const body = response.clone().body;
+    if (!body || typeof body.getReader !== 'function') {
+      return null;
+    }
+
+    const reader = body.getReader();
+    let bytes;
+    try {
+      const { value } = await reader.read();
+      bytes = value ? value.subarray(0, SNIFF_BYTES) : new Uint8Array(0);
+    } finally {
+      reader.cancel().catch(() => {});
+    }
+
+    const text = new TextDecoder('utf-8').decode(bytes);
+    const match = this._formatsByPriority()
+      .find(([, handler]) => typeof handler.sniff === 'function' && handler.sniff(bytes, text));
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Parse CSV text with the shared RFC 4180 parser
    * @private
    * @param {string} text - CSV text content
-   * @param {Object} options - Parse options
+   * @param {Object} options - Parse options (see CSVParser)
    * @returns {Array} Parsed CSV data
    */
   _parseCSV(text, options) {
-    const lines = text.trim().split('\n');
-    const delimiter = options.delimiter;
-    
-    if (lines.length === 0) return [];
-    
-    const data = lines.map(line => 
-      line.split(delimiter).map(cell => cell.trim().replace(/^"(.*)"$/, '$1'))
-    );
-    
-    if (options.header && data.length > 0) {
-      const headers = data[0];
-      return data.slice(1).map(row => {
-        const obj = {};
-        headers.forEach((header, index) => {
-          obj[header] = row[index] || '';
-        });
-        return obj;
-      });
-    }
-    
-    return data;
+    return parseCSV(text, options);
   }
 }
 
@@ -270,8 +965,15 @@ export const dataLoader = new DataLoader();
  */
 export const loadJSON = (url, options) => dataLoader.loadJSON(url, options);
 export const loadCSV = (url, options) => dataLoader.loadCSV(url, options);
+export const loadTSV = (url, options) => dataLoader.loadTSV(url, options);
+export const loadNDJSON = (url, options) => dataLoader.loadNDJSON(url, options);
+export const loadGeoJSON = (url, options) => dataLoader.loadGeoJSON(url, options);
+export const loadArrow = (url, options) => dataLoader.loadArrow(url, options);
 export const loadXML = (url, options) => dataLoader.loadXML(url, options);
 export const loadText = (url, options) => dataLoader.loadText(url, options);
 export const load = (url, format, options) => dataLoader.load(url, format, options);
+export const loadPages = (url, options) => dataLoader.loadPages(url, options);
+export const loadAllPages = (url, options) => dataLoader.loadAllPages(url, options);
+export const registerFormat = (name, handler) => dataLoader.registerFormat(name, handler);
 
 export default DataLoader;
@@ -0,0 +1,231 @@
+/**
+ * PersistentCache - Storage backends for DataEngine's persistent cache tier
+ * ES Module with IndexedDB (browsers), filesystem (Node) and in-memory stores
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+import { hashValue } from '../utils/hash.js';
+
+/**
+ * MemoryStorage class - a Map behind the persistent store interface
+ *
+ * Every store exposes the same async methods: get(key) resolving to the
+ * value or undefined, set(key, value), delete(key) and clear(). This one
+ * lasts only as long as the page, which suits tests and runtimes with no
+ * persistent storage.
+ */
+export class MemoryStorage {
+  constructor() {
+    this._entries = new Map();
+  }
+
+  /**
+   * Read an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Stored value, or undefined
+   */
+  async get(key) {
+    return this._entries.get(key);
+  }
+
+  /**
+   * Store an entry
+   * @param {string} key - Cache key
+   * @param {*} value - Value to store
+   */
+  async set(key, value) {
+    this._entries.set(key, value);
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   */
+  async delete(key) {
+    this._entries.delete(key);
+  }
+
+  /**
+   * Remove every entry
+   */
+  async clear() {
+    this._entries.clear();
+  }
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} Request result
+ */
+function whenDone(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * IndexedDBStorage class - one object store in an IndexedDB database
+ *
+ * Values are stored by structured clone, so typed arrays and Dates survive.
+ */
+export class IndexedDBStorage {
+  /**
+   * Constructor
+   * @param {Object} options - Storage options
+   * @param {string} options.name - Database name (default: 'idv-data-cache')
+   * @param {string} options.storeName - Object store name (default: 'entries')
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'idv-data-cache';
+    this.storeName = options.storeName || 'entries';
+    this._db = null;
+  }
+
+  async get(key) {
+    return this._run('readonly', store => store.get(key));
+  }
+
+  async set(key, value) {
+    await this._run('readwrite', store => store.put(value, key));
+  }
+
+  async delete(key) {
+    await this._run('readwrite', store => store.delete(key));
+  }
+
+  async clear() {
+    await this._run('readwrite', store => store.clear());
+  }
+
+  /**
+   * Open the database once, creating the object store on first use
+   * @private
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  _open() {
+    if (!this._db) {
+      const request = indexedDB.open(this.name, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.storeName);
+      };
+      this._db = whenDone(request);
+    }
+    return this._db;
+  }
+
+  /**
+   * Run one request in its own transaction
+   * @private
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - (store) => IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  async _run(mode, operation) {
+    const db = await this._open();
+    const store = db.transaction(this.storeName, mode).objectStore(this.storeName);
+    return whenDone(operation(store));
+  }
+}
+
+// Marks a Date in a stored JSON file, so it is read back as a Date
+const DATE_TAG = '$idvDate';
+
+/**
+ * JSON.stringify replacer that tags Dates before toJSON turns them into strings
+ * @private
+ */
+function encodeDates(key, value) {
+  const raw = this[key];
+  return raw instanceof Date ? { [DATE_TAG]: raw.getTime() } : value;
+}
+
+/**
+ * JSON.parse reviver that turns tagged values back into Dates
+ * @private
+ */
+function decodeDates(key, value) {
+  if (value !== null && typeof value === 'object' && DATE_TAG in value) {
+    return new Date(value[DATE_TAG] ?? NaN);
+  }
+  return value;
+}
+
+/**
+ * FileSystemStorage class - one JSON file per entry in a directory (Node)
+ *
+ * Values go through JSON. Dates are tagged on write and come back as
+ * Dates, so a dataset reads the same from every cache tier; typed arrays
+ * come back as plain objects, which DataEngine rebuilds for columnar data.
+ */
+export class FileSystemStorage {
+  /**
+   * Constructor
+   * @param {Object} options - Storage options
+   * @param {string} options.directory - Cache directory (default: '.idv-cache')
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || '.idv-cache';
+  }
+
+  async get(key) {
+    const fs = await import('fs/promises');
+    try {
+      const stored = JSON.parse(await fs.readFile(await this._file(key), 'utf8'), decodeDates);
+      return stored.key === key ? stored.value : undefined;
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    }
+  }
+
+  async set(key, value) {
+    const fs = await import('fs/promises');
+    await fs.mkdir(this.directory, { recursive: true });
+    // Write then rename, so a crash never leaves a half-written entry
+    const file = await this._file(key);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify({ key, value }, encodeDates));
+    await fs.rename(`${file}.tmp`, file);
+  }
+
+  async delete(key) {
+    const fs = await import('fs/promises');
+    await fs.rm(await this._file(key), { force: true });
+  }
+
+  async clear() {
+    const fs = await import('fs/promises');
+    await fs.rm(this.directory, { recursive: true, force: true });
+  }
+
+  /**
+   * Path of the file holding a key
+   * @private
+   * @param {string} key - Cache key
+   * @returns {Promise<string>} File path
+   */
+  async _file(key) {
+    const path = await import('path');
+    return path.join(this.directory, `${hashValue(key)}.json`);
+  }
+}
+
+/**
+ * Pick a persistent store for the current runtime
+ * @param {Object} options - Options passed to the store constructor
+ * @returns {Object|null} IndexedDBStorage in browsers and workers, FileSystemStorage
+ *   in Node, or null when neither is available
+ */
+export function createPersistentStorage(options = {}) {
+  if (typeof indexedDB !== 'undefined') {
+    return new IndexedDBStorage(options);
+  }
+  if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+    return new FileSystemStorage(options);
+  }
+  return null;
+}
+
+export default createPersistentStorage;
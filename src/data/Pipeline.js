@@ -0,0 +1,501 @@
+/**
+ * Pipeline - Declarative, serialisable dataset transforms
+ * ES Module with filter, derive, groupBy, sort, pivot, join and bin steps
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+import { compileExpression } from './expression.js';
+
+/**
+ * Aggregate operations for groupBy() and pivot()
+ *
+ * Each receives the non-null values of the field in a group (every row for
+ * a field-less count) and returns the aggregate.
+ */
+export const AGGREGATES = {
+  count: values => values.length,
+  sum: values => values.reduce((total, value) => total + value, 0),
+  mean: values => (values.length ? values.reduce((total, value) => total + value, 0) / values.length : null),
+  min: values => values.reduce((low, value) => (low === null || value < low ? value : low), null),
+  max: values => values.reduce((high, value) => (high === null || value > high ? value : high), null),
+  median: values => {
+    if (!values.length) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+};
+
+/**
+ * Whether a value counts as missing for aggregation and sorting
+ * @private
+ */
+function isMissing(value) {
+  return value === null || value === undefined || (typeof value === 'number' && Number.isNaN(value));
+}
+
+/**
+ * Turn an expression string into a function, leaving functions as they are
+ * @private
+ */
+function toFunction(expression) {
+  return typeof expression === 'function' ? expression : compileExpression(expression);
+}
+
+/**
+ * Key identifying a combination of field values, for grouping and joining
+ * @private
+ */
+function compositeKey(record, fields) {
+  if (fields.length === 1) {
+    const value = record[fields[0]];
+    return value instanceof Date ? +value : value;
+  }
+  return JSON.stringify(fields.map(field => record[field]));
+}
+
+/**
+ * Normalize groupBy() aggregate specs to {op, field}
+ * @private
+ */
+function normalizeAggregates(aggregates) {
+  const result = {};
+  Object.entries(aggregates).forEach(([name, spec]) => {
+    if (typeof spec === 'string') {
+      const [op, field] = spec.split(':');
+      spec = { op, field };
+    } else if (Array.isArray(spec)) {
+      spec = { op: spec[0], field: spec[1] };
+    }
+    if (typeof AGGREGATES[spec.op] !== 'function') {
+      throw new Error(`Unknown aggregate "${spec.op}" for "${name}"`);
+    }
+    if (spec.op !== 'count' && (spec.field === undefined || spec.field === null)) {
+      throw new Error(`Aggregate "${spec.op}" for "${name}" needs a field`);
+    }
+    result[name] = { op: spec.op, field: spec.field ?? null };
+  });
+  return result;
+}
+
+/**
+ * Normalize sort() arguments to [{field, order}]
+ * @private
+ */
+function normalizeSort(fields) {
+  return fields.map(field => {
+    if (typeof field === 'string') {
+      return field.startsWith('-')
+        ? { field: field.slice(1), order: 'desc' }
+        : { field, order: 'asc' };
+    }
+    if (!field || typeof field.field !== 'string') {
+      throw new Error(`Invalid sort field ${JSON.stringify(field)}: expected a name or {field, order}`);
+    }
+    return { field: field.field, order: field.order === 'desc' ? 'desc' : 'asc' };
+  });
+}
+
+/**
+ * Compare two values for sorting; missing values sort last either way
+ * @private
+ */
+function compareValues(a, b) {
+  if (a instanceof Date) a = +a;
+  if (b instanceof Date) b = +b;
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+/**
+ * Group records by key fields, keeping first-seen order
+ * @private
+ * @returns {Map} Group key => records
+ */
+function groupRecords(records, fields) {
+  const groups = new Map();
+  records.forEach(record => {
+    const key = compositeKey(record, fields);
+    let group = groups.get(key);
+    if (!group) {
+      group = [];
+      groups.set(key, group);
+    }
+    group.push(record);
+  });
+  return groups;
+}
+
+/**
+ * Aggregate one field over a group of records
+ * @private
+ */
+function aggregate(records, op, field) {
+  if (field === null) {
+    return AGGREGATES[op](records);
+  }
+  const values = [];
+  records.forEach(record => {
+    const value = record[field];
+    if (!isMissing(value)) {
+      values.push(value instanceof Date ? +value : value);
+    }
+  });
+  return AGGREGATES[op](values);
+}
+
+/**
+ * Step implementations: (records, step, context) => records
+ * @private
+ */
+const STEPS = {
+  filter(records, step) {
+    const predicate = toFunction(step.expr);
+    return records.filter(record => predicate(record));
+  },
+
+  derive(records, step) {
+    const fields = Object.entries(step.fields).map(([name, expr]) => [name, toFunction(expr)]);
+    return records.map(record => {
+      const derived = { ...record };
+      // Fields see the ones derived before them
+      fields.forEach(([name, fn]) => {
+        derived[name] = fn(derived);
+      });
+      return derived;
+    });
+  },
+
+  groupBy(records, step) {
+    const aggregates = normalizeAggregates(step.aggregates || { count: 'count' });
+    const result = [];
+    groupRecords(records, step.keys).forEach(group => {
+      const row = {};
+      step.keys.forEach(key => {
+        row[key] = group[0][key];
+      });
+      Object.entries(aggregates).forEach(([name, { op, field }]) => {
+        row[name] = aggregate(group, op, field);
+      });
+      result.push(row);
+    });
+    return result;
+  },
+
+  sort(records, step) {
+    const order = normalizeSort(step.by);
+    return records.slice().sort((a, b) => {
+      for (let i = 0; i < order.length; i++) {
+        const { field, order: direction } = order[i];
+        const missingA = isMissing(a[field]);
+        const missingB = isMissing(b[field]);
+        if (missingA || missingB) {
+          if (missingA !== missingB) return missingA ? 1 : -1;
+          continue;
+        }
+        const compared = compareValues(a[field], b[field]);
+        if (compared !== 0) return direction === 'desc' ? -compared : compared;
+      }
+      return 0;
+    });
+  },
+
+  pivot(records, step) {
+    const index = [].concat(step.index);
+    const field = step.value ?? null;
+    const op = field === null ? 'count' : (step.op || 'sum');
+
+    // Column names in first-seen order, keyed like the groups
+    const columns = new Map();
+    records.forEach(record => {
+      const key = compositeKey(record, [step.column]);
+      if (!columns.has(key)) {
+        columns.set(key, String(record[step.column]));
+      }
+    });
+
+    const result = [];
+    groupRecords(records, index).forEach(group => {
+      const row = {};
+      index.forEach(key => {
+        row[key] = group[0][key];
+      });
+      const cells = groupRecords(group, [step.column]);
+      columns.forEach((name, key) => {
+        const cell = cells.get(key);
+        row[name] = cell ? aggregate(cell, op, field) : null;
+      });
+      result.push(row);
+    });
+    return result;
+  },
+
+  join(records, step, context) {
+    const right = typeof step.dataset === 'string' ? context.resolve(step.dataset) : step.dataset;
+    if (!Array.isArray(right)) {
+      throw new Error(`Pipeline join: dataset "${step.dataset}" is not loaded`);
+    }
+
+    let leftKeys;
+    let rightKeys;
+    if (step.on && typeof step.on === 'object' && !Array.isArray(step.on)) {
+      leftKeys = [].concat(step.on.left);
+      rightKeys = [].concat(step.on.right);
+    } else {
+      leftKeys = rightKeys = [].concat(step.on);
+    }
+
+    const index = groupRecords(right, rightKeys);
+    const prefix = step.prefix ?? 'right_';
+    const result = [];
+    records.forEach(record => {
+      const matches = index.get(compositeKey(record, leftKeys));
+      if (!matches) {
+        if (step.how === 'left') result.push({ ...record });
+        return;
+      }
+      matches.forEach(match => {
+        const joined = { ...record };
+        Object.keys(match).forEach(field => {
+          if (rightKeys.includes(field) && leftKeys.includes(field)) return;
+          joined[field in record ? `${prefix}${field}` : field] = match[field];
+        });
+        result.push(joined);
+      });
+    });
+    return result;
+  },
+
+  bin(records, step) {
+    const { field } = step;
+    const [startName, endName] = step.as || [`${field}_start`, `${field}_end`];
+
+    let min = Infinity;
+    let max = -Infinity;
+    let dates = false;
+    records.forEach(record => {
+      const value = record[field];
+      if (isMissing(value)) return;
+      dates = dates || value instanceof Date;
+      min = Math.min(min, +value);
+      max = Math.max(max, +value);
+    });
+
+    const start = step.start ?? min;
+    const width = step.step || ((max - start) / (step.bins || 10)) || 1;
+    const lastBin = step.step ? Infinity : (step.bins || 10) - 1;
+    const edge = value => (dates ? new Date(value) : value);
+
+    return records.map(record => {
+      const value = record[field];
+      const binned = { ...record };
+      if (isMissing(value)) {
+        binned[startName] = binned[endName] = null;
+      } else {
+        // With a fixed bin count the maximum falls in the last bin
+        const bin = Math.min(lastBin, Math.floor((+value - start) / width));
+        binned[startName] = edge(start + bin * width);
+        binned[endName] = edge(start + (bin + 1) * width);
+      }
+      return binned;
+    });
+  }
+};
+
+/**
+ * Pipeline class
+ *
+ * An ordered list of plain step objects such as
+ * `{type: 'filter', expr: 'value > 10'}`. Each builder method returns a new
+ * pipeline, so a base pipeline can be extended in several directions.
+ * Steps written with expression strings serialise to JSON (toJSON() /
+ * Pipeline.from()) and can be sent to a worker or saved with a dashboard;
+ * steps given plain functions run locally only.
+ *
+ * @example
+ * const pipeline = new Pipeline()
+ *   .filter('status == "active"')
+ *   .derive({ revenue: 'price * quantity' })
+ *   .groupBy(['region'], { total: 'sum:revenue', orders: 'count', typical: 'median:revenue' })
+ *   .sort('-total');
+ * const rows = pipeline.run(records);
+ */
+export class Pipeline {
+  /**
+   * Constructor
+   * @param {Array<Object>} steps - Step objects (see the builder methods)
+   */
+  constructor(steps = []) {
+    steps.forEach((step, index) => {
+      if (!STEPS[step.type]) {
+        throw new Error(`Unknown pipeline step "${step.type}" at index ${index}`);
+      }
+    });
+    this.steps = steps;
+  }
+
+  /**
+   * Build a pipeline from a pipeline, an array of steps, {steps} or its JSON text
+   * @param {Pipeline|Array|Object|string} spec - Pipeline description
+   * @returns {Pipeline} Pipeline
+   */
+  static from(spec) {
+    if (spec instanceof Pipeline) {
+      return spec;
+    }
+    if (typeof spec === 'string') {
+      spec = JSON.parse(spec);
+    }
+    return new Pipeline(Array.isArray(spec) ? spec : spec.steps);
+  }
+
+  /**
+   * Keep the records for which an expression is truthy
+   * @param {string|Function} expr - Expression, e.g. 'value > 50', or (record) => boolean
+   * @returns {Pipeline} New pipeline
+   */
+  filter(expr) {
+    return this._add({ type: 'filter', expr });
+  }
+
+  /**
+   * Add or replace fields computed from each record
+   * @param {Object} fields - Expressions (or functions) by field name,
+   *   e.g. {total: 'price * quantity', year: 'year(date)'}
+   * @returns {Pipeline} New pipeline
+   */
+  derive(fields) {
+    return this._add({ type: 'derive', fields });
+  }
+
+  /**
+   * Group records and aggregate each group into one row
+   * @param {string|Array<string>} keys - Fields to group by
+   * @param {Object} aggregates - Output fields mapped to 'op:field' ('count' alone counts
+   *   rows), [op, field] or {op, field}; op is sum, mean, count, min, max or median
+   * @returns {Pipeline} New pipeline
+   */
+  groupBy(keys, aggregates = { count: 'count' }) {
+    return this._add({ type: 'groupBy', keys: [].concat(keys), aggregates });
+  }
+
+  /**
+   * Sort records; missing values go last
+   * @param {...(string|Object)} fields - Field names ('-name' for descending) or {field, order}
+   * @returns {Pipeline} New pipeline
+   */
+  sort(...fields) {
+    return this._add({ type: 'sort', by: normalizeSort(fields.flat()) });
+  }
+
+  /**
+   * Spread the values of one field into columns
+   * @param {Object} options - Pivot options
+   * @param {string|Array<string>} options.index - Fields identifying each output row
+   * @param {string} options.column - Field whose values become column names
+   * @param {string} options.value - Field aggregated into each cell (omit to count)
+   * @param {string} options.op - Aggregate for the cells (default: 'sum', or 'count'
+   *   without a value field)
+   * @returns {Pipeline} New pipeline
+   */
+  pivot(options) {
+    return this._add({ type: 'pivot', ...options });
+  }
+
+  /**
+   * Join with another dataset
+   * @param {string|Array<Object>} dataset - Name of a dataset loaded in DataEngine, or records
+   * @param {Object} options - Join options
+   * @param {string|Array<string>|Object} options.on - Shared key field(s), or {left, right}
+   * @param {string} options.how - 'inner' (default) or 'left'
+   * @param {string} options.prefix - Prefix for right fields that clash with left ones
+   *   (default: 'right_')
+   * @returns {Pipeline} New pipeline
+   */
+  join(dataset, options = {}) {
+    return this._add({ type: 'join', dataset, how: 'inner', ...options });
+  }
+
+  /**
+   * Assign each record to an equal-width bin of a numeric or date field
+   * @param {string} field - Field to bin
+   * @param {Object} options - Bin options
+   * @param {number} options.bins - Number of bins over the data extent (default: 10)
+   * @param {number} options.step - Fixed bin width instead of a bin count
+   * @param {number} options.start - First bin edge (default: the minimum)
+   * @param {Array<string>} options.as - Output fields for the bin edges
+   *   (default: [`${field}_start`, `${field}_end`])
+   * @returns {Pipeline} New pipeline
+   */
+  bin(field, options = {}) {
+    return this._add({ type: 'bin', field, ...options });
+  }
+
+  /**
+   * Whether every step can be serialised (no function expressions or inline data)
+   * @returns {boolean} True if toJSON() will succeed
+   */
+  get serializable() {
+    return this.steps.every(step => this._unserializable(step) === null);
+  }
+
+  /**
+   * Run the pipeline
+   * @param {Array<Object>} records - Input records (not modified)
+   * @param {Object} context - Run context
+   * @param {Function} context.resolve - (name) => records, used by join steps that
+   *   name a dataset
+   * @returns {Array<Object>} Output records
+   */
+  run(records, context = {}) {
+    const runContext = {
+      resolve: () => undefined,
+      ...context
+    };
+    return this.steps.reduce((current, step) => STEPS[step.type](current, step, runContext), records);
+  }
+
+  /**
+   * Plain form of the pipeline
+   * @returns {Object} {steps}
+   * @throws {Error} If a step holds a function or inline records
+   */
+  toJSON() {
+    this.steps.forEach((step, index) => {
+      const reason = this._unserializable(step);
+      if (reason) {
+        throw new Error(`Pipeline step ${index} (${step.type}) cannot be serialised: ${reason}`);
+      }
+    });
+    return { steps: this.steps };
+  }
+
+  /**
+   * Return a new pipeline with a step appended
+   * @private
+   */
+  _add(step) {
+    return new Pipeline([...this.steps, step]);
+  }
+
+  /**
+   * Why a step can't be serialised, or null if it can
+   * @private
+   */
+  _unserializable(step) {
+    if (typeof step.expr === 'function') {
+      return 'the expression is a function';
+    }
+    if (step.fields && Object.values(step.fields).some(expr => typeof expr === 'function')) {
+      return 'a derived field is a function';
+    }
+    if (step.type === 'join' && typeof step.dataset !== 'string') {
+      return 'it joins inline records rather than a named dataset';
+    }
+    return null;
+  }
+}
+
+export default Pipeline;
@@ -0,0 +1,413 @@
+/**
+ * XMLParser - DOM-free XML parsing and XML-to-records mapping
+ * ES Module usable in browsers, Node and Web Workers alike
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+const ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'"
+};
+
+const ATTRIBUTE_PATTERN = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const NAME_PATTERN = /^[^\s/>]+/;
+
+/**
+ * Replace character and predefined entity references
+ * @param {string} text - Raw text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  if (text.indexOf('&') === -1) {
+    return text;
+  }
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+  });
+}
+
+/**
+ * Lightweight element node
+ *
+ * Exposes a subset of the DOM Element interface (tagName, localName,
+ * parentNode, children, getAttribute, textContent), so records
+ * can be mapped the same way from either parser.
+ */
+export class XMLNode {
+  /**
+   * Constructor
+   * @param {string} tagName - Qualified element name ('#document' for the document node)
+   * @param {Object} attributes - Attribute values by name
+   */
+  constructor(tagName, attributes = {}) {
+    this.tagName = tagName;
+    this.localName = tagName.slice(tagName.indexOf(':') + 1);
+    this.attributes = attributes;
+    this.parentNode = null;
+    // Elements and text strings, in document order
+    this.childNodes = [];
+    this.children = [];
+  }
+
+  /**
+   * Root element, for the document node
+   * @returns {XMLNode|null} First child element
+   */
+  get documentElement() {
+    return this.children[0] || null;
+  }
+
+  /**
+   * Concatenated text of this node and its descendants
+   * @returns {string} Text content
+   */
+  get textContent() {
+    return this.childNodes
+      .map(child => (typeof child === 'string' ? child : child.textContent))
+      .join('');
+  }
+
+  /**
+   * Read an attribute
+   * @param {string} name - Attribute name
+   * @returns {string|null} Attribute value, or null if absent
+   */
+  getAttribute(name) {
+    return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+  }
+}
+
+/**
+ * XMLParser class - a small non-validating XML parser
+ *
+ * Handles elements, attributes, text, CDATA sections and character
+ * references; comments, processing instructions and the DOCTYPE are
+ * skipped. Malformed markup throws, like DOMParser's parsererror.
+ */
+export class XMLParser {
+  /**
+   * Parse an XML text
+   * @param {string} text - XML text
+   * @returns {XMLNode} Document node; its documentElement is the root element
+   */
+  parse(text) {
+    const document = new XMLNode('#document');
+    const stack = [document];
+    let position = 0;
+
+    const fail = (message) => {
+      throw new Error(`XML parsing error at offset ${position}: ${message}`);
+    };
+    const expectEnd = (terminator, start) => {
+      const end = text.indexOf(terminator, start);
+      if (end === -1) fail(`missing "${terminator}"`);
+      return end;
+    };
+
+    while (position < text.length) {
+      const current = stack[stack.length - 1];
+      const open = text.indexOf('<', position);
+
+      if (open !== position) {
+        const end = open === -1 ? text.length : open;
+        const content = text.slice(position, end);
+        if (stack.length > 1) {
+          current.childNodes.push(decodeEntities(content));
+        } else if (content.trim()) {
+          fail('text outside the root element');
+        }
+        position = end;
+        continue;
+      }
+
+      if (text.startsWith('<!--', position)) {
+        position = expectEnd('-->', position + 4) + 3;
+      } else if (text.startsWith('<![CDATA[', position)) {
+        const end = expectEnd(']]>', position + 9);
+        current.childNodes.push(text.slice(position + 9, end));
+        position = end + 3;
+      } else if (text.startsWith('<?', position)) {
+        position = expectEnd('?>', position + 2) + 2;
+      } else if (text.startsWith('<!', position)) {
+        // DOCTYPE, possibly with an internal subset in brackets
+        const bracket = text.indexOf('[', position);
+        const close = text.indexOf('>', position);
+        const start = bracket !== -1 && bracket < close ? expectEnd(']', bracket) : position;
+        position = expectEnd('>', start) + 1;
+      } else if (text[position + 1] === '/') {
+        const end = expectEnd('>', position);
+        const name = text.slice(position + 2, end).trim();
+        if (stack.length === 1 || name !== current.tagName) {
+          fail(`unexpected closing tag </${name}>`);
+        }
+        stack.pop();
+        position = end + 1;
+      } else {
+        const end = this._findTagEnd(text, position, fail);
+        const selfClosing = text[end - 1] === '/';
+        const body = text.slice(position + 1, selfClosing ? end - 1 : end);
+        const nameMatch = body.match(NAME_PATTERN);
+        if (!nameMatch) fail('missing element name');
+
+        const attributes = {};
+        const attributeText = body.slice(nameMatch[0].length);
+        let match;
+        ATTRIBUTE_PATTERN.lastIndex = 0;
+        while ((match = ATTRIBUTE_PATTERN.exec(attributeText)) !== null) {
+          attributes[match[1]] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+        }
+
+        if (stack.length === 1 && document.children.length > 0) {
+          fail('more than one root element');
+        }
+        const node = new XMLNode(nameMatch[0], attributes);
+        node.parentNode = current;
+        current.childNodes.push(node);
+        current.children.push(node);
+        if (!selfClosing) {
+          stack.push(node);
+        }
+        position = end + 1;
+      }
+    }
+
+    if (stack.length > 1) {
+      fail(`unclosed element <${stack[stack.length - 1].tagName}>`);
+    }
+    if (!document.documentElement) {
+      fail('no root element');
+    }
+    return document;
+  }
+
+  /**
+   * Find the '>' closing a start tag, skipping quoted attribute values
+   * @private
+   * @param {string} text - XML text
+   * @param {number} start - Offset of the '<'
+   * @param {Function} fail - Error reporter
+   * @returns {number} Offset of the '>'
+   */
+  _findTagEnd(text, start, fail) {
+    let quote = null;
+    for (let i = start + 1; i < text.length; i++) {
+      const char = text[i];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '>') {
+        return i;
+      }
+    }
+    return fail('unterminated start tag');
+  }
+}
+
+/**
+ * Parse XML without the DOM
+ * @param {string} text - XML text
+ * @returns {XMLNode} Document node
+ */
+export function parseXMLDocument(text) {
+  return new XMLParser().parse(text);
+}
+
+/**
+ * Child elements of a DOM or XMLNode node
+ * @param {Object} node - Document or element
+ * @returns {Array} Elements
+ */
+function elementChildren(node) {
+  return node.children ? Array.from(node.children) : [];
+}
+
+/**
+ * Whether an element matches a path step name
+ * @param {Object} element - Element
+ * @param {string} name - Step name, qualified or local, or '*'
+ * @returns {boolean} True on a match
+ */
+function matchesName(element, name) {
+  return name === '*' || element.tagName === name || element.localName === name;
+}
+
+/**
+ * Split a path into steps
+ *
+ * Steps are separated by '/'; an empty step (from '//') makes the next
+ * one match descendants at any depth rather than only children.
+ * @param {string} path - Path such as 'channel/item', '//item' or 'price/@currency'
+ * @returns {Array<Object>} Steps as {name, deep}
+ */
+function parsePath(path) {
+  const steps = [];
+  let deep = false;
+  path.split('/').forEach((name, index) => {
+    if (name === '') {
+      // A leading '/' just anchors at the context
+      deep = index > 0 || path.startsWith('//');
+      return;
+    }
+    steps.push({ name, deep });
+    deep = false;
+  });
+  return steps;
+}
+
+/**
+ * Select elements by path
+ * @param {Object} context - Document or element the path is relative to
+ * @param {string} path - Slash-separated element names; '//' matches at any depth,
+ *   '*' matches any element and '.' the context itself
+ * @returns {Array} Matching elements, in document order
+ */
+export function selectXML(context, path) {
+  let nodes = [context];
+
+  parsePath(path).forEach(({ name, deep }) => {
+    if (name === '.') return;
+
+    const next = [];
+    const collect = (node) => {
+      elementChildren(node).forEach(child => {
+        if (matchesName(child, name)) next.push(child);
+        if (deep) collect(child);
+      });
+    };
+    nodes.forEach(collect);
+    nodes = next;
+  });
+  return nodes;
+}
+
+/**
+ * Read one value from an element
+ * @param {Object} element - Context element
+ * @param {string} path - Element path, optionally ending in '@attribute'
+ * @returns {string|null} Trimmed text or attribute value, or null if absent
+ */
+function readValue(element, path) {
+  const at = path.lastIndexOf('@');
+  const elementPath = at === -1 ? path : path.slice(0, at).replace(/\/$/, '');
+  const target = elementPath ? selectXML(element, elementPath)[0] : element;
+  if (!target) {
+    return null;
+  }
+  if (at !== -1) {
+    return target.getAttribute(path.slice(at + 1));
+  }
+  return target.textContent.trim();
+}
+
+/**
+ * Convert a raw value to the requested type
+ * @param {string|null} value - Raw value
+ * @param {string|Function} type - 'string', 'number', 'integer', 'boolean', 'date' or a converter
+ * @returns {*} Converted value; missing or unparseable values become null
+ */
+function coerce(value, type) {
+  if (typeof type === 'function') {
+    return type(value);
+  }
+  if (value === null || (value === '' && type !== 'string')) {
+    return null;
+  }
+
+  switch (type) {
+    case 'number': {
+      const number = Number(value);
+      return Number.isNaN(number) ? null : number;
+    }
+    case 'integer': {
+      const integer = parseInt(value, 10);
+      return Number.isNaN(integer) ? null : integer;
+    }
+    case 'boolean':
+      return ['true', '1', 'yes'].includes(value.toLowerCase());
+    case 'date': {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? null : date;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Default fields of a row: its attributes and the text of its leaf child elements
+ * @param {Object} row - Row element
+ * @returns {Object} Record
+ */
+function defaultRecord(row) {
+  const record = {};
+  const attributes = row.attributes || {};
+  const names = typeof row.getAttributeNames === 'function'
+    ? row.getAttributeNames()
+    : Object.keys(attributes);
+  names.forEach(name => {
+    record[name] = row.getAttribute(name);
+  });
+  elementChildren(row).forEach(child => {
+    if (elementChildren(child).length === 0) {
+      record[child.localName] = child.textContent.trim();
+    }
+  });
+  return record;
+}
+
+/**
+ * Map an XML document to an array of records
+ *
+ * Works on DOM documents and on XMLNode documents from parseXMLDocument().
+ * @param {Object} document - Parsed XML document or element
+ * @param {Object} mapping - Mapping description
+ * @param {string} mapping.rows - Path selecting one element per record, e.g. '//item'
+ * @param {Object} mapping.fields - Field specs by record key: a path string such as
+ *   'title', '@id' or 'price/@currency', an object {path, type, default}, or a
+ *   function (element) => value. Without fields, each row's attributes and leaf
+ *   child elements become string fields.
+ * @returns {Array<Object>} Records
+ */
+export function mapXML(document, mapping) {
+  if (!mapping || typeof mapping.rows !== 'string') {
+    throw new Error('XML mapping needs a "rows" path');
+  }
+
+  const rows = selectXML(document, mapping.rows);
+  if (!mapping.fields) {
+    return rows.map(defaultRecord);
+  }
+
+  const fields = Object.entries(mapping.fields).map(([key, spec]) => {
+    if (typeof spec === 'function') {
+      return { key, read: spec };
+    }
+    const { path, type = 'string', default: fallback = null } = typeof spec === 'string' ? { path: spec } : spec;
+    return {
+      key,
+      read: (row) => {
+        const value = coerce(readValue(row, path), type);
+        return value === null ? fallback : value;
+      }
+    };
+  });
+
+  return rows.map(row => {
+    const record = {};
+    fields.forEach(({ key, read }) => {
+      record[key] = read(row);
+    });
+    return record;
+  });
+}
+
+export default XMLParser;
@@ -0,0 +1,452 @@
+/**
+ * clustering - k-means, DBSCAN and hierarchical clustering
+ * ES Module grouping records by numeric fields; cluster ids come back as
+ * an extra column that charts can colour by
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+import { toMatrix, squaredDistance, appendColumns } from './matrix.js';
+
+/**
+ * Label of rows that belong to no cluster: DBSCAN noise, and rows with a
+ * missing feature for every method
+ */
+export const NOISE = -1;
+
+/**
+ * Small seedable random generator (mulberry32), so runs can be repeated
+ * @private
+ * @param {number} seed - Seed (default: random)
+ * @returns {Function} () => number in [0, 1)
+ */
+function createRandom(seed) {
+  if (seed === undefined || seed === null) {
+    return Math.random;
+  }
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Wrap an onProgress callback so it fires at most once per percent
+ * @private
+ * @param {Function} onProgress - Callback receiving {method, stage, progress}
+ * @param {string} method - Method name
+ * @returns {Function} (stage, done, total) => void
+ */
+function progressReporter(onProgress, method) {
+  if (typeof onProgress !== 'function') {
+    return () => {};
+  }
+  let last = -1;
+  return (stage, done, total) => {
+    const percent = total ? Math.floor((done / total) * 100) : 100;
+    if (percent !== last) {
+      last = percent;
+      onProgress({ method, stage, progress: percent / 100 });
+    }
+  };
+}
+
+/**
+ * Indices of the rows that have every feature
+ * @private
+ */
+function validRows(matrix) {
+  const rows = [];
+  for (let i = 0; i < matrix.rows; i++) {
+    if (matrix.valid[i]) rows.push(i);
+  }
+  return rows;
+}
+
+/**
+ * Squared distance between a row and a centroid
+ * @private
+ */
+function distanceToCentroid(values, row, centroids, c, dims) {
+  let sum = 0;
+  for (let d = 0; d < dims; d++) {
+    const delta = values[row * dims + d] - centroids[c * dims + d];
+    sum += delta * delta;
+  }
+  return sum;
+}
+
+/**
+ * k-means clustering with k-means++ seeding
+ *
+ * Seeds are picked far apart (each with probability proportional to its
+ * squared distance from the nearest seed so far), then Lloyd iterations
+ * move every centroid to the mean of its rows until they settle.
+ * @param {FeatureMatrix} matrix - Features (see matrix.js)
+ * @param {Object} options - Options
+ * @param {number} options.k - Number of clusters (default: 3)
+ * @param {number} options.maxIterations - Iteration limit (default: 100)
+ * @param {number} options.tolerance - Stop when no centroid moves further (default: 1e-6)
+ * @param {number} options.seed - Seed for repeatable results
+ * @param {Function} options.onProgress - Progress callback
+ * @returns {Object} {labels, centroids, inertia, iterations}
+ */
+export function kMeans(matrix, options = {}) {
+  const { values, rows, dims } = matrix;
+  const maxIterations = options.maxIterations ?? 100;
+  const tolerance = options.tolerance ?? 1e-6;
+  const random = createRandom(options.seed);
+  const report = progressReporter(options.onProgress, 'kmeans');
+
+  const points = validRows(matrix);
+  const k = Math.min(options.k ?? 3, points.length);
+  if (!(k >= 1) && points.length) {
+    throw new Error('k-means: k must be at least 1');
+  }
+
+  const labels = new Int32Array(rows).fill(NOISE);
+  const centroids = new Float64Array(k * dims);
+  const setCentroid = (c, row) => {
+    for (let d = 0; d < dims; d++) centroids[c * dims + d] = values[row * dims + d];
+  };
+
+  // k-means++ seeding
+  const nearest = new Float64Array(points.length).fill(Infinity);
+  for (let c = 0; c < k; c++) {
+    let chosen;
+    if (c === 0) {
+      chosen = Math.floor(random() * points.length);
+    } else {
+      let total = 0;
+      for (let p = 0; p < points.length; p++) {
+        nearest[p] = Math.min(nearest[p], distanceToCentroid(values, points[p], centroids, c - 1, dims));
+        total += nearest[p];
+      }
+      // Duplicate points can leave nothing to choose by distance
+      chosen = total > 0 ? points.length - 1 : Math.floor(random() * points.length);
+      let target = random() * total;
+      for (let p = 0; p < points.length && total > 0; p++) {
+        target -= nearest[p];
+        if (target < 0) {
+          chosen = p;
+          break;
+        }
+      }
+    }
+    setCentroid(c, points[chosen]);
+    report('seeding', c + 1, k);
+  }
+
+  // Lloyd iterations
+  const sums = new Float64Array(k * dims);
+  const counts = new Int32Array(k);
+  let iterations = 0;
+  let inertia = 0;
+  while (iterations < maxIterations && k > 0) {
+    iterations++;
+    sums.fill(0);
+    counts.fill(0);
+    inertia = 0;
+    for (const row of points) {
+      let best = 0;
+      let bestDistance = Infinity;
+      for (let c = 0; c < k; c++) {
+        const distance = distanceToCentroid(values, row, centroids, c, dims);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = c;
+        }
+      }
+      labels[row] = best;
+      inertia += bestDistance;
+      counts[best]++;
+      for (let d = 0; d < dims; d++) sums[best * dims + d] += values[row * dims + d];
+    }
+
+    let shift = 0;
+    for (let c = 0; c < k; c++) {
+      // An empty cluster keeps its centroid
+      if (!counts[c]) continue;
+      for (let d = 0; d < dims; d++) {
+        const mean = sums[c * dims + d] / counts[c];
+        shift = Math.max(shift, Math.abs(mean - centroids[c * dims + d]));
+        centroids[c * dims + d] = mean;
+      }
+    }
+    report('iterations', iterations, maxIterations);
+    if (shift <= tolerance) break;
+  }
+  report('iterations', 1, 1);
+
+  return {
+    labels,
+    centroids: Array.from({ length: k }, (_, c) => Array.from(centroids.subarray(c * dims, (c + 1) * dims))),
+    inertia,
+    iterations
+  };
+}
+
+/**
+ * Build a neighbour search for DBSCAN
+ *
+ * Up to three features use a grid of eps-sized cells, so only the
+ * surrounding cells are searched; more features fall back to a full scan.
+ * @private
+ * @returns {Function} (row) => Array of rows within eps, including row
+ */
+function neighbourSearch(matrix, points, eps) {
+  const { values, dims } = matrix;
+  const limit = eps * eps;
+
+  if (dims > 3) {
+    return row => points.filter(other => squaredDistance(values, row, other, dims) <= limit);
+  }
+
+  const cellOf = (row, d) => Math.floor(values[row * dims + d] / eps);
+  const grid = new Map();
+  points.forEach(row => {
+    let key = '';
+    for (let d = 0; d < dims; d++) key += `${cellOf(row, d)},`;
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(row);
+  });
+
+  // Offsets to the 3^dims cells around (and including) a cell
+  let offsets = [[]];
+  for (let d = 0; d < dims; d++) {
+    offsets = offsets.flatMap(offset => [-1, 0, 1].map(step => offset.concat(step)));
+  }
+
+  return row => {
+    const found = [];
+    offsets.forEach(offset => {
+      let key = '';
+      for (let d = 0; d < dims; d++) key += `${cellOf(row, d) + offset[d]},`;
+      const cell = grid.get(key);
+      if (!cell) return;
+      for (const other of cell) {
+        if (squaredDistance(values, row, other, dims) <= limit) found.push(other);
+      }
+    });
+    return found;
+  };
+}
+
+/**
+ * DBSCAN density-based clustering
+ *
+ * Rows with at least minPoints neighbours within eps (counting
+ * themselves) are core points; clusters grow through chains of core
+ * points, and rows no cluster reaches are noise (-1). The number of
+ * clusters is found rather than given.
+ * @param {FeatureMatrix} matrix - Features (see matrix.js)
+ * @param {Object} options - Options
+ * @param {number} options.eps - Neighbourhood radius, in feature units (required)
+ * @param {number} options.minPoints - Neighbours needed for a core point (default: 5)
+ * @param {Function} options.onProgress - Progress callback
+ * @returns {Object} {labels, clusters, noise}
+ */
+export function dbscan(matrix, options = {}) {
+  const eps = options.eps;
+  const minPoints = options.minPoints ?? 5;
+  if (!(eps > 0)) {
+    throw new Error('DBSCAN: eps must be a positive number');
+  }
+  const report = progressReporter(options.onProgress, 'dbscan');
+
+  const points = validRows(matrix);
+  const neighbours = neighbourSearch(matrix, points, eps);
+  const labels = new Int32Array(matrix.rows).fill(NOISE);
+  const visited = new Uint8Array(matrix.rows);
+  let clusters = 0;
+  let done = 0;
+
+  for (const row of points) {
+    if (visited[row]) continue;
+    visited[row] = 1;
+    report('clustering', ++done, points.length);
+
+    const seeds = neighbours(row);
+    if (seeds.length < minPoints) continue;
+
+    const cluster = clusters++;
+    labels[row] = cluster;
+    for (let s = 0; s < seeds.length; s++) {
+      const other = seeds[s];
+      if (!visited[other]) {
+        visited[other] = 1;
+        report('clustering', ++done, points.length);
+        const reach = neighbours(other);
+        if (reach.length >= minPoints) {
+          for (const next of reach) seeds.push(next);
+        }
+      }
+      if (labels[other] === NOISE) labels[other] = cluster;
+    }
+  }
+
+  let noise = 0;
+  for (const row of points) {
+    if (labels[row] === NOISE) noise++;
+  }
+  return { labels, clusters, noise };
+}
+
+/**
+ * Lance–Williams updates: distance from the merge of a and b to c
+ * @private
+ */
+const LINKAGES = {
+  single: (ac, bc) => Math.min(ac, bc),
+  complete: (ac, bc) => Math.max(ac, bc),
+  average: (ac, bc, sizeA, sizeB) => (sizeA * ac + sizeB * bc) / (sizeA + sizeB)
+};
+
+/**
+ * Agglomerative hierarchical clustering
+ *
+ * Starts with one cluster per row and repeatedly merges the closest
+ * pair, found with the nearest-neighbour chain algorithm. The tree is cut
+ * either into k clusters or at a merge distance. Needs an n x n distance
+ * matrix, so large datasets are refused (use kMeans() or sample them).
+ * @param {FeatureMatrix} matrix - Features (see matrix.js)
+ * @param {Object} options - Options
+ * @param {number} options.k - Number of clusters to cut the tree into (default: 2)
+ * @param {number} options.distance - Cut at this merge distance instead of k
+ * @param {string} options.linkage - 'single', 'complete' or 'average' (default)
+ * @param {number} options.maxPoints - Row limit (default: 2000)
+ * @param {Function} options.onProgress - Progress callback
+ * @returns {Object} {labels, clusters, merges: [{a, b, distance, size}] sorted by distance,
+ *   where a and b are rows from the two merged clusters}
+ */
+export function hierarchical(matrix, options = {}) {
+  const linkage = options.linkage || 'average';
+  const update = LINKAGES[linkage];
+  if (!update) {
+    throw new Error(`Unknown linkage "${linkage}"`);
+  }
+  const maxPoints = options.maxPoints ?? 2000;
+  const points = validRows(matrix);
+  const n = points.length;
+  if (n > maxPoints) {
+    throw new Error(`Hierarchical clustering is limited to ${maxPoints} rows (got ${n}); use k-means or a sample`);
+  }
+  const report = progressReporter(options.onProgress, 'hierarchical');
+  const { values, dims } = matrix;
+
+  const distances = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const distance = Math.sqrt(squaredDistance(values, points[i], points[j], dims));
+      distances[i * n + j] = distances[j * n + i] = distance;
+    }
+    report('distances', i + 1, n);
+  }
+
+  // Nearest-neighbour chain: exact for these linkages, O(n^2) time
+  const active = new Uint8Array(n).fill(1);
+  const sizes = new Int32Array(n).fill(1);
+  const merges = [];
+  const chain = [];
+  let remaining = n;
+  while (remaining > 1) {
+    if (!chain.length) {
+      chain.push(active.indexOf(1));
+    }
+    const a = chain[chain.length - 1];
+    const previous = chain.length > 1 ? chain[chain.length - 2] : -1;
+    // Prefer the previous chain element on ties, so the chain terminates
+    let b = previous;
+    let best = previous === -1 ? Infinity : distances[a * n + previous];
+    for (let c = 0; c < n; c++) {
+      if (!active[c] || c === a) continue;
+      if (distances[a * n + c] < best) {
+        best = distances[a * n + c];
+        b = c;
+      }
+    }
+
+    if (b !== previous) {
+      chain.push(b);
+      continue;
+    }
+
+    // a and b are each other's nearest: merge b into a
+    chain.length -= 2;
+    merges.push({ a: points[a], b: points[b], distance: best, size: sizes[a] + sizes[b] });
+    for (let c = 0; c < n; c++) {
+      if (!active[c] || c === a || c === b) continue;
+      const distance = update(distances[a * n + c], distances[b * n + c], sizes[a], sizes[b]);
+      distances[a * n + c] = distances[c * n + a] = distance;
+    }
+    sizes[a] += sizes[b];
+    active[b] = 0;
+    remaining--;
+    report('merging', n - remaining, n - 1);
+  }
+  merges.sort((x, y) => x.distance - y.distance);
+
+  // Cut the tree: replay the closest merges with a union-find
+  const parent = new Map(points.map(row => [row, row]));
+  const find = row => {
+    while (parent.get(row) !== row) {
+      parent.set(row, parent.get(parent.get(row)));
+      row = parent.get(row);
+    }
+    return row;
+  };
+  const cut = options.distance !== undefined
+    ? merges.filter(merge => merge.distance <= options.distance).length
+    : Math.max(0, n - (options.k ?? 2));
+  merges.slice(0, cut).forEach(({ a, b }) => parent.set(find(a), find(b)));
+
+  const labels = new Int32Array(matrix.rows).fill(NOISE);
+  const ids = new Map();
+  points.forEach(row => {
+    const root = find(row);
+    if (!ids.has(root)) ids.set(root, ids.size);
+    labels[row] = ids.get(root);
+  });
+
+  return { labels, clusters: ids.size, merges };
+}
+
+/**
+ * Clustering algorithms by name
+ */
+export const CLUSTER_METHODS = {
+  kmeans: kMeans,
+  dbscan,
+  hierarchical
+};
+
+/**
+ * Cluster a dataset and add the cluster ids as a column
+ * @param {Array<Object>|ColumnTable} data - Records or table
+ * @param {Object} options - Options, plus those of the chosen method
+ * @param {Array<string>} options.fields - Numeric fields to cluster on
+ * @param {string} options.method - 'kmeans' (default), 'dbscan' or 'hierarchical'
+ * @param {string} options.as - Name of the added column (default: 'cluster')
+ * @param {boolean} options.standardize - Put the fields on a common scale first (default: false)
+ * @returns {Object} {data, ...method output without labels}
+ *
+ * @example
+ * const { data, centroids } = cluster(records, { fields: ['x', 'y'], k: 4, seed: 1 });
+ * chart.setData(data, { colorBy: 'cluster' });
+ */
+export function cluster(data, options = {}) {
+  const method = options.method || 'kmeans';
+  const algorithm = CLUSTER_METHODS[method];
+  if (!algorithm) {
+    throw new Error(`Unknown clustering method "${method}"`);
+  }
+  const matrix = toMatrix(data, options.fields, { standardize: options.standardize });
+  const { labels, ...info } = algorithm(matrix, options);
+  return { data: appendColumns(data, { [options.as || 'cluster']: labels }), ...info };
+}
+
+export default cluster;
@@ -0,0 +1,340 @@
+/**
+ * expression - Safe row expressions for serialisable pipelines
+ * ES Module compiling strings such as `value * 2 > limit && status == "active"`
+ * into functions of a record, without eval or Function
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+/**
+ * Functions callable from expressions
+ *
+ * Date parts use local time; month() is 1-based.
+ */
+export const EXPRESSION_FUNCTIONS = {
+  abs: Math.abs,
+  ceil: Math.ceil,
+  floor: Math.floor,
+  round: (value, digits = 0) => {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+  },
+  sqrt: Math.sqrt,
+  pow: Math.pow,
+  log: Math.log,
+  exp: Math.exp,
+  min: Math.min,
+  max: Math.max,
+  number: value => (value === null || value === undefined || value === '' ? null : Number(value)),
+  string: value => (value === null || value === undefined ? '' : String(value)),
+  lower: value => String(value ?? '').toLowerCase(),
+  upper: value => String(value ?? '').toUpperCase(),
+  length: value => (value === null || value === undefined ? 0 : value.length),
+  contains: (value, part) => String(value ?? '').includes(part),
+  startsWith: (value, prefix) => String(value ?? '').startsWith(prefix),
+  date: value => (value === null || value === undefined ? null : new Date(value)),
+  year: value => new Date(value).getFullYear(),
+  month: value => new Date(value).getMonth() + 1,
+  day: value => new Date(value).getDate(),
+  hour: value => new Date(value).getHours(),
+  isNull: value => value === null || value === undefined || (typeof value === 'number' && Number.isNaN(value)),
+  coalesce: (...values) => values.find(value => value !== null && value !== undefined) ?? null
+};
+
+const OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '(', ')', '[', ']', ',', '.'];
+
+const BINARY_PRECEDENCE = [
+  ['||'],
+  ['&&'],
+  ['==', '!=', '===', '!=='],
+  ['<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+/**
+ * Loose only for null and undefined, strict otherwise; dates compare by time
+ * @private
+ */
+function equals(a, b) {
+  if (a instanceof Date && b instanceof Date) return +a === +b;
+  return a === b || (a == null && b == null);
+}
+
+const BINARY = {
+  '||': (a, b) => a() || b(),
+  '&&': (a, b) => a() && b(),
+  '==': (a, b) => equals(a(), b()),
+  '===': (a, b) => equals(a(), b()),
+  '!=': (a, b) => !equals(a(), b()),
+  '!==': (a, b) => !equals(a(), b()),
+  '<': (a, b) => a() < b(),
+  '<=': (a, b) => a() <= b(),
+  '>': (a, b) => a() > b(),
+  '>=': (a, b) => a() >= b(),
+  '+': (a, b) => a() + b(),
+  '-': (a, b) => a() - b(),
+  '*': (a, b) => a() * b(),
+  '/': (a, b) => a() / b(),
+  '%': (a, b) => a() % b()
+};
+
+/**
+ * Split an expression into tokens
+ * @private
+ * @param {string} source - Expression text
+ * @returns {Array<Object>} Tokens {type, value, position}
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1]))) {
+      const match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(i));
+      tokens.push({ type: 'number', value: parseFloat(match[0]), position: start });
+      i += match[0].length;
+    } else if (char === '"' || char === "'") {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === '\\' && i + 1 < source.length) {
+          i++;
+          value += source[i] === 'n' ? '\n' : source[i] === 't' ? '\t' : source[i];
+        } else {
+          value += source[i];
+        }
+        i++;
+      }
+      if (i >= source.length) {
+        throw syntaxError('unterminated string', start);
+      }
+      i++;
+      tokens.push({ type: 'string', value, position: start });
+    } else if (/[A-Za-z_$]/.test(char)) {
+      const match = /^[A-Za-z_$][\w$]*/.exec(source.slice(i));
+      tokens.push({ type: 'name', value: match[0], position: start });
+      i += match[0].length;
+    } else {
+      const operator = OPERATORS.find(op => source.startsWith(op, i));
+      if (!operator) {
+        throw syntaxError(`unexpected character "${char}"`, start);
+      }
+      tokens.push({ type: 'operator', value: operator, position: start });
+      i += operator.length;
+    }
+  }
+
+  tokens.push({ type: 'end', value: null, position: source.length });
+  return tokens;
+}
+
+/**
+ * Build a syntax error pointing at a position in the expression
+ * @private
+ */
+function syntaxError(message, position) {
+  return new Error(`Expression syntax error at position ${position}: ${message}`);
+}
+
+/**
+ * Recursive-descent parser producing closures over the current record
+ * @private
+ */
+class ExpressionCompiler {
+  constructor(source, functions) {
+    this.tokens = tokenize(source);
+    this.index = 0;
+    this.functions = functions;
+    // The record being evaluated; closures read it through this object
+    this.scope = { row: null };
+  }
+
+  compile() {
+    const node = this.ternary();
+    if (this.peek().type !== 'end') {
+      throw syntaxError(`unexpected "${this.peek().value}"`, this.peek().position);
+    }
+    const scope = this.scope;
+    return (row) => {
+      scope.row = row;
+      return node();
+    };
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  accept(value) {
+    const token = this.peek();
+    if (token.type === 'operator' && token.value === value) {
+      this.index++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(value) {
+    if (!this.accept(value)) {
+      const token = this.peek();
+      throw syntaxError(`expected "${value}"`, token.position);
+    }
+  }
+
+  ternary() {
+    const test = this.binary(0);
+    if (!this.accept('?')) {
+      return test;
+    }
+    const whenTrue = this.ternary();
+    this.expect(':');
+    const whenFalse = this.ternary();
+    return () => (test() ? whenTrue() : whenFalse());
+  }
+
+  binary(level) {
+    if (level === BINARY_PRECEDENCE.length) {
+      return this.unary();
+    }
+    let left = this.binary(level + 1);
+    for (;;) {
+      const token = this.peek();
+      if (token.type !== 'operator' || !BINARY_PRECEDENCE[level].includes(token.value)) {
+        return left;
+      }
+      this.index++;
+      const right = this.binary(level + 1);
+      const apply = BINARY[token.value];
+      const a = left;
+      left = () => apply(a, right);
+    }
+  }
+
+  unary() {
+    if (this.accept('!')) {
+      const operand = this.unary();
+      return () => !operand();
+    }
+    if (this.accept('-')) {
+      const operand = this.unary();
+      return () => -operand();
+    }
+    if (this.accept('+')) {
+      const operand = this.unary();
+      return () => +operand();
+    }
+    return this.member(this.primary());
+  }
+
+  member(object) {
+    for (;;) {
+      if (this.accept('.')) {
+        const token = this.next();
+        if (token.type !== 'name') {
+          throw syntaxError('expected a property name', token.position);
+        }
+        const target = object;
+        object = () => {
+          const value = target();
+          return value === null || value === undefined ? undefined : value[token.value];
+        };
+      } else if (this.accept('[')) {
+        const key = this.ternary();
+        this.expect(']');
+        const target = object;
+        object = () => {
+          const value = target();
+          return value === null || value === undefined ? undefined : value[key()];
+        };
+      } else {
+        return object;
+      }
+    }
+  }
+
+  primary() {
+    const token = this.next();
+    const scope = this.scope;
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return () => token.value;
+      case 'name':
+        if (token.value === 'true') return () => true;
+        if (token.value === 'false') return () => false;
+        if (token.value === 'null') return () => null;
+        if (this.accept('(')) {
+          return this.call(token);
+        }
+        // Any other name reads a field of the record
+        return () => scope.row[token.value];
+      case 'operator':
+        if (token.value === '(') {
+          const inner = this.ternary();
+          this.expect(')');
+          return inner;
+        }
+        break;
+      default:
+        break;
+    }
+    throw syntaxError(token.type === 'end' ? 'unexpected end of expression' : `unexpected "${token.value}"`, token.position);
+  }
+
+  call(nameToken) {
+    const scope = this.scope;
+    const args = [];
+    if (!this.accept(')')) {
+      do {
+        args.push(this.ternary());
+      } while (this.accept(','));
+      this.expect(')');
+    }
+
+    // field("name with spaces") reads a field whose name isn't an identifier
+    if (nameToken.value === 'field') {
+      return () => scope.row[args[0]()];
+    }
+    // Own entries only, so inherited members such as constructor can't be called
+    const fn = Object.hasOwn(this.functions, nameToken.value) ? this.functions[nameToken.value] : undefined;
+    if (typeof fn !== 'function') {
+      throw syntaxError(`unknown function "${nameToken.value}"`, nameToken.position);
+    }
+    return () => fn(...args.map(arg => arg()));
+  }
+}
+
+/**
+ * Compile an expression into a function of a record
+ *
+ * Names read record fields (`price`, `address.city`, `tags[0]`, or
+ * `field("unit price")`), and the usual arithmetic, comparison, logical and
+ * ternary operators apply. `==` and `===` are both strict, except that null
+ * equals undefined and dates compare by time.
+ * @param {string} source - Expression text
+ * @param {Object} functions - Extra or replacement functions by name
+ * @returns {Function} (record) => value
+ * @throws {Error} On syntax errors or unknown functions
+ *
+ * @example
+ * const isLarge = compileExpression('value > 50 && status == "active"');
+ * records.filter(isLarge);
+ */
+export function compileExpression(source, functions = {}) {
+  return new ExpressionCompiler(String(source), { ...EXPRESSION_FUNCTIONS, ...functions }).compile();
+}
+
+export default compileExpression;
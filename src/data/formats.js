@@ -0,0 +1,245 @@
+/**
+ * formats - Built-in format handlers for DataLoader
+ * ES Module describing how each data format is recognised and parsed
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+import { parseCSV, parseCSVStream } from './CSVParser.js';
+import { readArrow, isArrowFile, isArrowStream } from './ArrowReader.js';
+import { parseXMLDocument, mapXML } from './XMLParser.js';
+
+/**
+ * A format handler as registered with DataLoader#registerFormat()
+ * @typedef {Object} FormatHandler
+ * @property {Array<string>} [extensions] - File extensions, without the dot
+ * @property {Array<string>} [mimeTypes] - Content-Type values, without parameters
+ * @property {Function} [sniff] - (bytes: Uint8Array, text: string) => boolean, given the
+ *   first bytes of the body and their UTF-8 decoding
+ * @property {Function} parse - async (response, options, loader) => data
+ */
+
+/**
+ * Check whether a response body can be read as a stream
+ * @param {Response} response - Fetch response
+ * @returns {boolean} True if response.body is a ReadableStream
+ */
+function hasStreamBody(response) {
+  return Boolean(response.body && typeof response.body.getReader === 'function');
+}
+
+/**
+ * Parse a CSV-like response, streaming the body when possible
+ * @param {Response} response - Fetch response
+ * @param {Object} options - Parse options (see CSVParser)
+ * @returns {Promise<Array>} Records
+ */
+export async function parseCSVResponse(response, options) {
+  if (hasStreamBody(response)) {
+    return parseCSVStream(response.body, options);
+  }
+  return parseCSV(await response.text(), options);
+}
+
+/**
+ * CSV parse options taken from loader options
+ * @param {Object} options - Loader options
+ * @param {string} delimiter - Default delimiter
+ * @returns {Object} CSVParser options
+ */
+function csvOptions(options, delimiter) {
+  return {
+    delimiter: options.delimiter || delimiter,
+    header: options.header !== false,
+    inferTypes: options.inferTypes === true
+  };
+}
+
+/**
+ * Parse one NDJSON line into the output list
+ * @param {string} line - Line text
+ * @param {number} lineNumber - 1-based line number, for error messages
+ * @param {Array} records - Output list
+ */
+function parseNDJSONLine(line, lineNumber, records) {
+  const trimmed = line.trim();
+  if (!trimmed) return;
+  try {
+    records.push(JSON.parse(trimmed));
+  } catch (error) {
+    throw new Error(`NDJSON parsing error on line ${lineNumber}: ${error.message}`);
+  }
+}
+
+/**
+ * Parse newline-delimited JSON text
+ * @param {string} text - One JSON value per line; blank lines are ignored
+ * @returns {Array} Parsed values
+ */
+export function parseNDJSON(text) {
+  const records = [];
+  text.split('\n').forEach((line, index) => parseNDJSONLine(line, index + 1, records));
+  return records;
+}
+
+/**
+ * Parse newline-delimited JSON from a ReadableStream, line by line
+ * @param {ReadableStream} stream - Stream of UTF-8 bytes or strings
+ * @returns {Promise<Array>} Parsed values
+ */
+export async function parseNDJSONStream(stream) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder('utf-8');
+  const records = [];
+  let pending = '';
+  let lineNumber = 0;
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      pending += typeof value === 'string' ? value : decoder.decode(value, { stream: true });
+      // Walk the lines with an index and drop them in one slice per chunk
+      let start = 0;
+      let newline = pending.indexOf('\n');
+      while (newline !== -1) {
+        parseNDJSONLine(pending.slice(start, newline), ++lineNumber, records);
+        start = newline + 1;
+        newline = pending.indexOf('\n', start);
+      }
+      pending = pending.slice(start);
+    }
+    parseNDJSONLine(pending + decoder.decode(), ++lineNumber, records);
+  } finally {
+    reader.releaseLock();
+  }
+  return records;
+}
+
+/**
+ * Flatten GeoJSON into one record per feature
+ *
+ * Each record holds the feature properties, its `id` when present and its
+ * `geometry`. A bare geometry becomes a single record.
+ * @param {Object} geojson - FeatureCollection, Feature or geometry object
+ * @returns {Array<Object>} Records
+ */
+export function geoJSONToRecords(geojson) {
+  if (!geojson || typeof geojson.type !== 'string') {
+    throw new Error('GeoJSON parsing error: missing "type"');
+  }
+
+  const toRecord = (feature) => ({
+    ...(feature.id !== undefined && { id: feature.id }),
+    ...feature.properties,
+    geometry: feature.geometry || null
+  });
+
+  switch (geojson.type) {
+    case 'FeatureCollection':
+      if (!Array.isArray(geojson.features)) {
+        throw new Error('GeoJSON parsing error: FeatureCollection without "features"');
+      }
+      return geojson.features.map(toRecord);
+    case 'Feature':
+      return [toRecord(geojson)];
+    default:
+      return [{ geometry: geojson }];
+  }
+}
+
+/**
+ * Parse an XML document
+ *
+ * DOMParser is used when the runtime has one; in Node and Web Workers the
+ * built-in XMLParser takes over.
+ * @param {string} text - XML text
+ * @param {string} parser - 'auto', 'dom' or 'builtin' (default: 'auto')
+ * @returns {Document|XMLNode} Parsed document
+ */
+export function parseXML(text, parser = 'auto') {
+  const hasDOMParser = typeof DOMParser !== 'undefined';
+  if (parser === 'builtin' || (parser === 'auto' && !hasDOMParser)) {
+    return parseXMLDocument(text);
+  }
+  if (!hasDOMParser) {
+    throw new Error('DOMParser is not available in this environment');
+  }
+
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+
+  const parseError = doc.querySelector('parsererror');
+  if (parseError) {
+    throw new Error('XML parsing error: ' + parseError.textContent);
+  }
+
+  return doc;
+}
+
+/**
+ * Built-in format handlers
+ *
+ * DataLoader tries handlers in reverse registration order when matching
+ * Content-Type or sniffing, so this list runs from the most generic to
+ * the most specific format, and formats registered later win.
+ */
+export const BUILTIN_FORMATS = {
+  text: {
+    extensions: ['txt'],
+    parse: (response) => response.text()
+  },
+  csv: {
+    extensions: ['csv'],
+    mimeTypes: ['text/csv'],
+    sniff: (bytes, text) => /^[^\n]*[,;][^\n]*\r?\n[^\n]*[,;]/.test(text),
+    parse: (response, options) => parseCSVResponse(response, csvOptions(options, 'auto'))
+  },
+  tsv: {
+    extensions: ['tsv', 'tab'],
+    mimeTypes: ['text/tab-separated-values'],
+    sniff: (bytes, text) => /^[^\n]*\t[^\n]*\r?\n/.test(text),
+    parse: (response, options) => parseCSVResponse(response, csvOptions(options, '\t'))
+  },
+  xml: {
+    extensions: ['xml'],
+    mimeTypes: ['application/xml', 'text/xml'],
+    sniff: (bytes, text) => /^\s*</.test(text),
+    parse: async (response, options) => {
+      const doc = parseXML(await response.text(), options.parser);
+      return options.mapping ? mapXML(doc, options.mapping) : doc;
+    }
+  },
+  json: {
+    extensions: ['json'],
+    mimeTypes: ['application/json'],
+    sniff: (bytes, text) => /^\s*[[{]/.test(text),
+    parse: (response) => response.json()
+  },
+  ndjson: {
+    extensions: ['ndjson', 'jsonl'],
+    mimeTypes: ['application/x-ndjson', 'application/ndjson', 'application/jsonl'],
+    // Two lines that each start a JSON object
+    sniff: (bytes, text) => /^\s*\{[^\n]*\}\s*\r?\n\s*\{/.test(text),
+    parse: async (response) => (hasStreamBody(response)
+      ? parseNDJSONStream(response.body)
+      : parseNDJSON(await response.text()))
+  },
+  geojson: {
+    extensions: ['geojson'],
+    mimeTypes: ['application/geo+json'],
+    sniff: (bytes, text) => /^\s*\{[\s\S]*"type"\s*:\s*"(FeatureCollection|Feature)"/.test(text),
+    parse: async (response, options) => {
+      const geojson = await response.json();
+      return options.flatten === false ? geojson : geoJSONToRecords(geojson);
+    }
+  },
+  arrow: {
+    extensions: ['arrow', 'arrows', 'feather'],
+    mimeTypes: ['application/vnd.apache.arrow.file', 'application/vnd.apache.arrow.stream'],
+    sniff: (bytes) => isArrowFile(bytes) || isArrowStream(bytes),
+    parse: async (response) => readArrow(await response.arrayBuffer())
+  }
+};
+
+export default BUILTIN_FORMATS;
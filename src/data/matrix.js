@@ -0,0 +1,134 @@
+/**
+ * matrix - Numeric feature matrices for clustering and projection
+ * ES Module turning records or tables into packed Float64Array rows and
+ * appending computed columns back onto the dataset
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+import { ColumnTable, isColumnTable } from './ColumnTable.js';
+
+/**
+ * A packed row-major matrix
+ * @typedef {Object} FeatureMatrix
+ * @property {Float64Array} values - rows * dims values
+ * @property {number} rows - Number of rows (one per record)
+ * @property {number} dims - Number of features
+ * @property {Uint8Array} valid - 1 where every feature is a finite number
+ * @property {Array<string>} fields - Feature names
+ */
+
+/**
+ * Build a feature matrix from some fields of a dataset
+ *
+ * Dates count as timestamps. Rows with a missing or non-numeric feature
+ * are flagged invalid and left out of the computations.
+ * @param {Array<Object>|ColumnTable} data - Records or table
+ * @param {Array<string>} fields - Feature fields
+ * @param {Object} options - Options
+ * @param {boolean} options.standardize - Scale each feature to mean 0 and
+ *   standard deviation 1, so features in large units don't dominate (default: false)
+ * @returns {FeatureMatrix} Matrix
+ */
+export function toMatrix(data, fields, options = {}) {
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw new Error('At least one numeric field is required');
+  }
+  const rows = isColumnTable(data) ? data.numRows : data.length;
+  const dims = fields.length;
+  const readers = fields.map(field => (isColumnTable(data)
+    ? data.reader(field)
+    : (i => (data[i] == null ? undefined : data[i][field]))));
+
+  const values = new Float64Array(rows * dims);
+  const valid = new Uint8Array(rows);
+  for (let i = 0; i < rows; i++) {
+    let ok = 1;
+    for (let d = 0; d < dims; d++) {
+      const raw = readers[d](i);
+      const value = raw === null || raw === undefined || raw === '' ? NaN : +raw;
+      values[i * dims + d] = value;
+      if (!Number.isFinite(value)) ok = 0;
+    }
+    valid[i] = ok;
+  }
+
+  const matrix = { values, rows, dims, valid, fields };
+  if (options.standardize) {
+    standardize(matrix);
+  }
+  return matrix;
+}
+
+/**
+ * Scale the valid rows of a matrix to z-scores, in place
+ * @param {FeatureMatrix} matrix - Matrix
+ * @returns {FeatureMatrix} The same matrix
+ */
+export function standardize(matrix) {
+  const { values, rows, dims, valid } = matrix;
+  for (let d = 0; d < dims; d++) {
+    let count = 0;
+    let mean = 0;
+    let m2 = 0;
+    for (let i = 0; i < rows; i++) {
+      if (!valid[i]) continue;
+      const delta = values[i * dims + d] - mean;
+      count++;
+      mean += delta / count;
+      m2 += delta * (values[i * dims + d] - mean);
+    }
+    const deviation = count ? Math.sqrt(m2 / count) : 0;
+    for (let i = 0; i < rows; i++) {
+      if (!valid[i]) continue;
+      values[i * dims + d] = deviation ? (values[i * dims + d] - mean) / deviation : 0;
+    }
+  }
+  return matrix;
+}
+
+/**
+ * Squared Euclidean distance between two rows of a matrix
+ * @param {Float64Array} values - Packed values
+ * @param {number} a - First row
+ * @param {number} b - Second row
+ * @param {number} dims - Features per row
+ * @returns {number} Squared distance
+ */
+export function squaredDistance(values, a, b, dims) {
+  let sum = 0;
+  for (let d = 0; d < dims; d++) {
+    const delta = values[a * dims + d] - values[b * dims + d];
+    sum += delta * delta;
+  }
+  return sum;
+}
+
+/**
+ * Return the dataset with extra columns
+ *
+ * Tables get new typed-array columns next to the existing ones (which are
+ * shared, not copied); records are copied with the new fields set. NaN
+ * becomes null in records.
+ * @param {Array<Object>|ColumnTable} data - Records or table
+ * @param {Object} columns - Values by new column name (Float64Array or array, one per row)
+ * @returns {Array<Object>|ColumnTable} Dataset of the same kind
+ */
+export function appendColumns(data, columns) {
+  if (isColumnTable(data)) {
+    const added = ColumnTable.fromColumns(columns, { numRows: data.numRows });
+    return new ColumnTable({ ...data.columns, ...added.columns }, data.numRows);
+  }
+
+  const names = Object.keys(columns);
+  return data.map((record, i) => {
+    const extended = { ...record };
+    names.forEach(name => {
+      const value = columns[name][i];
+      extended[name] = typeof value === 'number' && Number.isNaN(value) ? null : value;
+    });
+    return extended;
+  });
+}
+
+export default toMatrix;
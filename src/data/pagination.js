@@ -0,0 +1,202 @@
+/**
+ * pagination - Next-page strategies for DataLoader#loadPages()
+ * ES Module covering Link headers, cursors, offset/limit and page numbers
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+/**
+ * A pagination strategy
+ * @typedef {Object} PaginationStrategy
+ * @property {Function} [first] - (url) => URL of the first page
+ * @property {Function} next - ({url, response, data, records, index, count}) => URL of
+ *   the next page, or null when there is none
+ */
+
+/**
+ * Set query parameters on a URL, absolute or relative
+ * @param {string} url - URL
+ * @param {Object} params - Parameter values by name
+ * @returns {string} URL with the parameters set
+ */
+export function setQueryParams(url, params) {
+  const [withoutHash, hash] = url.split('#');
+  const [path, query = ''] = withoutHash.split('?');
+  const search = new URLSearchParams(query);
+  Object.entries(params).forEach(([name, value]) => {
+    search.set(name, String(value));
+  });
+  return `${path}?${search.toString()}${hash !== undefined ? `#${hash}` : ''}`;
+}
+
+/**
+ * Parse an RFC 8288 Link header
+ * @param {string} header - Link header value
+ * @returns {Object} Target URLs by relation type
+ */
+export function parseLinkHeader(header) {
+  const links = {};
+  if (!header) {
+    return links;
+  }
+
+  header.split(/,\s*(?=<)/).forEach(part => {
+    const match = part.match(/<([^>]*)>(.*)/);
+    if (!match) return;
+    const rel = match[2].match(/;\s*rel\s*=\s*"?([^";]+)"?/i);
+    if (rel) {
+      rel[1].trim().split(/\s+/).forEach(type => {
+        links[type.toLowerCase()] = match[1];
+      });
+    }
+  });
+  return links;
+}
+
+/**
+ * Read a dotted path from an object
+ * @param {Object} object - Source object
+ * @param {string|Function} path - Path such as 'meta.next_cursor', or (object) => value
+ * @returns {*} Value, or undefined if a step is missing
+ */
+export function getPath(object, path) {
+  if (typeof path === 'function') {
+    return path(object);
+  }
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Resolve a possibly relative link against the URL it came from
+ * @param {string} link - Link target
+ * @param {string} base - URL of the page holding the link
+ * @returns {string} Link usable with fetch
+ */
+function resolveLink(link, base) {
+  if (/^[a-z][a-z\d+.-]*:/i.test(link) || !/^[a-z][a-z\d+.-]*:/i.test(base)) {
+    return link;
+  }
+  return new URL(link, base).href;
+}
+
+/**
+ * Built-in strategy factories by name
+ */
+export const PAGINATION_STRATEGIES = {
+  /**
+   * Follow rel="next" in the Link header, or a URL found in the body
+   * @param {Object} options - Strategy options
+   * @param {string|Function} options.path - Body path of the next URL, e.g. 'links.next'
+   */
+  link: (options = {}) => ({
+    next: ({ url, response, data }) => {
+      const header = response.headers && response.headers.get('Link');
+      const link = parseLinkHeader(header).next || (options.path ? getPath(data, options.path) : null);
+      return link ? resolveLink(link, url) : null;
+    }
+  }),
+
+  /**
+   * Pass the cursor from each page as a query parameter of the next
+   * @param {Object} options - Strategy options
+   * @param {string} options.param - Query parameter (default: 'cursor')
+   * @param {string|Function} options.path - Body path of the next cursor (default: 'next_cursor')
+   */
+  cursor: (options = {}) => {
+    const { param = 'cursor', path = 'next_cursor' } = options;
+    return {
+      next: ({ url, data }) => {
+        const cursor = getPath(data, path);
+        return cursor === undefined || cursor === null || cursor === ''
+          ? null
+          : setQueryParams(url, { [param]: cursor });
+      }
+    };
+  },
+
+  /**
+   * Step an offset parameter by the page size; a short page is the last
+   * @param {Object} options - Strategy options
+   * @param {number} options.limit - Page size (default: 100)
+   * @param {number} options.start - First offset (default: 0)
+   * @param {string} options.offsetParam - Offset parameter (default: 'offset')
+   * @param {string} options.limitParam - Page size parameter (default: 'limit')
+   */
+  offset: (options = {}) => {
+    const { limit = 100, start = 0, offsetParam = 'offset', limitParam = 'limit' } = options;
+    return {
+      first: url => setQueryParams(url, { [offsetParam]: start, [limitParam]: limit }),
+      next: ({ url, records, index }) => (records.length < limit
+        ? null
+        : setQueryParams(url, { [offsetParam]: start + (index + 1) * limit }))
+    };
+  },
+
+  /**
+   * Count up a page number parameter until an empty (or short) page
+   * @param {Object} options - Strategy options
+   * @param {string} options.param - Page parameter (default: 'page')
+   * @param {number} options.start - First page number (default: 1)
+   * @param {number} options.size - Page size, sent as sizeParam and used to spot the last page
+   * @param {string} options.sizeParam - Page size parameter (default: 'per_page')
+   */
+  page: (options = {}) => {
+    const { param = 'page', start = 1, size = null, sizeParam = 'per_page' } = options;
+    return {
+      first: url => setQueryParams(url, size ? { [param]: start, [sizeParam]: size } : { [param]: start }),
+      next: ({ url, records, index }) => (size && records.length < size
+        ? null
+        : setQueryParams(url, { [param]: start + index + 1 }))
+    };
+  }
+};
+
+/**
+ * Resolve a pagination option to a strategy
+ * @param {string|Object|Function} pagination - Strategy name, {type, ...options},
+ *   a strategy object with next(), or a next() function
+ * @returns {PaginationStrategy} Strategy
+ */
+export function createPagination(pagination = 'link') {
+  if (typeof pagination === 'function') {
+    return { next: pagination };
+  }
+  if (typeof pagination === 'string') {
+    pagination = { type: pagination };
+  }
+  if (typeof pagination.next === 'function') {
+    return pagination;
+  }
+
+  const factory = PAGINATION_STRATEGIES[pagination.type];
+  if (!factory) {
+    throw new Error(`Unknown pagination strategy "${pagination.type}"`);
+  }
+  return factory(pagination);
+}
+
+/**
+ * Pull the records array out of a page
+ * @param {*} data - Parsed page
+ * @param {string|Function} path - Body path of the records (optional)
+ * @returns {Array} Records; without a path, arrays are used as-is and common
+ *   envelopes (data, items, results, records) are unwrapped
+ */
+export function pageRecords(data, path) {
+  if (path) {
+    const records = getPath(data, path);
+    return Array.isArray(records) ? records : [];
+  }
+  if (Array.isArray(data)) {
+    return data;
+  }
+  if (data && typeof data === 'object') {
+    const key = ['data', 'items', 'results', 'records'].find(name => Array.isArray(data[name]));
+    if (key) {
+      return data[key];
+    }
+  }
+  return data === undefined || data === null ? [] : [data];
+}
+
+export default createPagination;
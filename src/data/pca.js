@@ -0,0 +1,183 @@
+/**
+ * pca - Principal component analysis
+ * ES Module projecting records with many numeric fields onto their 2 or 3
+ * main directions of variation, returned as coordinate columns
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+import { toMatrix, appendColumns } from './matrix.js';
+
+/**
+ * Eigen-decomposition of a symmetric matrix with cyclic Jacobi rotations
+ *
+ * Feature counts are small (tens at most), where Jacobi is simple, stable
+ * and accurate.
+ * @param {Array<Array<number>>} matrix - Symmetric matrix (not modified)
+ * @param {Object} options - Options
+ * @param {number} options.maxSweeps - Sweep limit (default: 100)
+ * @returns {Object} {values, vectors}: eigenvalues in decreasing order and
+ *   the matching unit eigenvectors
+ */
+export function symmetricEigen(matrix, options = {}) {
+  const size = matrix.length;
+  const maxSweeps = options.maxSweeps ?? 100;
+  const a = matrix.map(row => row.slice());
+  const v = Array.from({ length: size }, (_, i) => Array.from({ length: size }, (_, j) => (i === j ? 1 : 0)));
+
+  for (let sweep = 0; sweep < maxSweeps; sweep++) {
+    let off = 0;
+    for (let p = 0; p < size; p++) {
+      for (let q = p + 1; q < size; q++) off += a[p][q] * a[p][q];
+    }
+    if (off < 1e-22) break;
+
+    for (let p = 0; p < size; p++) {
+      for (let q = p + 1; q < size; q++) {
+        if (Math.abs(a[p][q]) < 1e-300) continue;
+        // Rotation angle that zeroes a[p][q]
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < size; k++) {
+          const kp = a[k][p];
+          const kq = a[k][q];
+          a[k][p] = c * kp - s * kq;
+          a[k][q] = s * kp + c * kq;
+        }
+        for (let k = 0; k < size; k++) {
+          const pk = a[p][k];
+          const qk = a[q][k];
+          a[p][k] = c * pk - s * qk;
+          a[q][k] = s * pk + c * qk;
+        }
+        for (let k = 0; k < size; k++) {
+          const kp = v[k][p];
+          const kq = v[k][q];
+          v[k][p] = c * kp - s * kq;
+          v[k][q] = s * kp + c * kq;
+        }
+      }
+    }
+  }
+
+  const order = Array.from({ length: size }, (_, i) => i).sort((i, j) => a[j][j] - a[i][i]);
+  return {
+    values: order.map(i => a[i][i]),
+    vectors: order.map(i => v.map(row => row[i]))
+  };
+}
+
+/**
+ * Principal components of a feature matrix
+ *
+ * Features are centred (and standardised when the matrix was built with
+ * standardize: true). Each component's sign is chosen so its largest
+ * loading is positive, which keeps projections stable between runs.
+ * @param {FeatureMatrix} matrix - Features (see matrix.js)
+ * @param {Object} options - Options
+ * @param {number} options.components - Number of components (default: 2)
+ * @param {Function} options.onProgress - Progress callback receiving {method, stage, progress}
+ * @returns {Object} {coordinates: Array of Float64Array (one per component, NaN for
+ *   rows with missing features), components: loadings per field, explainedVariance:
+ *   share of the total variance per component, eigenvalues, means}
+ */
+export function pca(matrix, options = {}) {
+  const { values, rows, dims, valid, fields } = matrix;
+  const count = Math.min(options.components ?? 2, dims);
+  const progress = typeof options.onProgress === 'function' ? options.onProgress : () => {};
+
+  let n = 0;
+  const means = new Float64Array(dims);
+  for (let i = 0; i < rows; i++) {
+    if (!valid[i]) continue;
+    n++;
+    for (let d = 0; d < dims; d++) means[d] += values[i * dims + d];
+  }
+  if (n < 2) {
+    throw new Error('PCA needs at least two complete rows');
+  }
+  for (let d = 0; d < dims; d++) means[d] /= n;
+
+  const covariance = Array.from({ length: dims }, () => new Array(dims).fill(0));
+  for (let i = 0; i < rows; i++) {
+    if (!valid[i]) continue;
+    for (let p = 0; p < dims; p++) {
+      const dp = values[i * dims + p] - means[p];
+      for (let q = p; q < dims; q++) {
+        covariance[p][q] += dp * (values[i * dims + q] - means[q]);
+      }
+    }
+  }
+  for (let p = 0; p < dims; p++) {
+    for (let q = p; q < dims; q++) {
+      covariance[p][q] /= n - 1;
+      covariance[q][p] = covariance[p][q];
+    }
+  }
+  progress({ method: 'pca', stage: 'covariance', progress: 1 / 3 });
+
+  const eigen = symmetricEigen(covariance);
+  // Rounding can leave tiny negative eigenvalues
+  const eigenvalues = eigen.values.map(value => Math.max(0, value));
+  const total = eigenvalues.reduce((sum, value) => sum + value, 0);
+  const vectors = eigen.vectors.slice(0, count).map(vector => {
+    const largest = vector.reduce((best, value) => (Math.abs(value) > Math.abs(best) ? value : best), 0);
+    return largest < 0 ? vector.map(value => -value) : vector;
+  });
+  progress({ method: 'pca', stage: 'decomposition', progress: 2 / 3 });
+
+  const coordinates = vectors.map(vector => {
+    const projected = new Float64Array(rows);
+    for (let i = 0; i < rows; i++) {
+      if (!valid[i]) {
+        projected[i] = NaN;
+        continue;
+      }
+      let sum = 0;
+      for (let d = 0; d < dims; d++) sum += (values[i * dims + d] - means[d]) * vector[d];
+      projected[i] = sum;
+    }
+    return projected;
+  });
+  progress({ method: 'pca', stage: 'projection', progress: 1 });
+
+  return {
+    coordinates,
+    components: vectors.map(vector => Object.fromEntries(fields.map((field, d) => [field, vector[d]]))),
+    explainedVariance: eigenvalues.slice(0, count).map(value => (total ? value / total : 0)),
+    eigenvalues: eigenvalues.slice(0, count),
+    means: Array.from(means)
+  };
+}
+
+/**
+ * Project a dataset onto its principal components, adding them as columns
+ * @param {Array<Object>|ColumnTable} data - Records or table
+ * @param {Object} options - Options, plus those of pca()
+ * @param {Array<string>} options.fields - Numeric fields to project
+ * @param {number} options.components - 2 for a plane, 3 for ScatterPlot3D (default: 2)
+ * @param {Array<string>} options.as - Names of the added columns (default: pc1, pc2, ...)
+ * @param {boolean} options.standardize - Give every field unit variance first, so
+ *   fields in large units don't dominate (default: true)
+ * @returns {Object} {data, components, explainedVariance, eigenvalues, means}
+ *
+ * @example
+ * const { data, explainedVariance } = project(table, { fields: ['a', 'b', 'c', 'd'] });
+ * chart.setData(data, { columns: { x: 'pc1', y: 'pc2' } });
+ */
+export function project(data, options = {}) {
+  const matrix = toMatrix(data, options.fields, { standardize: options.standardize ?? true });
+  const { coordinates, ...info } = pca(matrix, options);
+  const names = options.as || coordinates.map((_, c) => `pc${c + 1}`);
+
+  const columns = {};
+  coordinates.forEach((values, c) => {
+    columns[names[c] || `pc${c + 1}`] = values;
+  });
+  return { data: appendColumns(data, columns), ...info };
+}
+
+export default project;
@@ -0,0 +1,331 @@
+/**
+ * profile - Per-column profiles and schema inference for loaded datasets
+ * ES Module used by DataEngine to describe each column before charting
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+import { Hasher } from '../utils/hash.js';
+import { FIELD_TYPES } from '../utils/DataValidator.js';
+import { isColumnTable } from './ColumnTable.js';
+
+/**
+ * Default profiling options
+ */
+export const PROFILE_DEFAULTS = {
+  bins: 10,
+  quantiles: [0.05, 0.25, 0.5, 0.75, 0.95],
+  distinctLimit: 10000
+};
+
+// Date-only or date-time strings in ISO 8601 form
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// HyperLogLog with 2^12 registers: about 1.6% standard error
+const HLL_BITS = 12;
+const HLL_SIZE = 1 << HLL_BITS;
+
+/**
+ * DistinctCounter class - exact distinct count up to a limit, then a
+ * HyperLogLog estimate
+ *
+ * Past the limit the values seen so far are folded into the sketch, so
+ * memory stays bounded however many distinct values follow.
+ */
+export class DistinctCounter {
+  /**
+   * Constructor
+   * @param {number} limit - Distinct values counted exactly (default: 10000)
+   */
+  constructor(limit = PROFILE_DEFAULTS.distinctLimit) {
+    this.limit = limit;
+    this.values = new Set();
+    this.registers = null;
+  }
+
+  /**
+   * Record a value
+   * @param {*} value - Value (dates should be passed as timestamps)
+   */
+  add(value) {
+    if (this.registers) {
+      this._addToSketch(value);
+      return;
+    }
+    this.values.add(value);
+    if (this.values.size > this.limit) {
+      this.registers = new Uint8Array(HLL_SIZE);
+      this.values.forEach(seen => this._addToSketch(seen));
+      this.values = null;
+    }
+  }
+
+  /**
+   * Whether count() is an estimate
+   * @returns {boolean} True once the limit was passed
+   */
+  get approximate() {
+    return this.registers !== null;
+  }
+
+  /**
+   * Number of distinct values
+   * @returns {number} Exact count, or the HyperLogLog estimate
+   */
+  count() {
+    if (!this.registers) {
+      return this.values.size;
+    }
+
+    let sum = 0;
+    let zeros = 0;
+    for (let i = 0; i < HLL_SIZE; i++) {
+      sum += Math.pow(2, -this.registers[i]);
+      if (this.registers[i] === 0) zeros++;
+    }
+    const alpha = 0.7213 / (1 + 1.079 / HLL_SIZE);
+    const estimate = alpha * HLL_SIZE * HLL_SIZE / sum;
+    // Linear counting is more accurate while many registers are still empty
+    if (estimate <= 2.5 * HLL_SIZE && zeros > 0) {
+      return Math.round(HLL_SIZE * Math.log(HLL_SIZE / zeros));
+    }
+    return Math.round(estimate);
+  }
+
+  /**
+   * Hash a value into its register
+   * @private
+   */
+  _addToSketch(value) {
+    const hash = new Hasher().update(value).digestNumber();
+    const index = hash % HLL_SIZE;
+    const rest = Math.floor(hash / HLL_SIZE) >>> 0;
+    const rank = Math.clz32(rest) + 1;
+    if (rank > this.registers[index]) {
+      this.registers[index] = rank;
+    }
+  }
+}
+
+/**
+ * Field type of a single non-null value
+ * @private
+ */
+function valueType(value) {
+  if (typeof value === 'number') return FIELD_TYPES.NUMBER;
+  if (typeof value === 'string') return FIELD_TYPES.STRING;
+  if (typeof value === 'boolean') return FIELD_TYPES.BOOLEAN;
+  if (value instanceof Date) return FIELD_TYPES.DATE;
+  if (Array.isArray(value)) return FIELD_TYPES.ARRAY;
+  return FIELD_TYPES.OBJECT;
+}
+
+/**
+ * Value at a sorted position, interpolating between neighbours
+ * @private
+ */
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const below = Math.floor(position);
+  const above = Math.min(below + 1, sorted.length - 1);
+  return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+}
+
+/**
+ * Equal-width histogram over [min, max]
+ * @private
+ */
+function histogram(values, min, max, bins) {
+  const count = min === max ? 1 : bins;
+  const width = (max - min) / count || 1;
+  const result = Array.from({ length: count }, (_, i) => ({
+    x0: min + i * width,
+    x1: i === count - 1 ? max : min + (i + 1) * width,
+    count: 0
+  }));
+  for (let i = 0; i < values.length; i++) {
+    // The top edge belongs to the last bin
+    const bin = Math.min(count - 1, Math.floor((values[i] - min) / width));
+    result[bin].count++;
+  }
+  return result;
+}
+
+/**
+ * Profile one column
+ *
+ * Numbers get min/max/mean/stddev (population), quantiles and a histogram;
+ * dates (Date values or ISO 8601 strings) get the same over timestamps in
+ * milliseconds, minus mean and stddev, plus an ISO `dateRange`. A column
+ * whose values disagree on type is reported as 'mixed'.
+ * @param {Function} get - (row) => value
+ * @param {number} length - Number of rows
+ * @param {Object} options - Profiling options (see PROFILE_DEFAULTS)
+ * @returns {Object} Column profile
+ */
+export function profileColumn(get, length, options = {}) {
+  const { bins, quantiles, distinctLimit } = { ...PROFILE_DEFAULTS, ...options };
+  const distinct = new DistinctCounter(distinctLimit);
+  const numbers = new Float64Array(length);
+  let count = 0;
+  let type = null;
+  let allIsoDates = true;
+  let trueCount = 0;
+
+  for (let i = 0; i < length; i++) {
+    const value = get(i);
+    if (value === null || value === undefined || (typeof value === 'number' && Number.isNaN(value))) {
+      continue;
+    }
+
+    const kind = valueType(value);
+    type = type === null || type === kind ? kind : 'mixed';
+    if (kind === FIELD_TYPES.NUMBER || kind === FIELD_TYPES.DATE) {
+      numbers[count] = +value;
+    } else if (kind === FIELD_TYPES.STRING && allIsoDates) {
+      numbers[count] = ISO_DATE.test(value) ? Date.parse(value) : NaN;
+      allIsoDates = !Number.isNaN(numbers[count]);
+    } else if (value === true) {
+      trueCount++;
+    }
+    distinct.add(kind === FIELD_TYPES.DATE ? +value : value);
+    count++;
+  }
+
+  if (type === FIELD_TYPES.STRING && allIsoDates && count > 0) {
+    type = FIELD_TYPES.DATE;
+  }
+
+  const profile = {
+    type: type || 'empty',
+    count,
+    nulls: length - count,
+    distinct: distinct.count(),
+    distinctApproximate: distinct.approximate
+  };
+
+  if (type === FIELD_TYPES.BOOLEAN) {
+    profile.trueCount = trueCount;
+  }
+  if (type !== FIELD_TYPES.NUMBER && type !== FIELD_TYPES.DATE) {
+    return profile;
+  }
+
+  const sorted = numbers.subarray(0, count).sort();
+  profile.min = sorted[0];
+  profile.max = sorted[count - 1];
+
+  if (type === FIELD_TYPES.NUMBER) {
+    // Welford's algorithm keeps the variance stable for large values
+    let mean = 0;
+    let m2 = 0;
+    for (let i = 0; i < count; i++) {
+      const delta = sorted[i] - mean;
+      mean += delta / (i + 1);
+      m2 += delta * (sorted[i] - mean);
+    }
+    profile.mean = mean;
+    profile.stddev = Math.sqrt(m2 / count);
+  } else {
+    profile.dateRange = {
+      start: new Date(profile.min).toISOString(),
+      end: new Date(profile.max).toISOString()
+    };
+  }
+
+  profile.quantiles = {};
+  quantiles.forEach(q => {
+    profile.quantiles[`p${Math.round(q * 100)}`] = quantile(sorted, q);
+  });
+  profile.histogram = histogram(sorted, profile.min, profile.max, bins);
+  return profile;
+}
+
+/**
+ * Profile every column of a dataset
+ * @param {Array<Object>|ColumnTable} data - Records or table
+ * @param {Object} options - Profiling options (see PROFILE_DEFAULTS)
+ * @param {number} options.bins - Histogram bins (default: 10)
+ * @param {Array<number>} options.quantiles - Quantiles to report, as keys p5, p25, ...
+ * @param {number} options.distinctLimit - Distinct values counted exactly before
+ *   switching to an estimate (default: 10000)
+ * @returns {Object|null} {rowCount, columns: {name: profile}}, or null for other data
+ */
+export function profileData(data, options = {}) {
+  if (isColumnTable(data)) {
+    const columns = {};
+    data.columnNames.forEach(name => {
+      columns[name] = profileColumn(data.reader(name), data.numRows, options);
+    });
+    return { rowCount: data.numRows, columns };
+  }
+  if (!Array.isArray(data)) {
+    return null;
+  }
+
+  const names = new Set();
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] && typeof data[i] === 'object') {
+      for (const key in data[i]) {
+        names.add(key);
+      }
+    }
+  }
+
+  const columns = {};
+  names.forEach(name => {
+    const get = i => (data[i] == null ? undefined : data[i][name]);
+    columns[name] = profileColumn(get, data.length, options);
+  });
+  return { rowCount: data.length, columns };
+}
+
+/**
+ * Derive a DataValidator schema from a profile
+ *
+ * Columns without nulls become required; number columns keep their
+ * observed range. Mixed and empty columns accept any type.
+ * @param {Object} profile - Result of profileData()
+ * @returns {Object} Schema {fields}
+ */
+export function inferSchema(profile) {
+  const fields = {};
+  Object.entries(profile.columns).forEach(([name, column]) => {
+    const known = Object.values(FIELD_TYPES).includes(column.type);
+    const field = {
+      type: known ? column.type : FIELD_TYPES.ANY,
+      required: column.nulls === 0 && column.count > 0
+    };
+    if (column.type === FIELD_TYPES.NUMBER) {
+      field.min = column.min;
+      field.max = column.max;
+    }
+    fields[name] = field;
+  });
+  return { fields };
+}
+
+/**
+ * Suggest axis options for a profiled column
+ *
+ * Dates get a time scale, strings and booleans a band scale, and positive
+ * numbers spanning three or more orders of magnitude a log scale. Columns
+ * profiled as dates from ISO strings need their values turned into Date
+ * objects (e.g. with a load transform) before they're drawn on a time scale.
+ * @param {Object} column - Column profile
+ * @param {string} name - Column name, used as the axis title
+ * @returns {Object} Axis options {type, title}
+ */
+export function suggestAxis(column, name = '') {
+  let type = 'linear';
+  if (column.type === FIELD_TYPES.DATE) {
+    type = 'time';
+  } else if (column.type === FIELD_TYPES.STRING || column.type === FIELD_TYPES.BOOLEAN) {
+    type = 'band';
+  } else if (column.type === FIELD_TYPES.NUMBER && column.min > 0 && column.max / column.min >= 1000) {
+    type = 'log';
+  }
+  return { type, title: name };
+}
+
+export default profileData;
@@ -0,0 +1,322 @@
+/**
+ * BrushSelection.js - Rectangle brush and freeform lasso selection
+ * 
+ * Tracks a drag over a container and reports the brushed shape. A
+ * rectangle is drawn by dragging with the brush modifier held, a lasso by
+ * dragging with the lasso modifier held. The shape is previewed in a
+ * lightweight SVG overlay so the underlying chart doesn't have to redraw
+ * while the pointer moves.
+ * 
+ * @author Interactive Data Visualization Framework
+ * @version 1.0.0
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+class BrushSelection {
+  /**
+   * Initialize the brush
+   * @param {HTMLElement} container - The DOM element to attach interactions to
+   * @param {Object} options - Configuration options
+   * @param {string|null} options.modifier - Event flag required for a rectangle brush, or null
+   *   to brush on any plain drag (default: 'shiftKey')
+   * @param {string} options.lassoModifier - Event flag that switches to a lasso (default: 'altKey')
+   * @param {number} options.minSize - Smaller brushes count as a click that clears the selection (default: 3)
+   * @param {string} options.color - Outline color of the preview (default: '#1976d2')
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = {
+      modifier: 'shiftKey',
+      lassoModifier: 'altKey',
+      minSize: 3,
+      color: '#1976d2',
+      ...options
+    };
+
+    // State management
+    this.isBrushing = false;
+    this.mode = null;
+    this.pointerId = null;
+    this.points = [];
+    this.overlay = null;
+
+    // DOM handlers, bound once so destroy() can remove them
+    this.handlers = {
+      pointerdown: this.handlePointerDown.bind(this),
+      pointermove: this.handlePointerMove.bind(this),
+      pointerup: this.handlePointerUp.bind(this),
+      pointercancel: this.handlePointerCancel.bind(this)
+    };
+
+    // Event listeners
+    this.callbacks = {
+      onBrushStart: [],
+      onBrush: [],
+      onBrushEnd: []
+    };
+
+    this.init();
+  }
+
+  /**
+   * Initialize event listeners
+   * @private
+   */
+  init() {
+    Object.entries(this.handlers).forEach(([type, handler]) => {
+      this.container.addEventListener(type, handler);
+    });
+  }
+
+  /**
+   * Check whether a pointer event starts a brush or lasso
+   * 
+   * Other interactions on the same element (e.g. ZoomPan) use this to
+   * leave such drags to the brush.
+   * @param {PointerEvent} event - The pointer event
+   * @returns {boolean} True if the brush handles the event
+   */
+  accepts(event) {
+    if (event.button !== 0) {
+      return false;
+    }
+    const { modifier, lassoModifier } = this.options;
+    return Boolean(lassoModifier && event[lassoModifier]) || !modifier || Boolean(event[modifier]);
+  }
+
+  /**
+   * Handle pointer down: start a brush or lasso
+   * @param {PointerEvent} event - The pointer event
+   * @private
+   */
+  handlePointerDown(event) {
+    if (this.isBrushing || !this.accepts(event)) {
+      return;
+    }
+
+    const { lassoModifier } = this.options;
+    this.isBrushing = true;
+    this.mode = lassoModifier && event[lassoModifier] ? 'lasso' : 'rect';
+    this.pointerId = event.pointerId;
+    this.points = [{ x: event.clientX, y: event.clientY }];
+
+    this.showOverlay();
+    this.triggerCallbacks('onBrushStart', { mode: this.mode, x: event.clientX, y: event.clientY });
+  }
+
+  /**
+   * Handle pointer move: extend the brush
+   * @param {PointerEvent} event - The pointer event
+   * @private
+   */
+  handlePointerMove(event) {
+    if (!this.isBrushing || event.pointerId !== this.pointerId) {
+      return;
+    }
+
+    const point = { x: event.clientX, y: event.clientY };
+    if (this.mode === 'rect') {
+      this.points[1] = point;
+    } else {
+      this.points.push(point);
+    }
+
+    this.updateOverlay();
+    this.triggerCallbacks('onBrush', this.getShape());
+  }
+
+  /**
+   * Handle pointer up: finish the brush
+   * @param {PointerEvent} event - The pointer event
+   * @private
+   */
+  handlePointerUp(event) {
+    if (!this.isBrushing || event.pointerId !== this.pointerId) {
+      return;
+    }
+
+    const shape = this.getShape();
+    const { left, top, right, bottom } = shape.rect;
+    shape.cleared = right - left < this.options.minSize && bottom - top < this.options.minSize;
+
+    this.finish();
+    this.triggerCallbacks('onBrushEnd', shape);
+  }
+
+  /**
+   * Handle pointer cancel: abandon the brush without a result
+   * @param {PointerEvent} event - The pointer event
+   * @private
+   */
+  handlePointerCancel(event) {
+    if (this.isBrushing && event.pointerId === this.pointerId) {
+      this.finish();
+    }
+  }
+
+  /**
+   * Reset brushing state and hide the preview
+   * @private
+   */
+  finish() {
+    this.isBrushing = false;
+    this.pointerId = null;
+    this.hideOverlay();
+  }
+
+  /**
+   * Describe the current brush in viewport (client) coordinates
+   * @returns {Object} Shape {mode, rect: {left, top, right, bottom}, points}
+   */
+  getShape() {
+    const points = this.mode === 'rect' && this.points.length === 2
+      ? this.rectCorners(this.points[0], this.points[1])
+      : this.points.slice();
+
+    return {
+      mode: this.mode,
+      rect: BrushSelection.boundsOf(points),
+      points
+    };
+  }
+
+  /**
+   * Bounding box of a list of points, in one pass
+   *
+   * Lasso paths have no length limit, so the coordinates are never spread
+   * into Math.min/max calls, which fail beyond the engine's argument limit.
+   * @param {Array<{x: number, y: number}>} points - Points
+   * @returns {Object} Box {left, top, right, bottom}
+   */
+  static boundsOf(points) {
+    const bounds = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+    for (let i = 0; i < points.length; i++) {
+      const { x, y } = points[i];
+      if (x < bounds.left) bounds.left = x;
+      if (x > bounds.right) bounds.right = x;
+      if (y < bounds.top) bounds.top = y;
+      if (y > bounds.bottom) bounds.bottom = y;
+    }
+    return bounds;
+  }
+
+  /**
+   * Corners of the rectangle spanned by two points
+   * @param {Object} a - First corner {x, y}
+   * @param {Object} b - Opposite corner {x, y}
+   * @returns {Array<Object>} Four corners in drawing order
+   * @private
+   */
+  rectCorners(a, b) {
+    return [
+      { x: a.x, y: a.y },
+      { x: b.x, y: a.y },
+      { x: b.x, y: b.y },
+      { x: a.x, y: b.y }
+    ];
+  }
+
+  /**
+   * Create the SVG preview overlay
+   * @private
+   */
+  showOverlay() {
+    if (!this.overlay) {
+      this.overlay = document.createElementNS(SVG_NS, 'svg');
+      this.shapeElement = document.createElementNS(SVG_NS, 'polygon');
+      this.shapeElement.setAttribute('fill', this.options.color);
+      this.shapeElement.setAttribute('fill-opacity', '0.12');
+      this.shapeElement.setAttribute('stroke', this.options.color);
+      this.shapeElement.setAttribute('stroke-dasharray', '4 3');
+      this.overlay.appendChild(this.shapeElement);
+      Object.assign(this.overlay.style, {
+        position: 'fixed',
+        left: '0',
+        top: '0',
+        width: '100%',
+        height: '100%',
+        pointerEvents: 'none',
+        zIndex: '999'
+      });
+    }
+
+    this.shapeElement.setAttribute('points', '');
+    document.body.appendChild(this.overlay);
+  }
+
+  /**
+   * Redraw the preview for the current points
+   * @private
+   */
+  updateOverlay() {
+    if (!this.overlay) return;
+    const { points } = this.getShape();
+    this.shapeElement.setAttribute('points', points.map(p => `${p.x},${p.y}`).join(' '));
+  }
+
+  /**
+   * Remove the preview overlay from the page
+   * @private
+   */
+  hideOverlay() {
+    if (this.overlay && this.overlay.parentNode) {
+      this.overlay.parentNode.removeChild(this.overlay);
+    }
+  }
+
+  /**
+   * Add event listener for brush callbacks
+   * @param {string} event - Event name (onBrushStart, onBrush, onBrushEnd)
+   * @param {Function} callback - Callback function
+   */
+  on(event, callback) {
+    if (this.callbacks[event]) {
+      this.callbacks[event].push(callback);
+    }
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function to remove
+   */
+  off(event, callback) {
+    if (this.callbacks[event]) {
+      const index = this.callbacks[event].indexOf(callback);
+      if (index > -1) {
+        this.callbacks[event].splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Trigger callbacks for a specific event
+   * @param {string} event - Event name
+   * @param {Object} data - Data to pass to callbacks
+   * @private
+   */
+  triggerCallbacks(event, data) {
+    if (this.callbacks[event]) {
+      this.callbacks[event].forEach(callback => callback(data));
+    }
+  }
+
+  /**
+   * Clean up event listeners and the overlay
+   */
+  destroy() {
+    Object.entries(this.handlers).forEach(([type, handler]) => {
+      this.container.removeEventListener(type, handler);
+    });
+    this.finish();
+  }
+}
+
+// Export for use in other modules
+export default BrushSelection;
+
+// Also support CommonJS for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BrushSelection;
+}
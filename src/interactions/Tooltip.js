@@ -0,0 +1,116 @@
+/**
+ * Tooltip.js - Floating tooltip for inspecting chart data points
+ * 
+ * Renders a lightweight DOM element that follows the pointer. Content comes
+ * from a formatter callback and is inserted as text unless HTML is enabled.
+ * 
+ * @author Interactive Data Visualization Framework
+ * @version 1.0.0
+ */
+
+class Tooltip {
+  /**
+   * Initialize the tooltip
+   * @param {Object} options - Configuration options
+   * @param {HTMLElement} options.parent - Element the tooltip is appended to (default: document.body)
+   * @param {number} options.offset - Distance from the pointer in pixels (default: 12)
+   * @param {boolean} options.html - Treat formatter output as HTML (default: false)
+   * @param {string} options.className - Extra CSS class for custom styling
+   * @param {Object} options.style - Inline style overrides
+   */
+  constructor(options = {}) {
+    this.options = {
+      parent: null,
+      offset: 12,
+      html: false,
+      className: '',
+      style: {},
+      ...options
+    };
+
+    this.element = document.createElement('div');
+    this.element.className = ['idv-tooltip', this.options.className].filter(Boolean).join(' ');
+    Object.assign(this.element.style, {
+      position: 'fixed',
+      pointerEvents: 'none',
+      zIndex: '1000',
+      display: 'none',
+      padding: '6px 8px',
+      borderRadius: '4px',
+      background: 'rgba(33, 33, 33, 0.9)',
+      color: '#fff',
+      font: '12px Arial, sans-serif',
+      whiteSpace: 'pre',
+      boxShadow: '0 2px 8px rgba(0, 0, 0, 0.2)'
+    }, this.options.style);
+
+    (this.options.parent || document.body).appendChild(this.element);
+    this.visible = false;
+  }
+
+  /**
+   * Show the tooltip near a viewport position
+   * @param {string} content - Text (or HTML when enabled) to display
+   * @param {number} clientX - Pointer X in viewport coordinates
+   * @param {number} clientY - Pointer Y in viewport coordinates
+   */
+  show(content, clientX, clientY) {
+    if (this.options.html) {
+      this.element.innerHTML = content;
+    } else {
+      this.element.textContent = content;
+    }
+
+    this.element.style.display = 'block';
+    this.visible = true;
+    this.position(clientX, clientY);
+  }
+
+  /**
+   * Move the tooltip, flipping it to stay inside the viewport
+   * @param {number} clientX - Pointer X in viewport coordinates
+   * @param {number} clientY - Pointer Y in viewport coordinates
+   */
+  position(clientX, clientY) {
+    const { offset } = this.options;
+    const width = this.element.offsetWidth;
+    const height = this.element.offsetHeight;
+    const viewportWidth = window.innerWidth || document.documentElement.clientWidth;
+    const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+
+    let left = clientX + offset;
+    let top = clientY + offset;
+    if (left + width > viewportWidth) left = clientX - offset - width;
+    if (top + height > viewportHeight) top = clientY - offset - height;
+
+    this.element.style.left = `${Math.max(0, left)}px`;
+    this.element.style.top = `${Math.max(0, top)}px`;
+  }
+
+  /**
+   * Hide the tooltip
+   */
+  hide() {
+    if (this.visible) {
+      this.element.style.display = 'none';
+      this.visible = false;
+    }
+  }
+
+  /**
+   * Remove the tooltip element
+   */
+  destroy() {
+    if (this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+  }
+}
+
+// Export for use in other modules
+export default Tooltip;
+
+// Also support CommonJS for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Tooltip;
+}
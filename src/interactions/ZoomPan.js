@@ -2,12 +2,32 @@
  * ZoomPan.js - Interactive zoom and pan functionality for data visualizations
  * 
  * This class provides smooth zooming and panning capabilities for data visualization components.
- * Supports mouse wheel zooming and drag-based panning with configurable constraints.
+ * Supports mouse wheel zooming, drag-based panning (mouse, touch and pen through Pointer
+ * Events), two-finger pinch zoom, double click/tap zoom and keyboard shortcuts. Zoom can be
+ * restricted to one axis, panning can be bounded to a content extent, and transitions are
+ * eased, with inertia after a drag fling.
  * 
  * @author Interactive Data Visualization Framework
  * @version 1.0.0
  */
 
+/**
+ * Default easing for animated transitions
+ * @param {number} t - Progress in [0, 1]
+ * @returns {number} Eased progress
+ */
+function easeOutCubic(t) {
+  return 1 - Math.pow(1 - t, 3);
+}
+
+/**
+ * Current time in milliseconds, preferring the high resolution clock
+ * @returns {number} Timestamp
+ */
+function now() {
+  return typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now();
+}
+
 class ZoomPan {
   /**
    * Initialize the ZoomPan interaction handler
@@ -15,9 +35,31 @@ class ZoomPan {
    * @param {Object} options - Configuration options
    * @param {number} options.minZoom - Minimum zoom level (default: 0.1)
    * @param {number} options.maxZoom - Maximum zoom level (default: 10)
-   * @param {number} options.zoomStep - Zoom increment per wheel event (default: 0.1)
+   * @param {number} options.zoomStep - Relative zoom change per wheel notch or +/- key press;
+   *   0.1 multiplies the zoom by 1.1 in and divides it by 1.1 out (default: 0.1)
+   * @param {string} options.zoomAxis - Axis the zoom applies to: 'both', 'x' or 'y' (default: 'both')
+   * @param {string|null} options.panAxis - Axis panning moves along: 'both', 'x' or 'y'
+   *   (default: null, same as zoomAxis)
+   * @param {Array|Function|null} options.extent - Viewport [[x0, y0], [x1, y1]] in local pixels, or a
+   *   function returning it (default: null, the container box)
+   * @param {Array|Function|null} options.translateExtent - Content bounds [[x0, y0], [x1, y1]] the
+   *   viewport may not pan past, or a function returning them (default: null, unbounded)
    * @param {boolean} options.enablePan - Enable pan functionality (default: true)
    * @param {boolean} options.enableZoom - Enable zoom functionality (default: true)
+   * @param {boolean} options.enablePinch - Enable two-finger pinch zoom (default: true)
+   * @param {boolean} options.enableDoubleClickZoom - Zoom in on double click/tap, out with Shift (default: true)
+   * @param {number} options.doubleClickZoomFactor - Zoom multiplier for double click/tap (default: 2)
+   * @param {boolean} options.enableKeyboard - Enable keyboard shortcuts while focused (default: true)
+   * @param {number} options.keyboardPanStep - Pixels panned per arrow key press (default: 40)
+   * @param {Function|null} options.filter - Predicate deciding whether a pointer down may start
+   *   a pan or pinch, e.g. to leave modifier drags to a brush (default: null, accept all)
+   * @param {boolean} options.animate - Animate transitions and drag inertia (default: true)
+   * @param {number} options.animationDuration - Duration in ms of setTransform(), reset() and
+   *   double click zoom transitions (default: 250)
+   * @param {number} options.wheelDuration - Duration in ms of wheel and keyboard zoom steps (default: 120)
+   * @param {Function} options.easing - Easing function over [0, 1] (default: ease-out cubic)
+   * @param {boolean} options.inertia - Keep panning after a drag is released mid-motion (default: true)
+   * @param {number} options.inertiaDecay - Share of the fling velocity kept per 16 ms (default: 0.92)
    */
   constructor(container, options = {}) {
     this.container = container;
@@ -27,6 +69,22 @@ class ZoomPan {
       zoomStep: 0.1,
       enablePan: true,
       enableZoom: true,
+      enablePinch: true,
+      enableDoubleClickZoom: true,
+      doubleClickZoomFactor: 2,
+      enableKeyboard: true,
+      keyboardPanStep: 40,
+      zoomAxis: 'both',
+      panAxis: null,
+      extent: null,
+      translateExtent: null,
+      filter: null,
+      animate: true,
+      animationDuration: 250,
+      wheelDuration: 120,
+      easing: easeOutCubic,
+      inertia: true,
+      inertiaDecay: 0.92,
       ...options
     };
 
@@ -35,9 +93,33 @@ class ZoomPan {
     this.panX = 0;
     this.panY = 0;
     this.isDragging = false;
+    this.isPinching = false;
     this.lastX = 0;
     this.lastY = 0;
 
+    // Active pointers by pointerId, in container-local coordinates
+    this.pointers = new Map();
+    this.pinchStart = null;
+    this.lastTap = null;
+    this.lastPointerType = null;
+
+    // Running transition (see animate()) and recent drag samples for inertia
+    this.animation = null;
+    this.wheelTarget = null;
+    this.dragSamples = [];
+
+    // DOM handlers, bound once so destroy() can remove them
+    this.handlers = {
+      wheel: this.handleWheel.bind(this),
+      pointerdown: this.handlePointerDown.bind(this),
+      pointermove: this.handlePointerMove.bind(this),
+      pointerup: this.handlePointerUp.bind(this),
+      pointercancel: this.handlePointerUp.bind(this),
+      dblclick: this.handleDoubleClick.bind(this),
+      keydown: this.handleKeyDown.bind(this),
+      contextmenu: (e) => e.preventDefault()
+    };
+
     // Event listeners
     this.callbacks = {
       onZoom: [],
@@ -51,62 +133,456 @@ class ZoomPan {
 
   /**
    * Initialize event listeners
+   * 
+   * Pointer Events cover mouse, touch and pen input alike. Browser touch
+   * gestures are disabled on the container so pinch and drag reach us.
    * @private
    */
   init() {
     if (this.options.enableZoom) {
-      this.container.addEventListener('wheel', this.handleWheel.bind(this), { passive: false });
+      this.container.addEventListener('wheel', this.handlers.wheel, { passive: false });
+    }
+
+    if (this.options.enablePan || (this.options.enableZoom && this.options.enablePinch)) {
+      this.container.addEventListener('pointerdown', this.handlers.pointerdown);
+      this.container.addEventListener('pointermove', this.handlers.pointermove);
+      this.container.addEventListener('pointerup', this.handlers.pointerup);
+      this.container.addEventListener('pointercancel', this.handlers.pointercancel);
+      this.container.style.touchAction = 'none';
+    }
+
+    if (this.options.enableZoom && this.options.enableDoubleClickZoom) {
+      this.container.addEventListener('dblclick', this.handlers.dblclick);
     }
 
-    if (this.options.enablePan) {
-      this.container.addEventListener('mousedown', this.handleMouseDown.bind(this));
-      this.container.addEventListener('mousemove', this.handleMouseMove.bind(this));
-      this.container.addEventListener('mouseup', this.handleMouseUp.bind(this));
-      this.container.addEventListener('mouseleave', this.handleMouseUp.bind(this));
+    if (this.options.enableKeyboard) {
+      // Keyboard events need a focusable container
+      if (this.container.tabIndex < 0) {
+        this.container.tabIndex = 0;
+      }
+      this.container.addEventListener('keydown', this.handlers.keydown);
     }
 
     // Prevent default context menu
-    this.container.addEventListener('contextmenu', (e) => e.preventDefault());
+    this.container.addEventListener('contextmenu', this.handlers.contextmenu);
+  }
+
+  /**
+   * Get the pointer position relative to the container's content box
+   * @param {MouseEvent} event - The mouse or pointer event
+   * @returns {Object} Local coordinates {x, y}
+   * @private
+   */
+  getLocalPoint(event) {
+    const rect = this.container.getBoundingClientRect();
+    return {
+      x: event.clientX - rect.left - (this.container.clientLeft || 0),
+      y: event.clientY - rect.top - (this.container.clientTop || 0)
+    };
+  }
+
+  /**
+   * Get the center of the container in local coordinates
+   * @returns {Object} Local coordinates {x, y}
+   * @private
+   */
+  getCenterPoint() {
+    const rect = this.container.getBoundingClientRect();
+    return {
+      x: (this.container.clientWidth || rect.width) / 2,
+      y: (this.container.clientHeight || rect.height) / 2
+    };
+  }
+
+  /**
+   * Get the zoom applied along each axis for a zoom level
+   * @param {number} zoom - Zoom level
+   * @returns {Object} Per-axis zoom {x, y}; the unzoomed axis stays at 1
+   * @private
+   */
+  axisZoom(zoom) {
+    const axis = this.options.zoomAxis;
+    return {
+      x: axis === 'y' ? 1 : zoom,
+      y: axis === 'x' ? 1 : zoom
+    };
+  }
+
+  /**
+   * Resolve an extent option, calling it if it is a function
+   * @param {Array|Function|null} extent - Extent option
+   * @returns {Array|null} Extent [[x0, y0], [x1, y1]]
+   * @private
+   */
+  resolveExtent(extent) {
+    return typeof extent === 'function' ? extent.call(this) : extent;
+  }
+
+  /**
+   * Get the viewport extent in local coordinates
+   * @returns {Array} Extent [[x0, y0], [x1, y1]]
+   * @private
+   */
+  getExtent() {
+    const extent = this.resolveExtent(this.options.extent);
+    if (extent) {
+      return extent;
+    }
+    const center = this.getCenterPoint();
+    return [[0, 0], [center.x * 2, center.y * 2]];
+  }
+
+  /**
+   * Limit pan offsets so the viewport stays inside translateExtent
+   * @param {number} zoom - Zoom level the offsets apply to
+   * @param {number} panX - Requested horizontal offset
+   * @param {number} panY - Requested vertical offset
+   * @returns {Object} Allowed offsets {panX, panY}
+   * @private
+   */
+  constrain(zoom, panX, panY) {
+    const bounds = this.resolveExtent(this.options.translateExtent);
+    if (!bounds) {
+      return { panX, panY };
+    }
+
+    const [[vx0, vy0], [vx1, vy1]] = this.getExtent();
+    const [[tx0, ty0], [tx1, ty1]] = bounds;
+    const { x: zoomX, y: zoomY } = this.axisZoom(zoom);
+    return {
+      panX: this.constrainAxis(panX, zoomX, vx0, vx1, tx0, tx1),
+      panY: this.constrainAxis(panY, zoomY, vy0, vy1, ty0, ty1)
+    };
+  }
+
+  /**
+   * Limit the pan offset along one axis
+   * 
+   * Content smaller than the viewport (when zoomed out) is centered.
+   * @param {number} pan - Requested offset
+   * @param {number} zoom - Zoom along the axis
+   * @param {number} view0 - Viewport start
+   * @param {number} view1 - Viewport end
+   * @param {number} bound0 - Content start
+   * @param {number} bound1 - Content end
+   * @returns {number} Allowed offset
+   * @private
+   */
+  constrainAxis(pan, zoom, view0, view1, bound0, bound1) {
+    const min = view1 - bound1 * zoom;
+    const max = view0 - bound0 * zoom;
+    if (min > max) {
+      return (min + max) / 2;
+    }
+    return Math.max(min, Math.min(max, pan));
+  }
+
+  /**
+   * Clamp a zoom level to minZoom/maxZoom
+   * @param {number} zoom - Requested zoom level
+   * @returns {number} Allowed zoom level
+   * @private
+   */
+  clampZoom(zoom) {
+    return Math.max(this.options.minZoom, Math.min(this.options.maxZoom, zoom));
+  }
+
+  /**
+   * Apply a new state, constrained to the bounds, and notify listeners
+   * @param {number} zoom - Zoom level (already clamped)
+   * @param {number} panX - Horizontal offset
+   * @param {number} panY - Vertical offset
+   * @param {Object} [center] - Local point the zoom is anchored to, reported with onZoom
+   * @returns {boolean} True if anything changed
+   * @private
+   */
+  applyTransform(zoom, panX, panY, center) {
+    const constrained = this.constrain(zoom, panX, panY);
+    const deltaX = constrained.panX - this.panX;
+    const deltaY = constrained.panY - this.panY;
+    const zoomChanged = zoom !== this.zoomLevel;
+
+    this.zoomLevel = zoom;
+    this.panX = constrained.panX;
+    this.panY = constrained.panY;
+
+    if (zoomChanged) {
+      const anchor = center || this.getCenterPoint();
+      this.triggerCallbacks('onZoom', {
+        zoom: this.zoomLevel,
+        centerX: anchor.x,
+        centerY: anchor.y,
+        panX: this.panX,
+        panY: this.panY
+      });
+    }
+    if (deltaX !== 0 || deltaY !== 0) {
+      this.triggerCallbacks('onPan', { panX: this.panX, panY: this.panY, deltaX, deltaY });
+    }
+    return zoomChanged || deltaX !== 0 || deltaY !== 0;
+  }
+
+  /**
+   * Zoom to a new level keeping a local point fixed on screen
+   * @param {number} zoom - Requested zoom level (clamped to minZoom/maxZoom)
+   * @param {Object} center - Local coordinates {x, y} to zoom around
+   * @returns {boolean} True if the zoom level changed
+   * @private
+   */
+  zoomAround(zoom, center) {
+    const newZoom = this.clampZoom(zoom);
+
+    if (newZoom === this.zoomLevel) {
+      return false;
+    }
+
+    const from = this.axisZoom(this.zoomLevel);
+    const to = this.axisZoom(newZoom);
+    const panX = center.x - (center.x - this.panX) * (to.x / from.x);
+    const panY = center.y - (center.y - this.panY) * (to.y / from.y);
+    this.applyTransform(newZoom, panX, panY, center);
+    return true;
+  }
+
+  /**
+   * Pan by an offset in pixels, along the axes panning is allowed on
+   * @param {number} deltaX - Horizontal offset
+   * @param {number} deltaY - Vertical offset
+   * @returns {boolean} True if the pan offset changed
+   * @private
+   */
+  panBy(deltaX, deltaY) {
+    const axis = this.options.panAxis || this.options.zoomAxis;
+    return this.applyTransform(
+      this.zoomLevel,
+      this.panX + (axis === 'y' ? 0 : deltaX),
+      this.panY + (axis === 'x' ? 0 : deltaY)
+    );
+  }
+
+  /**
+   * Run a frame-by-frame transition, replacing any running one
+   * @param {number} duration - Duration in milliseconds; 0 runs the last step at once
+   * @param {Function} step - Called with the eased progress in (0, 1] on every frame
+   * @returns {Promise<boolean>} Resolves true when finished, false if interrupted
+   * @private
+   */
+  animate(duration, step) {
+    this.stopAnimation();
+
+    if (!this.options.animate || !duration || typeof requestAnimationFrame !== 'function') {
+      step(1);
+      return Promise.resolve(true);
+    }
+
+    return new Promise(resolve => {
+      const start = now();
+      const animation = { frame: null, resolve };
+      const tick = () => {
+        const t = Math.min(1, (now() - start) / duration);
+        step(this.options.easing(t));
+        if (t < 1) {
+          animation.frame = requestAnimationFrame(tick);
+        } else {
+          this.animation = null;
+          resolve(true);
+        }
+      };
+      this.animation = animation;
+      animation.frame = requestAnimationFrame(tick);
+    });
+  }
+
+  /**
+   * Stop the running transition or inertia, leaving the current state
+   */
+  stopAnimation() {
+    if (!this.animation) return;
+
+    const { frame, resolve } = this.animation;
+    this.animation = null;
+    this.wheelTarget = null;
+    if (typeof cancelAnimationFrame === 'function') {
+      cancelAnimationFrame(frame);
+    }
+    resolve(false);
+  }
+
+  /**
+   * Animate a zoom by a factor around a local point
+   * 
+   * Repeated calls while animating (e.g. fast wheel turns) compound onto
+   * the pending target rather than the intermediate zoom level.
+   * @param {number} factor - Zoom multiplier
+   * @param {Object} center - Local coordinates {x, y} to zoom around
+   * @param {number} duration - Duration in milliseconds
+   * @returns {Promise<boolean>} Resolves when the zoom finishes or is interrupted
+   * @private
+   */
+  animateZoom(factor, center, duration) {
+    const target = this.clampZoom((this.wheelTarget || this.zoomLevel) * factor);
+    const from = this.zoomLevel;
+    const promise = this.animate(duration, t => {
+      // Interpolate geometrically so each frame is an equal zoom ratio
+      this.zoomAround(from * Math.pow(target / from, t), center);
+    });
+    this.wheelTarget = this.animation ? target : null;
+    return promise;
+  }
+
+  /**
+   * Record a drag position for the release velocity
+   * @param {number} x - Client x coordinate
+   * @param {number} y - Client y coordinate
+   * @private
+   */
+  recordDragSample(x, y) {
+    const time = now();
+    this.dragSamples.push({ time, x, y });
+    while (this.dragSamples.length > 2 && time - this.dragSamples[0].time > 100) {
+      this.dragSamples.shift();
+    }
+  }
+
+  /**
+   * Continue a released drag with decaying velocity
+   * @private
+   */
+  startInertia() {
+    const samples = this.dragSamples;
+    this.dragSamples = [];
+    if (!this.options.animate || !this.options.inertia || samples.length < 2 ||
+        typeof requestAnimationFrame !== 'function') {
+      return;
+    }
+
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const elapsed = last.time - first.time;
+    // No fling when the pointer rested before release
+    if (elapsed <= 0 || now() - last.time > 50) {
+      return;
+    }
+
+    let velocityX = (last.x - first.x) / elapsed;
+    let velocityY = (last.y - first.y) / elapsed;
+    if (Math.hypot(velocityX, velocityY) < 0.1) {
+      return;
+    }
+
+    this.stopAnimation();
+    const animation = { frame: null, resolve: () => {} };
+    let previous = now();
+    const tick = () => {
+      const time = now();
+      const elapsedFrame = time - previous;
+      previous = time;
+
+      const moved = this.panBy(velocityX * elapsedFrame, velocityY * elapsedFrame);
+      const decay = Math.pow(this.options.inertiaDecay, elapsedFrame / 16);
+      velocityX *= decay;
+      velocityY *= decay;
+
+      // Stop when slow enough or when a bound stops the motion
+      if (moved && Math.hypot(velocityX, velocityY) >= 0.01) {
+        animation.frame = requestAnimationFrame(tick);
+      } else {
+        this.animation = null;
+      }
+    };
+    this.animation = animation;
+    animation.frame = requestAnimationFrame(tick);
+  }
+
+  /**
+   * Run a discrete (single event) interaction between start and end callbacks
+   * @param {string} type - Interaction type ('zoom', 'pan' or 'reset')
+   * @param {string} source - Input source ('wheel', 'keyboard', 'mouse', 'touch', 'pen')
+   * @param {Object} position - Client coordinates {x, y}
+   * @param {Function} action - Performs the change; may return a promise for an animated change
+   * @private
+   */
+  discreteInteraction(type, source, position, action) {
+    const details = { type, source, x: position.x, y: position.y };
+    this.triggerCallbacks('onInteractionStart', details);
+    const result = action();
+    if (result && typeof result.then === 'function') {
+      result.then(() => this.triggerCallbacks('onInteractionEnd', details));
+    } else {
+      this.triggerCallbacks('onInteractionEnd', details);
+    }
+  }
+
+  /**
+   * Get the zoom multiplier for one wheel notch or key press
+   * @param {number} direction - 1 to zoom in, -1 to zoom out
+   * @returns {number} Zoom multiplier
+   * @private
+   */
+  stepFactor(direction) {
+    const factor = 1 + this.options.zoomStep;
+    return direction > 0 ? factor : 1 / factor;
   }
 
   /**
    * Handle mouse wheel events for zooming
+   * 
+   * Zooms around the pointer: the pan offset is adjusted so the content
+   * under the cursor stays in place. Each notch multiplies the zoom, so a
+   * step feels the same at any zoom level.
    * @param {WheelEvent} event - The wheel event
    * @private
    */
   handleWheel(event) {
     event.preventDefault();
     
-    const delta = event.deltaY > 0 ? -this.options.zoomStep : this.options.zoomStep;
-    const newZoom = Math.max(
-      this.options.minZoom,
-      Math.min(this.options.maxZoom, this.zoomLevel + delta)
-    );
+    const factor = this.stepFactor(event.deltaY > 0 ? -1 : 1);
+    const center = this.getLocalPoint(event);
 
-    if (newZoom !== this.zoomLevel) {
-      this.zoomLevel = newZoom;
-      this.triggerCallbacks('onZoom', {
-        zoom: this.zoomLevel,
-        centerX: event.offsetX,
-        centerY: event.offsetY
-      });
-    }
+    this.discreteInteraction('zoom', 'wheel', { x: event.clientX, y: event.clientY }, () => {
+      return this.animateZoom(factor, center, this.options.wheelDuration);
+    });
   }
 
   /**
-   * Handle mouse down events for panning
-   * @param {MouseEvent} event - The mouse event
+   * Handle pointer down: start a pan with one pointer, a pinch with two
+   * @param {PointerEvent} event - The pointer event
    * @private
    */
-  handleMouseDown(event) {
-    if (event.button === 0) { // Left mouse button
+  handlePointerDown(event) {
+    // Only the primary mouse button pans; touch and pen report button 0 too
+    if (event.button !== 0 || (this.options.filter && !this.options.filter(event))) {
+      return;
+    }
+
+    this.stopAnimation();
+    this.lastPointerType = event.pointerType || 'mouse';
+    this.pointers.set(event.pointerId, this.getLocalPoint(event));
+    if (this.container.setPointerCapture && event.pointerId !== undefined) {
+      try {
+        this.container.setPointerCapture(event.pointerId);
+      } catch (error) {
+        // Synthetic events have no active pointer to capture
+      }
+    }
+
+    if (this.pointers.size === 2 && this.options.enableZoom && this.options.enablePinch) {
+      // A second finger turns the pan into a pinch
+      if (this.isDragging) {
+        this.endDrag(event);
+      }
+      this.startPinch(event);
+    } else if (this.pointers.size === 1 && this.options.enablePan) {
       this.isDragging = true;
       this.lastX = event.clientX;
       this.lastY = event.clientY;
+      this.dragSamples = [];
+      this.recordDragSample(event.clientX, event.clientY);
       this.container.style.cursor = 'grabbing';
       
       this.triggerCallbacks('onInteractionStart', {
         type: 'pan',
+        source: this.lastPointerType,
         x: event.clientX,
         y: event.clientY
       });
@@ -114,46 +590,252 @@ class ZoomPan {
   }
 
   /**
-   * Handle mouse move events for panning
-   * @param {MouseEvent} event - The mouse event
+   * Handle pointer move: update the pan or pinch in progress
+   * @param {PointerEvent} event - The pointer event
    * @private
    */
-  handleMouseMove(event) {
-    if (this.isDragging) {
+  handlePointerMove(event) {
+    if (!this.pointers.has(event.pointerId)) {
+      return;
+    }
+    this.pointers.set(event.pointerId, this.getLocalPoint(event));
+
+    if (this.isPinching) {
+      this.updatePinch();
+    } else if (this.isDragging) {
       const deltaX = event.clientX - this.lastX;
       const deltaY = event.clientY - this.lastY;
       
-      this.panX += deltaX;
-      this.panY += deltaY;
-      
       this.lastX = event.clientX;
       this.lastY = event.clientY;
+      this.recordDragSample(event.clientX, event.clientY);
       
-      this.triggerCallbacks('onPan', {
-        panX: this.panX,
-        panY: this.panY,
-        deltaX,
-        deltaY
+      this.panBy(deltaX, deltaY);
+    }
+  }
+
+  /**
+   * Handle pointer up/cancel: end the pan or pinch and detect double taps
+   * @param {PointerEvent} event - The pointer event
+   * @private
+   */
+  handlePointerUp(event) {
+    if (!this.pointers.has(event.pointerId)) {
+      return;
+    }
+    const downAt = this.pointers.get(event.pointerId);
+    this.pointers.delete(event.pointerId);
+
+    if (this.isPinching) {
+      this.endPinch(event);
+    } else if (this.isDragging) {
+      this.endDrag(event);
+      if (event.type === 'pointerup') {
+        this.startInertia();
+      }
+    }
+
+    if (event.type === 'pointerup' && event.pointerType === 'touch') {
+      this.detectDoubleTap(event, downAt);
+    }
+  }
+
+  /**
+   * End a pan drag
+   * @param {PointerEvent} event - The pointer event
+   * @private
+   */
+  endDrag(event) {
+    this.isDragging = false;
+    this.container.style.cursor = 'default';
+    
+    this.triggerCallbacks('onInteractionEnd', {
+      type: 'pan',
+      source: this.lastPointerType,
+      x: event.clientX,
+      y: event.clientY
+    });
+  }
+
+  /**
+   * Get the centroid of and distance between the two active pointers
+   * @returns {Object} {centerX, centerY, distance}
+   * @private
+   */
+  getPinchGeometry() {
+    const [a, b] = Array.from(this.pointers.values());
+    return {
+      centerX: (a.x + b.x) / 2,
+      centerY: (a.y + b.y) / 2,
+      distance: Math.hypot(b.x - a.x, b.y - a.y) || 1
+    };
+  }
+
+  /**
+   * Start a pinch gesture from the current two pointers
+   * @param {PointerEvent} event - The pointer event
+   * @private
+   */
+  startPinch(event) {
+    const geometry = this.getPinchGeometry();
+    this.isPinching = true;
+    this.pinchStart = {
+      ...geometry,
+      zoom: this.zoomLevel,
+      panX: this.panX,
+      panY: this.panY
+    };
+
+    this.triggerCallbacks('onInteractionStart', {
+      type: 'pinch',
+      source: this.lastPointerType,
+      x: event.clientX,
+      y: event.clientY
+    });
+  }
+
+  /**
+   * Update zoom and pan from the pointers' current positions
+   * 
+   * The content point that was under the starting centroid is kept under
+   * the current centroid, so pinching zooms and pans at once.
+   * @private
+   */
+  updatePinch() {
+    const start = this.pinchStart;
+    const current = this.getPinchGeometry();
+    const zoom = this.clampZoom(start.zoom * current.distance / start.distance);
+    const from = this.axisZoom(start.zoom);
+    const to = this.axisZoom(zoom);
+    const panAxis = this.options.panAxis || this.options.zoomAxis;
+
+    // Along an axis that neither zooms nor pans, the centroid moving does nothing
+    const centerX = to.x === from.x && panAxis === 'y' ? start.centerX : current.centerX;
+    const centerY = to.y === from.y && panAxis === 'x' ? start.centerY : current.centerY;
+    const panX = centerX - (start.centerX - start.panX) * (to.x / from.x);
+    const panY = centerY - (start.centerY - start.panY) * (to.y / from.y);
+
+    this.applyTransform(zoom, panX, panY, { x: current.centerX, y: current.centerY });
+  }
+
+  /**
+   * End a pinch gesture; a remaining finger continues as a pan
+   * @param {PointerEvent} event - The pointer event
+   * @private
+   */
+  endPinch(event) {
+    this.isPinching = false;
+    this.pinchStart = null;
+
+    this.triggerCallbacks('onInteractionEnd', {
+      type: 'pinch',
+      source: this.lastPointerType,
+      x: event.clientX,
+      y: event.clientY
+    });
+
+    // Resume panning with the finger still down, without a jump
+    if (this.pointers.size === 1 && this.options.enablePan) {
+      const rect = this.container.getBoundingClientRect();
+      const remaining = Array.from(this.pointers.values())[0];
+      this.isDragging = true;
+      this.lastX = remaining.x + rect.left + (this.container.clientLeft || 0);
+      this.lastY = remaining.y + rect.top + (this.container.clientTop || 0);
+      this.triggerCallbacks('onInteractionStart', {
+        type: 'pan',
+        source: this.lastPointerType,
+        x: this.lastX,
+        y: this.lastY
+      });
+    }
+  }
+
+  /**
+   * Zoom in when two quick taps land close together
+   * @param {PointerEvent} event - The pointerup event
+   * @param {Object} downAt - Local position where the pointer went down
+   * @private
+   */
+  detectDoubleTap(event, downAt) {
+    if (!this.options.enableZoom || !this.options.enableDoubleClickZoom) {
+      return;
+    }
+
+    const point = this.getLocalPoint(event);
+    const now = Date.now();
+    const moved = downAt ? Math.hypot(point.x - downAt.x, point.y - downAt.y) : 0;
+    if (moved > 10 || this.pointers.size > 0) {
+      this.lastTap = null;
+      return;
+    }
+
+    const last = this.lastTap;
+    if (last && now - last.time < 300 && Math.hypot(point.x - last.x, point.y - last.y) < 30) {
+      this.lastTap = null;
+      this.discreteInteraction('zoom', 'touch', { x: event.clientX, y: event.clientY }, () => {
+        return this.animateZoom(this.options.doubleClickZoomFactor, point, this.options.animationDuration);
       });
+    } else {
+      this.lastTap = { time: now, x: point.x, y: point.y };
     }
   }
 
   /**
-   * Handle mouse up events to end panning
+   * Handle double click: zoom in around the pointer, out with Shift
    * @param {MouseEvent} event - The mouse event
    * @private
    */
-  handleMouseUp(event) {
-    if (this.isDragging) {
-      this.isDragging = false;
-      this.container.style.cursor = 'default';
-      
-      this.triggerCallbacks('onInteractionEnd', {
-        type: 'pan',
-        x: event.clientX,
-        y: event.clientY
+  handleDoubleClick(event) {
+    // Touch double taps are handled from pointer events
+    if (this.lastPointerType === 'touch') {
+      return;
+    }
+    event.preventDefault();
+
+    const factor = event.shiftKey ? 1 / this.options.doubleClickZoomFactor : this.options.doubleClickZoomFactor;
+    const center = this.getLocalPoint(event);
+    this.discreteInteraction('zoom', 'mouse', { x: event.clientX, y: event.clientY }, () => {
+      return this.animateZoom(factor, center, this.options.animationDuration);
+    });
+  }
+
+  /**
+   * Handle keyboard shortcuts: arrows pan, +/- zoom around the center, 0 resets
+   * @param {KeyboardEvent} event - The keyboard event
+   * @private
+   */
+  handleKeyDown(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) {
+      return;
+    }
+
+    const step = this.options.keyboardPanStep;
+    const pans = {
+      ArrowLeft: [step, 0],
+      ArrowRight: [-step, 0],
+      ArrowUp: [0, step],
+      ArrowDown: [0, -step]
+    };
+    const position = { x: 0, y: 0 };
+
+    if (pans[event.key] && this.options.enablePan) {
+      const [deltaX, deltaY] = pans[event.key];
+      this.discreteInteraction('pan', 'keyboard', position, () => this.panBy(deltaX, deltaY));
+    } else if ((event.key === '+' || event.key === '=') && this.options.enableZoom) {
+      this.discreteInteraction('zoom', 'keyboard', position, () => {
+        return this.animateZoom(this.stepFactor(1), this.getCenterPoint(), this.options.wheelDuration);
+      });
+    } else if ((event.key === '-' || event.key === '_') && this.options.enableZoom) {
+      this.discreteInteraction('zoom', 'keyboard', position, () => {
+        return this.animateZoom(this.stepFactor(-1), this.getCenterPoint(), this.options.wheelDuration);
       });
+    } else if (event.key === '0') {
+      this.discreteInteraction('reset', 'keyboard', position, () => this.reset());
+    } else {
+      return;
     }
+
+    event.preventDefault();
   }
 
   /**
@@ -195,62 +877,75 @@ class ZoomPan {
 
   /**
    * Get current transformation state
-   * @returns {Object} Current zoom and pan values
+   * 
+   * A content position (x, y) is displayed at (x * zoomX + panX, y * zoomY + panY);
+   * zoomX and zoomY equal zoom unless zoomAxis restricts it to one axis.
+   * @returns {Object} Current zoom and pan values {zoom, zoomX, zoomY, panX, panY}
    */
   getTransform() {
+    const { x, y } = this.axisZoom(this.zoomLevel);
     return {
       zoom: this.zoomLevel,
+      zoomX: x,
+      zoomY: y,
       panX: this.panX,
       panY: this.panY
     };
   }
 
   /**
-   * Set transformation state programmatically
-   * @param {Object} transform - Transformation values
+   * Set transformation state programmatically, with an eased transition
+   * 
+   * The target is clamped to minZoom/maxZoom and translateExtent.
+   * @param {Object} transform - Transformation values; omitted ones keep their current value
    * @param {number} transform.zoom - Zoom level
    * @param {number} transform.panX - Pan X offset
    * @param {number} transform.panY - Pan Y offset
+   * @param {Object} [options] - Transition options
+   * @param {number} [options.duration] - Duration in ms (default: options.animationDuration; 0 is instant)
+   * @returns {Promise<boolean>} Resolves true when the transition finishes, false if interrupted
    */
-  setTransform(transform) {
-    if (transform.zoom !== undefined) {
-      this.zoomLevel = Math.max(
-        this.options.minZoom,
-        Math.min(this.options.maxZoom, transform.zoom)
+  setTransform(transform, { duration = this.options.animationDuration } = {}) {
+    const zoom = transform.zoom !== undefined ? this.clampZoom(transform.zoom) : this.zoomLevel;
+    const target = this.constrain(
+      zoom,
+      transform.panX !== undefined ? transform.panX : this.panX,
+      transform.panY !== undefined ? transform.panY : this.panY
+    );
+    const from = this.getTransform();
+
+    return this.animate(duration, t => {
+      // The last frame lands exactly on the target
+      if (t === 1) {
+        this.applyTransform(zoom, target.panX, target.panY);
+        return;
+      }
+      this.applyTransform(
+        from.zoom * Math.pow(zoom / from.zoom, t),
+        from.panX + (target.panX - from.panX) * t,
+        from.panY + (target.panY - from.panY) * t
       );
-    }
-    
-    if (transform.panX !== undefined) {
-      this.panX = transform.panX;
-    }
-    
-    if (transform.panY !== undefined) {
-      this.panY = transform.panY;
-    }
+    });
   }
 
   /**
    * Reset zoom and pan to default values
+   * @param {Object} [options] - Transition options, as for setTransform()
+   * @returns {Promise<boolean>} Resolves when the transition finishes or is interrupted
    */
-  reset() {
-    this.zoomLevel = 1;
-    this.panX = 0;
-    this.panY = 0;
-    
-    this.triggerCallbacks('onZoom', { zoom: this.zoomLevel });
-    this.triggerCallbacks('onPan', { panX: this.panX, panY: this.panY });
+  reset(options) {
+    return this.setTransform({ zoom: 1, panX: 0, panY: 0 }, options);
   }
 
   /**
-   * Clean up event listeners
+   * Clean up event listeners and stop any running transition
    */
   destroy() {
-    this.container.removeEventListener('wheel', this.handleWheel.bind(this));
-    this.container.removeEventListener('mousedown', this.handleMouseDown.bind(this));
-    this.container.removeEventListener('mousemove', this.handleMouseMove.bind(this));
-    this.container.removeEventListener('mouseup', this.handleMouseUp.bind(this));
-    this.container.removeEventListener('mouseleave', this.handleMouseUp.bind(this));
-    this.container.removeEventListener('contextmenu', (e) => e.preventDefault());
+    this.stopAnimation();
+    Object.entries(this.handlers).forEach(([type, handler]) => {
+      this.container.removeEventListener(type, handler);
+    });
+    this.pointers.clear();
   }
 }
 
@@ -0,0 +1,194 @@
+/**
+ * DataValidator - Schema-based dataset validation
+ * ES Module used by DataEngine before transforming loaded data
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+/**
+ * Field types understood by the validator
+ */
+export const FIELD_TYPES = {
+  ANY: 'any',
+  NUMBER: 'number',
+  STRING: 'string',
+  BOOLEAN: 'boolean',
+  DATE: 'date',
+  OBJECT: 'object',
+  ARRAY: 'array'
+};
+
+/**
+ * DataValidator class checking datasets against a declared schema
+ *
+ * A schema describes the dataset as a whole and each record field:
+ *
+ * @example
+ * const validator = new DataValidator({
+ *   minLength: 1,
+ *   fields: {
+ *     value: { type: 'number', required: true, min: 0, max: 100 },
+ *     category: { type: 'string', enum: ['A', 'B', 'C'] },
+ *     timestamp: { type: 'date' }
+ *   }
+ * });
+ * const { valid, errors } = validator.validate(records);
+ */
+export class DataValidator {
+  /**
+   * Constructor
+   * @param {Object} schema - Default schema used when validate() receives none
+   * @param {number} schema.minLength - Minimum number of records
+   * @param {number} schema.maxLength - Maximum number of records
+   * @param {Object} schema.fields - Map of field name to rule
+   * @param {Object} options - Configuration options
+   * @param {number} options.maxErrors - Stop collecting after this many errors (default: 100)
+   */
+  constructor(schema = null, options = {}) {
+    this.schema = schema;
+    this.options = {
+      maxErrors: options.maxErrors || 100
+    };
+  }
+
+  /**
+   * Validate a dataset
+   *
+   * Without a schema only the overall shape is checked: the data must be
+   * an array or an object.
+   *
+   * @param {Array|Object} data - Dataset to validate
+   * @param {Object} schema - Schema overriding the default one
+   * @returns {{valid: boolean, errors: Array<string>}} Validation result
+   */
+  validate(data, schema = this.schema) {
+    const errors = [];
+
+    if (data === null || data === undefined) {
+      return { valid: false, errors: ['Data is null or undefined'] };
+    }
+
+    if (typeof data !== 'object') {
+      return { valid: false, errors: [`Expected an array or object, got ${typeof data}`] };
+    }
+
+    if (!schema) {
+      return { valid: true, errors };
+    }
+
+    const records = Array.isArray(data) ? data : [data];
+
+    if (schema.minLength !== undefined && records.length < schema.minLength) {
+      errors.push(`Expected at least ${schema.minLength} records, got ${records.length}`);
+    }
+    if (schema.maxLength !== undefined && records.length > schema.maxLength) {
+      errors.push(`Expected at most ${schema.maxLength} records, got ${records.length}`);
+    }
+
+    if (schema.fields) {
+      const fields = Object.entries(schema.fields);
+
+      for (let i = 0; i < records.length && errors.length < this.options.maxErrors; i++) {
+        const record = records[i];
+
+        if (record === null || typeof record !== 'object') {
+          errors.push(`Record ${i}: expected an object, got ${record === null ? 'null' : typeof record}`);
+          continue;
+        }
+
+        for (const [name, rule] of fields) {
+          const error = this._validateField(record[name], rule);
+          if (error) {
+            errors.push(`Record ${i}: field "${name}" ${error}`);
+            if (errors.length >= this.options.maxErrors) break;
+          }
+        }
+      }
+
+      if (errors.length >= this.options.maxErrors) {
+        errors.push(`Validation stopped after ${this.options.maxErrors} errors`);
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Validate a single field value against its rule
+   * @private
+   * @param {*} value - Field value
+   * @param {Object} rule - Field rule
+   * @returns {string|null} Error description, or null if valid
+   */
+  _validateField(value, rule) {
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) return 'is required';
+      if (value === null && rule.nullable === false) return 'must not be null';
+      return null;
+    }
+
+    const type = rule.type || FIELD_TYPES.ANY;
+    if (!this._checkType(value, type)) {
+      return `expected ${type}, got ${Array.isArray(value) ? 'array' : typeof value}`;
+    }
+
+    if (rule.min !== undefined || rule.max !== undefined) {
+      const comparable = type === FIELD_TYPES.DATE ? new Date(value).getTime() : value;
+      const min = type === FIELD_TYPES.DATE && rule.min !== undefined ? new Date(rule.min).getTime() : rule.min;
+      const max = type === FIELD_TYPES.DATE && rule.max !== undefined ? new Date(rule.max).getTime() : rule.max;
+      const measured = typeof comparable === 'string' || Array.isArray(comparable) ? comparable.length : comparable;
+
+      if (min !== undefined && measured < min) return `must be >= ${rule.min}`;
+      if (max !== undefined && measured > max) return `must be <= ${rule.max}`;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      return `must be one of ${rule.enum.join(', ')}`;
+    }
+
+    if (rule.pattern && !new RegExp(rule.pattern).test(String(value))) {
+      return `does not match ${rule.pattern}`;
+    }
+
+    if (typeof rule.validate === 'function') {
+      const result = rule.validate(value);
+      if (result === false) return 'failed custom validation';
+      if (typeof result === 'string') return result;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a value against a field type
+   * @private
+   * @param {*} value - Field value
+   * @param {string} type - Field type
+   * @returns {boolean} True if the value matches
+   */
+  _checkType(value, type) {
+    switch (type) {
+      case FIELD_TYPES.NUMBER:
+        return typeof value === 'number' && !Number.isNaN(value);
+      case FIELD_TYPES.STRING:
+        return typeof value === 'string';
+      case FIELD_TYPES.BOOLEAN:
+        return typeof value === 'boolean';
+      case FIELD_TYPES.DATE:
+        if (value instanceof Date) return !Number.isNaN(value.getTime());
+        if (typeof value === 'string' || typeof value === 'number') {
+          return !Number.isNaN(new Date(value).getTime());
+        }
+        return false;
+      case FIELD_TYPES.ARRAY:
+        return Array.isArray(value);
+      case FIELD_TYPES.OBJECT:
+        return typeof value === 'object' && !Array.isArray(value);
+      case FIELD_TYPES.ANY:
+      default:
+        return true;
+    }
+  }
+}
+
+export default DataValidator;
@@ -0,0 +1,123 @@
+/**
+ * EventEmitter - Lightweight event emitter for browser, Node and Web Worker environments
+ * ES Module used as the base class for engines and charts that publish events
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+/**
+ * EventEmitter class providing on/off/once/emit semantics
+ *
+ * @example
+ * const emitter = new EventEmitter();
+ * const handler = (payload) => console.log(payload);
+ * emitter.on('loadComplete', handler);
+ * emitter.emit('loadComplete', { rows: 10 });
+ * emitter.off('loadComplete', handler);
+ */
+export class EventEmitter {
+  constructor() {
+    this._events = new Map();
+  }
+
+  /**
+   * Register a listener for an event
+   * @param {string} event - Event name
+   * @param {Function} listener - Callback invoked with the emitted arguments
+   * @returns {EventEmitter} This emitter, for chaining
+   */
+  on(event, listener) {
+    if (typeof listener !== 'function') {
+      throw new TypeError('Listener must be a function');
+    }
+
+    if (!this._events.has(event)) {
+      this._events.set(event, []);
+    }
+    this._events.get(event).push(listener);
+    return this;
+  }
+
+  /**
+   * Register a listener that is removed after its first invocation
+   * @param {string} event - Event name
+   * @param {Function} listener - Callback invoked with the emitted arguments
+   * @returns {EventEmitter} This emitter, for chaining
+   */
+  once(event, listener) {
+    if (typeof listener !== 'function') {
+      throw new TypeError('Listener must be a function');
+    }
+
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      listener.apply(this, args);
+    };
+    // Keep a reference so off(event, listener) can remove the wrapper
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Remove a previously registered listener
+   * @param {string} event - Event name
+   * @param {Function} listener - Callback to remove (the original for once() listeners)
+   * @returns {EventEmitter} This emitter, for chaining
+   */
+  off(event, listener) {
+    const listeners = this._events.get(event);
+    if (!listeners) return this;
+
+    const index = listeners.findIndex(fn => fn === listener || fn.listener === listener);
+    if (index > -1) {
+      listeners.splice(index, 1);
+    }
+    if (listeners.length === 0) {
+      this._events.delete(event);
+    }
+    return this;
+  }
+
+  /**
+   * Invoke every listener registered for an event
+   * @param {string} event - Event name
+   * @param {...*} args - Arguments forwarded to listeners
+   * @returns {boolean} True if the event had listeners
+   */
+  emit(event, ...args) {
+    const listeners = this._events.get(event);
+    if (!listeners || listeners.length === 0) {
+      return false;
+    }
+
+    // Copy so listeners added or removed during emit don't affect this pass
+    listeners.slice().forEach(listener => listener.apply(this, args));
+    return true;
+  }
+
+  /**
+   * Remove all listeners, or only those of a single event
+   * @param {string} [event] - Event name
+   * @returns {EventEmitter} This emitter, for chaining
+   */
+  removeAllListeners(event) {
+    if (event === undefined) {
+      this._events.clear();
+    } else {
+      this._events.delete(event);
+    }
+    return this;
+  }
+
+  /**
+   * Count the listeners registered for an event
+   * @param {string} event - Event name
+   * @returns {number} Listener count
+   */
+  listenerCount(event) {
+    const listeners = this._events.get(event);
+    return listeners ? listeners.length : 0;
+  }
+}
+
+export default EventEmitter;
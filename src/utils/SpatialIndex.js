@@ -0,0 +1,200 @@
+/**
+ * SpatialIndex - Uniform grid index for fast nearest-point queries
+ * ES Module used for hit testing and selection over large point sets
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+/**
+ * SpatialIndex class
+ *
+ * Buckets points into square cells stored in flat typed arrays (a
+ * counting sort, so building is O(n) with no per-cell allocations), then
+ * answers queries by scanning only the cells that can contain a match.
+ *
+ * @example
+ * const index = new SpatialIndex({ width: 800, height: 600, cellSize: 32 });
+ * index.build(xs, ys);
+ * const nearest = index.nearest(120, 80, 20); // point index or -1
+ */
+export class SpatialIndex {
+  /**
+   * Constructor
+   * @param {Object} options - Configuration options
+   * @param {number} options.x - Left edge of the indexed area (default: 0)
+   * @param {number} options.y - Top edge of the indexed area (default: 0)
+   * @param {number} options.width - Width of the indexed area
+   * @param {number} options.height - Height of the indexed area
+   * @param {number} options.cellSize - Cell size in the same units (default: 32)
+   */
+  constructor(options = {}) {
+    this.originX = options.x || 0;
+    this.originY = options.y || 0;
+    this.cellSize = options.cellSize || 32;
+    this.cols = Math.max(1, Math.ceil((options.width || 1) / this.cellSize));
+    this.rows = Math.max(1, Math.ceil((options.height || 1) / this.cellSize));
+
+    this.xs = new Float64Array(0);
+    this.ys = new Float64Array(0);
+    this.cellStart = new Int32Array(this.cols * this.rows + 1);
+    this.items = new Int32Array(0);
+  }
+
+  /**
+   * Number of indexed points
+   * @returns {number} Point count
+   */
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * Index a set of points, replacing any previous contents
+   *
+   * Points outside the indexed area or with NaN coordinates are ignored;
+   * query results refer to positions in the `xs`/`ys` arrays.
+   *
+   * @param {ArrayLike<number>} xs - X coordinates
+   * @param {ArrayLike<number>} ys - Y coordinates
+   * @returns {SpatialIndex} This index, for chaining
+   */
+  build(xs, ys) {
+    const n = xs.length;
+    const cellCount = this.cols * this.rows;
+    const cellOf = new Int32Array(n);
+    const counts = new Int32Array(cellCount + 1);
+    let indexed = 0;
+
+    this.xs = Float64Array.from(xs);
+    this.ys = Float64Array.from(ys);
+
+    for (let i = 0; i < n; i++) {
+      const cell = this._cellAt(this.xs[i], this.ys[i]);
+      cellOf[i] = cell;
+      if (cell >= 0) {
+        counts[cell + 1]++;
+        indexed++;
+      }
+    }
+
+    // Prefix sums turn counts into the start offset of each cell
+    for (let c = 0; c < cellCount; c++) {
+      counts[c + 1] += counts[c];
+    }
+    this.cellStart = counts.slice();
+
+    const cursor = counts;
+    this.items = new Int32Array(indexed);
+    for (let i = 0; i < n; i++) {
+      const cell = cellOf[i];
+      if (cell >= 0) {
+        this.items[cursor[cell]++] = i;
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Find the point closest to a position
+   * @param {number} x - Query X coordinate
+   * @param {number} y - Query Y coordinate
+   * @param {number} maxDistance - Ignore points further than this (default: Infinity)
+   * @returns {number} Index of the nearest point, or -1 if none is in range
+   */
+  nearest(x, y, maxDistance = Infinity) {
+    if (this.items.length === 0) return -1;
+
+    const col = Math.floor((x - this.originX) / this.cellSize);
+    const row = Math.floor((y - this.originY) / this.cellSize);
+    const maxRing = Number.isFinite(maxDistance)
+      ? Math.ceil(maxDistance / this.cellSize)
+      : Math.max(this.cols, this.rows);
+
+    let best = -1;
+    let bestDistance = maxDistance * maxDistance;
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+      // Points in ring r are at least (r - 1) cells away, so stop once
+      // the best match found so far is closer than that
+      const ringDistance = (ring - 1) * this.cellSize;
+      if (best !== -1 && ringDistance > 0 && ringDistance * ringDistance > bestDistance) {
+        break;
+      }
+
+      for (let r = row - ring; r <= row + ring; r++) {
+        for (let c = col - ring; c <= col + ring; c++) {
+          // Only visit the outline of the ring
+          if (r !== row - ring && r !== row + ring && c !== col - ring && c !== col + ring) continue;
+          if (r < 0 || c < 0 || r >= this.rows || c >= this.cols) continue;
+
+          const cell = r * this.cols + c;
+          for (let k = this.cellStart[cell]; k < this.cellStart[cell + 1]; k++) {
+            const i = this.items[k];
+            const dx = this.xs[i] - x;
+            const dy = this.ys[i] - y;
+            const distance = dx * dx + dy * dy;
+            if (distance <= bestDistance) {
+              bestDistance = distance;
+              best = i;
+            }
+          }
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Find every point inside an axis-aligned rectangle
+   * @param {number} x0 - Left edge
+   * @param {number} y0 - Top edge
+   * @param {number} x1 - Right edge
+   * @param {number} y1 - Bottom edge
+   * @returns {Array<number>} Indices of the points inside
+   */
+  queryRect(x0, y0, x1, y1) {
+    const left = Math.min(x0, x1);
+    const right = Math.max(x0, x1);
+    const top = Math.min(y0, y1);
+    const bottom = Math.max(y0, y1);
+    const result = [];
+
+    const c0 = Math.max(0, Math.floor((left - this.originX) / this.cellSize));
+    const c1 = Math.min(this.cols - 1, Math.floor((right - this.originX) / this.cellSize));
+    const r0 = Math.max(0, Math.floor((top - this.originY) / this.cellSize));
+    const r1 = Math.min(this.rows - 1, Math.floor((bottom - this.originY) / this.cellSize));
+
+    for (let r = r0; r <= r1; r++) {
+      for (let c = c0; c <= c1; c++) {
+        const cell = r * this.cols + c;
+        for (let k = this.cellStart[cell]; k < this.cellStart[cell + 1]; k++) {
+          const i = this.items[k];
+          const px = this.xs[i];
+          const py = this.ys[i];
+          if (px >= left && px <= right && py >= top && py <= bottom) {
+            result.push(i);
+          }
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Get the cell containing a position
+   * @private
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {number} Cell index, or -1 if outside the indexed area
+   */
+  _cellAt(x, y) {
+    const col = Math.floor((x - this.originX) / this.cellSize);
+    const row = Math.floor((y - this.originY) / this.cellSize);
+    if (!(col >= 0 && row >= 0 && col < this.cols && row < this.rows)) {
+      return -1;
+    }
+    return row * this.cols + col;
+  }
+}
+
+export default SpatialIndex;
@@ -0,0 +1,211 @@
+/**
+ * hash - Fast non-cryptographic hashing of arbitrary values
+ * ES Module used for cache keys, without serialising the value first
+ * @author Interactive Data Visualization JS
+ * @version 1.0.0
+ */
+
+// Type tags keep e.g. [1, 2] and '12' or {a: 1} and ['a', 1] apart
+const TAG_NULL = 1;
+const TAG_UNDEFINED = 2;
+const TAG_FALSE = 3;
+const TAG_TRUE = 4;
+const TAG_NUMBER = 5;
+const TAG_STRING = 6;
+const TAG_ARRAY = 7;
+const TAG_OBJECT = 8;
+const TAG_DATE = 9;
+const TAG_TYPED = 10;
+const TAG_FUNCTION = 11;
+const TAG_BIGINT = 12;
+const TAG_CYCLE = 13;
+const TAG_BYTES = 14;
+const TAG_MAP = 15;
+const TAG_SET = 16;
+
+const float64 = new Float64Array(1);
+const float64Words = new Uint32Array(float64.buffer);
+
+/**
+ * Hasher class - incremental 53-bit hash (two mixed 32-bit lanes, as in cyrb53)
+ *
+ * Values are walked structurally and fed in as 32-bit words, so a large
+ * array of records is hashed in one pass with no intermediate string.
+ */
+export class Hasher {
+  /**
+   * Constructor
+   * @param {number} seed - Hash seed (default: 0)
+   */
+  constructor(seed = 0) {
+    this.h1 = 0xdeadbeef ^ seed;
+    this.h2 = 0x41c6ce57 ^ seed;
+  }
+
+  /**
+   * Mix one 32-bit word into the state
+   * @param {number} word - Integer word
+   * @returns {Hasher} This hasher, for chaining
+   */
+  word(word) {
+    this.h1 = Math.imul(this.h1 ^ word, 2654435761);
+    this.h2 = Math.imul(this.h2 ^ word, 1597334677);
+    return this;
+  }
+
+  /**
+   * Mix a string into the state
+   * @param {string} text - String
+   * @returns {Hasher} This hasher, for chaining
+   */
+  string(text) {
+    this.word(text.length);
+    for (let i = 0; i < text.length; i++) {
+      this.word(text.charCodeAt(i));
+    }
+    return this;
+  }
+
+  /**
+   * Mix raw bytes into the state, four to a word
+   * @param {Uint8Array} bytes - Bytes
+   * @returns {Hasher} This hasher, for chaining
+   */
+  bytes(bytes) {
+    this.word(bytes.length);
+    const whole = bytes.length - (bytes.length % 4);
+    for (let i = 0; i < whole; i += 4) {
+      this.word(bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16) | (bytes[i + 3] << 24));
+    }
+    let tail = 0;
+    for (let i = whole; i < bytes.length; i++) {
+      tail |= bytes[i] << (8 * (i - whole));
+    }
+    return this.word(tail);
+  }
+
+  /**
+   * Mix the bits of a number into the state
+   * @param {number} number - Number
+   * @returns {Hasher} This hasher, for chaining
+   */
+  number(number) {
+    float64[0] = number;
+    return this.word(float64Words[0]).word(float64Words[1]);
+  }
+
+  /**
+   * Mix any value into the state
+   *
+   * Plain objects are walked in key order, typed arrays element by
+   * element, ArrayBuffers and DataViews byte by byte, Maps and Sets by
+   * their entries, and functions by their source text, so closures over
+   * different values hash alike.
+   * @param {*} value - Value to hash
+   * @param {WeakSet} seen - Objects on the current path, to stop at cycles
+   * @returns {Hasher} This hasher, for chaining
+   */
+  update(value, seen = new WeakSet()) {
+    switch (typeof value) {
+      case 'undefined':
+        return this.word(TAG_UNDEFINED);
+      case 'boolean':
+        return this.word(value ? TAG_TRUE : TAG_FALSE);
+      case 'number':
+        return this.word(TAG_NUMBER).number(value);
+      case 'string':
+        return this.word(TAG_STRING).string(value);
+      case 'bigint':
+        return this.word(TAG_BIGINT).string(value.toString());
+      case 'function':
+        return this.word(TAG_FUNCTION).string(value.toString());
+      case 'symbol':
+        return this.word(TAG_STRING).string(value.toString());
+      default:
+        break;
+    }
+
+    if (value === null) {
+      return this.word(TAG_NULL);
+    }
+    if (seen.has(value)) {
+      return this.word(TAG_CYCLE);
+    }
+
+    if (value instanceof Date) {
+      return this.word(TAG_DATE).number(value.getTime());
+    }
+    if (value instanceof ArrayBuffer ||
+        (typeof SharedArrayBuffer !== 'undefined' && value instanceof SharedArrayBuffer)) {
+      return this.word(TAG_BYTES).bytes(new Uint8Array(value));
+    }
+    if (value instanceof DataView) {
+      return this.word(TAG_BYTES).bytes(new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+    }
+    if (ArrayBuffer.isView(value)) {
+      this.word(TAG_TYPED).string(value.constructor.name).word(value.length);
+      for (let i = 0; i < value.length; i++) {
+        this.number(Number(value[i]));
+      }
+      return this;
+    }
+
+    seen.add(value);
+    if (value instanceof Map) {
+      this.word(TAG_MAP).word(value.size);
+      value.forEach((entry, key) => {
+        this.update(key, seen);
+        this.update(entry, seen);
+      });
+    } else if (value instanceof Set) {
+      this.word(TAG_SET).word(value.size);
+      value.forEach(entry => this.update(entry, seen));
+    } else if (Array.isArray(value)) {
+      this.word(TAG_ARRAY).word(value.length);
+      for (let i = 0; i < value.length; i++) {
+        this.update(value[i], seen);
+      }
+    } else {
+      const keys = Object.keys(value);
+      this.word(TAG_OBJECT).word(keys.length);
+      for (let i = 0; i < keys.length; i++) {
+        this.string(keys[i]);
+        this.update(value[keys[i]], seen);
+      }
+    }
+    seen.delete(value);
+    return this;
+  }
+
+  /**
+   * Finish the hash as a number
+   * @returns {number} 53-bit unsigned integer
+   */
+  digestNumber() {
+    let h1 = Math.imul(this.h1 ^ (this.h1 >>> 16), 2246822507);
+    h1 ^= Math.imul(this.h2 ^ (this.h2 >>> 13), 3266489909);
+    let h2 = Math.imul(this.h2 ^ (this.h2 >>> 16), 2246822507);
+    h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+  }
+
+  /**
+   * Finish the hash
+   * @returns {string} Hash as a base-36 string
+   */
+  digest() {
+    return this.digestNumber().toString(36);
+  }
+}
+
+/**
+ * Hash a value
+ * @param {*} value - Value to hash
+ * @param {number} seed - Hash seed (default: 0)
+ * @returns {string} Base-36 hash
+ */
+export function hashValue(value, seed = 0) {
+  return new Hasher(seed).update(value).digest();
+}
+
+export default hashValue;
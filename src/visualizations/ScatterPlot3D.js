@@ -5,6 +5,16 @@
  * Versão: 1.0.0
  */
 
+import { isColumnTable } from '../data/ColumnTable.js';
+import { SERIES_PALETTE, NOISE_COLOR } from '../charts/series/Series.js';
+
+/**
+ * Coordenada numérica; ausentes (null, undefined, '') viram NaN em vez de 0
+ */
+function toNumber(value) {
+  return value === null || value === undefined || value === '' ? NaN : +value;
+}
+
 /**
  * Classe ScatterPlot3D
  * Estrutura base para criação de um scatter plot 3D.
@@ -12,6 +22,9 @@
  * Exemplo de uso:
  *   const scatter3D = new ScatterPlot3D({ container: 'viz-container', width: 600, height: 400 });
  *   scatter3D.render([{ x: 0.1, y: 0.8, z: 0.55, color: '#FF5722' }]);
+ *
+ *   // Resultado da operação pca (components: 3) seguida de cluster no worker
+ *   scatter3D.render(tabela, { columns: { x: 'pc1', y: 'pc2', z: 'pc3' }, colorBy: 'cluster' });
  */
 export class ScatterPlot3D {
   /**
@@ -33,13 +46,61 @@ export class ScatterPlot3D {
     this.container.appendChild(this.element);
   }
 
+  /**
+   * Converte registros ou uma ColumnTable em pontos { x, y, z, color, datum }.
+   * Linhas sem alguma coordenada numérica são descartadas.
+   * @param {Array|ColumnTable} data - Registros ou tabela
+   * @param {Object} options - columns: campos de cada eixo (padrão x, y, z);
+   *   colorBy: campo categórico (ex: id do cluster; -1 e ausentes ficam cinza);
+   *   colors: paleta
+   * @returns {Array} Pontos; datum é o registro ou o índice da linha na tabela
+   */
+  toPoints(data = [], options = {}) {
+    const columns = { x: 'x', y: 'y', z: 'z', color: 'color', ...options.columns };
+    const { colorBy, colors = SERIES_PALETTE } = options;
+    const table = isColumnTable(data);
+    // Leitores por campo, criados uma vez (tabelas leem direto das colunas)
+    const readerFor = (field) => {
+      if (table) return data.hasColumn(field) ? data.reader(field) : () => undefined;
+      return i => (data[i] == null ? undefined : data[i][field]);
+    };
+    const [readX, readY, readZ, readColor] = ['x', 'y', 'z', 'color'].map(axis => readerFor(columns[axis]));
+    const readCategory = colorBy ? readerFor(colorBy) : null;
+    const length = table ? data.numRows : data.length;
+    const categories = new Map();
+
+    const colorOf = (i) => {
+      const explicit = readColor(i);
+      if (explicit) return explicit;
+      if (!colorBy) return colors[0];
+      const value = readCategory(i);
+      if (value === null || value === undefined || value === -1 || Number.isNaN(value)) return NOISE_COLOR;
+      if (Number.isInteger(value) && value >= 0) return colors[value % colors.length];
+      if (!categories.has(value)) categories.set(value, colors[categories.size % colors.length]);
+      return categories.get(value);
+    };
+
+    const points = [];
+    for (let i = 0; i < length; i++) {
+      const x = toNumber(readX(i));
+      const y = toNumber(readY(i));
+      const z = toNumber(readZ(i));
+      if (![x, y, z].every(Number.isFinite)) continue;
+      points.push({ x, y, z, color: colorOf(i), datum: table ? i : data[i] });
+    }
+    return points;
+  }
+
   /**
    * Método stub de renderização 3D.
-   * @param {Array} data - Array de objetos (ex: [{x, y, z, color }]).
+   * @param {Array|ColumnTable} data - Array de objetos (ex: [{x, y, z, color }]) ou tabela.
+   * @param {Object} options - Mapeamento de colunas e cores (veja toPoints)
    */
-  render(data = []) {
-    // No stub só exibe dados como JSON no background
-    this.element.innerText = `[ScatterPlot3D - Dados exemplo]\n` + JSON.stringify(data, null, 2);
+  render(data = [], options = {}) {
+    this.points = this.toPoints(data, options);
+    // No stub só exibe os pontos (sem o registro de origem) como JSON no background
+    const preview = this.points.slice(0, 100).map(({ x, y, z, color }) => ({ x, y, z, color }));
+    this.element.innerText = `[ScatterPlot3D - Dados exemplo]\n` + JSON.stringify(preview, null, 2);
   }
 }
 
@@ -0,0 +1,104 @@
+/**
+ * Testes automatizados para a seleção por retângulo e laço no CanvasChart.
+ * Deve rodar com Jest (JS DOM) ou runner equivalente.
+ */
+
+import CanvasChart from '../src/charts/CanvasChart.js';
+
+/**
+ * Cria um evento de ponteiro sintético com modificadores (o JS DOM não implementa PointerEvent)
+ */
+function ponteiro(tipo, x, y, modificadores = {}) {
+  const evento = new MouseEvent(tipo, { clientX: x, clientY: y, button: 0, bubbles: true, ...modificadores });
+  Object.defineProperty(evento, 'pointerId', { value: 1 });
+  Object.defineProperty(evento, 'pointerType', { value: 'mouse' });
+  return evento;
+}
+
+/**
+ * Arrasta o ponteiro pelos pontos indicados
+ */
+function arrastar(canvas, pontos, modificadores) {
+  const [inicio, ...resto] = pontos;
+  canvas.dispatchEvent(ponteiro('pointerdown', inicio.x, inicio.y, modificadores));
+  resto.forEach(p => canvas.dispatchEvent(ponteiro('pointermove', p.x, p.y, { ...modificadores, buttons: 1 })));
+  const fim = pontos[pontos.length - 1];
+  canvas.dispatchEvent(ponteiro('pointerup', fim.x, fim.y, modificadores));
+}
+
+describe('Seleção com brush e laço', () => {
+  const registros = [
+    { x: 0, y: 0, nome: 'a' },
+    { x: 10, y: 10, nome: 'b' },
+    { x: 20, y: 20, nome: 'c' },
+    { x: 30, y: 0, nome: 'd' }
+  ];
+  let chart;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="viz-container"></div>';
+    chart = new CanvasChart({
+      container: 'viz-container',
+      width: 400,
+      height: 300,
+      interactions: { zoomPan: { animate: false }, brush: true }
+    });
+    chart.setData(registros);
+    chart.render();
+  });
+
+  afterEach(() => chart.destroy());
+
+  it('seleciona por retângulo com Shift sem arrastar a visualização', () => {
+    const { x, y } = chart.getScales();
+    const eventos = [];
+    chart.on('select', ({ selection }) => eventos.push(selection));
+
+    arrastar(chart.getCanvas(), [
+      { x: x.map(5), y: y.map(25) },
+      { x: x.map(25), y: y.map(5) }
+    ], { shiftKey: true });
+
+    expect(chart.getSelection().map(r => r.nome).sort()).toEqual(['b', 'c']);
+    expect(eventos).toHaveLength(1);
+    expect(chart.zoomPan.getTransform()).toEqual({ zoom: 1, zoomX: 1, zoomY: 1, panX: 0, panY: 0 });
+    expect(document.querySelector('svg')).toBeNull();
+
+    // Um clique com Shift (brush mínimo) limpa a seleção
+    arrastar(chart.getCanvas(), [{ x: 10, y: 10 }, { x: 11, y: 11 }], { shiftKey: true });
+    expect(chart.getSelection()).toEqual([]);
+    expect(chart.selection).toBeNull();
+  });
+
+  it('seleciona por laço com Alt e pode dar zoom na extensão selecionada', () => {
+    chart.updateConfig({ selection: { zoomToSelection: true } });
+    const { x, y } = chart.getScales();
+
+    // Triângulo que contém "a" e "b", mas não "c" (fora da hipotenusa) nem "d"
+    arrastar(chart.getCanvas(), [
+      { x: x.map(-1), y: y.map(-1) },
+      { x: x.map(22), y: y.map(-1) },
+      { x: x.map(-1), y: y.map(22) }
+    ], { altKey: true });
+
+    expect(chart.getSelection().map(r => r.nome).sort()).toEqual(['a', 'b']);
+    expect(chart.zoomPan.getTransform().zoom).toBeGreaterThan(1);
+    const visivel = chart.getVisibleDomain();
+    expect(visivel.x[0]).toBeLessThanOrEqual(0);
+    expect(visivel.x[1]).toBeGreaterThanOrEqual(10);
+    expect(visivel.x[1] - visivel.x[0]).toBeLessThan(36);
+  });
+
+  it('aceita laços com mais vértices do que o limite de argumentos de uma função', () => {
+    const { x, y } = chart.getScales();
+    const centro = { x: x.map(10), y: y.map(10) };
+    const raio = Math.abs(x.map(15) - x.map(10));
+    const n = 500000;
+    const laco = Array.from({ length: n }, (_, i) => ({
+      x: centro.x + raio * Math.cos(2 * Math.PI * i / n),
+      y: centro.y + raio * Math.sin(2 * Math.PI * i / n)
+    }));
+
+    expect(chart.selectPolygon(laco).map(r => r.nome)).toEqual(['b']);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Testes automatizados para clustering (k-means, DBSCAN, hierárquico) e PCA,
+ * executados localmente e pelas operações cluster/pca do worker.
+ * Deve rodar com Jest (JS DOM) ou runner equivalente.
+ */
+
+import { cluster, kMeans, dbscan, hierarchical, NOISE } from '../src/data/clustering.js';
+import { project } from '../src/data/pca.js';
+import { toMatrix } from '../src/data/matrix.js';
+import { ColumnTable } from '../src/data/ColumnTable.js';
+import { ScatterSeries } from '../src/charts/series/ScatterSeries.js';
+import { SERIES_PALETTE, NOISE_COLOR } from '../src/charts/series/Series.js';
+import { processMessage } from '../workers/dataProcessor.worker.js';
+import { TextEncoder, TextDecoder } from 'util';
+
+// O JS DOM não expõe TextEncoder/TextDecoder, disponíveis nos navegadores
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+// Três grupos bem separados de 10 pontos, mais um ponto isolado e um sem y
+const centros = [[0, 0], [10, 10], [20, 0]];
+const pontos = centros.flatMap(([cx, cy], grupo) => Array.from({ length: 10 }, (_, i) => ({
+  x: cx + (i % 3) * 0.5,
+  y: cy + Math.floor(i / 3) * 0.5,
+  grupo
+})));
+pontos.push({ x: 50, y: 50, grupo: 'isolado' }, { x: 1, y: null, grupo: 'incompleto' });
+
+/**
+ * Verifica que os rótulos separam os grupos, sem exigir uma numeração específica
+ */
+function rotulosPorGrupo(labels) {
+  return centros.map((_, grupo) => new Set(pontos
+    .map((ponto, i) => (ponto.grupo === grupo ? labels[i] : undefined))
+    .filter(label => label !== undefined)));
+}
+
+describe('clustering', () => {
+  it('k-means, DBSCAN e hierárquico encontram os mesmos grupos', () => {
+    const matrix = toMatrix(pontos, ['x', 'y']);
+    const progresso = [];
+
+    const kmeans = kMeans(matrix, { k: 4, seed: 7, onProgress: p => progresso.push(p) });
+    const porDbscan = dbscan(matrix, { eps: 1, minPoints: 3 });
+    const porArvore = hierarchical(matrix, { k: 4, linkage: 'complete' });
+
+    [kmeans, porArvore].forEach(({ labels }) => {
+      // O ponto isolado forma o 4º cluster
+      const grupos = rotulosPorGrupo(labels);
+      grupos.forEach(rotulos => expect(rotulos.size).toBe(1));
+      expect(new Set(grupos.map(rotulos => [...rotulos][0])).size).toBe(3);
+    });
+    expect(kmeans.centroids).toHaveLength(4);
+    expect(kmeans.labels[31]).toBe(NOISE);
+
+    expect(porDbscan.clusters).toBe(3);
+    expect(porDbscan.labels[30]).toBe(NOISE);
+    expect(porDbscan.noise).toBe(1);
+    expect(porArvore.merges).toHaveLength(30);
+
+    expect(progresso[progresso.length - 1]).toEqual({ method: 'kmeans', stage: 'iterations', progress: 1 });
+  });
+
+  it('PCA projeta na direção de maior variância', () => {
+    // y = 2x: toda a variância está num único componente
+    const linha = Array.from({ length: 20 }, (_, i) => ({ a: i, b: 2 * i, c: 5 }));
+    const { data, explainedVariance, components } = project(ColumnTable.fromRecords(linha), {
+      fields: ['a', 'b'],
+      standardize: false
+    });
+
+    expect(explainedVariance[0]).toBeCloseTo(1, 10);
+    expect(components[0].a).toBeCloseTo(1 / Math.sqrt(5), 10);
+    expect(components[0].b).toBeCloseTo(2 / Math.sqrt(5), 10);
+    expect(data.columnNames).toEqual(['a', 'b', 'c', 'pc1', 'pc2']);
+    expect(data.getValue(19, 'pc1') - data.getValue(0, 'pc1')).toBeCloseTo(Math.sqrt(5) * 19, 8);
+  });
+});
+
+describe('operações cluster e pca no worker', () => {
+  it('devolve colunas extras com progresso, prontas para colorir séries', () => {
+    const mensagens = [];
+    const tabela = ColumnTable.fromRecords(pontos);
+    processMessage({
+      id: 1,
+      type: 'cluster',
+      payload: { data: { numRows: tabela.numRows, columns: tabela.columns }, fields: ['x', 'y'], method: 'dbscan', eps: 1, minPoints: 3 }
+    }, resposta => mensagens.push(resposta));
+
+    const resultado = mensagens[mensagens.length - 1];
+    expect(mensagens.some(mensagem => mensagem.progress && mensagem.progress.method === 'dbscan')).toBe(true);
+    expect(resultado.table).toBe('data');
+    expect(resultado.result.clusters).toBe(3);
+
+    const clusterizada = ColumnTable.from(resultado.result.data);
+    const serie = new ScatterSeries({ data: clusterizada, colorBy: 'cluster' });
+    expect(serie.colorAt(0)).toBe(SERIES_PALETTE[clusterizada.getValue(0, 'cluster')]);
+    expect(serie.colorAt(30)).toBe(NOISE_COLOR);
+    expect(serie.pointAt(30).color).toBe(NOISE_COLOR);
+
+    // Registros continuam registros, com o novo campo
+    processMessage({ id: 2, type: 'pca', payload: { data: pontos.slice(0, 30), fields: ['x', 'y'], as: ['u', 'v'] } },
+      resposta => mensagens.push(resposta));
+    const projecao = mensagens[mensagens.length - 1].result;
+    expect(Object.keys(projecao.data[0])).toEqual(['x', 'y', 'grupo', 'u', 'v']);
+    expect(projecao.explainedVariance).toHaveLength(2);
+
+    // cluster() também funciona fora do worker
+    expect(cluster(pontos, { fields: ['x', 'y'], k: 2, seed: 1, as: 'grupoK' }).data[31].grupoK).toBe(NOISE);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Testes automatizados para a representação colunar (ColumnTable) e seu uso no DataEngine e no CanvasChart.
+ * Deve rodar com Jest (JS DOM) ou runner equivalente.
+ */
+
+import { ColumnTable, COLUMN_TYPES } from '../src/data/ColumnTable.js';
+import { DataEngine } from '../src/core/DataEngine.js';
+import { MemoryStorage } from '../src/data/PersistentCache.js';
+import CanvasChart from '../src/charts/CanvasChart.js';
+
+describe('ColumnTable', () => {
+  it('guarda números em typed arrays e strings em dicionário', () => {
+    const tabela = ColumnTable.fromRecords([
+      { x: 1, y: 2.5, status: 'active' },
+      { x: 2, y: null, status: 'inactive' },
+      { x: 3, y: 4, status: 'active' }
+    ]);
+
+    expect(tabela.numRows).toBe(3);
+    expect(tabela.columnNames).toEqual(['x', 'y', 'status']);
+    expect(tabela.getColumn('x')).toBeInstanceOf(Float64Array);
+    expect(Number.isNaN(tabela.getColumn('y')[1])).toBe(true);
+    expect(tabela.getValue(1, 'y')).toBeNull();
+
+    const { codes, dictionary } = tabela.getDictionary('status');
+    expect(Array.from(codes)).toEqual([0, 1, 0]);
+    expect(dictionary).toEqual(['active', 'inactive']);
+    expect(tabela.getColumn('status')).toEqual(['active', 'inactive', 'active']);
+
+    expect([...tabela][2]).toEqual({ x: 3, y: 4, status: 'active' });
+    expect(ColumnTable.fromRecords([{ v: 0.1 }], { precision: 'float32' }).columnType('v')).toBe(COLUMN_TYPES.FLOAT32);
+  });
+
+  it('reconstrói a tabela depois de passar por JSON', () => {
+    const tabela = ColumnTable.fromColumns({
+      t: new Float64Array([10, NaN]),
+      nome: ['a', null]
+    });
+    const copia = ColumnTable.from(JSON.parse(JSON.stringify(tabela)));
+
+    expect(copia.getColumn('t')).toBeInstanceOf(Float64Array);
+    expect(copia.toRecords()).toEqual([{ t: 10, nome: 'a' }, { t: null, nome: null }]);
+  });
+});
+
+describe('DataEngine colunar', () => {
+  it('carrega como tabela, estima memória pelos buffers e persiste', async () => {
+    const armazenamento = new MemoryStorage();
+    const engine = new DataEngine({ columnar: true, persistent: armazenamento });
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      headers: { get: nome => (nome.toLowerCase() === 'content-type' ? 'application/json' : null) },
+      json: async () => [{ x: 1, y: 10 }, { x: 2, y: 20 }]
+    }));
+
+    const pacote = await engine.loadData('/pontos.json');
+    expect(pacote.data).toBeInstanceOf(ColumnTable);
+    expect(pacote.metadata.size).toBe(2);
+    expect(pacote.statistics.memoryUsage).toBe(32);
+    expect(pacote.statistics.firstItem).toEqual({ x: 1, y: 10 });
+
+    // Uma nova instância lê o armazenamento persistente e recria a tabela
+    const outra = new DataEngine({ columnar: true, persistent: armazenamento });
+    const doCache = await outra.loadData('/pontos.json');
+    expect(doCache.data).toBeInstanceOf(ColumnTable);
+    expect(Array.from(doCache.data.getColumn('y'))).toEqual([10, 20]);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('carrega um objeto simples como de costume, sem convertê-lo em tabela', async () => {
+    const engine = new DataEngine({ columnar: true });
+
+    expect((await engine.loadData({ a: 1, b: 'x' })).data).toEqual({ a: 1, b: 'x' });
+    // Um objeto que já traz colunas continua virando tabela
+    const pacote = await engine.loadData({ columns: { y: [1, 2] } });
+    expect(pacote.data).toBeInstanceOf(ColumnTable);
+  });
+
+  it('alimenta o CanvasChart direto das colunas', () => {
+    document.body.innerHTML = '<div id="viz-container"></div>';
+    const chart = new CanvasChart({ container: 'viz-container', width: 400, height: 200 });
+    const tabela = ColumnTable.fromColumns({
+      tempo: new Float64Array([1, 2, 3]),
+      preco: new Float32Array([5, 6, 7])
+    });
+
+    chart.setData([{ name: 'precos', type: 'line', data: tabela, columns: { x: 'tempo', y: 'preco' } }]);
+    chart.render();
+
+    expect(chart.getData().map(ponto => [ponto.x, ponto.y, ponto.datum])).toEqual([
+      [1, 5, { tempo: 1, preco: 5 }],
+      [2, 6, { tempo: 2, preco: 6 }],
+      [3, 7, { tempo: 3, preco: 7 }]
+    ]);
+  });
+
+  it('desenha, testa proximidade e seleciona sem criar um objeto por linha', () => {
+    document.body.innerHTML = '<div id="viz-container"></div>';
+    const chart = new CanvasChart({ container: 'viz-container', width: 400, height: 200 });
+    const n = 20000;
+    const tabela = ColumnTable.fromColumns({
+      x: Float64Array.from({ length: n }, (_, i) => i % 200),
+      y: Float64Array.from({ length: n }, (_, i) => Math.floor(i / 200)),
+      grupo: Float64Array.from({ length: n }, (_, i) => i % 3)
+    });
+
+    chart.setData([{ name: 'grade', type: 'scatter', data: tabela, colorBy: 'grupo' }]);
+    const [serie] = chart.getSeries();
+    const criarPonto = jest.spyOn(serie, 'pointAt');
+    chart.render();
+
+    expect(serie.points).toBeNull();
+    expect(serie.numPoints).toBe(n);
+    expect(serie.lod.mode).toBe('density');
+    expect(criarPonto).not.toHaveBeenCalled();
+
+    // O teste de proximidade devolve o registro da linha e, à parte, o seu índice
+    const escalas = chart.getScales();
+    const linha = 201 * 50;
+    const hit = chart.hitTest(escalas.x.map(serie.xAt(linha)), escalas.y.map(serie.yAt(linha)), 0.5);
+    expect(hit.row).toBe(linha);
+    expect(hit.datum).toEqual({ x: 50, y: 50, grupo: 0 });
+    expect(hit.series).toBe(serie);
+
+    const indices = [10, 11, 12, 210, 211, 212, 410, 411, 412];
+    const selecionadas = chart.selectRect(escalas.x.map(9.5), escalas.y.map(2.5), escalas.x.map(12.5), escalas.y.map(-0.5));
+    expect(selecionadas.map(registro => registro.y * 200 + registro.x).sort((a, b) => a - b)).toEqual(indices);
+
+    // A seleção guarda só os índices; os registros são lidos da tabela quando pedidos
+    criarPonto.mockClear();
+    expect(Array.from(chart.selection.rows.get(serie)).sort((a, b) => a - b)).toEqual(indices);
+    expect(chart.getSelection()).toHaveLength(9);
+    expect(criarPonto).not.toHaveBeenCalled();
+  });
+});
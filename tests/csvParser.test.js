@@ -0,0 +1,104 @@
+/**
+ * Testes automatizados para o parser CSV compartilhado.
+ * Deve rodar com Jest (JS DOM) ou runner equivalente.
+ */
+
+import { CSVParser, parseCSV, detectDelimiter, inferValue } from '../src/data/CSVParser.js';
+import { DataLoader } from '../src/data/DataLoader.js';
+import { TextEncoder, TextDecoder } from 'util';
+
+// O JS DOM não expõe TextEncoder/TextDecoder, disponíveis nos navegadores
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+/**
+ * Cria um ReadableStream mínimo que entrega os bytes do texto cortados nas posições indicadas
+ */
+function fluxo(texto, cortes = []) {
+  const bytes = new TextEncoder().encode(texto);
+  const limites = [0, ...cortes, bytes.length];
+  let indice = 0;
+  return {
+    getReader: () => ({
+      read: async () => indice < limites.length - 1
+        ? { done: false, value: bytes.slice(limites[indice], limites[++indice]) }
+        : { done: true, value: undefined },
+      releaseLock: () => {}
+    })
+  };
+}
+
+describe('CSVParser', () => {
+  const texto = '﻿nome,descrição,valor\r\n' +
+    '"Silva, Ana","linha 1\r\nlinha 2",10\r\n' +
+    'Bruno,"diz ""olá""",\r\n';
+
+  it('segue a gramática RFC 4180 (aspas, quebras de linha, CRLF e BOM)', () => {
+    expect(parseCSV(texto)).toEqual([
+      { nome: 'Silva, Ana', descrição: 'linha 1\r\nlinha 2', valor: '10' },
+      { nome: 'Bruno', descrição: 'diz "olá"', valor: '' }
+    ]);
+  });
+
+  it('produz o mesmo resultado em qualquer divisão de pedaços', () => {
+    const esperado = parseCSV(texto);
+
+    for (let corte = 1; corte < texto.length; corte++) {
+      const parser = new CSVParser();
+      const registros = parser.push(texto.slice(0, corte))
+        .concat(parser.push(texto.slice(corte)), parser.flush());
+      expect(registros).toEqual(esperado);
+    }
+  });
+
+  it('ignora espaços entre a aspa de fechamento e o delimitador', () => {
+    expect(parseCSV('a,b,c\n"x" ,"y"\t,"z"  \n', { delimiter: ',' })).toEqual([
+      { a: 'x', b: 'y', c: 'z' }
+    ]);
+    // Com tabulação como delimitador, ela continua separando os campos
+    expect(parseCSV('a\tb\n"x"\t"y"\n', { delimiter: '\t' })).toEqual([{ a: 'x', b: 'y' }]);
+  });
+
+  it('detecta o delimitador e infere tipos', () => {
+    expect(detectDelimiter('a;b;c\n"1,5";2;3\n')).toBe(';');
+    expect(detectDelimiter('a\tb\n1\t2\n')).toBe('\t');
+    expect(detectDelimiter('a|b\n1|2')).toBe('|');
+
+    const parser = new CSVParser({ inferTypes: true });
+    const [registro] = parser.parse('id;ativo;data;nota;cep\n7;TRUE;2024-03-01;;"01234"\n');
+
+    expect(parser.delimiter).toBe(';');
+    expect(registro).toEqual({ id: 7, ativo: true, data: new Date('2024-03-01'), nota: null, cep: '01234' });
+    expect(inferValue('-1.5e3')).toBe(-1500);
+    expect(inferValue('2024-13-45')).toBe('2024-13-45');
+  });
+
+  it('lê um ReadableStream de bytes em lotes', async () => {
+    // Com o delimitador informado não há espera pela amostra de detecção
+    const parser = new CSVParser({ delimiter: ',', inferTypes: true });
+    const lotes = [];
+    // O último corte divide o "é" (2 bytes em UTF-8) ao meio
+    for await (const lote of parser.iterateStream(fluxo('x,y\n1,2\n3,4\n5,"é"\n', [6, 12, 15]))) {
+      lotes.push(lote);
+    }
+
+    expect(lotes.flat()).toEqual([{ x: 1, y: 2 }, { x: 3, y: 4 }, { x: 5, y: 'é' }]);
+    expect(lotes.length).toBeGreaterThan(1);
+  });
+});
+
+describe('DataLoader.loadCSV', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('usa o parser compartilhado na resposta', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      body: fluxo('a;b\r\n"x;y";2\r\n', [5])
+    });
+
+    const dados = await new DataLoader().loadCSV('/dados.csv', { inferTypes: true });
+    expect(dados).toEqual([{ a: 'x;y', b: 2 }]);
+  });
+});
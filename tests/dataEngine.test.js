@@ -0,0 +1,215 @@
+/**
+ * Testes automatizados para o DataEngine e seus módulos de apoio.
+ * Deve rodar com Jest (JS DOM) ou runner equivalente.
+ */
+
+import { DataEngine } from '../src/core/DataEngine.js';
+import { DataCache } from '../src/data/DataCache.js';
+import { DataValidator } from '../src/utils/DataValidator.js';
+import { MemoryStorage, FileSystemStorage } from '../src/data/PersistentCache.js';
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+/**
+ * Cria uma resposta de fetch mínima em JSON, com cabeçalhos opcionais
+ */
+function respostaJSON(status, corpo, cabecalhos = {}) {
+  const nomes = Object.fromEntries(Object.entries(cabecalhos).map(([nome, valor]) => [nome.toLowerCase(), valor]));
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: `status ${status}`,
+    headers: { get: nome => nomes[nome.toLowerCase()] || null },
+    json: async () => corpo
+  };
+}
+
+describe('DataEngine', () => {
+  it('carrega um array e reaproveita o cache', async () => {
+    const engine = new DataEngine();
+    const dados = [{ value: 1 }, { value: 2 }];
+
+    const primeiro = await engine.loadData(dados);
+    const segundo = await engine.loadData(dados);
+
+    expect(primeiro.data.length).toBe(2);
+    expect(primeiro.data[1].id).toBe(1);
+    expect(segundo).toBe(primeiro);
+
+    const metricas = engine.getMetrics();
+    expect(metricas.cacheHits).toBe(1);
+    expect(metricas.cacheSize).toBe(1);
+  });
+
+  it('não calcula a chave de cache quando o cache está desligado', async () => {
+    const engine = new DataEngine();
+    const gerarChave = jest.spyOn(engine, '_generateCacheKey');
+
+    const pacote = await engine.loadData([{ value: 1 }], { cache: false });
+    expect(pacote.data.length).toBe(1);
+    expect(gerarChave).not.toHaveBeenCalled();
+    expect(engine.getMetrics().cacheSize).toBe(0);
+  });
+
+  it('rejeita dados que violam o schema', async () => {
+    const engine = new DataEngine();
+    const schema = { fields: { value: { type: 'number', required: true } } };
+
+    await expect(engine.loadData([{ value: 'x' }], { schema }))
+      .rejects.toThrow('Data validation failed');
+  });
+
+  it('gera chaves por hash do conteúdo e conta as remoções do cache', async () => {
+    const engine = new DataEngine({ maxCacheSize: 1 });
+    const chave = engine._generateCacheKey([{ value: 1 }], {});
+
+    expect(engine._generateCacheKey([{ value: 1 }], {})).toBe(chave);
+    expect(engine._generateCacheKey([{ value: 2 }], {})).not.toBe(chave);
+    expect(chave.length).toBeLessThan(40);
+
+    // Buffers, Maps e Sets não têm chaves enumeráveis: o conteúdo entra no hash
+    const chaveDe = dados => engine._generateCacheKey(dados, {});
+    expect(chaveDe(new Uint8Array([1, 2]).buffer)).not.toBe(chaveDe(new Uint8Array([3, 4]).buffer));
+    expect(chaveDe(new DataView(new Uint8Array([1, 2]).buffer)))
+      .not.toBe(chaveDe(new DataView(new Uint8Array([3, 4]).buffer)));
+    expect(chaveDe(new Map([['a', 1]]))).not.toBe(chaveDe(new Map([['a', 2]])));
+    expect(chaveDe(new Set([1]))).not.toBe(chaveDe(new Set([2])));
+    expect(chaveDe(new Uint8Array([1, 2]).buffer)).toBe(chaveDe(new Uint8Array([1, 2]).buffer));
+
+    await engine.loadData([{ value: 1 }]);
+    await engine.loadData([{ value: 2 }]);
+    expect(engine.getMetrics().evictions).toBe(1);
+  });
+
+  it('não reaproveita o cache entre closures com o mesmo código-fonte', async () => {
+    const engine = new DataEngine();
+    const dados = [{ v: 1 }, { v: 2 }];
+    const escala = fator => item => ({ v: item.v * fator });
+
+    const dobro = await engine.loadData(dados, { transform: escala(2) });
+    const triplo = await engine.loadData(dados, { transform: escala(3) });
+    expect(dobro.data.map(item => item.v)).toEqual([2, 4]);
+    expect(triplo.data.map(item => item.v)).toEqual([3, 6]);
+    expect(engine.getMetrics().cacheSize).toBe(0);
+
+    // Com cacheKey o chamador identifica o que a função calcula
+    const comChave = await engine.loadData(dados, { transform: escala(2), cacheKey: 'dobro' });
+    expect(await engine.loadData(dados, { transform: escala(2), cacheKey: 'dobro' })).toBe(comChave);
+    expect((await engine.loadData(dados, { transform: escala(3), cacheKey: 'triplo' })).data.map(item => item.v))
+      .toEqual([3, 6]);
+  });
+
+  describe('cache HTTP', () => {
+    const originalFetch = global.fetch;
+    let agora;
+    beforeEach(() => {
+      agora = jest.spyOn(Date, 'now').mockReturnValue(0);
+    });
+    afterEach(() => {
+      agora.mockRestore();
+      global.fetch = originalFetch;
+    });
+
+    it('revalida com ETag depois do ttl e reaproveita o pacote em 304', async () => {
+      const engine = new DataEngine({ cacheTTL: 1000 });
+      global.fetch = jest.fn(async () => respostaJSON(200, [{ value: 1 }], { ETag: '"v1"' }));
+      const primeiro = await engine.loadData('/api/serie', { format: 'json' });
+
+      agora.mockReturnValue(5000);
+      global.fetch = jest.fn(async () => respostaJSON(304, null));
+      const segundo = await engine.loadData('/api/serie', { format: 'json' });
+
+      expect(segundo).toBe(primeiro);
+      expect(global.fetch.mock.calls[0][1].headers['If-None-Match']).toBe('"v1"');
+      expect(engine.getMetrics()).toMatchObject({ revalidations: 1, notModified: 1, cacheMisses: 1 });
+    });
+
+    it('reabre do armazenamento persistente e funciona sem rede', async () => {
+      const armazenamento = new MemoryStorage();
+      global.fetch = jest.fn(async () => respostaJSON(200, [{ value: 7 }]));
+      await new DataEngine({ persistent: armazenamento }).loadData('/api/painel', { format: 'json' });
+
+      // Nova sessão dentro do ttl: usa a cópia salva sem ir à rede
+      global.fetch = jest.fn(async () => {
+        throw new TypeError('Failed to fetch');
+      });
+      const reaberto = new DataEngine({ persistent: armazenamento });
+      expect((await reaberto.loadData('/api/painel', { format: 'json' })).data[0].value).toBe(7);
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(reaberto.getMetrics().persistentHits).toBe(1);
+
+      // Cópia vencida e sem rede: a última versão ainda é servida
+      agora.mockReturnValue(10 * 60 * 1000);
+      const offline = new DataEngine({ persistent: armazenamento });
+      expect((await offline.loadData('/api/painel', { format: 'json' })).data[0].value).toBe(7);
+      expect(offline.getMetrics().offlineHits).toBe(1);
+    });
+
+    it('devolve datas como Date também do armazenamento em arquivo', async () => {
+      const armazenamento = new FileSystemStorage({ directory: mkdtempSync(join(tmpdir(), 'idv-cache-')) });
+      const opcoes = {
+        format: 'json',
+        transform: item => ({ ...item, dia: new Date(item.dia) }),
+        cacheKey: 'com-datas'
+      };
+      global.fetch = jest.fn(async () => respostaJSON(200, [{ dia: '2024-03-01T00:00:00.000Z' }]));
+
+      try {
+        const original = await new DataEngine({ persistent: armazenamento }).loadData('/api/dias', opcoes);
+        const reaberto = await new DataEngine({ persistent: armazenamento }).loadData('/api/dias', opcoes);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(reaberto.data[0].dia).toBeInstanceOf(Date);
+        expect(reaberto.data[0].dia.getTime()).toBe(original.data[0].dia.getTime());
+      } finally {
+        await armazenamento.clear();
+      }
+    });
+  });
+});
+
+describe('DataCache', () => {
+  it('remove a entrada menos usada recentemente', () => {
+    const cache = new DataCache({ maxSize: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    expect(cache.size).toBe(2);
+    expect(cache.has('a')).toBe(true);
+    expect(cache.has('b')).toBe(false);
+  });
+
+  it('expira entradas após o ttl', () => {
+    const cache = new DataCache({ ttl: 1000 });
+    const agora = jest.spyOn(Date, 'now').mockReturnValue(0);
+    cache.set('a', 1);
+
+    agora.mockReturnValue(1000);
+    expect(cache.get('a')).toBeUndefined();
+    agora.mockRestore();
+  });
+});
+
+describe('DataValidator', () => {
+  it('lista os erros de cada registro', () => {
+    const validator = new DataValidator({
+      fields: {
+        value: { type: 'number', min: 0 },
+        category: { type: 'string', enum: ['A', 'B'] }
+      }
+    });
+
+    const { valid, errors } = validator.validate([
+      { value: 5, category: 'A' },
+      { value: -1, category: 'Z' }
+    ]);
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      'Record 1: field "value" must be >= 0',
+      'Record 1: field "category" must be one of A, B'
+    ]);
+  });
+});
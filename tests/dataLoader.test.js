@@ -0,0 +1,185 @@
+/**
+ * Testes automatizados para as tentativas, deduplicação, interceptadores e paginação do DataLoader.
+ * Deve rodar com Jest (JS DOM) ou runner equivalente.
+ */
+
+import { DataLoader, createAuthInterceptor } from '../src/data/DataLoader.js';
+import { DataEngine } from '../src/core/DataEngine.js';
+
+/**
+ * Cria uma resposta de fetch mínima com status, cabeçalhos e corpo JSON
+ */
+function resposta(status, corpo = null, cabecalhos = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: `status ${status}`,
+    headers: { get: nome => cabecalhos[nome] || null },
+    json: async () => corpo,
+    clone() {
+      return resposta(status, corpo, cabecalhos);
+    }
+  };
+}
+
+describe('DataLoader.fetch', () => {
+  const originalFetch = global.fetch;
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('repete métodos idempotentes com backoff e respeita Retry-After', async () => {
+    const loader = new DataLoader({ retryDelay: 1 });
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(resposta(503, null, { 'Retry-After': '0' }))
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(resposta(200, { ok: true }));
+
+    expect(await loader.loadJSON('/dados')).toEqual({ ok: true });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+
+    // POST não é repetido, e erros HTTP não recuperáveis guardam o status
+    global.fetch = jest.fn().mockResolvedValue(resposta(503));
+    await expect(loader.fetch('/dados', { method: 'POST', body: '{}' })).rejects.toThrow('HTTP 503');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    global.fetch = jest.fn().mockResolvedValue(resposta(404));
+    await expect(loader.fetch('/dados')).rejects.toMatchObject({ status: 404 });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('compartilha requisições idênticas em andamento', async () => {
+    const loader = new DataLoader();
+    global.fetch = jest.fn(async () => resposta(200, [1, 2, 3]));
+
+    const resultados = await loader.loadMultiple([
+      { url: '/serie.json' },
+      { url: '/serie.json' },
+      { url: '/outra.json' }
+    ]);
+
+    expect(resultados).toEqual([[1, 2, 3], [1, 2, 3], [1, 2, 3]]);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(loader.inFlight.size).toBe(0);
+  });
+
+  it('cancela a requisição e as tentativas pendentes pelo AbortSignal', async () => {
+    const loader = new DataLoader({ retryDelay: 10000 });
+    const controller = new AbortController();
+    global.fetch = jest.fn(async () => resposta(500));
+
+    const pendente = loader.fetch('/lento', { signal: controller.signal });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    controller.abort();
+
+    await expect(pendente).rejects.toMatchObject({ name: 'AbortError' });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('só envia Content-Type quando há corpo e serializa objetos como JSON', async () => {
+    const loader = new DataLoader({ defaultHeaders: { 'Content-Type': 'text/plain', 'X-Tenant': 'acme' } });
+    global.fetch = jest.fn(async () => resposta(200));
+
+    await loader.fetch('/dados');
+    await loader.fetch('/dados', { method: 'POST', body: { a: 1 }, contentType: 'application/vnd.api+json' });
+
+    const [[, get], [, post]] = global.fetch.mock.calls;
+    expect(get.headers).toEqual({ 'X-Tenant': 'acme' });
+    expect(get.body).toBeUndefined();
+    expect(post.headers).toEqual({ 'X-Tenant': 'acme', 'Content-Type': 'application/vnd.api+json' });
+    expect(post.body).toBe('{"a":1}');
+  });
+
+  it('deixa o fetch rotular FormData, Blob e URLSearchParams e não presume JSON para strings', async () => {
+    const loader = new DataLoader({ defaultHeaders: { 'Content-Type': 'application/json' } });
+    global.fetch = jest.fn(async () => resposta(200));
+    const formulario = new FormData();
+    formulario.append('arquivo', new Blob(['a,b\n1,2'], { type: 'text/csv' }), 'dados.csv');
+
+    await loader.fetch('/upload', { method: 'POST', body: formulario, headers: { 'content-type': 'multipart/form-data' } });
+    await loader.fetch('/upload', { method: 'POST', body: new Blob(['x']) });
+    await loader.fetch('/busca', { method: 'POST', body: new URLSearchParams({ q: 'a' }) });
+    await new DataLoader().fetch('/csv', { method: 'POST', body: 'a,b\n1,2' });
+
+    const cabecalhos = global.fetch.mock.calls.map(([, opcoes]) => opcoes.headers);
+    expect(cabecalhos).toEqual([{}, {}, {}, {}]);
+    expect(global.fetch.mock.calls[0][1].body).toBe(formulario);
+  });
+
+  it('renova o token e repete uma única vez após 401, desembrulhando o envelope', async () => {
+    let token = 'expirado';
+    const refreshToken = jest.fn(async () => {
+      token = 'novo';
+      return true;
+    });
+    const loader = new DataLoader()
+      .addInterceptor(createAuthInterceptor({ getToken: async () => token, refreshToken }))
+      .addInterceptor({ data: corpo => (corpo && corpo.data ? corpo.data : undefined) });
+
+    global.fetch = jest.fn(async (url, init) => (init.headers.Authorization === 'Bearer novo'
+      ? resposta(200, { data: [1, 2], meta: { total: 2 } })
+      : resposta(401)));
+
+    expect(await loader.loadJSON('/privado', { dedupe: false })).toEqual([1, 2]);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(refreshToken).toHaveBeenCalledTimes(1);
+
+    // Um novo 401 após a repetição é repassado ao chamador
+    global.fetch = jest.fn(async () => resposta(401));
+    await expect(loader.loadJSON('/privado')).rejects.toMatchObject({ status: 401 });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('segue o cabeçalho Link e respeita o limite de registros', async () => {
+    const paginas = {
+      'https://api.exemplo.com/itens': [resposta(200, [1, 2], { Link: '</itens?pagina=2>; rel="next"' })],
+      'https://api.exemplo.com/itens?pagina=2': [resposta(200, [3, 4], { Link: '<https://api.exemplo.com/itens?pagina=3>; rel="next"' })]
+    };
+    global.fetch = jest.fn(async url => paginas[url][0]);
+
+    const recebidas = [];
+    for await (const pagina of new DataLoader().loadPages('https://api.exemplo.com/itens', { maxRecords: 3 })) {
+      recebidas.push(pagina.records);
+    }
+
+    expect(recebidas).toEqual([[1, 2], [3]]);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('pagina por cursor e o DataEngine emite progresso a cada página', async () => {
+    global.fetch = jest.fn(async url => (url.includes('cursor=b')
+      ? resposta(200, { data: [{ v: 3 }], next_cursor: null })
+      : resposta(200, { data: [{ v: 1 }, { v: 2 }], next_cursor: 'b' })));
+
+    const engine = new DataEngine();
+    const progresso = [];
+    engine.on('loadProgress', ({ page, loaded }) => progresso.push([page, loaded]));
+
+    const pacote = await engine.loadData(new DataLoader().loadPages('/eventos', { pagination: 'cursor' }));
+
+    expect(global.fetch.mock.calls.map(([url]) => url)).toEqual(['/eventos', '/eventos?cursor=b']);
+    expect(progresso).toEqual([[0, 2], [1, 3]]);
+    expect(pacote.data.map(item => item.v)).toEqual([1, 2, 3]);
+    expect(pacote.metadata.source).toBe('pages');
+  });
+
+  it('guarda cada carga paginada sem nome à parte e cancela sem esperar a página pendente', async () => {
+    const engine = new DataEngine();
+    async function* paginas(valor) {
+      yield [{ v: valor }];
+    }
+    const primeira = await engine.loadData(paginas(1));
+    const segunda = await engine.loadData(paginas(2));
+    expect(engine.getDataset('pages-1')).toBe(primeira);
+    expect(engine.getDataset('pages-2')).toBe(segunda);
+
+    // A segunda página nunca chega: só o sinal encerra a carga
+    async function* travada() {
+      yield [{ v: 1 }];
+      await new Promise(() => {});
+    }
+    const controller = new AbortController();
+    engine.on('loadProgress', () => setTimeout(() => controller.abort(new Error('cancelado')), 0));
+    await expect(engine.loadData(travada(), { signal: controller.signal })).rejects.toThrow('cancelado');
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Testes automatizados para o streaming em tempo real do DataEngine (WebSocket, SSE e polling).
+ * Deve rodar com Jest (JS DOM) ou runner equivalente.
+ */
+
+import { DataEngine } from '../src/core/DataEngine.js';
+import { DataStream } from '../src/core/DataStream.js';
+
+/**
+ * WebSocket falso que guarda as instâncias criadas para o teste controlar
+ */
+class SocketFalso {
+  constructor(url) {
+    this.url = url;
+    this.fechado = false;
+    SocketFalso.instancias.push(this);
+  }
+
+  close() {
+    this.fechado = true;
+  }
+}
+SocketFalso.instancias = [];
+
+/**
+ * EventSource falso com addEventListener por nome de evento
+ */
+class FonteFalsa {
+  constructor(url) {
+    this.url = url;
+    this.ouvintes = {};
+    FonteFalsa.instancias.push(this);
+  }
+
+  addEventListener(evento, ouvinte) {
+    this.ouvintes[evento] = ouvinte;
+  }
+
+  close() {}
+}
+FonteFalsa.instancias = [];
+
+describe('DataStream', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    SocketFalso.instancias = [];
+    FonteFalsa.instancias = [];
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('mantém uma janela limitada e emite append, evict e data', () => {
+    const fluxo = new DataStream(() => [], { windowSize: 3 });
+    const eventos = [];
+    fluxo.on('append', registros => eventos.push(['append', registros.length]));
+    fluxo.on('evict', registros => eventos.push(['evict', registros.map(r => r.v)]));
+    fluxo.on('data', janela => eventos.push(['data', janela.map(r => r.v)]));
+
+    fluxo.push([{ v: 1 }, { v: 2 }]);
+    fluxo.push([{ v: 3 }, { v: 4 }]);
+
+    expect(eventos).toEqual([
+      ['append', 2], ['data', [1, 2]],
+      ['append', 2], ['evict', [1]], ['data', [2, 3, 4]]
+    ]);
+  });
+
+  it('reconecta o WebSocket com backoff e fecha tudo no destroy', () => {
+    const engine = new DataEngine({ enableStreaming: true });
+    const fluxo = engine.stream('wss://exemplo.com/ticks', { WebSocket: SocketFalso, retryDelay: 100 });
+    const recebidos = [];
+    fluxo.on('append', registros => recebidos.push(...registros));
+
+    const [primeiro] = SocketFalso.instancias;
+    primeiro.onopen();
+    primeiro.onmessage({ data: '[{"v":1},{"v":2}]' });
+    expect(recebidos).toEqual([{ v: 1 }, { v: 2 }]);
+    expect(engine.getMetrics().activeConnections).toBe(1);
+
+    // Queda inesperada: nova conexão depois do atraso (entre metade e o total do backoff)
+    const reconexoes = [];
+    fluxo.on('reconnect', info => reconexoes.push(info));
+    primeiro.onclose({ wasClean: false, code: 1006 });
+    expect(engine.getMetrics().activeConnections).toBe(0);
+    expect(reconexoes[0].delay).toBeGreaterThanOrEqual(50);
+    jest.advanceTimersByTime(100);
+    expect(SocketFalso.instancias).toHaveLength(2);
+
+    SocketFalso.instancias[1].onopen();
+    expect(fluxo.attempts).toBe(0);
+
+    engine.destroy();
+    expect(SocketFalso.instancias[1].fechado).toBe(true);
+    expect(engine.streamingConnections.size).toBe(0);
+  });
+
+  it('recebe eventos SSE, consulta por polling e exige enableStreaming', async () => {
+    const sse = new DataStream('/eventos', { EventSource: FonteFalsa, event: 'tick' }).open();
+    FonteFalsa.instancias[0].ouvintes.tick({ data: '{"v":9}' });
+    expect(sse.data).toEqual([{ v: 9 }]);
+    sse.close();
+
+    let contador = 0;
+    const consulta = new DataStream(async () => ({ v: ++contador }), { interval: 1000 }).open();
+    await Promise.resolve();
+    expect(consulta.type).toBe('poll');
+    expect(consulta.data).toEqual([{ v: 1 }]);
+
+    jest.advanceTimersByTime(1000);
+    await Promise.resolve();
+    expect(consulta.data).toEqual([{ v: 1 }, { v: 2 }]);
+    consulta.close();
+
+    expect(() => new DataEngine().stream('/eventos')).toThrow('enableStreaming');
+  });
+});
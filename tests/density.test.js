@@ -0,0 +1,78 @@
+/**
+ * Testes automatizados para o modo de densidade (heatmap e hexbin) do
+ * ScatterSeries, suas escalas de cor e a legenda.
+ * Deve rodar com Jest (JS DOM) ou runner equivalente.
+ */
+
+import CanvasChart from '../src/charts/CanvasChart.js';
+import { binRect, binHex, createColorScale } from '../src/charts/series/density.js';
+
+const area = { x: 0, y: 0, width: 100, height: 100 };
+
+describe('density', () => {
+  it('conta pontos por célula retangular e hexagonal', () => {
+    const xs = Float64Array.from([1, 2, 9, 55, NaN, 150]);
+    const ys = Float64Array.from([1, 3, 9, 55, 10, 10]);
+
+    // NaN e pontos fora da área ficam de fora
+    const retangulos = binRect(xs, ys, area, 10);
+    expect(retangulos).toEqual([{ x: 0, y: 0, count: 3 }, { x: 50, y: 50, count: 1 }]);
+
+    // Cada ponto vai para o hexágono de centro mais próximo
+    const raio = 10;
+    const hexagonos = binHex(xs, ys, area, raio);
+    expect(hexagonos.reduce((total, hex) => total + hex.count, 0)).toBe(4);
+    hexagonos.forEach(hex => {
+      expect(hex.x % (raio * Math.sqrt(3) / 2)).toBeCloseTo(0, 8);
+      expect(hex.y % (raio * 1.5)).toBeCloseTo(0, 8);
+    });
+    const centro = hexagonos.find(hex => Math.hypot(hex.x - 55, hex.y - 55) <= raio);
+    expect(centro.count).toBe(1);
+  });
+
+  it('mapeia contagens por escalas linear, log e quantil', () => {
+    const contagens = [1, 2, 3, 4, 1000];
+    const linear = createColorScale('linear', contagens);
+    const log = createColorScale('log', contagens);
+    const quantil = createColorScale('quantile', contagens);
+
+    expect(linear.domain).toEqual([1, 1000]);
+    expect(linear.position(500)).toBeCloseTo(0.5);
+    // Log e quantil dão mais espaço às células esparsas
+    expect(log.position(4)).toBeGreaterThan(linear.position(4) * 10);
+    expect(quantil.position(4)).toBe(0.8);
+    expect(linear.color(1000)).toBe('rgb(253, 231, 37)');
+    expect(() => createColorScale('cubica', contagens)).toThrow('Unknown color scale');
+  });
+});
+
+describe('CanvasChart em modo densidade', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="viz-container"></div>';
+  });
+
+  it('alterna entre densidade e pontos conforme o zoom, com legenda', () => {
+    const pontos = Array.from({ length: 4000 }, (_, i) => ({ x: (i * 7919) % 997, y: (i * 104729) % 991 }));
+    const chart = new CanvasChart({ container: 'viz-container', width: 400, height: 300 });
+    chart.setData(pontos, { densityThreshold: 1000, densityShape: 'hex', densityLegend: 'amostras' });
+    const ctx = chart.ctx;
+    ctx.__clearEvents();
+    chart.render();
+
+    const [serie] = chart.getSeries();
+    expect(serie.density.visible).toBe(4000);
+    expect(serie.density.cells.reduce((total, cell) => total + cell.count, 0)).toBe(4000);
+    const textos = ctx.__getEvents().filter(e => e.type === 'fillText').map(e => e.props.text);
+    expect(textos).toContain('amostras');
+
+    // Ampliado 4x restam ~1/16 dos pontos visíveis: volta a desenhar pontos
+    const cx = chart.drawArea.x + chart.drawArea.width / 2;
+    const cy = chart.drawArea.y + chart.drawArea.height / 2;
+    chart.setView({ zoom: 4, panX: cx - cx * 4, panY: cy - cy * 4 });
+    expect(serie.density).toBeNull();
+    expect(serie.getLegend()).toBeNull();
+
+    chart.resetView();
+    expect(serie.density.shape).toBe('hex');
+  });
+});
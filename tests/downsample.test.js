@@ -0,0 +1,97 @@
+/**
+ * Testes automatizados para a redução de nível de detalhe (LTTB, M4, min/max
+ * e células de densidade) das séries do CanvasChart.
+ * Deve rodar com Jest (JS DOM) ou runner equivalente.
+ */
+
+import CanvasChart from '../src/charts/CanvasChart.js';
+import { downsample, lttb, DOWNSAMPLE_MODES } from '../src/charts/series/downsample.js';
+
+/**
+ * Posições em pixels de uma senoide com n pontos ao longo de `largura` pixels
+ */
+function senoide(n, largura) {
+  const xs = new Float64Array(n);
+  const ys = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    xs[i] = (i / (n - 1)) * largura;
+    ys[i] = 50 + 40 * Math.sin(i / 50);
+  }
+  return { xs, ys };
+}
+
+describe('downsample', () => {
+  it('LTTB mantém as pontas e o número pedido de pontos', () => {
+    const { xs, ys } = senoide(10000, 100);
+    const indices = lttb(xs, ys, 0, xs.length - 1, 200);
+
+    expect(indices).toHaveLength(200);
+    expect(indices[0]).toBe(0);
+    expect(indices[199]).toBe(9999);
+    // Índices crescentes: a linha continua na ordem original
+    expect(indices.every((indice, i) => i === 0 || indice > indices[i - 1])).toBe(true);
+  });
+
+  it('M4 e min/max preservam os extremos de cada coluna e as lacunas', () => {
+    const { xs, ys } = senoide(10000, 100);
+    xs[5000] = ys[5000] = NaN;
+    const area = { x: 0, y: 0, width: 100, height: 100 };
+
+    const m4 = downsample(xs, ys, DOWNSAMPLE_MODES.M4, { area });
+    const minMax = downsample(xs, ys, DOWNSAMPLE_MODES.MIN_MAX, { area });
+
+    expect(m4.length).toBeLessThanOrEqual(101 * 4 + 8);
+    expect(minMax.length).toBeLessThan(m4.length);
+    expect(m4).toContain(5000);
+    [m4, minMax].forEach(indices => {
+      const mantidos = indices.filter(i => i !== 5000).map(i => ys[i]);
+      expect(Math.min(...mantidos)).toBe(Math.min(...ys.filter(Number.isFinite)));
+      expect(Math.max(...mantidos)).toBe(Math.max(...ys.filter(Number.isFinite)));
+    });
+  });
+});
+
+describe('CanvasChart com séries grandes', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="viz-container"></div>';
+  });
+
+  it('desenha na resolução da tela e recalcula ao dar zoom', () => {
+    const n = 300000;
+    const linha = Array.from({ length: n }, (_, i) => ({ x: i, y: Math.sin(i / 1000) }));
+    const nuvem = Array.from({ length: 50000 }, (_, i) => ({ x: (i * 7919) % 1000, y: (i * 104729) % 1000 }));
+    const chart = new CanvasChart({ container: 'viz-container', width: 400, height: 200 });
+
+    chart.setData([
+      { name: 'sensor', type: 'line', data: linha },
+      { name: 'amostras', type: 'scatter', data: nuvem }
+    ]);
+    // Limites calculados em laço, sem Math.min(...) estourar a pilha
+    expect(() => chart.render()).not.toThrow();
+
+    const [sensor, amostras] = chart.getSeries();
+    const largura = chart.drawArea.width;
+    expect(sensor.lod.mode).toBe(DOWNSAMPLE_MODES.M4);
+    expect(sensor.lod.indices.length).toBeLessThanOrEqual((largura + 3) * 4);
+    expect(amostras.lod.mode).toBe(DOWNSAMPLE_MODES.DENSITY);
+    expect(amostras.lod.indices.length).toBeLessThan(nuvem.length);
+
+    // O teste de proximidade e a seleção continuam vendo todos os pontos
+    const indiceCompleto = chart.queryHitIndex(chart.drawArea.x, 0, chart.drawArea.x + largura, 200);
+    expect(indiceCompleto.length).toBe(n + nuvem.length);
+
+    // Ampliado 20x em torno do centro, os pontos desenhados cobrem a faixa
+    // visível; além da coluna de cada borda sobram só o primeiro e o último
+    // ponto de cada lado
+    const lodInicial = sensor.lod.indices;
+    const cx = chart.drawArea.x + largura / 2;
+    const cy = chart.drawArea.y + chart.drawArea.height / 2;
+    chart.setView({ zoom: 20, panX: cx - cx * 20, panY: cy - cy * 20 });
+    const visivel = chart.getVisibleDomain().x;
+    const xs = sensor.lod.indices.map(i => sensor.xAt(i));
+    expect(sensor.lod.indices).not.toBe(lodInicial);
+    const pixel = (visivel[1] - visivel[0]) / largura;
+    expect(xs.filter(x => x < visivel[0] - pixel || x > visivel[1] + pixel).length).toBeLessThanOrEqual(4);
+    expect(xs.length).toBeGreaterThan(largura);
+  });
+});
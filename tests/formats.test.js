@@ -0,0 +1,137 @@
+/**
+ * Testes automatizados para os formatos de entrada do DataLoader (NDJSON, TSV, GeoJSON, Arrow).
+ * Deve rodar com Jest (JS DOM) ou runner equivalente.
+ */
+
+import { DataLoader } from '../src/data/DataLoader.js';
+import { parseNDJSON, parseNDJSONStream, geoJSONToRecords } from '../src/data/formats.js';
+import { TextEncoder, TextDecoder } from 'util';
+
+// O JS DOM não expõe TextEncoder/TextDecoder, disponíveis nos navegadores
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+// Tabela Arrow (formato stream) gerada com apache-arrow: id Int32 [1, 2, 3], valor Float64 [1.5, null, 3]
+const ARROW_STREAM = Buffer.from(
+  '/////8AAAAAQAAAAAAAKABAADgAHAAgACgAAAAAAAAEQAAAAAAAEAAgACAAAAAQACAAAAAQAAAAC' +
+  'AAAAUAAAAAQAAADI////FAAAAAAAAAEYAAAAAAAAAxwAAAAFAAAAdmFsb3IAAAAAAAAAAAAGAAgA' +
+  'BgAGAAAAAAACABAAGAAEAAsAEwAUAAAADAAQAAAAFAAAAAAAAAEUAAAAAAAAAhgAAAACAAAAaWQA' +
+  'AAAAAAAIAAwACAAHAAgAAAAAAAABIAAAAAAAAAD/////uAAAABQAAAAAAAAADAAWABQADwAQAAQA' +
+  'DAAAAGgAAAAAAAAAAAAAAxAAAAAEAAoAGAAMAAgABAAKAAAAFAAAAFgAAAADAAAAAAAAAAAAAAAE' +
+  'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAAEAAAAAAAAAAUAAAAAAA' +
+  'AAAYAAAAAAAAAAAAAAACAAAAAwAAAAAAAAAAAAAAAAAAAAMAAAAAAAAAAQAAAAAAAAABAAAAAgAA' +
+  'AAMAAAAAAAAABQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA' +
+  'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAPg/AAAAAAAAAAAAAAAAAAAIQP////8AAAAA',
+  'base64'
+);
+
+/**
+ * Cria uma resposta de fetch mínima com corpo em stream, clone() e cabeçalho Content-Type
+ */
+function resposta(conteudo, contentType = '') {
+  const bytes = typeof conteudo === 'string'
+    ? new TextEncoder().encode(conteudo)
+    : new Uint8Array(conteudo);
+  const fluxo = () => {
+    let lido = false;
+    return {
+      getReader: () => ({
+        read: async () => {
+          if (lido) return { done: true, value: undefined };
+          lido = true;
+          return { done: false, value: bytes.slice() };
+        },
+        releaseLock: () => {},
+        cancel: async () => {}
+      })
+    };
+  };
+  return {
+    ok: true,
+    headers: { get: nome => (nome.toLowerCase() === 'content-type' ? contentType : null) },
+    body: fluxo(),
+    clone: () => ({ body: fluxo() }),
+    text: async () => new TextDecoder().decode(bytes),
+    json: async () => JSON.parse(new TextDecoder().decode(bytes)),
+    arrayBuffer: async () => bytes.slice().buffer
+  };
+}
+
+describe('Formatos do DataLoader', () => {
+  const originalFetch = global.fetch;
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('decodifica Arrow IPC em colunas tipadas, detectando o formato pelos bytes iniciais', async () => {
+    global.fetch = jest.fn(async () => resposta(ARROW_STREAM, 'application/octet-stream'));
+    const tabela = await new DataLoader().load('/api/export');
+
+    expect(tabela.numRows).toBe(3);
+    expect(tabela.schema.fields.map(campo => campo.name)).toEqual(['id', 'valor']);
+    expect(tabela.columns.id).toBeInstanceOf(Int32Array);
+    expect(Array.from(tabela.columns.id)).toEqual([1, 2, 3]);
+    // Valores nulos viram NaN em colunas numéricas
+    expect(tabela.columns.valor).toBeInstanceOf(Float64Array);
+    expect(Array.from(tabela.columns.valor)).toEqual([1.5, NaN, 3]);
+  });
+
+  it('detecta o formato pela extensão, pelo Content-Type e pelo conteúdo', async () => {
+    const loader = new DataLoader();
+
+    global.fetch = jest.fn(async () => resposta('a\tb\n1\t2\n'));
+    expect(await loader.load('/dados.tsv?v=2')).toEqual([{ a: '1', b: '2' }]);
+
+    global.fetch = jest.fn(async () => resposta('{"x":1}\n{"x":2}\n', 'application/x-ndjson; charset=utf-8'));
+    expect(await loader.load('/eventos')).toEqual([{ x: 1 }, { x: 2 }]);
+
+    const geojson = {
+      type: 'FeatureCollection',
+      features: [{ type: 'Feature', id: 7, properties: { nome: 'A' }, geometry: { type: 'Point', coordinates: [1, 2] } }]
+    };
+    global.fetch = jest.fn(async () => resposta(JSON.stringify(geojson), 'text/plain'));
+    expect(await loader.load('/mapa')).toEqual([
+      { id: 7, nome: 'A', geometry: { type: 'Point', coordinates: [1, 2] } }
+    ]);
+
+    global.fetch = jest.fn(async () => resposta('apenas texto'));
+    expect(await loader.load('/leia-me')).toBe('apenas texto');
+  });
+
+  it('aceita formatos personalizados registrados sem alterar load()', async () => {
+    const loader = new DataLoader();
+    loader.registerFormat('pares', {
+      extensions: ['pares'],
+      sniff: (bytes, texto) => texto.startsWith('#pares'),
+      parse: async (response) => (await response.text())
+        .split('\n')
+        .filter(linha => linha && !linha.startsWith('#'))
+        .map(linha => linha.split('='))
+    });
+
+    global.fetch = jest.fn(async () => resposta('#pares\na=1\nb=2\n'));
+    expect(await loader.load('/config.pares')).toEqual([['a', '1'], ['b', '2']]);
+    expect(await loader.load('/config')).toEqual([['a', '1'], ['b', '2']]);
+
+    expect(() => loader.registerFormat('invalido', {})).toThrow('parse');
+    await expect(loader.load('/x', 'inexistente')).rejects.toThrow('Unknown data format');
+  });
+
+  it('lê NDJSON em stream com várias linhas por pedaço e linhas divididas entre pedaços', async () => {
+    const pedacos = ['{"n":1}\n{"n":2}\n{"n"', ':3}\n', '{"n":4}\n{"n":5}'];
+    const fluxo = {
+      getReader: () => ({
+        read: async () => (pedacos.length ? { done: false, value: pedacos.shift() } : { done: true, value: undefined }),
+        releaseLock: () => {}
+      })
+    };
+
+    expect(await parseNDJSONStream(fluxo)).toEqual([1, 2, 3, 4, 5].map(n => ({ n })));
+  });
+
+  it('informa a linha inválida do NDJSON e achata GeoJSON', () => {
+    expect(() => parseNDJSON('{"a":1}\n\n{"a":')).toThrow('line 3');
+    expect(geoJSONToRecords({ type: 'Point', coordinates: [0, 0] }))
+      .toEqual([{ geometry: { type: 'Point', coordinates: [0, 0] } }]);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Testes automatizados para o pipeline declarativo de transformações e suas expressões.
+ * Deve rodar com Jest (JS DOM) ou runner equivalente.
+ */
+
+import { Pipeline } from '../src/data/Pipeline.js';
+import { compileExpression } from '../src/data/expression.js';
+import { DataEngine } from '../src/core/DataEngine.js';
+
+const vendas = [
+  { regiao: 'Norte', ano: 2023, valor: 10, status: 'pago' },
+  { regiao: 'Sul', ano: 2023, valor: 30, status: 'pago' },
+  { regiao: 'Norte', ano: 2024, valor: 20, status: 'pago' },
+  { regiao: 'Norte', ano: 2024, valor: 60, status: 'cancelado' },
+  { regiao: 'Sul', ano: 2024, valor: null, status: 'pago' }
+];
+
+describe('compileExpression', () => {
+  it('avalia campos, operadores e funções sem eval', () => {
+    const expressao = compileExpression('round(valor * 1.1, 1) > 20 && lower(status) == "pago" ? "alto" : "baixo"');
+    expect(vendas.map(expressao)).toEqual(['baixo', 'alto', 'alto', 'baixo', 'baixo']);
+    expect(compileExpression('field("preço unitário") - -2')({ 'preço unitário': 3 })).toBe(5);
+
+    expect(() => compileExpression('valor >')).toThrow('Expression syntax error at position 7');
+    expect(() => compileExpression('apagar(valor)')).toThrow('unknown function "apagar"');
+    // Membros herdados de Object.prototype não são funções da linguagem
+    ['constructor(1)', 'toString()', 'hasOwnProperty("a")'].forEach(fonte => {
+      expect(() => compileExpression(fonte)).toThrow(`unknown function "${fonte.split('(')[0]}"`);
+    });
+  });
+});
+
+describe('Pipeline', () => {
+  it('encadeia filter, derive, groupBy, sort, pivot e bin', () => {
+    const base = new Pipeline().filter('status == "pago"');
+    const porRegiao = base
+      .derive({ dobro: 'valor * 2' })
+      .groupBy('regiao', { total: 'sum:dobro', vendas: 'count', mediana: 'median:valor' })
+      .sort('-total', '-regiao');
+
+    // null * 2 vira 0 no derive; a mediana ignora o valor ausente
+    expect(porRegiao.run(vendas)).toEqual([
+      { regiao: 'Sul', total: 60, vendas: 2, mediana: 30 },
+      { regiao: 'Norte', total: 60, vendas: 2, mediana: 15 }
+    ]);
+    // Cada método devolve um novo pipeline
+    expect(base.steps).toHaveLength(1);
+
+    expect(new Pipeline().pivot({ index: 'regiao', column: 'ano', value: 'valor' }).run(vendas)).toEqual([
+      { regiao: 'Norte', 2023: 10, 2024: 80 },
+      { regiao: 'Sul', 2023: 30, 2024: 0 }
+    ]);
+
+    const faixas = new Pipeline().bin('valor', { bins: 2 }).run(vendas).map(v => v.valor_start);
+    expect(faixas).toEqual([10, 10, 10, 35, null]);
+  });
+
+  it('serializa em JSON e recusa funções', () => {
+    const pipeline = new Pipeline().filter('valor > 15').sort('ano', { field: 'valor', order: 'desc' });
+    const copia = Pipeline.from(JSON.stringify(pipeline));
+
+    expect(copia.run(vendas).map(v => v.valor)).toEqual([30, 60, 20]);
+    expect(() => new Pipeline().filter(v => v.valor > 15).toJSON()).toThrow('cannot be serialised');
+  });
+});
+
+describe('DataEngine.transform', () => {
+  it('gera um novo pacote com junção a outro conjunto carregado', async () => {
+    const engine = new DataEngine({ profile: false });
+    await engine.loadData(vendas, { name: 'vendas' });
+    await engine.loadData([{ regiao: 'Norte', gerente: 'Ana' }, { regiao: 'Sul', gerente: 'Rui' }], { name: 'gerentes' });
+
+    const pacote = await engine.transform('vendas', [
+      { type: 'join', dataset: 'gerentes', on: 'regiao' },
+      { type: 'groupBy', keys: ['gerente'], aggregates: { total: 'sum:valor' } }
+    ], { name: 'porGerente' });
+
+    expect(pacote.data).toEqual([{ gerente: 'Ana', total: 90 }, { gerente: 'Rui', total: 30 }]);
+    expect(pacote.statistics.length).toBe(2);
+    expect(pacote.metadata).toMatchObject({ source: 'pipeline', parent: 'vendas', name: 'porGerente' });
+    expect(pacote.metadata.pipeline.steps).toHaveLength(2);
+    expect(engine.getDataset('porGerente')).toBe(pacote);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Testes automatizados para o perfil de colunas e a inferência de esquema.
+ * Deve rodar com Jest (JS DOM) ou runner equivalente.
+ */
+
+import { profileData, inferSchema, DistinctCounter } from '../src/data/profile.js';
+import { ColumnTable } from '../src/data/ColumnTable.js';
+import { DataEngine } from '../src/core/DataEngine.js';
+import CanvasChart from '../src/charts/CanvasChart.js';
+
+describe('profileData', () => {
+  it('descreve tipo, nulos, distintos, estatísticas, quantis e histograma', () => {
+    const registros = [
+      { valor: 1, cidade: 'Recife', dia: '2024-01-01', ativo: true },
+      { valor: 2, cidade: 'Natal', dia: '2024-01-03', ativo: false },
+      { valor: 3, cidade: 'Recife', dia: null, ativo: true },
+      { valor: 4, cidade: null, dia: '2024-01-02', ativo: true }
+    ];
+    const perfil = profileData(registros, { bins: 3, quantiles: [0.5] });
+
+    expect(perfil.rowCount).toBe(4);
+    expect(perfil.columns.valor).toMatchObject({
+      type: 'number', nulls: 0, distinct: 4, min: 1, max: 4, mean: 2.5,
+      quantiles: { p50: 2.5 }
+    });
+    expect(perfil.columns.valor.stddev).toBeCloseTo(Math.sqrt(1.25));
+    expect(perfil.columns.valor.histogram.map(b => b.count)).toEqual([1, 1, 2]);
+
+    expect(perfil.columns.cidade).toMatchObject({ type: 'string', nulls: 1, distinct: 2 });
+    expect(perfil.columns.dia.type).toBe('date');
+    expect(perfil.columns.dia.dateRange).toEqual({
+      start: '2024-01-01T00:00:00.000Z',
+      end: '2024-01-03T00:00:00.000Z'
+    });
+    expect(perfil.columns.ativo).toMatchObject({ type: 'boolean', trueCount: 3 });
+
+    // O mesmo perfil sai de uma tabela colunar, e dele um esquema para o DataValidator
+    expect(profileData(ColumnTable.fromRecords(registros)).columns.valor.mean).toBe(2.5);
+    expect(inferSchema(perfil).fields.valor).toEqual({ type: 'number', required: true, min: 1, max: 4 });
+    expect(inferSchema(perfil).fields.cidade.required).toBe(false);
+  });
+
+  it('estima a contagem de distintos acima do limite', () => {
+    const contador = new DistinctCounter(100);
+    for (let i = 0; i < 20000; i++) {
+      contador.add(i % 10000);
+    }
+
+    expect(contador.approximate).toBe(true);
+    expect(Math.abs(contador.count() - 10000)).toBeLessThan(500);
+  });
+
+  it('inclui o perfil no dataPackage e o gráfico escolhe as escalas', async () => {
+    const engine = new DataEngine();
+    const pacote = await engine.loadData([
+      { data: new Date(2024, 0, 1), receita: 10 },
+      { data: new Date(2024, 0, 2), receita: 100000 }
+    ]);
+    expect(pacote.profile.columns.data.type).toBe('date');
+    expect(await new DataEngine({ profile: false }).loadData([{ a: 1 }]).then(p => p.profile)).toBeNull();
+
+    document.body.innerHTML = '<div id="viz-container"></div>';
+    const chart = new CanvasChart({ container: 'viz-container', width: 400, height: 200, axes: { y: { title: 'R$' } } });
+    chart.applyProfile(pacote.profile, { x: 'data', y: 'receita' });
+
+    expect(chart.config.axes.x).toMatchObject({ type: 'time', title: 'data' });
+    expect(chart.config.axes.y).toMatchObject({ type: 'log', title: 'R$' });
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Testes automatizados para as escalas usadas pelo CanvasChart.
+ * Deve rodar com Jest (JS DOM) ou runner equivalente.
+ */
+
+import { LinearScale, LogScale, TimeScale, BandScale, createScale } from '../src/charts/scales/index.js';
+
+describe('Escalas', () => {
+  it('LinearScale mapeia, inverte e gera ticks redondos', () => {
+    const escala = new LinearScale({ domain: [0, 100], range: [0, 500] });
+
+    expect(escala.map(50)).toBe(250);
+    expect(escala.invert(250)).toBe(50);
+    expect(escala.ticks(5)).toEqual([0, 20, 40, 60, 80, 100]);
+    expect(new LinearScale({ domain: [0.13, 0.87] }).nice(5).domain).toEqual([0, 1]);
+  });
+
+  it('LogScale usa potências da base e ignora valores não positivos', () => {
+    const escala = new LogScale({ domain: [3, 9000], range: [0, 300], nice: true });
+
+    expect(escala.domain).toEqual([1, 10000]);
+    expect(escala.map(100)).toBeCloseTo(150);
+    expect(escala.invert(150)).toBeCloseTo(100);
+    expect(escala.map(0)).toBeNaN();
+    expect(escala.ticks(5)).toEqual([1, 10, 100, 1000, 10000]);
+  });
+
+  it('TimeScale alinha os ticks ao calendário local', () => {
+    const escala = new TimeScale({
+      domain: [new Date(2024, 0, 15), new Date(2024, 11, 20)],
+      range: [0, 800]
+    });
+
+    const ticks = escala.ticks(4);
+    expect(ticks.every(data => data.getDate() === 1)).toBe(true);
+    expect(ticks.map(data => data.getMonth())).toEqual([3, 6, 9]);
+    expect(escala.tickFormat(4)(ticks[0])).toBe('Apr');
+    expect(escala.invert(escala.map(ticks[1]))).toEqual(ticks[1]);
+  });
+
+  it('BandScale distribui categorias em faixas', () => {
+    const escala = createScale('band', { domain: ['A', 'B', 'C', 'A'], range: [0, 300], paddingInner: 0, paddingOuter: 0 });
+
+    expect(escala.domain).toEqual(['A', 'B', 'C']);
+    expect(escala.bandwidth()).toBe(100);
+    expect(escala.map('B')).toBe(150);
+    expect(escala.invert(260)).toBe('C');
+  });
+});
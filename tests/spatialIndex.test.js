@@ -0,0 +1,46 @@
+/**
+ * Testes automatizados para o SpatialIndex usado no hit testing.
+ * Deve rodar com Jest (JS DOM) ou runner equivalente.
+ */
+
+import { SpatialIndex } from '../src/utils/SpatialIndex.js';
+
+describe('SpatialIndex', () => {
+  it('encontra o mesmo vizinho mais próximo que uma busca linear', () => {
+    const total = 100000;
+    const xs = new Float64Array(total);
+    const ys = new Float64Array(total);
+    let semente = 42;
+    const aleatorio = () => (semente = (semente * 16807) % 2147483647) / 2147483647;
+    for (let i = 0; i < total; i++) {
+      xs[i] = aleatorio() * 800;
+      ys[i] = aleatorio() * 600;
+    }
+
+    const indice = new SpatialIndex({ width: 800, height: 600, cellSize: 16 }).build(xs, ys);
+    expect(indice.size).toBe(total);
+
+    for (let consulta = 0; consulta < 20; consulta++) {
+      const qx = aleatorio() * 800;
+      const qy = aleatorio() * 600;
+      let esperado = -1;
+      let melhor = Infinity;
+      for (let i = 0; i < total; i++) {
+        const d = (xs[i] - qx) ** 2 + (ys[i] - qy) ** 2;
+        if (d < melhor) {
+          melhor = d;
+          esperado = i;
+        }
+      }
+      expect(indice.nearest(qx, qy)).toBe(esperado);
+    }
+  });
+
+  it('respeita a distância máxima e consulta retângulos', () => {
+    const indice = new SpatialIndex({ width: 100, height: 100 }).build([10, 50, 90], [10, 50, 90]);
+
+    expect(indice.nearest(30, 30, 5)).toBe(-1);
+    expect(indice.nearest(45, 45, 10)).toBe(1);
+    expect(indice.queryRect(0, 0, 60, 60).sort()).toEqual([0, 1]);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Testes automatizados para o WorkerPool e as operações do dataProcessor.worker.
+ * Deve rodar com Jest (JS DOM) ou runner equivalente.
+ */
+
+import { WorkerPool } from '../src/core/WorkerPool.js';
+import { DataEngine } from '../src/core/DataEngine.js';
+import { ColumnTable } from '../src/data/ColumnTable.js';
+import { processMessage } from '../workers/dataProcessor.worker.js';
+import { TextEncoder, TextDecoder } from 'util';
+
+// O JS DOM não expõe TextEncoder/TextDecoder, disponíveis nos navegadores
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+/**
+ * Worker falso que executa as operações do worker real de forma assíncrona
+ */
+class WorkerFalso {
+  constructor(url) {
+    this.url = url;
+    this.encerrado = false;
+    WorkerFalso.instancias.push(this);
+  }
+
+  postMessage(mensagem, transferidos) {
+    this.transferidos = transferidos;
+    setTimeout(() => {
+      processMessage(mensagem, resposta => {
+        if (!this.encerrado && this.onmessage) this.onmessage({ data: resposta });
+      });
+    }, 0);
+  }
+
+  terminate() {
+    this.encerrado = true;
+  }
+}
+WorkerFalso.instancias = [];
+
+const criarWorker = url => new WorkerFalso(url);
+
+describe('WorkerPool', () => {
+  beforeEach(() => {
+    WorkerFalso.instancias = [];
+  });
+
+  it('distribui tarefas pelo pool, devolve tabelas e propaga erros', async () => {
+    const pool = new WorkerPool({ size: 2, createWorker: criarWorker });
+    const registros = [
+      { regiao: 'Norte', valor: 10 },
+      { regiao: 'Sul', valor: 5 },
+      { regiao: 'Norte', valor: 1 }
+    ];
+
+    const [totais, filtrados, csv] = await Promise.all([
+      pool.run('aggregate', { data: registros, keys: 'regiao', aggregates: { total: 'sum:valor' } }),
+      pool.run('filter', { data: registros, expr: 'valor >= 5' }),
+      pool.run('parse', { input: new TextEncoder().encode('a,b\n1,2\n3,4').buffer, format: 'csv', options: { inferTypes: true } })
+    ]);
+
+    expect(WorkerFalso.instancias).toHaveLength(2);
+    expect(totais).toEqual([{ regiao: 'Norte', total: 11 }, { regiao: 'Sul', total: 5 }]);
+    expect(filtrados.map(r => r.valor)).toEqual([10, 5]);
+    expect(csv).toEqual([{ a: 1, b: 2 }, { a: 3, b: 4 }]);
+
+    // Entrada colunar volta como ColumnTable, com os buffers transferidos
+    const tabela = ColumnTable.fromRecords(registros);
+    const ordenada = await pool.run('sort', { data: tabela, by: ['valor'] }, { transfer: true });
+    expect(ordenada).toBeInstanceOf(ColumnTable);
+    expect(Array.from(ordenada.getColumn('valor'))).toEqual([1, 5, 10]);
+    expect(WorkerFalso.instancias[0].transferidos).toContain(tabela.columns.valor.values.buffer);
+
+    await expect(pool.run('apagarTudo')).rejects.toThrow('Unknown operation "apagarTudo"');
+    await expect(pool.run('filter', { data: registros, expr: 'valor >' })).rejects.toThrow('Expression syntax error');
+    await expect(pool.run('sort', { data: registros })).rejects.toThrow('Sort needs "by"');
+    pool.terminate();
+  });
+
+  it('cancela tarefas na fila e em execução com AbortSignal', async () => {
+    const pool = new WorkerPool({ size: 1, createWorker: criarWorker });
+    const emExecucao = new AbortController();
+    const naFila = new AbortController();
+
+    const primeira = pool.run('filter', { data: [], expr: 'true' }, { signal: emExecucao.signal });
+    const segunda = pool.run('filter', { data: [], expr: 'true' }, { signal: naFila.signal });
+    const terceira = pool.run('aggregate', { data: [{ v: 2 }], aggregates: { n: 'count' } });
+    expect(pool.pending).toBe(2);
+
+    naFila.abort();
+    emExecucao.abort();
+    await expect(primeira).rejects.toMatchObject({ name: 'AbortError' });
+    await expect(segunda).rejects.toMatchObject({ name: 'AbortError' });
+
+    // O worker interrompido é descartado e a fila segue num worker novo
+    expect(WorkerFalso.instancias[0].encerrado).toBe(true);
+    await expect(terceira).resolves.toEqual([{ n: 1 }]);
+    expect(WorkerFalso.instancias).toHaveLength(2);
+  });
+
+  it('DataEngine envia pipelines grandes ao worker e volta à thread principal se ele falhar', async () => {
+    const engine = new DataEngine({ workers: { createWorker: criarWorker }, workerThreshold: 3, profile: false });
+    const dados = [{ v: 1 }, { v: 2 }, { v: 3 }];
+
+    const pacote = await engine.transform(dados, [{ type: 'filter', expr: 'v > 1' }]);
+    expect(pacote.data).toEqual([{ v: 2 }, { v: 3 }]);
+    expect(engine.getMetrics().workerTasks).toBe(1);
+
+    // Abaixo do limite roda localmente
+    await engine.transform(dados.slice(0, 2), [{ type: 'filter', expr: 'v > 1' }]);
+    expect(engine.getMetrics().workerTasks).toBe(1);
+
+    const quebrado = new DataEngine({
+      workerThreshold: 1,
+      profile: false,
+      workers: {
+        createWorker: () => ({
+          postMessage() { setTimeout(() => this.onerror({ message: 'script não encontrado' }), 0); },
+          terminate() {}
+        })
+      }
+    });
+    const erros = [];
+    quebrado.on('error', erro => erros.push(erro.message));
+    const local = await quebrado.transform(dados, [{ type: 'filter', expr: 'v == 3' }]);
+    expect(local.data).toEqual([{ v: 3 }]);
+    expect(erros).toEqual(['Worker error: script não encontrado']);
+    engine.destroy();
+  });
+
+  it('DataEngine lê o CSV na thread principal se o worker de parse falhar', async () => {
+    const originalFetch = global.fetch;
+    const bytes = new TextEncoder().encode('a,b\n1,2\n').buffer;
+    let transferidos = null;
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      headers: { get: nome => ({ 'content-type': 'text/csv', 'content-length': String(bytes.byteLength) })[nome.toLowerCase()] || null },
+      arrayBuffer: async () => bytes
+    }));
+
+    const engine = new DataEngine({
+      workerParseThreshold: 1,
+      profile: false,
+      workers: {
+        createWorker: () => ({
+          postMessage(mensagem, transferir) {
+            transferidos = transferir;
+            setTimeout(() => this.onerror({ message: 'sem memória' }), 0);
+          },
+          terminate() {}
+        })
+      }
+    });
+    const erros = [];
+    engine.on('error', erro => erros.push(erro.message));
+
+    try {
+      const pacote = await engine.loadData('/dados.csv', { csv: { inferTypes: true }, cache: false });
+      expect(pacote.data).toMatchObject([{ a: 1, b: 2 }]);
+      // O worker recebeu uma cópia: os bytes originais ficaram para o fallback
+      expect(transferidos).toHaveLength(1);
+      expect(transferidos[0]).not.toBe(bytes);
+      expect(erros).toEqual(['Worker error: sem memória']);
+    } finally {
+      global.fetch = originalFetch;
+      engine.destroy();
+    }
+  });
+});
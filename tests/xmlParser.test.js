@@ -0,0 +1,80 @@
+/**
+ * Testes automatizados para o parser XML sem DOM e o mapeamento XML → registros.
+ * Deve rodar com Jest (JS DOM) ou runner equivalente.
+ */
+
+import { parseXMLDocument, mapXML, selectXML } from '../src/data/XMLParser.js';
+import { DataLoader } from '../src/data/DataLoader.js';
+
+const XML = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE catalogo>
+<catalogo xmlns:m="urn:medidas">
+  <!-- produtos de exemplo -->
+  <secao nome="frutas">
+    <produto id="1" ativo="true">
+      <nome>Maçã &amp; Pera</nome>
+      <preco moeda="BRL">4.50</preco>
+      <m:peso>0.2</m:peso>
+    </produto>
+    <produto id="2" ativo="false">
+      <nome><![CDATA[Uva <verde>]]></nome>
+      <preco moeda="USD"></preco>
+    </produto>
+  </secao>
+</catalogo>`;
+
+const MAPEAMENTO = {
+  rows: '//produto',
+  fields: {
+    id: { path: '@id', type: 'integer' },
+    nome: 'nome',
+    preco: { path: 'preco', type: 'number', default: 0 },
+    moeda: 'preco/@moeda',
+    ativo: { path: '@ativo', type: 'boolean' },
+    peso: { path: 'peso', type: 'number' },
+    secao: (produto) => produto.parentNode.getAttribute('nome')
+  }
+};
+
+const ESPERADO = [
+  { id: 1, nome: 'Maçã & Pera', preco: 4.5, moeda: 'BRL', ativo: true, peso: 0.2, secao: 'frutas' },
+  { id: 2, nome: 'Uva <verde>', preco: 0, moeda: 'USD', ativo: false, peso: null, secao: 'frutas' }
+];
+
+describe('XMLParser', () => {
+  it('analisa elementos, atributos, entidades e CDATA sem DOMParser', () => {
+    const doc = parseXMLDocument(XML);
+
+    expect(doc.documentElement.tagName).toBe('catalogo');
+    expect(selectXML(doc, 'catalogo/secao/produto')).toHaveLength(2);
+    expect(selectXML(doc, '//m:peso')[0].textContent).toBe('0.2');
+
+    expect(() => parseXMLDocument('<a><b></a>')).toThrow('XML parsing error');
+    expect(() => parseXMLDocument('<a/><b/>')).toThrow('more than one root');
+  });
+
+  it('mapeia registros igualmente com o DOMParser e com o parser embutido', () => {
+    const dom = new DOMParser().parseFromString(XML, 'application/xml');
+
+    expect(mapXML(dom, MAPEAMENTO)).toEqual(ESPERADO);
+    expect(mapXML(parseXMLDocument(XML), MAPEAMENTO)).toEqual(ESPERADO);
+    // Sem campos, atributos e elementos folha viram campos de texto
+    expect(mapXML(parseXMLDocument(XML), { rows: '//produto' })[0])
+      .toEqual({ id: '1', ativo: 'true', nome: 'Maçã & Pera', preco: '4.50', peso: '0.2' });
+  });
+
+  it('loadXML devolve registros quando recebe um mapeamento', async () => {
+    const originalFetch = global.fetch;
+    global.fetch = jest.fn(async () => ({ ok: true, text: async () => XML }));
+
+    try {
+      const registros = await new DataLoader().loadXML('/catalogo.xml', {
+        mapping: { rows: '//produto', fields: { id: { path: '@id', type: 'integer' }, nome: 'nome' } },
+        parser: 'builtin'
+      });
+      expect(registros).toEqual([{ id: 1, nome: 'Maçã & Pera' }, { id: 2, nome: 'Uva <verde>' }]);
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+});
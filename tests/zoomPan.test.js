@@ -0,0 +1,140 @@
+/**
+ * Testes automatizados para o ZoomPan (ponteiro, pinça e teclado).
+ * Deve rodar com Jest (JS DOM) ou runner equivalente.
+ */
+
+import ZoomPan from '../src/interactions/ZoomPan.js';
+
+/**
+ * Cria um evento de ponteiro sintético (o JS DOM não implementa PointerEvent)
+ */
+function ponteiro(tipo, { id = 1, x = 0, y = 0, pointerType = 'touch' } = {}) {
+  const evento = new MouseEvent(tipo, { clientX: x, clientY: y, button: 0, bubbles: true });
+  Object.defineProperty(evento, 'pointerId', { value: id });
+  Object.defineProperty(evento, 'pointerType', { value: pointerType });
+  return evento;
+}
+
+describe('ZoomPan', () => {
+  let container;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="area"></div>';
+    container = document.getElementById('area');
+  });
+
+  it('arrasta com um ponteiro e dispara os callbacks de interação', () => {
+    const zoomPan = new ZoomPan(container, { animate: false });
+    const eventos = [];
+    zoomPan.on('onInteractionStart', ({ type, source }) => eventos.push(`start:${type}:${source}`));
+    zoomPan.on('onInteractionEnd', ({ type }) => eventos.push(`end:${type}`));
+
+    container.dispatchEvent(ponteiro('pointerdown', { x: 10, y: 10, pointerType: 'mouse' }));
+    container.dispatchEvent(ponteiro('pointermove', { x: 30, y: 5, pointerType: 'mouse' }));
+    container.dispatchEvent(ponteiro('pointerup', { x: 30, y: 5, pointerType: 'mouse' }));
+
+    expect(zoomPan.getTransform()).toEqual({ zoom: 1, zoomX: 1, zoomY: 1, panX: 20, panY: -5 });
+    expect(eventos).toEqual(['start:pan:mouse', 'end:pan']);
+  });
+
+  it('faz zoom de pinça mantendo o centróide fixo', () => {
+    const zoomPan = new ZoomPan(container, { animate: false });
+
+    container.dispatchEvent(ponteiro('pointerdown', { id: 1, x: 90, y: 100 }));
+    container.dispatchEvent(ponteiro('pointerdown', { id: 2, x: 110, y: 100 }));
+    container.dispatchEvent(ponteiro('pointermove', { id: 2, x: 130, y: 100 }));
+    container.dispatchEvent(ponteiro('pointermove', { id: 1, x: 70, y: 100 }));
+
+    const { zoom, panX } = zoomPan.getTransform();
+    expect(zoom).toBeCloseTo(3);
+    // O ponto de conteúdo em x = 100 continua sob o centróide
+    expect(100 * zoom + panX).toBeCloseTo(100);
+
+    container.dispatchEvent(ponteiro('pointerup', { id: 1, x: 70, y: 100 }));
+    container.dispatchEvent(ponteiro('pointerup', { id: 2, x: 130, y: 100 }));
+    expect(zoomPan.isPinching).toBe(false);
+    expect(zoomPan.isDragging).toBe(false);
+  });
+
+  it('dá zoom com toque duplo', () => {
+    const zoomPan = new ZoomPan(container, { animate: false });
+
+    [1, 2].forEach(id => {
+      container.dispatchEvent(ponteiro('pointerdown', { id, x: 50, y: 50 }));
+      container.dispatchEvent(ponteiro('pointerup', { id, x: 50, y: 50 }));
+    });
+
+    expect(zoomPan.getTransform()).toEqual({ zoom: 2, zoomX: 2, zoomY: 2, panX: -50, panY: -50 });
+  });
+
+  it('responde aos atalhos de teclado', () => {
+    const zoomPan = new ZoomPan(container, { keyboardPanStep: 10, animate: false });
+    const tecla = (key) => container.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+
+    expect(container.tabIndex).toBe(0);
+
+    tecla('ArrowRight');
+    tecla('ArrowUp');
+    expect(zoomPan.getTransform()).toEqual({ zoom: 1, zoomX: 1, zoomY: 1, panX: -10, panY: 10 });
+
+    tecla('+');
+    expect(zoomPan.getTransform().zoom).toBeCloseTo(1.1);
+
+    tecla('0');
+    expect(zoomPan.getTransform()).toEqual({ zoom: 1, zoomX: 1, zoomY: 1, panX: 0, panY: 0 });
+  });
+
+  it('restringe o zoom ao eixo x com passo multiplicativo', () => {
+    const zoomPan = new ZoomPan(container, { zoomAxis: 'x', zoomStep: 0.25, animate: false });
+    const roda = (deltaY) => container.dispatchEvent(new WheelEvent('wheel', { deltaY, clientX: 100, clientY: 40 }));
+
+    roda(-1);
+    roda(-1);
+    expect(zoomPan.getTransform().zoom).toBeCloseTo(1.5625);
+    roda(1);
+    expect(zoomPan.getTransform().zoom).toBeCloseTo(1.25);
+
+    // Só o eixo x é ampliado e o pan vertical fica travado
+    const { zoomX, zoomY, panX, panY } = zoomPan.getTransform();
+    expect(zoomX).toBeCloseTo(1.25);
+    expect(zoomY).toBe(1);
+    expect(100 * zoomX + panX).toBeCloseTo(100);
+    expect(panY).toBe(0);
+  });
+
+  it('limita o pan ao translateExtent', () => {
+    const zoomPan = new ZoomPan(container, {
+      animate: false,
+      extent: [[0, 0], [200, 100]],
+      translateExtent: [[0, 0], [200, 100]]
+    });
+
+    // Sem zoom não há para onde arrastar
+    container.dispatchEvent(ponteiro('pointerdown', { x: 10, y: 10, pointerType: 'mouse' }));
+    container.dispatchEvent(ponteiro('pointermove', { x: 60, y: 30, pointerType: 'mouse' }));
+    container.dispatchEvent(ponteiro('pointerup', { x: 60, y: 30, pointerType: 'mouse' }));
+    expect(zoomPan.getTransform()).toMatchObject({ panX: 0, panY: 0 });
+
+    // Ampliado 2x, o conteúdo pode deslocar até a borda oposta
+    zoomPan.setTransform({ zoom: 2, panX: -500, panY: 50 });
+    expect(zoomPan.getTransform()).toMatchObject({ zoom: 2, panX: -200, panY: 0 });
+  });
+
+  it('anima setTransform() e reset() até o estado final', async () => {
+    const zoomPan = new ZoomPan(container, { animationDuration: 40 });
+    const zooms = [];
+    zoomPan.on('onZoom', ({ zoom }) => zooms.push(zoom));
+
+    const concluido = await zoomPan.setTransform({ zoom: 4, panX: -30 });
+    expect(concluido).toBe(true);
+    expect(zoomPan.getTransform()).toMatchObject({ zoom: 4, panX: -30, panY: 0 });
+    expect(zooms.length).toBeGreaterThan(1);
+    expect(zooms[0]).toBeLessThan(4);
+
+    // Uma nova transição interrompe a anterior
+    const interrompido = zoomPan.reset();
+    zoomPan.setTransform({ zoom: 2 }, { duration: 0 });
+    expect(await interrompido).toBe(false);
+    expect(zoomPan.getTransform().zoom).toBe(2);
+  });
+});
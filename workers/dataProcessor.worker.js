@@ -2,30 +2,190 @@
 // Pronto para uso em módulos de visualização interativa
 // Autor: Gabriel Demetrios Lafis
 // Versão: 1.0.0
+//
+// Module worker: crie com new Worker(url, { type: 'module' }) ou use o
+// WorkerPool (src/core/WorkerPool.js), que cuida de ids, cancelamento e erros.
+
+import { parseCSV } from '../src/data/CSVParser.js';
+import { parseNDJSON } from '../src/data/formats.js';
+import { readArrow } from '../src/data/ArrowReader.js';
+import { ColumnTable, isColumnTable } from '../src/data/ColumnTable.js';
+import { Pipeline } from '../src/data/Pipeline.js';
+import { cluster } from '../src/data/clustering.js';
+import { project } from '../src/data/pca.js';
+
+/**
+ * Verifica se os dados vieram em formato colunar (ColumnTable enviada por
+ * postMessage: { numRows, columns: { nome: { type, values, dictionary } } })
+ */
+function isTable(data) {
+  return data !== null && typeof data === 'object' && !Array.isArray(data) &&
+    typeof data.numRows === 'number' && data.columns !== null && typeof data.columns === 'object';
+}
+
+/**
+ * Registros de entrada, seja um array ou uma tabela colunar
+ */
+function toRecords(data) {
+  if (isTable(data)) {
+    return ColumnTable.from(data).toRecords();
+  }
+  if (!Array.isArray(data)) {
+    throw new Error('Expected an array of records or a column table');
+  }
+  return data;
+}
+
+/**
+ * Dados para análises que acrescentam colunas: tabelas continuam colunares
+ */
+function toDataset(data) {
+  return isTable(data) ? ColumnTable.from(data) : toRecords(data);
+}
+
+/**
+ * Resultado de cluster/pca, com os dados convertidos em tabela se pedido
+ */
+function withColumns({ data, ...info }, columnar) {
+  return { data: columnar && !isColumnTable(data) ? ColumnTable.fromRecords(data) : data, ...info };
+}
+
+/**
+ * Texto de uma carga que pode ser string ou bytes (ArrayBuffer/typed array)
+ */
+function toText(input) {
+  return typeof input === 'string' ? input : new TextDecoder().decode(input);
+}
+
+/**
+ * Executa um pipeline serializado; joins recebem os conjuntos em payload.datasets
+ */
+function runPipeline(data, steps, datasets = {}) {
+  return Pipeline.from(steps).run(toRecords(data), {
+    resolve: name => (datasets[name] === undefined ? undefined : toRecords(datasets[name]))
+  });
+}
 
 /**
- * Função principal do Worker para processamentos paralelos de dados.
- * Suporta operações agregadas, filtros, clusterização, etc. (stub)
- * 
- * Exemplo de mensagem de entrada:
- *   { type: 'aggregate', data: [...], options: {...} }
- */
-self.onmessage = function (e) {
-  const { type, data, options } = e.data;
-  let result = null;
-
-  switch (type) {
-    case 'aggregate':
-      // Exemplo de agregação simples (soma)
-      result = data.reduce((acc, item) => acc + (item.value || 0), 0);
-      break;
-    case 'filter':
-      // Filtro stub (retorna apenas itens ativos)
-      result = data.filter(item => item.status === 'active');
-      break;
-    // Outros tipos: cluster, transform, etc. (não implementados neste stub)
-    default:
-      result = null;
+ * Operações disponíveis: (payload, context) => resultado
+ *
+ * Com payload.columnar (ou entrada colunar) o resultado volta como tabela,
+ * cujos typed arrays são transferidos sem cópia.
+ */
+export const OPERATIONS = {
+  // { input: texto ou bytes, format: 'csv'|'tsv'|'json'|'ndjson'|'arrow', options }
+  parse({ input, format = 'csv', options = {} }) {
+    switch (format) {
+      case 'csv':
+        return parseCSV(toText(input), options);
+      case 'tsv':
+        return parseCSV(toText(input), { ...options, delimiter: '\t' });
+      case 'json':
+        return JSON.parse(toText(input));
+      case 'ndjson':
+        return parseNDJSON(toText(input));
+      case 'arrow':
+        return ColumnTable.fromColumns(readArrow(input).columns);
+      default:
+        throw new Error(`Unsupported format "${format}"`);
+    }
+  },
+
+  // { data, pipeline: steps ou { steps }, datasets }
+  pipeline({ data, pipeline, datasets }) {
+    return runPipeline(data, pipeline, datasets);
+  },
+
+  // { data, expr: expressão como 'valor > 10 && status == "ativo"' }
+  filter({ data, expr }) {
+    return runPipeline(data, [{ type: 'filter', expr }]);
+  },
+
+  // { data, keys: [] para um total geral, aggregates: { total: 'sum:valor' } }
+  aggregate({ data, keys = [], aggregates }) {
+    return runPipeline(data, [{ type: 'groupBy', keys: [].concat(keys), aggregates }]);
+  },
+
+  // { data, by: ['-valor', 'nome'] }
+  sort({ data, by }) {
+    if (by === undefined || by === null || [].concat(by).length === 0) {
+      throw new Error('Sort needs "by": field names ("-name" for descending) or {field, order}');
+    }
+    return new Pipeline().sort(by).run(toRecords(data));
+  },
+
+  // { data, field, bins, step, start, as }
+  bin({ data, field, ...options }) {
+    return runPipeline(data, [{ type: 'bin', field, ...options }]);
+  },
+
+  // { data, fields, method: 'kmeans'|'dbscan'|'hierarchical', k, eps, minPoints,
+  //   linkage, seed, standardize, as: 'cluster' }
+  // Devolve { data com a coluna do cluster, centroids/merges/... conforme o método }
+  cluster({ data, columnar, ...options }, context) {
+    return withColumns(cluster(toDataset(data), { ...options, onProgress: context.progress }), columnar);
+  },
+
+  // { data, fields, components: 2 ou 3, as: ['pc1', 'pc2'], standardize }
+  // Devolve { data com as coordenadas, components, explainedVariance, ... }
+  pca({ data, columnar, ...options }, context) {
+    return withColumns(project(toDataset(data), { ...options, onProgress: context.progress }), columnar);
   }
-  self.postMessage({ type, result });
 };
+
+/**
+ * Typed arrays de uma tabela, para transferir na resposta
+ */
+function tableBuffers(table) {
+  return Object.values(table.columns)
+    .map(column => column.values)
+    .filter(values => ArrayBuffer.isView(values))
+    .map(values => values.buffer);
+}
+
+/**
+ * Tabela no formato enviado por postMessage
+ */
+function plainTable(table) {
+  return { numRows: table.numRows, columns: table.columns };
+}
+
+/**
+ * Processa uma mensagem e responde pelo callback post(message, transfer)
+ *
+ * Requisições: { id, type, payload }. Respostas: { id, result, table }
+ * (table é true quando o resultado é uma tabela e 'data' quando só
+ * result.data é), { id, error: { name, message, stack } } ou
+ * { id, progress } durante operações longas.
+ */
+export function processMessage(message, post) {
+  const { id, type, payload = {} } = message;
+  const operation = OPERATIONS[type];
+
+  try {
+    if (!operation) {
+      throw new Error(`Unknown operation "${type}"`);
+    }
+    let result = operation(payload, {
+      progress: progress => post({ id, progress })
+    });
+
+    if (!isColumnTable(result) && Array.isArray(result) && (payload.columnar || isTable(payload.data))) {
+      result = ColumnTable.fromRecords(result);
+    }
+    if (isColumnTable(result)) {
+      post({ id, result: plainTable(result), table: true }, tableBuffers(result));
+    } else if (result && isColumnTable(result.data)) {
+      post({ id, result: { ...result, data: plainTable(result.data) }, table: 'data' }, tableBuffers(result.data));
+    } else {
+      post({ id, result });
+    }
+  } catch (error) {
+    post({ id, error: { name: error.name, message: error.message, stack: error.stack } });
+  }
+}
+
+// Só registra o handler quando roda de fato como worker
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  self.onmessage = (event) => processMessage(event.data, (response, transfer) => self.postMessage(response, transfer || []));
+}